@@ -5,6 +5,7 @@ const http = require("http");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
+const zlib = require("zlib");
 const rateLimitModule = require("express-rate-limit");
 const { z } = require("zod");
 const { OpenAPIRegistry, OpenApiGeneratorV3, extendZodWithOpenApi } = require("@asteasolutions/zod-to-openapi");
@@ -13,6 +14,14 @@ const { WebSocketServer, WebSocket } = require("ws");
 const { createClient } = require("redis");
 const mysql = require("mysql2/promise");
 const pino = require("pino");
+const lmsr = require("./lmsr");
+const { ledgerSystemAccounts, postLedgerTransaction, transferSystemPoints } = require("../shared/ledger");
+const { defaultFeeRate, feeActions, loadFeeRule, feeFor, calculateFee } = require("../shared/fees");
+const { roundParlayOdds, createParlaySettlement } = require("../shared/parlays");
+const { loadBetUpdate, createBetPublishers } = require("../shared/bets");
+const { createPayoutQueue } = require("../shared/payouts");
+const { totpStepSeconds, totpDigits, encodeBase32, findTotpStep, hashRecoveryCode } = require("../shared/totp");
+const { sha256, verifyWebauthnSignature, parseClientData, consumeWebauthnChallenge } = require("../shared/webauthn");
 const promClient = require("prom-client");
 
 extendZodWithOpenApi(z);
@@ -53,16 +62,51 @@ const corsOptions = {
   }
 };
 
+// WebAuthn relying party used for passkey ceremonies (must match the gateway).
+const webauthnRpId = process.env.WEBAUTHN_RP_ID || "localhost";
+const webauthnRpName = process.env.WEBAUTHN_RP_NAME || "Central E";
+const webauthnOrigins = (process.env.WEBAUTHN_ORIGINS || corsOriginsRaw)
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const webauthnChallengeTtlMs = 5 * 60 * 1000;
+
 // Redis configuration for realtime odds.
 const redisHost = process.env.REDIS_HOST || "redis";
 const redisPort = process.env.REDIS_PORT || "6379";
 const oddsChannel = process.env.ODDS_CHANNEL || "odds_updates";
+const betEventsChannel = process.env.BET_EVENTS_CHANNEL || "bet_events";
+const betUpdatesChannel = process.env.BET_UPDATES_CHANNEL || "bet_updates";
 const payoutQueueName = process.env.PAYOUT_QUEUE || "payout_jobs";
 const payoutMaxAttemptsRaw = Number(process.env.PAYOUT_MAX_ATTEMPTS || 5);
 const payoutMaxAttempts = Number.isFinite(payoutMaxAttemptsRaw) && payoutMaxAttemptsRaw > 0
   ? payoutMaxAttemptsRaw
   : 5;
 
+// Peer-to-peer transfer caps, per sender over a rolling 24h window.
+const transferDailyMaxPointsRaw = Number(process.env.TRANSFER_DAILY_MAX_POINTS || 500);
+const transferDailyMaxPoints = Number.isFinite(transferDailyMaxPointsRaw) && transferDailyMaxPointsRaw > 0
+  ? transferDailyMaxPointsRaw
+  : 500;
+const transferDailyMaxCountRaw = Number(process.env.TRANSFER_DAILY_MAX_COUNT || 10);
+const transferDailyMaxCount = Number.isFinite(transferDailyMaxCountRaw) && transferDailyMaxCountRaw > 0
+  ? transferDailyMaxCountRaw
+  : 10;
+// Market maker (LMSR) bets: default liquidity b and the largest worst-case loss (b * ln n) a bet may carry.
+const lmsrDefaultLiquidityRaw = Number(process.env.LMSR_DEFAULT_LIQUIDITY || 100);
+const lmsrDefaultLiquidity = Number.isFinite(lmsrDefaultLiquidityRaw) && lmsrDefaultLiquidityRaw > 0
+  ? lmsrDefaultLiquidityRaw
+  : 100;
+const lmsrMaxSubsidyPointsRaw = Number(process.env.LMSR_MAX_SUBSIDY_POINTS || 5000);
+const lmsrMaxSubsidyPoints = Number.isFinite(lmsrMaxSubsidyPointsRaw) && lmsrMaxSubsidyPointsRaw > 0
+  ? lmsrMaxSubsidyPointsRaw
+  : 5000;
+// Community resolution: how long position holders have to dispute the creator's proposed outcome.
+const betDisputeWindowMinutesRaw = Number(process.env.BET_DISPUTE_WINDOW_MINUTES || 1440);
+const betDisputeWindowMinutes = Number.isFinite(betDisputeWindowMinutesRaw) && betDisputeWindowMinutesRaw > 0
+  ? betDisputeWindowMinutesRaw
+  : 1440;
+
 // MySQL configuration for users, offers, bets, and points.
 const dbHost = process.env.DB_HOST;
 const dbPort = Number(process.env.DB_PORT || 3306);
@@ -227,6 +271,24 @@ const adminLimiter = createBackoffLimiter({
   maxDelayMs: 60 * 1000
 });
 
+// Exports and deletions are heavy and sensitive: keep them to a handful per window.
+const accountLimiter = createBackoffLimiter({
+  name: "account",
+  windowMs: 10 * 60 * 1000,
+  limit: 10,
+  baseDelayMs: 2000,
+  maxDelayMs: 5 * 60 * 1000
+});
+
+// Posting and editing comments; reading threads only goes through apiLimiter.
+const commentLimiter = createBackoffLimiter({
+  name: "comment",
+  windowMs: 60 * 1000,
+  limit: 10,
+  baseDelayMs: 2000,
+  maxDelayMs: 5 * 60 * 1000
+});
+
 app.use(apiLimiter);
 
 const parsePositiveInt = (value) => {
@@ -349,6 +411,8 @@ const AdminDeviceSchema = z.object({
   lastSeen: z.string(),
   revokedAt: z.string().nullable(),
   revokedBy: z.number().nullable(),
+  suspiciousAt: z.string().nullable(),
+  suspiciousReason: z.string().nullable(),
   activeSessions: z.number().int()
 }).openapi("AdminDevice");
 const AdminDeviceListSchema = z.object({
@@ -370,6 +434,101 @@ const AdminSessionListSchema = z.object({
   ok: z.literal(true),
   sessions: z.array(AdminSessionSchema)
 }).openapi("AdminSessionList");
+const MyDeviceSchema = z.object({
+  id: z.number(),
+  userAgent: z.string().nullable(),
+  lastIp: z.string().nullable(),
+  firstSeen: z.string(),
+  lastSeen: z.string(),
+  revokedAt: z.string().nullable(),
+  suspiciousAt: z.string().nullable(),
+  suspiciousReason: z.string().nullable(),
+  activeSessions: z.number().int(),
+  isCurrent: z.boolean()
+}).openapi("MyDevice");
+const MyDeviceListSchema = z.object({
+  ok: z.literal(true),
+  devices: z.array(MyDeviceSchema)
+}).openapi("MyDeviceList");
+const MySessionSchema = z.object({
+  id: z.number(),
+  deviceId: z.number().nullable(),
+  createdAt: z.string(),
+  lastUsedAt: z.string().nullable(),
+  expiresAt: z.string(),
+  userAgent: z.string().nullable(),
+  lastIp: z.string().nullable(),
+  isCurrent: z.boolean()
+}).openapi("MySession");
+const MySessionListSchema = z.object({
+  ok: z.literal(true),
+  sessions: z.array(MySessionSchema)
+}).openapi("MySessionList");
+
+const TransferSchema = z.object({
+  id: z.number(),
+  direction: z.enum(["sent", "received"]),
+  counterpartUserId: z.number(),
+  counterpartName: z.string().optional(),
+  amount: z.number().int(),
+  fee: z.number().int(),
+  totalCost: z.number().int().optional(),
+  note: z.string().nullable(),
+  createdAt: z.string()
+}).openapi("Transfer");
+const TransferLimitsSchema = z.object({
+  dailyMaxPoints: z.number().int(),
+  dailyMaxCount: z.number().int(),
+  sentPointsToday: z.number().int(),
+  sentCountToday: z.number().int(),
+  remainingPointsToday: z.number().int(),
+  remainingCountToday: z.number().int()
+}).openapi("TransferLimits");
+const TransferCreatedSchema = z.object({
+  ok: z.literal(true),
+  transfer: TransferSchema,
+  senderPoints: z.number().int(),
+  limits: TransferLimitsSchema
+}).openapi("TransferCreated");
+const TransferListSchema = z.object({
+  ok: z.literal(true),
+  transfers: z.array(TransferSchema),
+  limits: TransferLimitsSchema
+}).openapi("TransferList");
+
+const ParlayLegSchema = z.object({
+  id: z.number(),
+  betId: z.number(),
+  betTitle: z.string(),
+  optionId: z.number(),
+  optionLabel: z.string(),
+  oddsAtPurchase: z.number(),
+  payoutFactor: z.number(),
+  status: z.enum(["open", "won", "lost", "void"]),
+  settledAt: z.string().nullable()
+}).openapi("ParlayLeg");
+const ParlaySchema = z.object({
+  id: z.number(),
+  status: z.enum(["open", "won", "lost", "void"]),
+  stakePoints: z.number().int(),
+  combinedOdds: z.number(),
+  effectiveOdds: z.number().nullable(),
+  payoutPoints: z.number().int().nullable(),
+  feePoints: z.number().int().nullable(),
+  settledAt: z.string().nullable(),
+  createdAt: z.string(),
+  legs: z.array(ParlayLegSchema)
+}).openapi("Parlay");
+const ParlayCreatedSchema = z.object({
+  ok: z.literal(true),
+  parlay: ParlaySchema,
+  potentialPayout: z.number().int(),
+  userPoints: z.number().int()
+}).openapi("ParlayCreated");
+const ParlayListSchema = z.object({
+  ok: z.literal(true),
+  parlays: z.array(ParlaySchema)
+}).openapi("ParlayList");
 
 registry.register("ErrorResponse", ErrorResponseSchema);
 registry.register("OkResponse", OkResponseSchema);
@@ -379,6 +538,18 @@ registry.register("AdminDevice", AdminDeviceSchema);
 registry.register("AdminDeviceList", AdminDeviceListSchema);
 registry.register("AdminSession", AdminSessionSchema);
 registry.register("AdminSessionList", AdminSessionListSchema);
+registry.register("MyDevice", MyDeviceSchema);
+registry.register("MyDeviceList", MyDeviceListSchema);
+registry.register("MySession", MySessionSchema);
+registry.register("MySessionList", MySessionListSchema);
+registry.register("Transfer", TransferSchema);
+registry.register("TransferLimits", TransferLimitsSchema);
+registry.register("TransferCreated", TransferCreatedSchema);
+registry.register("TransferList", TransferListSchema);
+registry.register("ParlayLeg", ParlayLegSchema);
+registry.register("Parlay", ParlaySchema);
+registry.register("ParlayCreated", ParlayCreatedSchema);
+registry.register("ParlayList", ParlayListSchema);
 
 const zId = z.coerce.number().int().positive();
 const zOptionalId = zId.optional();
@@ -438,6 +609,9 @@ const zOptionalPositiveIntOrInfinity = z.preprocess((value) => {
 }, z.number().int().positive().nullable());
 
 const zOdds = z.coerce.number().min(1.01);
+const zSettlementRule = z.enum(["bucket", "exact", "closest", "over_under"]);
+// Worker feed market an option follows (e.g. "match-1-home"); null unlinks it.
+const zFeedMarketId = zNullableString(64);
 const zPositiveInt = z.coerce.number().int().positive();
 const zFutureDate = z
   .coerce
@@ -702,9 +876,9 @@ const fetchUserById = async (userId, connection = dbPool) => {
             is_admin AS isAdmin, is_super_admin AS isSuperAdmin, is_banned AS isBanned,
             profile_description AS profileDescription, profile_visibility AS profileVisibility,
             profile_alias AS profileAlias, profile_quote AS profileQuote,
-            created_at AS createdAt
+            email_verified_at AS emailVerifiedAt, created_at AS createdAt
      FROM users
-     WHERE id = ?`,
+     WHERE id = ? AND deleted_at IS NULL`,
     [userId]
   );
   if (!rows[0]) {
@@ -722,6 +896,7 @@ const fetchUserById = async (userId, connection = dbPool) => {
     isAdmin,
     isSuperAdmin,
     isBanned: Boolean(rows[0].isBanned),
+    emailVerified: Boolean(rows[0].emailVerifiedAt),
     permissions,
     profileDescription: rows[0].profileDescription ?? null,
     profileVisibility: rows[0].profileVisibility || "public",
@@ -757,10 +932,58 @@ const serializeBetOption = (option) => ({
   label: option.label,
   numericValue: option.numeric_value === null ? null : Number(option.numeric_value),
   odds: Number(option.current_odds),
+  poolPoints: Number(option.pool_points || 0),
+  feedMarketId: option.feed_market_id ?? null,
   createdAt: option.created_at
 });
 
-const serializeBet = (bet, options = []) => ({
+// Implied decimal odds of a pool option: what one staked point would return if it won right now, net of the
+// bet's payout fee rule (`loadPayoutFeeRules`) applied to the whole pool.
+const poolImpliedOdds = (optionPool, totalPool, payoutFeeRule) => {
+  if (!optionPool) {
+    return null;
+  }
+  const netPool = totalPool - feeFor(payoutFeeRule, totalPool);
+  return Math.min(1000, Math.max(1.01, Number((netPool / optionPool).toFixed(2))));
+};
+
+const withPoolOdds = (options, payoutFeeRule) => {
+  const totalPool = options.reduce((total, option) => total + option.poolPoints, 0);
+  return options.map((option) => ({
+    ...option,
+    impliedOdds: poolImpliedOdds(option.poolPoints, totalPool, payoutFeeRule)
+  }));
+};
+
+// Payout fee rule of each pool bet, keyed by bet id; rules are loaded once per group.
+const loadPayoutFeeRules = async (connection, bets) => {
+  const rulesByGroup = new Map();
+  const rulesByBet = new Map();
+  for (const bet of bets.filter((entry) => entry.pricing_mode === "pool")) {
+    const groupKey = bet.group_id === null ? 0 : Number(bet.group_id);
+    if (!rulesByGroup.has(groupKey)) {
+      rulesByGroup.set(groupKey, await loadFeeRule(connection, "payout", bet.group_id));
+    }
+    rulesByBet.set(Number(bet.id), rulesByGroup.get(groupKey));
+  }
+  return rulesByBet;
+};
+
+const parseResolutionWinners = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return value;
+};
+
+const serializeBet = (bet, options = [], payoutFeeRules = new Map()) => ({
   id: Number(bet.id),
   creatorUserId: Number(bet.creator_user_id),
   groupId: bet.group_id === null ? null : Number(bet.group_id),
@@ -772,9 +995,27 @@ const serializeBet = (bet, options = []) => ({
   closesAt: bet.closes_at instanceof Date ? bet.closes_at.toISOString() : bet.closes_at,
   resolvedAt: bet.resolved_at ? new Date(bet.resolved_at).toISOString() : null,
   resultOptionId: bet.result_option_id ? Number(bet.result_option_id) : null,
+  resolutionType: bet.resolution_type || null,
+  winningOptions: parseResolutionWinners(bet.resolution_winners),
+  settlementRule: bet.settlement_rule || null,
+  settlementLine: bet.settlement_line === null || bet.settlement_line === undefined ? null : Number(bet.settlement_line),
+  observedValue: bet.observed_value === null || bet.observed_value === undefined ? null : Number(bet.observed_value),
+  resolutionEscalatedAt: bet.resolution_escalated_at ? new Date(bet.resolution_escalated_at).toISOString() : null,
+  resolutionMode: bet.resolution_mode || "admin",
+  disputeWindowMinutes: bet.dispute_window_minutes === null || bet.dispute_window_minutes === undefined
+    ? null
+    : Number(bet.dispute_window_minutes),
+  pricingMode: bet.pricing_mode || "fixed",
+  liquidity: bet.lmsr_liquidity === null || bet.lmsr_liquidity === undefined ? null : Number(bet.lmsr_liquidity),
+  maxSubsidyPoints: bet.lmsr_max_subsidy === null || bet.lmsr_max_subsidy === undefined
+    ? null
+    : Number(bet.lmsr_max_subsidy),
+  totalPoolPoints: bet.pricing_mode === "pool"
+    ? options.reduce((total, option) => total + option.poolPoints, 0)
+    : null,
   createdAt: bet.created_at,
   updatedAt: bet.updated_at,
-  options
+  options: bet.pricing_mode === "pool" ? withPoolOdds(options, payoutFeeRules.get(Number(bet.id))) : options
 });
 
 const profileVisibilityValues = new Set(["public", "private"]);
@@ -884,14 +1125,6 @@ const canAccessGroupResource = async (groupId, user, connection = dbPool) => {
   return isUserInGroup(user.id, groupId, connection);
 };
 
-const feeRate = 0.02;
-const calculateFee = (amount) => {
-  if (!Number.isFinite(amount) || amount <= 0) {
-    return 0;
-  }
-  return Math.max(0, Math.floor(amount * feeRate));
-};
-
 const loadJwtSecrets = async () => {
   const now = Date.now();
   if (jwtSecretsCache.secrets && now - jwtSecretsCache.fetchedAt < 60 * 1000) {
@@ -1041,6 +1274,7 @@ const requireSuperAdminId = async (connection) => {
 const applyPointsDelta = async (connection, {
   userId,
   delta,
+  counterAccount,
   actorUserId = null,
   action,
   reason = null,
@@ -1048,6 +1282,9 @@ const applyPointsDelta = async (connection, {
   relatedEntityId = null,
   metadata = null
 }) => {
+  if (!ledgerSystemAccounts.includes(counterAccount)) {
+    throw new Error(`Unknown ledger account ${counterAccount}`);
+  }
   const [rows] = await connection.query("SELECT points FROM users WHERE id = ? FOR UPDATE", [userId]);
   if (!rows.length) {
     throw new Error("User not found");
@@ -1058,6 +1295,16 @@ const applyPointsDelta = async (connection, {
     throw new Error("Insufficient points");
   }
   await connection.query("UPDATE users SET points = ? WHERE id = ?", [after, userId]);
+  await postLedgerTransaction(connection, {
+    kind: action,
+    actorUserId,
+    relatedEntityType,
+    relatedEntityId,
+    entries: [
+      { account: "user", userId, amount: Number(delta) },
+      { account: counterAccount, amount: -Number(delta) }
+    ]
+  });
   await logPointChange(connection, {
     actorUserId,
     targetUserId: userId,
@@ -1117,6 +1364,16 @@ const transferPoints = async (connection, {
   }
   await connection.query("UPDATE users SET points = ? WHERE id = ?", [fromAfter, fromUserId]);
   await connection.query("UPDATE users SET points = ? WHERE id = ?", [toAfter, toUserId]);
+  await postLedgerTransaction(connection, {
+    kind: action,
+    actorUserId,
+    relatedEntityType,
+    relatedEntityId,
+    entries: [
+      { account: "user", userId: fromUserId, amount: -amount },
+      { account: "user", userId: toUserId, amount }
+    ]
+  });
   await logPointChange(connection, {
     actorUserId,
     targetUserId: fromUserId,
@@ -1158,90 +1415,47 @@ const transferPoints = async (connection, {
   return { fromBefore, fromAfter, toBefore, toAfter };
 };
 
-const creditFeeToSuperAdmin = async (connection, feePoints, context = {}) => {
+// Fees are collected from `context.account` into the `fees` treasury account; admins disburse from it.
+// The audit row carries the fee as points_delta without a target user: no user balance moves.
+const collectFee = async (connection, feePoints, context = {}) => {
   if (!feePoints) {
     return;
   }
-  const superAdminId = await getSuperAdminId(connection);
-  if (!superAdminId) {
-    logger.warn({ feePoints }, "Skipping fee credit: super admin not configured");
-    return;
-  }
-  await applyPointsDelta(connection, {
-    userId: superAdminId,
-    delta: Number(feePoints),
+  const action = context.action ?? "fee_credit";
+  await transferSystemPoints(connection, {
+    from: context.account,
+    to: "fees",
+    amount: Number(feePoints),
+    kind: action,
+    actorUserId: context.actorUserId ?? null,
+    relatedEntityType: context.relatedEntityType ?? null,
+    relatedEntityId: context.relatedEntityId ?? null
+  });
+  await logAudit(connection, {
     actorUserId: context.actorUserId ?? null,
-    action: context.action ?? "fee_credit",
+    action,
     reason: context.reason ?? "fee_credit",
+    pointsDelta: Number(feePoints),
     relatedEntityType: context.relatedEntityType ?? null,
     relatedEntityId: context.relatedEntityId ?? null,
     metadata: context.metadata ?? { fee: feePoints }
   });
+  pointsOperationsTotal.inc({ action, kind: "fee" });
+  pointsAmountTotal.inc({ action, kind: "fee" }, Number(feePoints));
 };
 
-const enqueuePayoutJob = async (connection, { betId, resultOptionId, resolvedBy, metadata = null }) => {
-  const payload = {
-    betId,
-    resultOptionId,
-    resolvedBy,
-    requestedAt: new Date().toISOString(),
-    metadata
-  };
-  const payloadJson = JSON.stringify(payload);
-  const [existingRows] = await connection.query(
-    "SELECT id, status, attempts FROM payout_jobs WHERE bet_id = ? FOR UPDATE",
-    [betId]
-  );
-  if (existingRows.length) {
-    const existing = existingRows[0];
-    if (existing.status === "completed") {
-      return { jobId: Number(existing.id), alreadyCompleted: true };
-    }
-    const shouldReset = ["failed", "dead", "retry_wait"].includes(existing.status);
-    const nextStatus = shouldReset ? "queued" : existing.status;
-    const nextAttempts = shouldReset ? 0 : Number(existing.attempts || 0);
-    await connection.query(
-      `UPDATE payout_jobs
-       SET result_option_id = ?, resolved_by = ?, payload = ?, status = ?, attempts = ?, max_attempts = ?,
-           error_message = NULL, next_attempt_at = NULL, dead_at = NULL, updated_at = NOW()
-       WHERE id = ?`,
-      [resultOptionId, resolvedBy, payloadJson, nextStatus, nextAttempts, payoutMaxAttempts, existing.id]
-    );
-    if (nextStatus === "queued") {
-      payoutJobsEnqueuedTotal.inc({ status: "queued" });
-      logger.info({
-        jobId: Number(existing.id),
-        betId,
-        resultOptionId,
-        resolvedBy,
-        status: "queued",
-        existing: true
-      }, "payout_job_enqueued");
-    }
-    if (redisQueueClient && existing.status !== "processing" && nextStatus === "queued") {
-      await redisQueueClient.lPush(payoutQueueName, String(existing.id));
+const { settleParlaysForBet } = createParlaySettlement({ applyPointsDelta, collectFee, logAudit });
+
+const { queueBetResolution } = createPayoutQueue({
+  maxAttempts: payoutMaxAttempts,
+  onQueued: async (job) => {
+    if (redisQueueClient) {
+      await redisQueueClient.lPush(payoutQueueName, String(job.jobId));
     }
-    return { jobId: Number(existing.id), existing: true };
-  }
-  const [result] = await connection.query(
-    "INSERT INTO payout_jobs (bet_id, result_option_id, resolved_by, status, payload, max_attempts) VALUES (?, ?, ?, 'queued', ?, ?)",
-    [betId, resultOptionId, resolvedBy, payloadJson, payoutMaxAttempts]
-  );
-  const jobId = Number(result.insertId);
-  if (redisQueueClient) {
-    await redisQueueClient.lPush(payoutQueueName, String(jobId));
+    payoutJobsEnqueuedTotal.inc({ status: "queued" });
+    logger.info({ ...job, status: "queued" }, "payout_job_enqueued");
   }
-  payoutJobsEnqueuedTotal.inc({ status: "queued" });
-  logger.info({
-    jobId,
-    betId,
-    resultOptionId,
-    resolvedBy,
-    status: "queued",
-    existing: false
-  }, "payout_job_enqueued");
-  return { jobId, existing: false };
-};
+});
 
 const isSuperAdminUserId = async (userId, connection = dbPool) => {
   if (!userId) {
@@ -1274,7 +1488,11 @@ const getUserFromRequest = async (req) => {
   if (!user) {
     throw new Error("User not found.");
   }
-  return user;
+  return {
+    ...user,
+    deviceId: parsePositiveInt(payload.deviceId),
+    sessionId: parsePositiveInt(payload.sessionId)
+  };
 };
 
 const isMetricsBearerAuth = (req) => {
@@ -1345,6 +1563,18 @@ const requirePermission = (permission) => (req, res, next) => {
 const requireAdmin = requirePermission("admin.access");
 const requireSuperAdmin = requirePermission("admin.super");
 
+// Unverified accounts can browse and manage their account, but cannot stake points or publish content.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified && !hasPermission(req.user, "admin.access")) {
+    return res.status(403).json({
+      ok: false,
+      code: "EMAIL_NOT_VERIFIED",
+      message: "Email verification required."
+    });
+  }
+  return next();
+};
+
 app.get("/metrics", authenticateMetrics, requireAdmin, async (req, res) => {
   res.setHeader("Content-Type", metricsRegistry.contentType);
   res.send(await metricsRegistry.metrics());
@@ -1601,145 +1831,758 @@ app.patch(
 );
 
 // =============================================
-// PASSKEY ENDPOINTS
+// RESPONSIBLE PLAY ENDPOINTS
 // =============================================
 
+// Limits are counted over rolling windows from the points ledger in audit_logs. Lowering applies at once,
+// raising (or removing) a limit only after limitRaiseDelayHours so it cannot be undone in the heat of the moment.
+const limitRaiseDelayHours = 24;
+const limitColumns = {
+  dailyStakeLimit: "daily_stake_limit",
+  weeklyStakeLimit: "weekly_stake_limit",
+  dailyLossLimit: "daily_loss_limit",
+  weeklyLossLimit: "weekly_loss_limit"
+};
+const stakeActions = ["bet_buy_debit", "parlay_stake_debit", "offer_accept_debit"];
+const stakeReturnActions = ["bet_sell_credit", "bet_payout", "bet_refund", "parlay_payout", "parlay_refund"];
+
+const zLimitValue = z.coerce.number().int().min(0).max(1000000000).nullable();
+const updateLimitsSchema = z.object({
+  dailyStakeLimit: zLimitValue.optional(),
+  weeklyStakeLimit: zLimitValue.optional(),
+  dailyLossLimit: zLimitValue.optional(),
+  weeklyLossLimit: zLimitValue.optional()
+});
+
+// Pending raises whose delay has elapsed become the active limit.
+const applyDueLimitChanges = async (connection, userId) => {
+  const [changes] = await connection.query(
+    `SELECT * FROM user_limit_changes
+     WHERE user_id = ? AND status = 'pending' AND effective_at <= NOW()
+     ORDER BY id ASC
+     FOR UPDATE`,
+    [userId]
+  );
+  for (const change of changes) {
+    if (!Object.values(limitColumns).includes(change.limit_column)) {
+      continue;
+    }
+    await connection.query(
+      `INSERT INTO user_limits (user_id, ${change.limit_column}) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE ${change.limit_column} = VALUES(${change.limit_column})`,
+      [userId, change.new_value]
+    );
+    await connection.query(
+      "UPDATE user_limit_changes SET status = 'applied', updated_at = NOW() WHERE id = ?",
+      [change.id]
+    );
+    await logAudit(connection, {
+      targetUserId: userId,
+      action: "user_limit_raised",
+      reason: "limit_delay_elapsed",
+      relatedEntityType: "user",
+      relatedEntityId: userId,
+      metadata: { limit: change.limit_column, value: change.new_value === null ? null : Number(change.new_value) }
+    });
+  }
+};
+
+const fetchExposureUsage = async (connection, userId) => {
+  const [rows] = await connection.query(
+    `SELECT
+       COALESCE(SUM(CASE WHEN action IN (?) AND created_at >= NOW() - INTERVAL 1 DAY THEN -points_delta ELSE 0 END), 0) AS stakedDay,
+       COALESCE(SUM(CASE WHEN action IN (?) THEN -points_delta ELSE 0 END), 0) AS stakedWeek,
+       COALESCE(SUM(CASE WHEN created_at >= NOW() - INTERVAL 1 DAY THEN points_delta ELSE 0 END), 0) AS netDay,
+       COALESCE(SUM(points_delta), 0) AS netWeek
+     FROM audit_logs
+     WHERE target_user_id = ? AND points_delta IS NOT NULL AND action IN (?)
+       AND created_at >= NOW() - INTERVAL 7 DAY`,
+    [stakeActions, stakeActions, userId, [...stakeActions, ...stakeReturnActions]]
+  );
+  const row = rows[0] || {};
+  return {
+    stakedToday: Number(row.stakedDay) || 0,
+    stakedThisWeek: Number(row.stakedWeek) || 0,
+    lossToday: Math.max(0, -(Number(row.netDay) || 0)),
+    lossThisWeek: Math.max(0, -(Number(row.netWeek) || 0))
+  };
+};
+
+const serializeUserLimits = (row) => {
+  const limits = {};
+  for (const [key, column] of Object.entries(limitColumns)) {
+    limits[key] = row && row[column] !== null && row[column] !== undefined ? Number(row[column]) : null;
+  }
+  return limits;
+};
+
+const columnToLimitKey = (column) => Object.keys(limitColumns).find((key) => limitColumns[key] === column) || column;
+
+const fetchResponsiblePlay = async (connection, userId) => {
+  const [limitRows] = await connection.query("SELECT * FROM user_limits WHERE user_id = ?", [userId]);
+  const [pendingRows] = await connection.query(
+    "SELECT * FROM user_limit_changes WHERE user_id = ? AND status = 'pending' ORDER BY effective_at ASC",
+    [userId]
+  );
+  const selfExcludedUntil = limitRows[0]?.self_excluded_until ? new Date(limitRows[0].self_excluded_until) : null;
+  return {
+    limits: serializeUserLimits(limitRows[0]),
+    pendingChanges: pendingRows.map((row) => ({
+      id: Number(row.id),
+      limit: columnToLimitKey(row.limit_column),
+      value: row.new_value === null ? null : Number(row.new_value),
+      effectiveAt: row.effective_at
+    })),
+    selfExcludedUntil: selfExcludedUntil && selfExcludedUntil.getTime() > Date.now() ? selfExcludedUntil.toISOString() : null,
+    usage: await fetchExposureUsage(connection, userId)
+  };
+};
+
+// Called inside staking transactions before the debit; returns a refusal message or null.
+const checkExposureLimits = async (connection, userId, stakePoints) => {
+  await applyDueLimitChanges(connection, userId);
+  const [rows] = await connection.query("SELECT * FROM user_limits WHERE user_id = ? FOR UPDATE", [userId]);
+  if (!rows.length) {
+    return null;
+  }
+  const row = rows[0];
+  if (row.self_excluded_until && new Date(row.self_excluded_until).getTime() > Date.now()) {
+    return `Self-excluded until ${new Date(row.self_excluded_until).toISOString()}.`;
+  }
+  const limits = serializeUserLimits(row);
+  if (Object.values(limits).every((value) => value === null)) {
+    return null;
+  }
+  const usage = await fetchExposureUsage(connection, userId);
+  // The whole stake may be lost, so it counts fully against the loss limits too.
+  const checks = [
+    ["dailyStakeLimit", usage.stakedToday, "Daily stake limit"],
+    ["weeklyStakeLimit", usage.stakedThisWeek, "Weekly stake limit"],
+    ["dailyLossLimit", usage.lossToday, "Daily loss limit"],
+    ["weeklyLossLimit", usage.lossThisWeek, "Weekly loss limit"]
+  ];
+  for (const [key, used, label] of checks) {
+    if (limits[key] !== null && used + stakePoints > limits[key]) {
+      return `${label} reached (${Math.max(0, limits[key] - used)} points left).`;
+    }
+  }
+  return null;
+};
+
 registerRoute({
   method: "get",
-  path: "/me/passkeys",
-  summary: "List user passkeys",
-  tags: ["Security"],
+  path: "/me/limits",
+  summary: "Get exposure limits and self-exclusion",
+  tags: ["Limits"],
   params: z.object({}),
   query: z.object({})
 });
-app.get("/me/passkeys", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+app.get("/me/limits", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  const connection = await dbPool.getConnection();
   try {
-    const [rows] = await dbPool.query(
-      "SELECT id, credential_id AS credentialId, name, created_at AS createdAt, last_used_at AS lastUsedAt FROM user_passkeys WHERE user_id = ? ORDER BY created_at DESC",
-      [req.user.id]
-    );
-    return res.json({ ok: true, passkeys: rows });
+    await connection.beginTransaction();
+    await applyDueLimitChanges(connection, req.user.id);
+    const responsiblePlay = await fetchResponsiblePlay(connection, req.user.id);
+    await connection.commit();
+    return res.json({ ok: true, ...responsiblePlay });
   } catch (error) {
-    console.error("Fetch passkeys error", error);
-    return res.status(500).json({ ok: false, message: "Failed to fetch passkeys." });
+    await connection.rollback();
+    console.error("Fetch limits error", error);
+    return res.status(500).json({ ok: false, message: "Failed to fetch limits." });
+  } finally {
+    connection.release();
   }
 });
 
 registerRoute({
-  method: "post",
-  path: "/me/passkeys",
-  summary: "Register a new passkey",
-  tags: ["Security"],
-  body: z.object({
-    credentialId: z.string().min(1).max(512),
-    publicKey: z.string().min(1),
-    name: z.string().max(160).optional()
-  })
+  method: "put",
+  path: "/me/limits",
+  summary: "Update exposure limits (null removes a limit)",
+  tags: ["Limits"],
+  body: updateLimitsSchema
 });
-app.post(
-  "/me/passkeys",
+app.put(
+  "/me/limits",
   authenticate,
   validateRequest(
     z.object({
       params: z.object({}),
       query: z.object({}),
-      body: z.object({
-        credentialId: z.string().min(1).max(512),
-        publicKey: z.string().min(1),
-        name: z.string().max(160).optional()
-      })
+      body: updateLimitsSchema
     })
   ),
   async (req, res) => {
-    const { credentialId, publicKey, name } = req.body;
+    const requested = Object.keys(limitColumns).filter((key) => req.body?.[key] !== undefined);
+    if (!requested.length) {
+      return res.status(400).json({ ok: false, message: "No limits provided." });
+    }
+    const connection = await dbPool.getConnection();
     try {
-      const [result] = await dbPool.query(
-        "INSERT INTO user_passkeys (user_id, credential_id, public_key, name) VALUES (?, ?, ?, ?)",
-        [req.user.id, credentialId, publicKey, name || null]
-      );
-      await logAudit(dbPool, {
-        actorUserId: req.user.id,
-        targetUserId: req.user.id,
-        action: "passkey_register",
-        reason: "passkey_register",
-        relatedEntityType: "passkey",
-        relatedEntityId: result.insertId
-      });
-      return res.json({ ok: true, passkeyId: result.insertId });
-    } catch (error) {
-      if (error.code === "ER_DUP_ENTRY") {
-        return res.status(409).json({ ok: false, message: "Passkey already registered." });
+      await connection.beginTransaction();
+      await applyDueLimitChanges(connection, req.user.id);
+      await connection.query("INSERT IGNORE INTO user_limits (user_id) VALUES (?)", [req.user.id]);
+      const [rows] = await connection.query("SELECT * FROM user_limits WHERE user_id = ? FOR UPDATE", [req.user.id]);
+      const current = serializeUserLimits(rows[0]);
+
+      for (const key of requested) {
+        const column = limitColumns[key];
+        const value = req.body[key];
+        // A newer request always replaces a raise still waiting for its delay.
+        await connection.query(
+          "UPDATE user_limit_changes SET status = 'cancelled', updated_at = NOW() WHERE user_id = ? AND limit_column = ? AND status = 'pending'",
+          [req.user.id, column]
+        );
+        const isLowering = value !== null && (current[key] === null || value < current[key]);
+        if (isLowering) {
+          await connection.query(`UPDATE user_limits SET ${column} = ? WHERE user_id = ?`, [value, req.user.id]);
+          await logAudit(connection, {
+            actorUserId: req.user.id,
+            targetUserId: req.user.id,
+            action: "user_limit_lowered",
+            reason: "user_limit_update",
+            relatedEntityType: "user",
+            relatedEntityId: req.user.id,
+            metadata: { limit: key, from: current[key], to: value }
+          });
+        } else if (value !== current[key]) {
+          await connection.query(
+            `INSERT INTO user_limit_changes (user_id, limit_column, new_value, effective_at)
+             VALUES (?, ?, ?, NOW() + INTERVAL ? HOUR)`,
+            [req.user.id, column, value, limitRaiseDelayHours]
+          );
+          await logAudit(connection, {
+            actorUserId: req.user.id,
+            targetUserId: req.user.id,
+            action: "user_limit_raise_scheduled",
+            reason: "user_limit_update",
+            relatedEntityType: "user",
+            relatedEntityId: req.user.id,
+            metadata: { limit: key, from: current[key], to: value, delayHours: limitRaiseDelayHours }
+          });
+        }
       }
-      console.error("Register passkey error", error);
-      return res.status(500).json({ ok: false, message: "Failed to register passkey." });
+
+      const responsiblePlay = await fetchResponsiblePlay(connection, req.user.id);
+      await connection.commit();
+      return res.json({ ok: true, ...responsiblePlay });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Update limits error", error);
+      return res.status(500).json({ ok: false, message: "Failed to update limits." });
+    } finally {
+      connection.release();
     }
   }
 );
 
+const selfExclusionSchema = z.object({
+  days: z.coerce.number().int().min(1).max(365)
+});
+
 registerRoute({
-  method: "delete",
-  path: "/me/passkeys/{id}",
-  summary: "Delete a passkey",
-  tags: ["Security"],
-  params: z.object({ id: zId })
+  method: "post",
+  path: "/me/self-exclusion",
+  summary: "Start a cooling-off period (cannot be shortened)",
+  tags: ["Limits"],
+  body: selfExclusionSchema
 });
-app.delete(
-  "/me/passkeys/:id",
+app.post(
+  "/me/self-exclusion",
   authenticate,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: selfExclusionSchema
+    })
+  ),
   async (req, res) => {
-    const passkeyId = parsePositiveInt(req.params.id);
-    if (!passkeyId) {
-      return res.status(400).json({ ok: false, message: "Invalid passkey id." });
-    }
+    const connection = await dbPool.getConnection();
     try {
-      const [result] = await dbPool.query(
-        "DELETE FROM user_passkeys WHERE id = ? AND user_id = ?",
-        [passkeyId, req.user.id]
+      await connection.beginTransaction();
+      await connection.query("INSERT IGNORE INTO user_limits (user_id) VALUES (?)", [req.user.id]);
+      // Only ever extends: a running exclusion keeps the later of the two end dates.
+      await connection.query(
+        `UPDATE user_limits
+         SET self_excluded_until = GREATEST(COALESCE(self_excluded_until, NOW()), NOW() + INTERVAL ? DAY)
+         WHERE user_id = ?`,
+        [req.body.days, req.user.id]
       );
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ ok: false, message: "Passkey not found." });
-      }
-      await logAudit(dbPool, {
+      const [rows] = await connection.query("SELECT self_excluded_until FROM user_limits WHERE user_id = ?", [req.user.id]);
+      const selfExcludedUntil = new Date(rows[0].self_excluded_until).toISOString();
+      await logAudit(connection, {
         actorUserId: req.user.id,
         targetUserId: req.user.id,
-        action: "passkey_delete",
-        reason: "passkey_delete",
-        relatedEntityType: "passkey",
-        relatedEntityId: passkeyId
+        action: "user_self_exclusion",
+        reason: "user_self_exclusion",
+        relatedEntityType: "user",
+        relatedEntityId: req.user.id,
+        metadata: { days: req.body.days, until: selfExcludedUntil }
       });
-      return res.json({ ok: true, message: "Passkey deleted." });
+      await connection.commit();
+      return res.json({ ok: true, selfExcludedUntil });
     } catch (error) {
-      console.error("Delete passkey error", error);
-      return res.status(500).json({ ok: false, message: "Failed to delete passkey." });
+      await connection.rollback();
+      console.error("Self exclusion error", error);
+      return res.status(500).json({ ok: false, message: "Failed to start self-exclusion." });
+    } finally {
+      connection.release();
     }
   }
 );
 
 // =============================================
-// TOTP 2FA ENDPOINTS
+// PASSKEY ENDPOINTS
 // =============================================
 
-registerRoute({
-  method: "post",
-  path: "/me/totp/setup",
-  summary: "Generate TOTP secret for setup",
-  tags: ["Security"],
-  body: z.object({})
-});
+// Minimal CBOR decoder (RFC 8949) for WebAuthn attestation objects and COSE keys.
+// Returns the decoded value and the number of bytes consumed.
+const decodeCbor = (buffer, offset = 0) => {
+  const readLength = (info, position) => {
+    if (info < 24) return { value: info, position };
+    if (info === 24) return { value: buffer.readUInt8(position), position: position + 1 };
+    if (info === 25) return { value: buffer.readUInt16BE(position), position: position + 2 };
+    if (info === 26) return { value: buffer.readUInt32BE(position), position: position + 4 };
+    if (info === 27) return { value: Number(buffer.readBigUInt64BE(position)), position: position + 8 };
+    throw new Error("Unsupported CBOR length encoding");
+  };
+
+  const decodeItem = (position) => {
+    if (position >= buffer.length) {
+      throw new Error("Unexpected end of CBOR data");
+    }
+    const initial = buffer[position];
+    const major = initial >> 5;
+    const info = initial & 31;
+    if (major === 7) {
+      if (info === 20) return { value: false, position: position + 1 };
+      if (info === 21) return { value: true, position: position + 1 };
+      if (info === 22 || info === 23) return { value: null, position: position + 1 };
+      if (info === 26) return { value: buffer.readFloatBE(position + 1), position: position + 5 };
+      if (info === 27) return { value: buffer.readDoubleBE(position + 1), position: position + 9 };
+      throw new Error("Unsupported CBOR simple value");
+    }
+    const header = readLength(info, position + 1);
+    const length = header.value;
+    let cursor = header.position;
+    switch (major) {
+      case 0:
+        return { value: length, position: cursor };
+      case 1:
+        return { value: -1 - length, position: cursor };
+      case 2:
+      case 3: {
+        if (cursor + length > buffer.length) {
+          throw new Error("Unexpected end of CBOR data");
+        }
+        const bytes = buffer.subarray(cursor, cursor + length);
+        return { value: major === 2 ? Buffer.from(bytes) : bytes.toString("utf8"), position: cursor + length };
+      }
+      case 4: {
+        const items = [];
+        for (let i = 0; i < length; i += 1) {
+          const item = decodeItem(cursor);
+          items.push(item.value);
+          cursor = item.position;
+        }
+        return { value: items, position: cursor };
+      }
+      case 5: {
+        const map = new Map();
+        for (let i = 0; i < length; i += 1) {
+          const key = decodeItem(cursor);
+          const entry = decodeItem(key.position);
+          map.set(key.value, entry.value);
+          cursor = entry.position;
+        }
+        return { value: map, position: cursor };
+      }
+      default:
+        throw new Error("Unsupported CBOR major type");
+    }
+  };
+
+  const result = decodeItem(offset);
+  return { value: result.value, length: result.position - offset };
+};
+
+// Authenticator data layout: rpIdHash(32) | flags(1) | signCount(4) | [attested credential data].
+const parseAuthenticatorData = (authData) => {
+  if (!Buffer.isBuffer(authData) || authData.length < 37) {
+    throw new Error("Authenticator data too short");
+  }
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & 0x01),
+    userVerified: Boolean(flags & 0x04),
+    signCount: authData.readUInt32BE(33),
+    credentialId: null,
+    credentialPublicKey: null,
+    aaguid: null
+  };
+  if (flags & 0x40) {
+    let cursor = 37;
+    parsed.aaguid = authData.subarray(cursor, cursor + 16);
+    cursor += 16;
+    const idLength = authData.readUInt16BE(cursor);
+    cursor += 2;
+    parsed.credentialId = authData.subarray(cursor, cursor + idLength);
+    cursor += idLength;
+    const coseKey = decodeCbor(authData, cursor);
+    parsed.credentialPublicKey = coseKey.value;
+  }
+  return parsed;
+};
+
+const webauthnAlgorithms = [-7, -257, -8];
+
+// COSE_Key (RFC 9053) -> Node KeyObject for ES256, RS256 and EdDSA credentials.
+const coseToPublicKey = (coseKey) => {
+  if (!(coseKey instanceof Map)) {
+    return null;
+  }
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+  let jwk = null;
+  if (kty === 2 && alg === -7 && coseKey.get(-1) === 1) {
+    jwk = { kty: "EC", crv: "P-256", x: coseKey.get(-2)?.toString("base64url"), y: coseKey.get(-3)?.toString("base64url") };
+  } else if (kty === 3 && alg === -257) {
+    jwk = { kty: "RSA", n: coseKey.get(-1)?.toString("base64url"), e: coseKey.get(-2)?.toString("base64url") };
+  } else if (kty === 1 && alg === -8 && coseKey.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: coseKey.get(-2)?.toString("base64url") };
+  }
+  if (!jwk) {
+    return null;
+  }
+  try {
+    return { alg, keyObject: crypto.createPublicKey({ key: jwk, format: "jwk" }) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const issueWebauthnChallenge = async (connection, { userId, purpose }) => {
+  const challenge = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + webauthnChallengeTtlMs);
+  await connection.query(
+    "INSERT INTO webauthn_challenges (user_id, challenge, purpose, expires_at) VALUES (?, ?, ?, ?)",
+    [userId, challenge, purpose, expiresAt]
+  );
+  return challenge;
+};
+
+// Verifies a navigator.credentials.create() response ("none" and "packed" attestation).
+const verifyPasskeyRegistration = async (connection, userId, credential) => {
+  const client = parseClientData(credential.response.clientDataJSON, "webauthn.create", webauthnOrigins);
+  if (client.error) {
+    return { error: client.error };
+  }
+  const challenge = await consumeWebauthnChallenge(connection, {
+    challenge: client.clientData.challenge,
+    purpose: "registration"
+  });
+  if (!challenge || Number(challenge.userId) !== Number(userId)) {
+    return { error: "Invalid or expired challenge." };
+  }
+
+  let attestation = null;
+  let authData = null;
+  try {
+    attestation = decodeCbor(Buffer.from(credential.response.attestationObject, "base64url")).value;
+    authData = parseAuthenticatorData(attestation.get("authData"));
+  } catch (error) {
+    return { error: "Malformed attestation object." };
+  }
+  if (!authData.rpIdHash.equals(sha256(webauthnRpId))) {
+    return { error: "Relying party mismatch." };
+  }
+  if (!authData.userPresent) {
+    return { error: "User presence required." };
+  }
+  if (!authData.credentialId || authData.credentialId.toString("base64url") !== credential.rawId) {
+    return { error: "Credential id mismatch." };
+  }
+  const publicKey = coseToPublicKey(authData.credentialPublicKey);
+  if (!publicKey) {
+    return { error: "Unsupported public key algorithm." };
+  }
+
+  const format = attestation.get("fmt");
+  const statement = attestation.get("attStmt");
+  if (!(statement instanceof Map)) {
+    return { error: "Malformed attestation statement." };
+  }
+  if (format === "none") {
+    if (statement.size > 0) {
+      return { error: "Unexpected attestation statement." };
+    }
+  } else if (format === "packed") {
+    const signedData = Buffer.concat([attestation.get("authData"), client.hash]);
+    const alg = statement.get("alg");
+    const signature = statement.get("sig");
+    const certificates = statement.get("x5c");
+    if (Array.isArray(certificates) && certificates.length) {
+      let certificate = null;
+      try {
+        certificate = new crypto.X509Certificate(certificates[0]);
+      } catch (error) {
+        return { error: "Invalid attestation certificate." };
+      }
+      const now = Date.now();
+      if (
+        certificate.ca ||
+        !certificate.subject.includes("OU=Authenticator Attestation") ||
+        new Date(certificate.validFrom).getTime() > now ||
+        new Date(certificate.validTo).getTime() < now
+      ) {
+        return { error: "Invalid attestation certificate." };
+      }
+      if (!verifyWebauthnSignature(alg, certificate.publicKey, signedData, signature)) {
+        return { error: "Invalid attestation signature." };
+      }
+    } else {
+      // Self attestation: signed with the credential key itself.
+      if (alg !== publicKey.alg || !verifyWebauthnSignature(alg, publicKey.keyObject, signedData, signature)) {
+        return { error: "Invalid attestation signature." };
+      }
+    }
+  } else {
+    return { error: "Unsupported attestation format." };
+  }
+
+  return {
+    credentialId: credential.rawId,
+    publicKeyPem: publicKey.keyObject.export({ type: "spki", format: "pem" }),
+    alg: publicKey.alg,
+    signCount: authData.signCount,
+    format
+  };
+};
+
+registerRoute({
+  method: "get",
+  path: "/me/passkeys",
+  summary: "List user passkeys",
+  tags: ["Security"],
+  params: z.object({}),
+  query: z.object({})
+});
+app.get("/me/passkeys", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  try {
+    const [rows] = await dbPool.query(
+      "SELECT id, credential_id AS credentialId, name, created_at AS createdAt, last_used_at AS lastUsedAt FROM user_passkeys WHERE user_id = ? ORDER BY created_at DESC",
+      [req.user.id]
+    );
+    return res.json({ ok: true, passkeys: rows });
+  } catch (error) {
+    console.error("Fetch passkeys error", error);
+    return res.status(500).json({ ok: false, message: "Failed to fetch passkeys." });
+  }
+});
+
+const zBase64Url = z.string().min(1).max(16384).regex(/^[A-Za-z0-9_-]+$/);
+const passkeyRegistrationSchema = z.object({
+  name: z.string().max(160).optional(),
+  credential: z.object({
+    id: zBase64Url.max(512),
+    rawId: zBase64Url.max(512),
+    type: z.literal("public-key"),
+    response: z.object({
+      clientDataJSON: zBase64Url,
+      attestationObject: zBase64Url,
+      transports: z.array(z.string().max(32)).max(8).optional()
+    })
+  })
+});
+
+registerRoute({
+  method: "post",
+  path: "/me/passkeys/options",
+  summary: "Generate WebAuthn registration options",
+  tags: ["Security"],
+  body: z.object({})
+});
+app.post("/me/passkeys/options", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  try {
+    const challenge = await issueWebauthnChallenge(dbPool, { userId: req.user.id, purpose: "registration" });
+    const [rows] = await dbPool.query(
+      "SELECT credential_id AS credentialId, transports FROM user_passkeys WHERE user_id = ?",
+      [req.user.id]
+    );
+    return res.json({
+      ok: true,
+      options: {
+        challenge,
+        rp: { id: webauthnRpId, name: webauthnRpName },
+        user: {
+          id: Buffer.from(String(req.user.id)).toString("base64url"),
+          name: req.user.email,
+          displayName: req.user.name
+        },
+        pubKeyCredParams: webauthnAlgorithms.map((alg) => ({ type: "public-key", alg })),
+        timeout: webauthnChallengeTtlMs,
+        attestation: "direct",
+        authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" },
+        excludeCredentials: rows.map((row) => ({
+          type: "public-key",
+          id: row.credentialId,
+          transports: row.transports ? JSON.parse(row.transports) : undefined
+        }))
+      }
+    });
+  } catch (error) {
+    console.error("Passkey options error", error);
+    return res.status(500).json({ ok: false, message: "Failed to generate passkey options." });
+  }
+});
+
+registerRoute({
+  method: "post",
+  path: "/me/passkeys",
+  summary: "Register a new passkey from a WebAuthn attestation",
+  tags: ["Security"],
+  body: passkeyRegistrationSchema
+});
+app.post(
+  "/me/passkeys",
+  authenticate,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: passkeyRegistrationSchema
+    })
+  ),
+  async (req, res) => {
+    const { credential, name } = req.body;
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const verified = await verifyPasskeyRegistration(connection, req.user.id, credential);
+      if (verified.error) {
+        // Keep the challenge consumed so a rejected attestation can't be retried.
+        await connection.commit();
+        return res.status(400).json({ ok: false, message: verified.error });
+      }
+      const transports = credential.response.transports?.length
+        ? JSON.stringify(credential.response.transports)
+        : null;
+      const [result] = await connection.query(
+        `INSERT INTO user_passkeys
+          (user_id, credential_id, public_key, public_key_alg, counter, attestation_format, transports, name)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          req.user.id,
+          verified.credentialId,
+          verified.publicKeyPem,
+          verified.alg,
+          verified.signCount,
+          verified.format,
+          transports,
+          name || null
+        ]
+      );
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: req.user.id,
+        action: "passkey_register",
+        reason: "passkey_register",
+        relatedEntityType: "passkey",
+        relatedEntityId: result.insertId,
+        metadata: { attestationFormat: verified.format, alg: verified.alg }
+      });
+      await connection.commit();
+      return res.json({ ok: true, passkeyId: result.insertId });
+    } catch (error) {
+      await connection.rollback();
+      if (error.code === "ER_DUP_ENTRY") {
+        return res.status(409).json({ ok: false, message: "Passkey already registered." });
+      }
+      console.error("Register passkey error", error);
+      return res.status(500).json({ ok: false, message: "Failed to register passkey." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+registerRoute({
+  method: "delete",
+  path: "/me/passkeys/{id}",
+  summary: "Delete a passkey",
+  tags: ["Security"],
+  params: z.object({ id: zId })
+});
+app.delete(
+  "/me/passkeys/:id",
+  authenticate,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+    const passkeyId = parsePositiveInt(req.params.id);
+    if (!passkeyId) {
+      return res.status(400).json({ ok: false, message: "Invalid passkey id." });
+    }
+    try {
+      const [result] = await dbPool.query(
+        "DELETE FROM user_passkeys WHERE id = ? AND user_id = ?",
+        [passkeyId, req.user.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ ok: false, message: "Passkey not found." });
+      }
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        targetUserId: req.user.id,
+        action: "passkey_delete",
+        reason: "passkey_delete",
+        relatedEntityType: "passkey",
+        relatedEntityId: passkeyId
+      });
+      return res.json({ ok: true, message: "Passkey deleted." });
+    } catch (error) {
+      console.error("Delete passkey error", error);
+      return res.status(500).json({ ok: false, message: "Failed to delete passkey." });
+    }
+  }
+);
+
+// =============================================
+// TOTP 2FA ENDPOINTS
+// =============================================
+
+// Authenticator codes and recovery code hashes come from shared/totp.js, also used by the gateway login MFA step.
+const totpRecoveryCodeCount = 10;
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: totpRecoveryCodeCount }, () => {
+    const raw = encodeBase32(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+registerRoute({
+  method: "post",
+  path: "/me/totp/setup",
+  summary: "Generate TOTP secret for setup",
+  tags: ["Security"],
+  body: z.object({})
+});
 app.post("/me/totp/setup", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
   try {
-    // Generate a random base32 secret
-    const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
-    let secret = "";
-    for (let i = 0; i < 16; i++) {
-      secret += chars[Math.floor(Math.random() * chars.length)];
+    const [rows] = await dbPool.query("SELECT totp_enabled AS totpEnabled FROM users WHERE id = ?", [req.user.id]);
+    if (rows.length && rows[0].totpEnabled) {
+      return res.status(409).json({ ok: false, message: "2FA already enabled. Disable it first." });
     }
 
+    const secret = encodeBase32(crypto.randomBytes(20));
+
     // Store temporarily (not enabled yet)
-    await dbPool.query("UPDATE users SET totp_secret = ? WHERE id = ?", [secret, req.user.id]);
+    await dbPool.query("UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?", [
+      secret,
+      req.user.id
+    ]);
 
-    const otpauthUrl = `otpauth://totp/CentralE:${req.user.email}?secret=${secret}&issuer=CentralE`;
+    const otpauthUrl = `otpauth://totp/CentralE:${encodeURIComponent(req.user.email)}?secret=${secret}&issuer=CentralE&digits=${totpDigits}&period=${totpStepSeconds}`;
 
     return res.json({
       ok: true,
@@ -1755,10 +2598,10 @@ app.post("/me/totp/setup", authenticate, validateRequest(emptyRequestSchema), as
 registerRoute({
   method: "post",
   path: "/me/totp/verify",
-  summary: "Verify TOTP code and enable 2FA",
+  summary: "Verify TOTP code, enable 2FA and issue recovery codes",
   tags: ["Security"],
   body: z.object({
-    code: z.string().length(6)
+    code: z.string().regex(/^\d{6}$/)
   })
 });
 app.post(
@@ -1769,43 +2612,65 @@ app.post(
       params: z.object({}),
       query: z.object({}),
       body: z.object({
-        code: z.string().length(6)
+        code: z.string().regex(/^\d{6}$/, "Invalid TOTP code format.")
       })
     })
   ),
   async (req, res) => {
     const { code } = req.body;
+    const connection = await dbPool.getConnection();
 
     try {
-      const [rows] = await dbPool.query(
-        "SELECT totp_secret AS totpSecret FROM users WHERE id = ?",
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT totp_secret AS totpSecret, totp_enabled AS totpEnabled FROM users WHERE id = ? FOR UPDATE",
         [req.user.id]
       );
 
       if (!rows.length || !rows[0].totpSecret) {
+        await connection.rollback();
         return res.status(400).json({ ok: false, message: "TOTP not set up. Call /me/totp/setup first." });
       }
+      if (rows[0].totpEnabled) {
+        await connection.rollback();
+        return res.status(409).json({ ok: false, message: "2FA already enabled." });
+      }
 
-      // Simple TOTP verification (in production, use a proper TOTP library)
-      // For now, accept any 6-digit code for demo purposes
-      if (!/^\d{6}$/.test(code)) {
-        return res.status(400).json({ ok: false, message: "Invalid TOTP code format." });
+      const step = findTotpStep(rows[0].totpSecret, code);
+      if (step === null) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Invalid TOTP code." });
       }
 
-      // Enable TOTP
-      await dbPool.query("UPDATE users SET totp_enabled = 1 WHERE id = ?", [req.user.id]);
+      // Enable TOTP; the verified step can't be replayed at login.
+      await connection.query("UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?", [
+        step,
+        req.user.id
+      ]);
 
-      await logAudit(dbPool, {
+      const recoveryCodes = generateRecoveryCodes();
+      await connection.query("DELETE FROM user_totp_recovery_codes WHERE user_id = ?", [req.user.id]);
+      await connection.query(
+        "INSERT INTO user_totp_recovery_codes (user_id, code_hash) VALUES ?",
+        [recoveryCodes.map((recoveryCode) => [req.user.id, hashRecoveryCode(recoveryCode)])]
+      );
+
+      await logAudit(connection, {
         actorUserId: req.user.id,
         targetUserId: req.user.id,
         action: "totp_enable",
-        reason: "totp_enable"
+        reason: "totp_enable",
+        metadata: { recoveryCodes: recoveryCodes.length }
       });
+      await connection.commit();
 
-      return res.json({ ok: true, message: "2FA enabled successfully." });
+      return res.json({ ok: true, message: "2FA enabled successfully.", recoveryCodes });
     } catch (error) {
+      await connection.rollback();
       console.error("TOTP verify error", error);
       return res.status(500).json({ ok: false, message: "Failed to verify TOTP." });
+    } finally {
+      connection.release();
     }
   }
 );
@@ -1848,8 +2713,12 @@ app.delete(
         return res.status(401).json({ ok: false, message: "Invalid password." });
       }
 
-      // Disable TOTP
-      await dbPool.query("UPDATE users SET totp_enabled = 0, totp_secret = NULL WHERE id = ?", [req.user.id]);
+      // Disable TOTP and drop any unused recovery codes
+      await dbPool.query(
+        "UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?",
+        [req.user.id]
+      );
+      await dbPool.query("DELETE FROM user_totp_recovery_codes WHERE user_id = ?", [req.user.id]);
 
       await logAudit(dbPool, {
         actorUserId: req.user.id,
@@ -1867,1722 +2736,2071 @@ app.delete(
 );
 
 // =============================================
-// USER ASSIGNMENTS ENDPOINTS
+// SESSION & DEVICE ENDPOINTS
 // =============================================
 
 registerRoute({
   method: "get",
-  path: "/me/assignments",
-  summary: "List user assignments",
-  tags: ["Assignments"],
-  params: z.object({}),
-  query: z.object({
-    limit: z.string().optional(),
-    offset: z.string().optional(),
-    completed: z.string().optional()
-  })
+  path: "/me/devices",
+  summary: "List my devices",
+  tags: ["Security"],
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+  responses: {
+    200: {
+      description: "Devices",
+      content: { "application/json": { schema: MyDeviceListSchema } }
+    }
+  }
 });
 app.get(
-  "/me/assignments",
+  "/me/devices",
   authenticate,
   validateRequest(
     z.object({
       params: z.object({}),
-      query: z.object({
-        limit: z.string().optional(),
-        offset: z.string().optional(),
-        completed: z.string().optional()
-      }),
-      body: z.object({}).default({})
+      body: z.object({}).default({}),
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
     })
   ),
   async (req, res) => {
-    const limit = Math.min(Math.max(1, Number(req.query.limit) || 50), 100);
-    const offset = Math.max(0, Number(req.query.offset) || 0);
-    const showCompleted = req.query.completed === "true" || req.query.completed === "1";
-
     try {
-      const whereClause = showCompleted ? "" : "AND completed = 0";
+      const limit = req.query.limit ?? 50;
+      const offset = req.query.offset ?? 0;
       const [rows] = await dbPool.query(
-        `SELECT id, title, description, course_id AS courseId, course_name AS courseName,
-                due_date AS dueDate, source, url, completed, completed_at AS completedAt,
-                created_at AS createdAt
-         FROM user_assignments
-         WHERE user_id = ? ${whereClause}
-         ORDER BY due_date ASC
+        `SELECT d.id,
+                d.user_agent AS userAgent,
+                d.last_ip AS lastIp,
+                d.first_seen AS firstSeen,
+                d.last_seen AS lastSeen,
+                d.revoked_at AS revokedAt,
+                d.suspicious_at AS suspiciousAt,
+                d.suspicious_reason AS suspiciousReason,
+                (
+                  SELECT COUNT(*)
+                  FROM refresh_tokens rt
+                  WHERE rt.user_id = d.user_id
+                    AND rt.device_id = d.id
+                    AND rt.revoked_at IS NULL
+                    AND rt.expires_at > NOW()
+                ) AS activeSessions
+         FROM user_devices d
+         WHERE d.user_id = ?
+         ORDER BY d.last_seen DESC
          LIMIT ? OFFSET ?`,
         [req.user.id, limit, offset]
       );
-
-      const [[countResult]] = await dbPool.query(
-        `SELECT COUNT(*) AS total FROM user_assignments WHERE user_id = ? ${whereClause}`,
-        [req.user.id]
-      );
-
       return res.json({
         ok: true,
-        assignments: rows,
-        total: Number(countResult.total),
-        limit,
-        offset
+        devices: rows.map((row) => ({
+          ...row,
+          activeSessions: Number(row.activeSessions),
+          isCurrent: Number(row.id) === req.user.deviceId
+        }))
       });
     } catch (error) {
-      console.error("Fetch assignments error", error);
-      return res.status(500).json({ ok: false, message: "Failed to fetch assignments." });
+      console.error("List my devices error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list devices." });
     }
   }
 );
 
 registerRoute({
-  method: "post",
-  path: "/me/assignments",
-  summary: "Create a user assignment",
-  tags: ["Assignments"],
-  body: z.object({
-    title: z.string().min(1).max(255),
-    description: z.string().max(2000).optional(),
-    courseId: z.string().max(64).optional(),
-    courseName: z.string().max(160).optional(),
-    dueDate: z.string(),
-    url: z.string().max(512).optional()
-  })
-});
-app.post(
-  "/me/assignments",
-  authenticate,
-  validateRequest(
-    z.object({
-      params: z.object({}),
-      query: z.object({}),
-      body: z.object({
-        title: z.string().min(1).max(255),
-        description: z.string().max(2000).optional(),
-        courseId: z.string().max(64).optional(),
-        courseName: z.string().max(160).optional(),
-        dueDate: z.string(),
-        url: z.string().max(512).optional()
-      })
-    })
-  ),
-  async (req, res) => {
-    const { title, description, courseId, courseName, dueDate, url } = req.body;
-
-    // Validate date
-    const parsedDate = new Date(dueDate);
-    if (isNaN(parsedDate.getTime())) {
-      return res.status(400).json({ ok: false, message: "Invalid due date format." });
-    }
-
-    try {
-      const [result] = await dbPool.query(
-        `INSERT INTO user_assignments (user_id, title, description, course_id, course_name, due_date, source, url)
-         VALUES (?, ?, ?, ?, ?, ?, 'user', ?)`,
-        [req.user.id, title, description || null, courseId || null, courseName || null, parsedDate, url || null]
-      );
-
-      await logAudit(dbPool, {
-        actorUserId: req.user.id,
-        targetUserId: req.user.id,
-        action: "assignment_create",
-        reason: "assignment_create",
-        relatedEntityType: "assignment",
-        relatedEntityId: result.insertId
-      });
-
-      return res.json({ ok: true, assignmentId: result.insertId });
-    } catch (error) {
-      console.error("Create assignment error", error);
-      return res.status(500).json({ ok: false, message: "Failed to create assignment." });
+  method: "get",
+  path: "/me/sessions",
+  summary: "List my active sessions",
+  tags: ["Security"],
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+  responses: {
+    200: {
+      description: "Sessions",
+      content: { "application/json": { schema: MySessionListSchema } }
     }
   }
-);
-
-registerRoute({
-  method: "patch",
-  path: "/me/assignments/{id}",
-  summary: "Update a user assignment",
-  tags: ["Assignments"],
-  params: z.object({ id: zId }),
-  body: z.object({
-    title: z.string().min(1).max(255).optional(),
-    description: z.string().max(2000).optional(),
-    courseId: z.string().max(64).optional(),
-    courseName: z.string().max(160).optional(),
-    dueDate: z.string().optional(),
-    url: z.string().max(512).optional(),
-    completed: z.boolean().optional()
-  })
 });
-app.patch(
-  "/me/assignments/:id",
+app.get(
+  "/me/sessions",
   authenticate,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
-      query: z.object({}),
-      body: z.object({
-        title: z.string().min(1).max(255).optional(),
-        description: z.string().max(2000).optional(),
-        courseId: z.string().max(64).optional(),
-        courseName: z.string().max(160).optional(),
-        dueDate: z.string().optional(),
-        url: z.string().max(512).optional(),
-        completed: z.boolean().optional()
-      })
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
     })
   ),
   async (req, res) => {
-    const assignmentId = parsePositiveInt(req.params.id);
-    if (!assignmentId) {
-      return res.status(400).json({ ok: false, message: "Invalid assignment id." });
-    }
-
-    const updates = [];
-    const values = [];
-
-    if (req.body.title !== undefined) {
-      updates.push("title = ?");
-      values.push(req.body.title);
-    }
-    if (req.body.description !== undefined) {
-      updates.push("description = ?");
-      values.push(req.body.description || null);
-    }
-    if (req.body.courseId !== undefined) {
-      updates.push("course_id = ?");
-      values.push(req.body.courseId || null);
-    }
-    if (req.body.courseName !== undefined) {
-      updates.push("course_name = ?");
-      values.push(req.body.courseName || null);
-    }
-    if (req.body.dueDate !== undefined) {
-      const parsedDate = new Date(req.body.dueDate);
-      if (isNaN(parsedDate.getTime())) {
-        return res.status(400).json({ ok: false, message: "Invalid due date format." });
-      }
-      updates.push("due_date = ?");
-      values.push(parsedDate);
-    }
-    if (req.body.url !== undefined) {
-      updates.push("url = ?");
-      values.push(req.body.url || null);
-    }
-    if (req.body.completed !== undefined) {
-      updates.push("completed = ?");
-      values.push(req.body.completed ? 1 : 0);
-      if (req.body.completed) {
-        updates.push("completed_at = NOW()");
-      } else {
-        updates.push("completed_at = NULL");
-      }
-    }
-
-    if (!updates.length) {
-      return res.status(400).json({ ok: false, message: "No fields to update." });
-    }
-
     try {
-      const [result] = await dbPool.query(
-        `UPDATE user_assignments SET ${updates.join(", ")} WHERE id = ? AND user_id = ?`,
-        [...values, assignmentId, req.user.id]
+      const limit = req.query.limit ?? 50;
+      const offset = req.query.offset ?? 0;
+      // Rotated refresh tokens are revoked, so only live rows are sessions.
+      const [rows] = await dbPool.query(
+        `SELECT rt.id,
+                rt.device_id AS deviceId,
+                rt.created_at AS createdAt,
+                rt.last_used_at AS lastUsedAt,
+                rt.expires_at AS expiresAt,
+                d.user_agent AS userAgent,
+                d.last_ip AS lastIp
+         FROM refresh_tokens rt
+         LEFT JOIN user_devices d ON d.id = rt.device_id
+         WHERE rt.user_id = ? AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+         ORDER BY rt.created_at DESC
+         LIMIT ? OFFSET ?`,
+        [req.user.id, limit, offset]
       );
-
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ ok: false, message: "Assignment not found." });
-      }
-
-      return res.json({ ok: true, message: "Assignment updated." });
+      return res.json({
+        ok: true,
+        sessions: rows.map((row) => ({
+          ...row,
+          isCurrent: req.user.sessionId
+            ? Number(row.id) === req.user.sessionId
+            : Number(row.deviceId) === req.user.deviceId
+        }))
+      });
     } catch (error) {
-      console.error("Update assignment error", error);
-      return res.status(500).json({ ok: false, message: "Failed to update assignment." });
+      console.error("List my sessions error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list sessions." });
     }
   }
 );
 
 registerRoute({
   method: "delete",
-  path: "/me/assignments/{id}",
-  summary: "Delete a user assignment",
-  tags: ["Assignments"],
+  path: "/me/sessions/{id}",
+  summary: "Revoke one of my sessions",
+  tags: ["Security"],
   params: z.object({ id: zId })
 });
 app.delete(
-  "/me/assignments/:id",
+  "/me/sessions/:id",
   authenticate,
   validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
   async (req, res) => {
-    const assignmentId = parsePositiveInt(req.params.id);
-    if (!assignmentId) {
-      return res.status(400).json({ ok: false, message: "Invalid assignment id." });
+    const sessionId = parsePositiveInt(req.params.id);
+    if (!sessionId) {
+      return res.status(400).json({ ok: false, message: "Invalid session id." });
     }
-
     try {
       const [result] = await dbPool.query(
-        "DELETE FROM user_assignments WHERE id = ? AND user_id = ?",
-        [assignmentId, req.user.id]
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+        [sessionId, req.user.id]
       );
-
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ ok: false, message: "Assignment not found." });
+      if (!result.affectedRows) {
+        return res.status(404).json({ ok: false, message: "Session not found." });
       }
-
       await logAudit(dbPool, {
         actorUserId: req.user.id,
         targetUserId: req.user.id,
-        action: "assignment_delete",
-        reason: "assignment_delete",
-        relatedEntityType: "assignment",
-        relatedEntityId: assignmentId
+        action: "session_revoke",
+        reason: "revoke_session",
+        relatedEntityType: "refresh_token",
+        relatedEntityId: sessionId
       });
-
-      return res.json({ ok: true, message: "Assignment deleted." });
+      return res.json({ ok: true, sessionId, isCurrent: sessionId === req.user.sessionId });
     } catch (error) {
-      console.error("Delete assignment error", error);
-      return res.status(500).json({ ok: false, message: "Failed to delete assignment." });
+      console.error("Revoke my session error", error);
+      return res.status(500).json({ ok: false, message: "Failed to revoke session." });
     }
   }
 );
 
-// =============================================
-// STATS ENDPOINTS
-// =============================================
-
 registerRoute({
-  method: "get",
-  path: "/me/stats",
-  summary: "Get personal stats",
-  tags: ["Profiles"],
-  params: z.object({}),
-  query: z.object({})
+  method: "post",
+  path: "/me/sessions/logout-others",
+  summary: "Revoke every session except the current one",
+  tags: ["Security"],
+  body: z.object({})
 });
-app.get("/me/stats", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+app.post("/me/sessions/logout-others", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  if (!req.user.sessionId && !req.user.deviceId) {
+    return res.status(400).json({ ok: false, message: "Current session unknown. Please log in again." });
+  }
   try {
-    const userId = req.user.id;
-    const [[createdBets]] = await dbPool.query(
-      "SELECT COUNT(*) AS count FROM bets WHERE creator_user_id = ?",
-      [userId]
-    );
-    const [[positionsSummary]] = await dbPool.query(
-      `SELECT COUNT(*) AS positionsCount,
-              COALESCE(SUM(stake_points), 0) AS totalStaked,
-              COALESCE(SUM(payout_points), 0) AS totalPayout,
-              COALESCE(SUM(sold_points), 0) AS totalSold
-       FROM bet_positions
-       WHERE user_id = ?`,
-      [userId]
-    );
-    const [[participatedBets]] = await dbPool.query(
-      "SELECT COUNT(DISTINCT bet_id) AS count FROM bet_positions WHERE user_id = ?",
-      [userId]
-    );
-    const [[offersCreated]] = await dbPool.query(
-      "SELECT COUNT(*) AS count FROM offers WHERE creator_user_id = ?",
-      [userId]
-    );
-    const [[offersAccepted]] = await dbPool.query(
-      "SELECT COUNT(*) AS count FROM offer_acceptances WHERE accepter_user_id = ?",
-      [userId]
-    );
-    const totalStaked = Number(positionsSummary.totalStaked);
-    const totalPayout = Number(positionsSummary.totalPayout);
-    const totalSold = Number(positionsSummary.totalSold);
-    const netResult = totalPayout + totalSold - totalStaked;
-
+    // Older access tokens carry no sessionId: keep every session of the current device then.
+    const [result] = req.user.sessionId
+      ? await dbPool.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND id <> ? AND revoked_at IS NULL",
+        [req.user.id, req.user.sessionId]
+      )
+      : await dbPool.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND (device_id IS NULL OR device_id <> ?) AND revoked_at IS NULL",
+        [req.user.id, req.user.deviceId]
+      );
+    const revokedSessions = Number(result.affectedRows || 0);
     await logAudit(dbPool, {
-      actorUserId: userId,
-      action: "user_stats",
-      reason: "user_stats"
-    });
-
-    return res.json({
-      ok: true,
-      stats: {
-        points: req.user.points,
-        betsCreated: Number(createdBets.count),
-        betsParticipated: Number(participatedBets.count),
-        positionsCount: Number(positionsSummary.positionsCount),
-        totalStaked,
-        totalPayout,
-        totalSold,
-        netResult,
-        offersCreated: Number(offersCreated.count),
-        offersAccepted: Number(offersAccepted.count)
-      }
+      actorUserId: req.user.id,
+      targetUserId: req.user.id,
+      action: "session_revoke_others",
+      reason: "logout_others",
+      relatedEntityType: "refresh_token",
+      relatedEntityId: req.user.sessionId || null,
+      metadata: { revokedSessions, currentDeviceId: req.user.deviceId || null }
     });
+    return res.json({ ok: true, revokedSessions });
   } catch (error) {
-    console.error("Fetch stats error", error);
-    return res.status(500).json({ ok: false, message: "Failed to fetch stats." });
+    console.error("Logout other sessions error", error);
+    return res.status(500).json({ ok: false, message: "Failed to revoke sessions." });
   }
 });
 
-registerRoute({
-  method: "get",
-  path: "/me/bets",
-  summary: "List personal bets",
-  tags: ["Profiles"],
-  params: z.object({}),
-  query: z.object({})
-});
-app.get("/me/bets", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const [createdRows] = await dbPool.query(
-      "SELECT id FROM bets WHERE creator_user_id = ?",
-      [userId]
-    );
-    const [positionRows] = await dbPool.query(
-      "SELECT DISTINCT bet_id AS betId FROM bet_positions WHERE user_id = ?",
-      [userId]
-    );
-    const createdIds = new Set(createdRows.map((row) => Number(row.id)));
-    const participatedIds = new Set(positionRows.map((row) => Number(row.betId)));
-    const betIdSet = new Set([...createdIds, ...participatedIds]);
-    const betIds = Array.from(betIdSet);
+// =============================================
+// ACCOUNT DATA ENDPOINTS (export & deletion)
+// =============================================
 
-    if (!betIds.length) {
-      return res.json({ ok: true, bets: [] });
+// Each section becomes a JSON key (or a file in the ZIP archive); none of them exposes secrets or hashes.
+const accountExportSections = [
+  {
+    name: "profile",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, email, name, points, profile_description AS profileDescription,
+                profile_visibility AS profileVisibility, profile_alias AS profileAlias,
+                profile_quote AS profileQuote, theme_preference AS themePreference,
+                totp_enabled AS totpEnabled, email_verified_at AS emailVerifiedAt,
+                created_at AS createdAt, updated_at AS updatedAt
+         FROM users WHERE id = ?`,
+        [userId]
+      );
+      if (!rows[0]) return null;
+      return { ...rows[0], totpEnabled: Boolean(rows[0].totpEnabled), roles: await fetchUserRoles(userId) };
     }
-
-    const [bets] = await dbPool.query(
-      `SELECT * FROM bets WHERE id IN (${betIds.map(() => "?").join(",")}) ORDER BY created_at DESC`,
-      betIds
-    );
-    const [options] = await dbPool.query(
-      `SELECT * FROM bet_options WHERE bet_id IN (${betIds.map(() => "?").join(",")})`,
-      betIds
-    );
-    const optionsByBet = new Map();
-    for (const option of options) {
-      const betId = Number(option.bet_id);
-      if (!optionsByBet.has(betId)) {
-        optionsByBet.set(betId, []);
-      }
-      optionsByBet.get(betId).push(serializeBetOption(option));
+  },
+  {
+    name: "assignments",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, title, description, course_id AS courseId, course_name AS courseName, due_date AS dueDate,
+                source, url, completed, completed_at AS completedAt, created_at AS createdAt
+         FROM user_assignments WHERE user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows.map((row) => ({ ...row, completed: Boolean(row.completed) }));
+    }
+  },
+  {
+    name: "bets",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, group_id AS groupId, title, description, details, bet_type AS betType, closes_at AS closesAt,
+                status, result_option_id AS resultOptionId, resolved_at AS resolvedAt, created_at AS createdAt
+         FROM bets WHERE creator_user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "positions",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT p.id, p.bet_id AS betId, b.title AS betTitle, p.bet_option_id AS optionId, o.label AS optionLabel,
+                p.stake_points AS stakePoints, p.odds_at_purchase AS oddsAtPurchase, p.status,
+                p.payout_points AS payoutPoints, p.sold_points AS soldPoints, p.sold_at AS soldAt,
+                p.settled_at AS settledAt, p.cancelled_at AS cancelledAt, p.parent_position_id AS parentPositionId,
+                p.created_at AS createdAt
+         FROM bet_positions p
+         JOIN bets b ON b.id = p.bet_id
+         JOIN bet_options o ON o.id = p.bet_option_id
+         WHERE p.user_id = ?
+         ORDER BY p.id`,
+        [userId]
+      );
+      return rows.map((row) => ({ ...row, oddsAtPurchase: Number(row.oddsAtPurchase) }));
+    }
+  },
+  {
+    name: "parlays",
+    load: async (userId) => {
+      const [rows] = await dbPool.query("SELECT * FROM parlays WHERE user_id = ? ORDER BY id", [userId]);
+      const legsByParlay = await fetchParlayLegs(rows.map((row) => Number(row.id)));
+      return rows.map((row) => serializeParlay(row, legsByParlay.get(Number(row.id)) || []));
+    }
+  },
+  {
+    name: "offers",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, group_id AS groupId, title, description, points_cost AS pointsCost,
+                max_acceptances AS maxAcceptances, accepted_count AS acceptedCount, is_active AS isActive,
+                created_at AS createdAt
+         FROM offers WHERE creator_user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows.map((row) => ({ ...row, isActive: Boolean(row.isActive) }));
+    }
+  },
+  {
+    name: "offerAcceptances",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT a.id, a.offer_id AS offerId, o.title AS offerTitle, a.points_cost AS pointsCost, a.created_at AS createdAt
+         FROM offer_acceptances a
+         JOIN offers o ON o.id = a.offer_id
+         WHERE a.accepter_user_id = ?
+         ORDER BY a.id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "reviews",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, offer_id AS offerId, rating, comment, created_at AS createdAt
+         FROM offer_reviews WHERE reviewer_user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "betComments",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, bet_id AS betId, parent_comment_id AS parentId, body, edited_at AS editedAt,
+                deleted_at AS deletedAt, created_at AS createdAt
+         FROM bet_comments WHERE user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "transfers",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, sender_user_id AS senderUserId, recipient_user_id AS recipientUserId, amount,
+                IF(sender_user_id = ?, fee, 0) AS fee, note, created_at AS createdAt
+         FROM point_transfers
+         WHERE sender_user_id = ? OR recipient_user_id = ?
+         ORDER BY id`,
+        [userId, userId, userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "groups",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT g.id, g.name, gm.role, gm.created_at AS joinedAt
+         FROM group_members gm
+         JOIN user_groups g ON g.id = gm.group_id
+         WHERE gm.user_id = ?
+         ORDER BY g.id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "devices",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, user_agent AS userAgent, last_ip AS lastIp, first_seen AS firstSeen, last_seen AS lastSeen,
+                revoked_at AS revokedAt, suspicious_at AS suspiciousAt, suspicious_reason AS suspiciousReason
+         FROM user_devices WHERE user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "sessions",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, device_id AS deviceId, created_at AS createdAt, last_used_at AS lastUsedAt,
+                expires_at AS expiresAt, revoked_at AS revokedAt
+         FROM refresh_tokens WHERE user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "passkeys",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, name, transports, created_at AS createdAt, last_used_at AS lastUsedAt
+         FROM user_passkeys WHERE user_id = ? ORDER BY id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "auditLogs",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT id, actor_user_id AS actorUserId, target_user_id AS targetUserId, action, reason,
+                points_delta AS pointsDelta, points_before AS pointsBefore, points_after AS pointsAfter,
+                related_entity_type AS relatedEntityType, related_entity_id AS relatedEntityId,
+                metadata, created_at AS createdAt
+         FROM audit_logs
+         WHERE actor_user_id = ? OR target_user_id = ?
+         ORDER BY id`,
+        [userId, userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "seasonStandings",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT st.season_id AS seasonId, s.name AS seasonName, st.rank_position AS \`rank\`, st.balance,
+                st.net_winnings AS netWinnings, st.bets_won AS betsWon, s.ended_at AS endedAt
+         FROM season_standings st
+         JOIN seasons s ON s.id = st.season_id
+         WHERE st.user_id = ?
+         ORDER BY st.season_id`,
+        [userId]
+      );
+      return rows;
+    }
+  },
+  {
+    name: "ledgerEntries",
+    load: async (userId) => {
+      const [rows] = await dbPool.query(
+        `SELECT e.id, e.transaction_id AS transactionId, t.kind, e.amount,
+                t.related_entity_type AS relatedEntityType, t.related_entity_id AS relatedEntityId, e.created_at AS createdAt
+         FROM ledger_entries e
+         JOIN ledger_transactions t ON t.id = e.transaction_id
+         WHERE e.account = 'user' AND e.user_id = ?
+         ORDER BY e.id`,
+        [userId]
+      );
+      return rows;
     }
-
-    await logAudit(dbPool, {
-      actorUserId: userId,
-      action: "user_list_bets",
-      reason: "user_list_bets",
-      metadata: { count: bets.length }
-    });
-
-    return res.json({
-      ok: true,
-      bets: bets.map((bet) => {
-        const betId = Number(bet.id);
-        return {
-          ...serializeBet(bet, optionsByBet.get(betId) || []),
-          roles: {
-            creator: createdIds.has(betId),
-            participant: participatedIds.has(betId)
-          }
-        };
-      })
-    });
-  } catch (error) {
-    console.error("List user bets error", error);
-    return res.status(500).json({ ok: false, message: "Failed to list user bets." });
-  }
-});
-
-registerRoute({
-  method: "get",
-  path: "/me/groups",
-  summary: "List user groups",
-  tags: ["Groups"],
-  params: z.object({}),
-  query: z.object({})
-});
-app.get("/me/groups", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
-  try {
-    const [rows] = await dbPool.query(
-      `SELECT g.id, g.name, g.description, g.is_private AS isPrivate,
-              gm.role, gm.created_at AS joinedAt
-       FROM group_members gm
-       JOIN user_groups g ON g.id = gm.group_id
-       WHERE gm.user_id = ?
-       ORDER BY g.name ASC`,
-      [req.user.id]
-    );
-    await logAudit(dbPool, {
-      actorUserId: req.user.id,
-      action: "user_list_groups",
-      reason: "user_list_groups"
-    });
-    return res.json({ ok: true, groups: rows });
-  } catch (error) {
-    console.error("List user groups error", error);
-    return res.status(500).json({ ok: false, message: "Failed to list groups." });
   }
-});
+];
 
-app.use("/admin", adminLimiter);
+// Minimal streaming ZIP writer (deflate entries, no ZIP64): enough for per-user exports.
+const createZipWriter = (stream) => {
+  const entries = [];
+  let offset = 0;
+  const write = (buffer) => {
+    stream.write(buffer);
+    offset += buffer.length;
+  };
+  const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  });
+  return {
+    addFile: (name, content) => {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), "utf8");
+      const compressed = zlib.deflateRawSync(data);
+      const fileName = Buffer.from(name, "utf8");
+      const crc = zlib.crc32(data);
+      const { time, date } = toDosDateTime(new Date());
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(0x0800, 6);
+      header.writeUInt16LE(8, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(compressed.length, 18);
+      header.writeUInt32LE(data.length, 22);
+      header.writeUInt16LE(fileName.length, 26);
+      header.writeUInt16LE(0, 28);
+      entries.push({ fileName, crc, time, date, compressedSize: compressed.length, size: data.length, offset });
+      write(header);
+      write(fileName);
+      write(compressed);
+    },
+    finish: () => {
+      const directoryOffset = offset;
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.fileName.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        write(header);
+        write(entry.fileName);
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      stream.end(end);
+    }
+  };
+};
 
-// Admin: credit/debit points.
 registerRoute({
-  method: "post",
-  path: "/admin/users/{id}/points/credit",
-  summary: "Admin credit points",
-  tags: ["Admin"],
-  params: z.object({ id: zId }),
-  body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
+  method: "get",
+  path: "/me/export",
+  summary: "Download a copy of my data (JSON or ZIP)",
+  tags: ["Account"],
+  query: z.object({ format: z.enum(["json", "zip"]).optional() })
 });
-app.post(
-  "/admin/users/:id/points/credit",
+app.get(
+  "/me/export",
+  accountLimiter,
   authenticate,
-  requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
-      query: z.object({}),
-      body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
+      params: z.object({}),
+      query: z.object({ format: z.enum(["json", "zip"]).optional() }),
+      body: z.object({}).default({})
     })
   ),
-  withIdempotency("admin_points_credit", async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    const amount = parsePositiveInt(req.body?.amount ?? req.body?.points);
-    if (!userId || !amount) {
-      return res.status(400).json({ ok: false, message: "User id and positive amount are required." });
-    }
-
-    const connection = await dbPool.getConnection();
-    try {
-      await connection.beginTransaction();
-      if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot modify super admin points." });
-      }
-      const { after } = await applyPointsDelta(connection, {
-        userId,
-        delta: amount,
-        actorUserId: req.user.id,
-        action: "admin_points_credit",
-        reason: "admin_credit",
-        metadata: { amount }
-      });
-      await connection.commit();
-      return res.json({ ok: true, userId, points: after });
-    } catch (error) {
-      await connection.rollback();
-      console.error("Credit points error", error);
-      if (error?.message === "User not found") {
-        return res.status(404).json({ ok: false, message: "User not found." });
-      }
-      return res.status(500).json({ ok: false, message: "Failed to credit points." });
-    } finally {
-      connection.release();
-    }
-  })
-);
-
-registerRoute({
-  method: "post",
-  path: "/admin/users/{id}/points/debit",
-  summary: "Admin debit points",
-  tags: ["Admin"],
-  params: z.object({ id: zId }),
-  body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
-});
-app.post(
-  "/admin/users/:id/points/debit",
-  authenticate,
-  requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({ id: zId }),
-      query: z.object({}),
-      body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
-    })
-  ),
-  withIdempotency("admin_points_debit", async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    const amount = parsePositiveInt(req.body?.amount ?? req.body?.points);
-    if (!userId || !amount) {
-      return res.status(400).json({ ok: false, message: "User id and positive amount are required." });
-    }
-
-    const connection = await dbPool.getConnection();
-    try {
-      await connection.beginTransaction();
-      if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot modify super admin points." });
-      }
-      const { after } = await applyPointsDelta(connection, {
-        userId,
-        delta: -amount,
-        actorUserId: req.user.id,
-        action: "admin_points_debit",
-        reason: "admin_debit",
-        metadata: { amount }
-      });
-      await connection.commit();
-      return res.json({ ok: true, userId, points: after });
-    } catch (error) {
-      await connection.rollback();
-      console.error("Debit points error", error);
-      if (error?.message === "User not found") {
-        return res.status(404).json({ ok: false, message: "User not found." });
-      }
-      if (error.message === "Insufficient points") {
-        return res.status(400).json({ ok: false, message: "Insufficient points." });
-      }
-      return res.status(500).json({ ok: false, message: "Failed to debit points." });
-    } finally {
-      connection.release();
-    }
-  })
-);
-
-registerRoute({
-  method: "post",
-  path: "/admin/users/{id}/promote",
-  summary: "Promote user to admin",
-  tags: ["Admin"],
-  params: z.object({ id: zId })
-});
-app.post(
-  "/admin/users/:id/promote",
-  authenticate,
-  requireSuperAdmin,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
   async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    if (!userId) {
-      return res.status(400).json({ ok: false, message: "Invalid user id." });
-    }
+    const format = req.query.format || "json";
+    const userId = req.user.id;
+    const exportedAt = new Date().toISOString();
+    const fileName = `centrale-export-${userId}-${exportedAt.slice(0, 10)}.${format}`;
     try {
-      const [userRows] = await dbPool.query("SELECT id FROM users WHERE id = ?", [userId]);
-      if (!userRows.length) {
-        return res.status(404).json({ ok: false, message: "User not found." });
-      }
-      const isTargetSuper = await isSuperAdminUserId(userId);
-      if (isTargetSuper) {
-        return res.status(400).json({ ok: false, message: "User is already super admin." });
-      }
-      const adminRoleId = await ensureRole("admin", "Standard admin role");
-      if (!adminRoleId) {
-        return res.status(500).json({ ok: false, message: "Admin role not configured." });
-      }
-      await ensureUserRole(userId, adminRoleId, req.user.id);
-      await dbPool.query("UPDATE users SET is_admin = 1 WHERE id = ?", [userId]);
-      clearPermissionCache(userId);
       await logAudit(dbPool, {
-        actorUserId: req.user.id,
+        actorUserId: userId,
         targetUserId: userId,
-        action: "admin_promote",
-        reason: "promote_admin"
+        action: "account_export",
+        reason: "data_export",
+        metadata: { format }
       });
-      return res.json({ ok: true, userId, isAdmin: true });
     } catch (error) {
-      console.error("Promote admin error", error);
-      return res.status(500).json({ ok: false, message: "Failed to promote admin." });
-    }
-  }
-);
-
-registerRoute({
-  method: "post",
-  path: "/admin/users/{id}/demote",
-  summary: "Demote admin",
-  tags: ["Admin"],
-  params: z.object({ id: zId })
-});
-app.post(
-  "/admin/users/:id/demote",
-  authenticate,
-  requireSuperAdmin,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
-  async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    if (!userId) {
-      return res.status(400).json({ ok: false, message: "Invalid user id." });
+      console.error("Account export error", error);
+      return res.status(500).json({ ok: false, message: "Failed to export data." });
     }
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+    // Sections are written as soon as they are loaded; once streaming started an error can only abort.
     try {
-      const [userRows] = await dbPool.query("SELECT id FROM users WHERE id = ?", [userId]);
-      if (!userRows.length) {
-        return res.status(404).json({ ok: false, message: "User not found." });
-      }
-      const isTargetSuper = await isSuperAdminUserId(userId);
-      if (isTargetSuper) {
-        return res.status(403).json({ ok: false, message: "Cannot demote super admin." });
-      }
-      const adminRoleId = await ensureRole("admin", "Standard admin role");
-      if (!adminRoleId) {
-        return res.status(500).json({ ok: false, message: "Admin role not configured." });
+      if (format === "zip") {
+        res.setHeader("Content-Type", "application/zip");
+        const zip = createZipWriter(res);
+        zip.addFile("export.json", JSON.stringify({ userId, exportedAt, sections: accountExportSections.map((s) => `${s.name}.json`) }, null, 2));
+        for (const section of accountExportSections) {
+          zip.addFile(`${section.name}.json`, JSON.stringify(await section.load(userId), null, 2));
+        }
+        zip.finish();
+        return undefined;
       }
-      const [rows] = await dbPool.query(
-        `SELECT COUNT(*) AS count
-         FROM user_roles ur
-         WHERE ur.role_id = ?`,
-        [adminRoleId]
-      );
-      if (Number(rows[0]?.count) <= 1 && req.user.id === userId) {
-        return res.status(400).json({ ok: false, message: "Cannot demote the last admin." });
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.write(`{"ok":true,"userId":${userId},"exportedAt":${JSON.stringify(exportedAt)}`);
+      for (const section of accountExportSections) {
+        res.write(`,${JSON.stringify(section.name)}:${JSON.stringify(await section.load(userId))}`);
       }
-      await dbPool.query("DELETE FROM user_roles WHERE user_id = ? AND role_id = ?", [userId, adminRoleId]);
-      await dbPool.query("UPDATE users SET is_admin = 0 WHERE id = ?", [userId]);
-      clearPermissionCache(userId);
-      await logAudit(dbPool, {
-        actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_demote",
-        reason: "demote_admin"
-      });
-      return res.json({ ok: true, userId, isAdmin: false });
+      res.end("}");
+      return undefined;
     } catch (error) {
-      console.error("Demote admin error", error);
-      return res.status(500).json({ ok: false, message: "Failed to demote admin." });
+      console.error("Account export stream error", error);
+      if (!res.headersSent) {
+        return res.status(500).json({ ok: false, message: "Failed to export data." });
+      }
+      res.destroy(error);
+      return undefined;
     }
   }
 );
 
+const deleteAccountSchema = z.object({
+  password: z.string().min(1).max(200)
+});
+
 registerRoute({
-  method: "post",
-  path: "/admin/users/{id}/ban",
-  summary: "Ban user",
-  tags: ["Admin"],
-  params: z.object({ id: zId })
+  method: "delete",
+  path: "/me",
+  summary: "Delete my account",
+  tags: ["Account"],
+  body: deleteAccountSchema
 });
-app.post(
-  "/admin/users/:id/ban",
+app.delete(
+  "/me",
+  accountLimiter,
   authenticate,
-  requireAdmin,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
-  withIdempotency("admin_ban", async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    if (!userId) {
-      return res.status(400).json({ ok: false, message: "Invalid user id." });
-    }
-
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: deleteAccountSchema })),
+  async (req, res) => {
+    const userId = req.user.id;
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
       const [rows] = await connection.query(
-        "SELECT id, points, is_banned AS isBanned FROM users WHERE id = ? FOR UPDATE",
+        "SELECT id, password_hash AS passwordHash FROM users WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
         [userId]
       );
       if (!rows.length) {
         await connection.rollback();
         return res.status(404).json({ ok: false, message: "User not found." });
       }
-      const target = rows[0];
-      if (await isUserInRole(userId, "super_admin", connection)) {
+      const matches = await bcrypt.compare(String(req.body.password), rows[0].passwordHash);
+      if (!matches) {
         await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot ban super admin." });
+        return res.status(401).json({ ok: false, message: "Invalid password." });
       }
-      if (await isUserInRole(userId, "admin", connection)) {
+      if (await isSuperAdminUserId(userId, connection)) {
         await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot ban admins." });
+        return res.status(403).json({ ok: false, message: "Super admin account cannot be deleted." });
       }
-      if (target.isBanned) {
+      // Payouts in flight would credit a tombstoned account: wait for them to finish.
+      const [resolvingRows] = await connection.query(
+        `SELECT COUNT(*) AS count
+         FROM bets b
+         WHERE b.status = 'resolving'
+           AND (b.creator_user_id = ? OR EXISTS (
+             SELECT 1 FROM bet_positions p WHERE p.bet_id = b.id AND p.user_id = ? AND p.status = 'open'
+           ))`,
+        [userId, userId]
+      );
+      if (Number(resolvingRows[0]?.count) > 0) {
         await connection.rollback();
-        return res.json({ ok: true, userId, alreadyBanned: true });
+        return res.status(409).json({ ok: false, message: "A bet involving you is being settled. Try again later." });
       }
 
-      const superAdminId = await requireSuperAdminId(connection);
-      if (Number(superAdminId) === Number(userId)) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot ban super admin." });
+      // Bets the user created cannot be resolved anymore: cancel them and refund every holder.
+      const [ownBets] = await connection.query(
+        "SELECT id FROM bets WHERE creator_user_id = ? AND status NOT IN ('resolved', 'resolving', 'cancelled') FOR UPDATE",
+        [userId]
+      );
+      const cancelledBetIds = ownBets.map((bet) => Number(bet.id));
+      const [openPositions] = await connection.query(
+        `SELECT p.id, p.bet_id AS betId, p.user_id AS userId, p.stake_points AS stakePoints,
+                p.bet_option_id AS optionId, p.odds_at_purchase AS oddsAtPurchase,
+                b.pricing_mode AS pricingMode, b.lmsr_liquidity AS lmsrLiquidity
+         FROM bet_positions p
+         JOIN bets b ON b.id = p.bet_id
+         WHERE p.status = 'open'
+           AND b.status NOT IN ('resolved', 'resolving', 'cancelled')
+           AND (p.user_id = ? OR b.creator_user_id = ?)
+         FOR UPDATE`,
+        [userId, userId]
+      );
+      const refunds = new Map();
+      for (const position of openPositions) {
+        const stake = Number(position.stakePoints);
+        await connection.query(
+          "UPDATE bet_positions SET status = 'cancelled', payout_points = ?, cancelled_at = NOW(), updated_at = NOW() WHERE id = ?",
+          [stake, position.id]
+        );
+        // Refunded shares and stakes leave a market that keeps trading, so its prices move back.
+        if (position.pricingMode === "lmsr" && !cancelledBetIds.includes(Number(position.betId))) {
+          await releaseLmsrShares(
+            connection,
+            { id: position.betId, lmsr_liquidity: position.lmsrLiquidity },
+            position.optionId,
+            stake * Number(position.oddsAtPurchase)
+          );
+        } else if (position.pricingMode === "pool" && !cancelledBetIds.includes(Number(position.betId))) {
+          await connection.query(
+            "UPDATE bet_options SET pool_points = GREATEST(pool_points - ?, 0) WHERE id = ?",
+            [stake, position.optionId]
+          );
+          await refreshPoolOdds(connection, position.betId);
+        }
+        const key = `${position.userId}:${position.betId}`;
+        const entry = refunds.get(key) || { userId: Number(position.userId), betId: Number(position.betId), amount: 0 };
+        entry.amount += stake;
+        refunds.set(key, entry);
       }
-
-      const pointsToTransfer = Number(target.points) || 0;
-      if (pointsToTransfer > 0) {
-        await transferPoints(connection, {
-          fromUserId: userId,
-          toUserId: superAdminId,
-          amount: pointsToTransfer,
-          actorUserId: req.user.id,
-          action: "ban_transfer",
-          reason: "ban_transfer",
-          relatedEntityType: "user",
-          relatedEntityId: userId,
-          metadata: { transferredPoints: pointsToTransfer }
+      for (const refund of refunds.values()) {
+        await applyPointsDelta(connection, {
+          userId: refund.userId,
+          delta: refund.amount,
+          counterAccount: "bet_escrow",
+          actorUserId: userId,
+          action: "bet_refund",
+          reason: "account_delete",
+          relatedEntityType: "bet",
+          relatedEntityId: refund.betId,
+          metadata: { refund: refund.amount }
         });
       }
-
-      await connection.query(
-        "UPDATE users SET is_banned = 1, banned_at = NOW() WHERE id = ?",
+      if (cancelledBetIds.length) {
+        await connection.query(
+          "UPDATE bets SET status = 'cancelled', updated_at = NOW() WHERE id IN (?)",
+          [cancelledBetIds]
+        );
+      }
+      const settledParlaysByBet = new Map();
+      for (const betId of cancelledBetIds) {
+        const settled = await settleParlaysForBet(connection, { betId, actorUserId: userId, reason: "account_delete" });
+        settledParlaysByBet.set(betId, settled);
+      }
+      // Open parlays of the user are voided and their stake refunded before the balance leaves.
+      const [openParlays] = await connection.query(
+        "SELECT id, stake_points AS stakePoints FROM parlays WHERE user_id = ? AND status = 'open' FOR UPDATE",
         [userId]
       );
-
+      for (const parlay of openParlays) {
+        const stake = Number(parlay.stakePoints);
+        await connection.query(
+          "UPDATE parlay_legs SET status = 'void', settled_at = NOW() WHERE parlay_id = ? AND status = 'open'",
+          [parlay.id]
+        );
+        await connection.query(
+          `UPDATE parlays
+           SET status = 'void', effective_odds = 1, payout_points = ?, fee_points = 0, settled_at = NOW(), updated_at = NOW()
+           WHERE id = ?`,
+          [stake, parlay.id]
+        );
+        await applyPointsDelta(connection, {
+          userId,
+          delta: stake,
+          counterAccount: "bet_escrow",
+          actorUserId: userId,
+          action: "parlay_refund",
+          reason: "account_delete",
+          relatedEntityType: "parlay",
+          relatedEntityId: Number(parlay.id),
+          metadata: { refund: stake }
+        });
+      }
+      await connection.query("UPDATE offers SET is_active = 0 WHERE creator_user_id = ?", [userId]);
+
+      // The remaining balance leaves through the ledger like a ban does, so totals still reconcile.
+      const [balanceRows] = await connection.query("SELECT points FROM users WHERE id = ? FOR UPDATE", [userId]);
+      const remainingPoints = Number(balanceRows[0]?.points) || 0;
+      const superAdminId = await getSuperAdminId(connection);
+      if (remainingPoints > 0 && superAdminId) {
+        await transferPoints(connection, {
+          fromUserId: userId,
+          toUserId: superAdminId,
+          amount: remainingPoints,
+          actorUserId: userId,
+          action: "account_delete_transfer",
+          reason: "account_delete",
+          relatedEntityType: "user",
+          relatedEntityId: userId,
+          metadata: { transferredPoints: remainingPoints }
+        });
+      } else if (remainingPoints > 0) {
+        await applyPointsDelta(connection, {
+          userId,
+          delta: -remainingPoints,
+          counterAccount: "mint",
+          actorUserId: userId,
+          action: "account_delete_forfeit",
+          reason: "account_delete",
+          relatedEntityType: "user",
+          relatedEntityId: userId
+        });
+      }
+
+      for (const table of [
+        "user_assignments",
+        "refresh_tokens",
+        "user_devices",
+        "user_passkeys",
+        "user_totp_recovery_codes",
+        "auth_mfa_challenges",
+        "auth_action_tokens",
+        "webauthn_challenges",
+        "group_members",
+        "user_roles",
+        "idempotency_keys"
+      ]) {
+        await connection.query(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+      }
+      await connection.query(
+        "UPDATE point_transfers SET note = NULL WHERE sender_user_id = ? OR recipient_user_id = ?",
+        [userId, userId]
+      );
+      await connection.query(
+        "UPDATE bet_comments SET body = NULL, deleted_at = NOW(), deleted_by_user_id = ? WHERE user_id = ? AND deleted_at IS NULL",
+        [userId, userId]
+      );
+      // Ledger rows (points_delta set) stay intact; every other entry about the user loses its metadata.
+      const [auditResult] = await connection.query(
+        `UPDATE audit_logs SET metadata = NULL
+         WHERE (actor_user_id = ? OR target_user_id = ?) AND points_delta IS NULL`,
+        [userId, userId]
+      );
+      // The row is kept as an anonymous tombstone so positions, reviews and ledger entries keep their owner.
+      const unusablePasswordHash = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+      await connection.query(
+        `UPDATE users
+         SET email = ?, name = ?, password_hash = ?, is_admin = 0, is_super_admin = 0,
+             profile_description = NULL, profile_visibility = 'private', profile_alias = NULL, profile_quote = NULL,
+             totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, email_verified_at = NULL,
+             deleted_at = NOW()
+         WHERE id = ?`,
+        [`deleted-${userId}@deleted.invalid`, "Compte supprime", unusablePasswordHash, userId]
+      );
       await logAudit(connection, {
-        actorUserId: req.user.id,
+        actorUserId: userId,
         targetUserId: userId,
-        action: "admin_ban",
-        reason: "ban_user",
+        action: "account_delete",
+        reason: "account_delete",
         relatedEntityType: "user",
         relatedEntityId: userId,
-        metadata: { transferredPoints: pointsToTransfer, superAdminId }
+        metadata: {
+          cancelledBets: cancelledBetIds.length,
+          refundedPositions: openPositions.length,
+          transferredPoints: superAdminId ? remainingPoints : 0,
+          forfeitedPoints: superAdminId ? 0 : remainingPoints,
+          anonymizedAuditEntries: Number(auditResult.affectedRows || 0)
+        }
       });
-
       await connection.commit();
+      clearPermissionCache(userId);
+      for (const [betId, parlays] of settledParlaysByBet.entries()) {
+        await publishBetPayouts(betId, { outcome: "cancelled", parlays });
+      }
       return res.json({
         ok: true,
-        userId,
-        transferredPoints: pointsToTransfer,
-        superAdminId
+        cancelledBets: cancelledBetIds.length,
+        refundedPositions: openPositions.length,
+        transferredPoints: superAdminId ? remainingPoints : 0
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Ban user error", error);
-      return res.status(500).json({ ok: false, message: "Failed to ban user." });
+      console.error("Delete account error", error);
+      return res.status(500).json({ ok: false, message: "Failed to delete account." });
     } finally {
       connection.release();
     }
-  })
+  }
 );
 
+// =============================================
+// USER ASSIGNMENTS ENDPOINTS
+// =============================================
+
 registerRoute({
-  method: "post",
-  path: "/admin/users/{id}/unban",
-  summary: "Unban user",
-  tags: ["Admin"],
-  params: z.object({ id: zId })
+  method: "get",
+  path: "/me/assignments",
+  summary: "List user assignments",
+  tags: ["Assignments"],
+  params: z.object({}),
+  query: z.object({
+    limit: z.string().optional(),
+    offset: z.string().optional(),
+    completed: z.string().optional()
+  })
 });
-app.post(
-  "/admin/users/:id/unban",
+app.get(
+  "/me/assignments",
   authenticate,
-  requireAdmin,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({
+        limit: z.string().optional(),
+        offset: z.string().optional(),
+        completed: z.string().optional()
+      }),
+      body: z.object({}).default({})
+    })
+  ),
   async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    if (!userId) {
-      return res.status(400).json({ ok: false, message: "Invalid user id." });
-    }
+    const limit = Math.min(Math.max(1, Number(req.query.limit) || 50), 100);
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const showCompleted = req.query.completed === "true" || req.query.completed === "1";
 
-    const connection = await dbPool.getConnection();
     try {
-      await connection.beginTransaction();
-      const [rows] = await connection.query(
-        "SELECT id, is_banned AS isBanned FROM users WHERE id = ? FOR UPDATE",
-        [userId]
+      const whereClause = showCompleted ? "" : "AND completed = 0";
+      const [rows] = await dbPool.query(
+        `SELECT id, title, description, course_id AS courseId, course_name AS courseName,
+                due_date AS dueDate, source, url, completed, completed_at AS completedAt,
+                created_at AS createdAt
+         FROM user_assignments
+         WHERE user_id = ? ${whereClause}
+         ORDER BY due_date ASC
+         LIMIT ? OFFSET ?`,
+        [req.user.id, limit, offset]
       );
-      if (!rows.length) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "User not found." });
-      }
-      const target = rows[0];
-      if (await isUserInRole(userId, "super_admin", connection)) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Super admin cannot be unbanned." });
-      }
-      if (!target.isBanned) {
-        await connection.rollback();
-        return res.json({ ok: true, userId, alreadyUnbanned: true });
-      }
 
-      await connection.query(
-        "UPDATE users SET is_banned = 0, banned_at = NULL WHERE id = ?",
-        [userId]
+      const [[countResult]] = await dbPool.query(
+        `SELECT COUNT(*) AS total FROM user_assignments WHERE user_id = ? ${whereClause}`,
+        [req.user.id]
       );
 
-      await logAudit(connection, {
-        actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_unban",
-        reason: "unban_user",
-        relatedEntityType: "user",
-        relatedEntityId: userId
+      return res.json({
+        ok: true,
+        assignments: rows,
+        total: Number(countResult.total),
+        limit,
+        offset
       });
-
-      await connection.commit();
-      return res.json({ ok: true, userId, isBanned: false });
     } catch (error) {
-      await connection.rollback();
-      console.error("Unban user error", error);
-      return res.status(500).json({ ok: false, message: "Failed to unban user." });
-    } finally {
-      connection.release();
+      console.error("Fetch assignments error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch assignments." });
     }
   }
 );
 
 registerRoute({
-  method: "get",
-  path: "/admin/users",
-  summary: "List users",
-  tags: ["Admin"],
-  query: z.object({
-    limit: zLongLimit.optional(),
-    offset: zOffset.optional(),
-    sort: z.enum(["created_at", "points", "email", "name"]).optional(),
-    order: zSortOrder.optional(),
-    search: zSearch
+  method: "post",
+  path: "/me/assignments",
+  summary: "Create a user assignment",
+  tags: ["Assignments"],
+  body: z.object({
+    title: z.string().min(1).max(255),
+    description: z.string().max(2000).optional(),
+    courseId: z.string().max(64).optional(),
+    courseName: z.string().max(160).optional(),
+    dueDate: z.string(),
+    url: z.string().max(512).optional()
   })
 });
-app.get(
-  "/admin/users",
+app.post(
+  "/me/assignments",
   authenticate,
-  requireAdmin,
   validateRequest(
     z.object({
       params: z.object({}),
-      body: z.object({}).default({}),
-      query: z.object({
-        limit: zLongLimit.optional(),
-        offset: zOffset.optional(),
-        sort: z.enum(["created_at", "points", "email", "name"]).optional(),
-        order: zSortOrder.optional(),
-        search: zSearch
+      query: z.object({}),
+      body: z.object({
+        title: z.string().min(1).max(255),
+        description: z.string().max(2000).optional(),
+        courseId: z.string().max(64).optional(),
+        courseName: z.string().max(160).optional(),
+        dueDate: z.string(),
+        url: z.string().max(512).optional()
       })
     })
   ),
   async (req, res) => {
-    try {
-      const limit = req.query.limit ?? 100;
-      const offset = req.query.offset ?? 0;
-      const sortKey = req.query.sort || "created_at";
-      const order = req.query.order || "desc";
-      const search = req.query.search;
-      const sortMap = {
-        created_at: "created_at",
-        points: "points",
-        email: "email",
-        name: "name"
-      };
-      const sortColumn = sortMap[sortKey] || "created_at";
-      const orderSql = order === "asc" ? "ASC" : "DESC";
+    const { title, description, courseId, courseName, dueDate, url } = req.body;
 
-      const clauses = [];
-      const params = [];
-      if (search) {
-        clauses.push("(email LIKE ? OR name LIKE ?)");
-        const like = `%${search}%`;
-        params.push(like, like);
-      }
-      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+    // Validate date
+    const parsedDate = new Date(dueDate);
+    if (isNaN(parsedDate.getTime())) {
+      return res.status(400).json({ ok: false, message: "Invalid due date format." });
+    }
 
-      const [rows] = await dbPool.query(
-        `SELECT u.id, u.email, u.name, u.points,
-                EXISTS(
-                  SELECT 1
-                  FROM user_roles ur
-                  JOIN roles r ON r.id = ur.role_id
-                  WHERE ur.user_id = u.id AND r.name = 'admin'
-                ) AS isAdmin,
-                EXISTS(
-                  SELECT 1
-                  FROM user_roles ur
-                  JOIN roles r ON r.id = ur.role_id
-                  WHERE ur.user_id = u.id AND r.name = 'super_admin'
-                ) AS isSuperAdmin,
-                u.is_banned AS isBanned,
-                u.banned_at AS bannedAt,
-                u.created_at AS createdAt,
-                u.updated_at AS updatedAt
-         FROM users u
-         ${where}
-         ORDER BY ${sortColumn} ${orderSql}
-         LIMIT ? OFFSET ?`,
-        [...params, limit, offset]
+    try {
+      const [result] = await dbPool.query(
+        `INSERT INTO user_assignments (user_id, title, description, course_id, course_name, due_date, source, url)
+         VALUES (?, ?, ?, ?, ?, ?, 'user', ?)`,
+        [req.user.id, title, description || null, courseId || null, courseName || null, parsedDate, url || null]
       );
+
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        action: "admin_list_users",
-        reason: "list_users",
-        metadata: { limit, offset, sort: sortColumn, order: orderSql, search }
+        targetUserId: req.user.id,
+        action: "assignment_create",
+        reason: "assignment_create",
+        relatedEntityType: "assignment",
+        relatedEntityId: result.insertId
       });
-      return res.json({ ok: true, users: rows });
+
+      return res.json({ ok: true, assignmentId: result.insertId });
     } catch (error) {
-      console.error("List users error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list users." });
+      console.error("Create assignment error", error);
+      return res.status(500).json({ ok: false, message: "Failed to create assignment." });
     }
   }
 );
 
 registerRoute({
-  method: "get",
-  path: "/admin/users/banned",
-  summary: "List banned users",
-  tags: ["Admin"],
-  query: z.object({
-    limit: zLongLimit.optional(),
-    offset: zOffset.optional(),
-    sort: z.enum(["banned_at", "created_at", "email", "name"]).optional(),
-    order: zSortOrder.optional(),
-    search: zSearch
+  method: "patch",
+  path: "/me/assignments/{id}",
+  summary: "Update a user assignment",
+  tags: ["Assignments"],
+  params: z.object({ id: zId }),
+  body: z.object({
+    title: z.string().min(1).max(255).optional(),
+    description: z.string().max(2000).optional(),
+    courseId: z.string().max(64).optional(),
+    courseName: z.string().max(160).optional(),
+    dueDate: z.string().optional(),
+    url: z.string().max(512).optional(),
+    completed: z.boolean().optional()
   })
 });
-app.get(
-  "/admin/users/banned",
+app.patch(
+  "/me/assignments/:id",
   authenticate,
-  requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({}),
-      body: z.object({}).default({}),
-      query: z.object({
-        limit: zLongLimit.optional(),
-        offset: zOffset.optional(),
-        sort: z.enum(["banned_at", "created_at", "email", "name"]).optional(),
-        order: zSortOrder.optional(),
-        search: zSearch
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({
+        title: z.string().min(1).max(255).optional(),
+        description: z.string().max(2000).optional(),
+        courseId: z.string().max(64).optional(),
+        courseName: z.string().max(160).optional(),
+        dueDate: z.string().optional(),
+        url: z.string().max(512).optional(),
+        completed: z.boolean().optional()
       })
     })
   ),
   async (req, res) => {
-    try {
-      const limit = req.query.limit ?? 100;
-      const offset = req.query.offset ?? 0;
-      const sortKey = req.query.sort || "banned_at";
-      const order = req.query.order || "desc";
-      const search = req.query.search;
-      const sortMap = {
-        banned_at: "banned_at",
-        created_at: "created_at",
-        email: "email",
-        name: "name"
-      };
-      const sortColumn = sortMap[sortKey] || "banned_at";
-      const orderSql = order === "asc" ? "ASC" : "DESC";
-      const clauses = ["is_banned = 1"];
-      const params = [];
-      if (search) {
-        clauses.push("(email LIKE ? OR name LIKE ?)");
-        const like = `%${search}%`;
-        params.push(like, like);
+    const assignmentId = parsePositiveInt(req.params.id);
+    if (!assignmentId) {
+      return res.status(400).json({ ok: false, message: "Invalid assignment id." });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (req.body.title !== undefined) {
+      updates.push("title = ?");
+      values.push(req.body.title);
+    }
+    if (req.body.description !== undefined) {
+      updates.push("description = ?");
+      values.push(req.body.description || null);
+    }
+    if (req.body.courseId !== undefined) {
+      updates.push("course_id = ?");
+      values.push(req.body.courseId || null);
+    }
+    if (req.body.courseName !== undefined) {
+      updates.push("course_name = ?");
+      values.push(req.body.courseName || null);
+    }
+    if (req.body.dueDate !== undefined) {
+      const parsedDate = new Date(req.body.dueDate);
+      if (isNaN(parsedDate.getTime())) {
+        return res.status(400).json({ ok: false, message: "Invalid due date format." });
       }
-      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
-      const [rows] = await dbPool.query(
-        `SELECT u.id, u.email, u.name, u.points,
-                EXISTS(
-                  SELECT 1
-                  FROM user_roles ur
-                  JOIN roles r ON r.id = ur.role_id
-                  WHERE ur.user_id = u.id AND r.name = 'admin'
-                ) AS isAdmin,
-                EXISTS(
-                  SELECT 1
-                  FROM user_roles ur
-                  JOIN roles r ON r.id = ur.role_id
-                  WHERE ur.user_id = u.id AND r.name = 'super_admin'
-                ) AS isSuperAdmin,
-                u.is_banned AS isBanned,
-                u.banned_at AS bannedAt,
-                u.created_at AS createdAt,
-                u.updated_at AS updatedAt
-         FROM users u
-         ${where}
-         ORDER BY ${sortColumn} ${orderSql}
-         LIMIT ? OFFSET ?`,
-        [...params, limit, offset]
+      updates.push("due_date = ?");
+      values.push(parsedDate);
+    }
+    if (req.body.url !== undefined) {
+      updates.push("url = ?");
+      values.push(req.body.url || null);
+    }
+    if (req.body.completed !== undefined) {
+      updates.push("completed = ?");
+      values.push(req.body.completed ? 1 : 0);
+      if (req.body.completed) {
+        updates.push("completed_at = NOW()");
+      } else {
+        updates.push("completed_at = NULL");
+      }
+    }
+
+    if (!updates.length) {
+      return res.status(400).json({ ok: false, message: "No fields to update." });
+    }
+
+    try {
+      const [result] = await dbPool.query(
+        `UPDATE user_assignments SET ${updates.join(", ")} WHERE id = ? AND user_id = ?`,
+        [...values, assignmentId, req.user.id]
       );
-      await logAudit(dbPool, {
-        actorUserId: req.user.id,
-        action: "admin_list_banned",
-        reason: "list_banned_users",
-        metadata: { limit, offset, sort: sortColumn, order: orderSql, search }
-      });
-      return res.json({ ok: true, users: rows });
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ ok: false, message: "Assignment not found." });
+      }
+
+      return res.json({ ok: true, message: "Assignment updated." });
     } catch (error) {
-      console.error("List banned users error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list banned users." });
+      console.error("Update assignment error", error);
+      return res.status(500).json({ ok: false, message: "Failed to update assignment." });
     }
   }
 );
 
 registerRoute({
-  method: "get",
-  path: "/admin/users/{id}/logs",
-  summary: "Get user audit logs",
-  tags: ["Admin", "Audit"],
-  params: z.object({ id: zId }),
-  query: z.object({
-    limit: zLongLimit.optional(),
-    offset: zOffset.optional(),
-    scope: z.enum(["actor", "target", "all"]).optional(),
-    sort: z.enum(["id", "created_at"]).optional(),
-    order: zSortOrder.optional(),
-    action: zOptionalString(160),
-    search: zSearch
-  })
+  method: "delete",
+  path: "/me/assignments/{id}",
+  summary: "Delete a user assignment",
+  tags: ["Assignments"],
+  params: z.object({ id: zId })
 });
-app.get(
-  "/admin/users/:id/logs",
+app.delete(
+  "/me/assignments/:id",
   authenticate,
-  requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({ id: zId }),
-      body: z.object({}).default({}),
-      query: z.object({
-        limit: zLongLimit.optional(),
-        offset: zOffset.optional(),
-        scope: z.enum(["actor", "target", "all"]).optional(),
-        sort: z.enum(["id", "created_at"]).optional(),
-        order: zSortOrder.optional(),
-        action: zOptionalString(160),
-        search: zSearch
-      })
-    })
-  ),
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
   async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    if (!userId) {
-      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    const assignmentId = parsePositiveInt(req.params.id);
+    if (!assignmentId) {
+      return res.status(400).json({ ok: false, message: "Invalid assignment id." });
     }
+
     try {
-      const limit = req.query.limit ?? 200;
-      const offset = req.query.offset ?? 0;
-      const scope = req.query.scope ? String(req.query.scope).trim().toLowerCase() : "all";
-      const sortKey = req.query.sort || "id";
-      const order = req.query.order || "desc";
-      const search = req.query.search;
-      const action = req.query.action ? String(req.query.action).trim() : null;
-      const sortMap = {
-        id: "id",
-        created_at: "created_at"
-      };
-      const sortColumn = sortMap[sortKey] || "id";
-      const orderSql = order === "asc" ? "ASC" : "DESC";
+      const [result] = await dbPool.query(
+        "DELETE FROM user_assignments WHERE id = ? AND user_id = ?",
+        [assignmentId, req.user.id]
+      );
 
-      const clauses = [];
-      const params = [];
-      if (scope === "actor") {
-        clauses.push("actor_user_id = ?");
-        params.push(userId);
-      } else if (scope === "target") {
-        clauses.push("target_user_id = ?");
-        params.push(userId);
-      } else {
-        clauses.push("(actor_user_id = ? OR target_user_id = ?)");
-        params.push(userId, userId);
-      }
-      if (action) {
-        clauses.push("action = ?");
-        params.push(action);
-      }
-      if (search) {
-        clauses.push("(action LIKE ? OR reason LIKE ?)");
-        const like = `%${search}%`;
-        params.push(like, like);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ ok: false, message: "Assignment not found." });
       }
-      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
 
-      const [rows] = await dbPool.query(
-        `SELECT id, actor_user_id AS actorUserId, target_user_id AS targetUserId, action, reason, points_delta AS pointsDelta,
-                points_before AS pointsBefore, points_after AS pointsAfter, related_entity_type AS relatedEntityType,
-                related_entity_id AS relatedEntityId, metadata, created_at AS createdAt
-         FROM audit_logs
-         ${where}
-         ORDER BY ${sortColumn} ${orderSql}
-         LIMIT ? OFFSET ?`,
-        [...params, limit, offset]
-      );
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_get_user_logs",
-        reason: "get_user_logs",
-        metadata: { scope, limit, offset, sort: sortColumn, order: orderSql, search, action }
+        targetUserId: req.user.id,
+        action: "assignment_delete",
+        reason: "assignment_delete",
+        relatedEntityType: "assignment",
+        relatedEntityId: assignmentId
       });
-      return res.json({ ok: true, logs: rows });
+
+      return res.json({ ok: true, message: "Assignment deleted." });
     } catch (error) {
-      console.error("Get user logs error", error);
-      return res.status(500).json({ ok: false, message: "Failed to fetch user logs." });
+      console.error("Delete assignment error", error);
+      return res.status(500).json({ ok: false, message: "Failed to delete assignment." });
     }
   }
 );
 
+// =============================================
+// STATS ENDPOINTS
+// =============================================
+
 registerRoute({
   method: "get",
-  path: "/admin/users/{id}/devices",
-  summary: "List user devices",
-  tags: ["Admin"],
-  params: z.object({ id: zId }),
-  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
-  responses: {
-    200: {
-      description: "Devices",
-      content: { "application/json": { schema: AdminDeviceListSchema } }
-    }
+  path: "/me/stats",
+  summary: "Get personal stats",
+  tags: ["Profiles"],
+  params: z.object({}),
+  query: z.object({})
+});
+app.get("/me/stats", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [[createdBets]] = await dbPool.query(
+      "SELECT COUNT(*) AS count FROM bets WHERE creator_user_id = ?",
+      [userId]
+    );
+    const [[positionsSummary]] = await dbPool.query(
+      `SELECT COUNT(*) AS positionsCount,
+              COALESCE(SUM(stake_points), 0) AS totalStaked,
+              COALESCE(SUM(payout_points), 0) AS totalPayout,
+              COALESCE(SUM(sold_points), 0) AS totalSold
+       FROM bet_positions
+       WHERE user_id = ?`,
+      [userId]
+    );
+    const [[participatedBets]] = await dbPool.query(
+      "SELECT COUNT(DISTINCT bet_id) AS count FROM bet_positions WHERE user_id = ?",
+      [userId]
+    );
+    const [[offersCreated]] = await dbPool.query(
+      "SELECT COUNT(*) AS count FROM offers WHERE creator_user_id = ?",
+      [userId]
+    );
+    const [[offersAccepted]] = await dbPool.query(
+      "SELECT COUNT(*) AS count FROM offer_acceptances WHERE accepter_user_id = ?",
+      [userId]
+    );
+    const totalStaked = Number(positionsSummary.totalStaked);
+    const totalPayout = Number(positionsSummary.totalPayout);
+    const totalSold = Number(positionsSummary.totalSold);
+    const netResult = totalPayout + totalSold - totalStaked;
+
+    await logAudit(dbPool, {
+      actorUserId: userId,
+      action: "user_stats",
+      reason: "user_stats"
+    });
+
+    return res.json({
+      ok: true,
+      stats: {
+        points: req.user.points,
+        betsCreated: Number(createdBets.count),
+        betsParticipated: Number(participatedBets.count),
+        positionsCount: Number(positionsSummary.positionsCount),
+        totalStaked,
+        totalPayout,
+        totalSold,
+        netResult,
+        offersCreated: Number(offersCreated.count),
+        offersAccepted: Number(offersAccepted.count)
+      }
+    });
+  } catch (error) {
+    console.error("Fetch stats error", error);
+    return res.status(500).json({ ok: false, message: "Failed to fetch stats." });
   }
 });
+
+// =============================================
+// SEASON ENDPOINTS
+// =============================================
+
+const seasonColumns = `id, name, status, reset_baseline AS resetBaseline, started_at AS startedAt, ended_at AS endedAt,
+  started_by AS startedBy, ended_by AS endedBy`;
+
+const formatSeason = (row) => ({
+  id: Number(row.id),
+  name: row.name,
+  status: row.status,
+  resetBaseline: row.resetBaseline === null ? null : Number(row.resetBaseline),
+  startedAt: row.startedAt,
+  endedAt: row.endedAt,
+  startedBy: row.startedBy === null ? null : Number(row.startedBy),
+  endedBy: row.endedBy === null ? null : Number(row.endedBy)
+});
+
+// Standings over [from, to): current balance, net result of positions settled or sold and parlays won or lost
+// in the window, and distinct bets (or parlays) won. Deleted accounts are left out.
+const computeSeasonStandings = async (connection, { from, to }) => {
+  const [rows] = await connection.query(
+    `SELECT u.id AS userId, u.points AS balance,
+            COALESCE(p.net, 0) + COALESCE(pl.net, 0) AS netWinnings,
+            COALESCE(p.won, 0) + COALESCE(pl.won, 0) AS betsWon
+     FROM users u
+     LEFT JOIN (
+       SELECT user_id,
+              SUM(IF(status = 'settled', COALESCE(payout_points, 0), COALESCE(sold_points, 0)) - stake_points) AS net,
+              COUNT(DISTINCT IF(status = 'settled' AND payout_points > stake_points, bet_id, NULL)) AS won
+       FROM bet_positions
+       WHERE (status = 'settled' AND settled_at >= ? AND settled_at < ?)
+          OR (status = 'sold' AND sold_at >= ? AND sold_at < ?)
+       GROUP BY user_id
+     ) p ON p.user_id = u.id
+     LEFT JOIN (
+       SELECT user_id, SUM(COALESCE(payout_points, 0) - stake_points) AS net, SUM(status = 'won') AS won
+       FROM parlays
+       WHERE status IN ('won', 'lost') AND settled_at >= ? AND settled_at < ?
+       GROUP BY user_id
+     ) pl ON pl.user_id = u.id
+     WHERE u.deleted_at IS NULL
+     ORDER BY balance DESC, netWinnings DESC, u.id ASC`,
+    [from, to, from, to, from, to]
+  );
+  return rows.map((row, index) => ({
+    rank: index + 1,
+    userId: Number(row.userId),
+    balance: Number(row.balance),
+    netWinnings: Number(row.netWinnings),
+    betsWon: Number(row.betsWon)
+  }));
+};
+
+// Names follow the profile rules: aliases for other viewers, hidden for private or deleted accounts.
+const serializeStandingForViewer = (standing, user, viewer) => {
+  const isSelf = viewer && viewer.id === standing.userId;
+  const isAdmin = viewer && viewer.isAdmin;
+  let displayName = null;
+  if (user && !user.deletedAt && (isSelf || isAdmin || user.profileVisibility !== "private")) {
+    displayName = !isSelf && !isAdmin && user.profileAlias ? user.profileAlias : user.name;
+  }
+  return { ...standing, displayName };
+};
+
+registerRoute({
+  method: "get",
+  path: "/seasons",
+  summary: "List seasons",
+  tags: ["Seasons"]
+});
+app.get("/seasons", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  try {
+    const [rows] = await dbPool.query(`SELECT ${seasonColumns} FROM seasons ORDER BY id DESC`);
+    return res.json({ ok: true, seasons: rows.map(formatSeason) });
+  } catch (error) {
+    console.error("List seasons error", error);
+    return res.status(500).json({ ok: false, message: "Failed to list seasons." });
+  }
+});
+
+registerRoute({
+  method: "get",
+  path: "/seasons/{id}/leaderboard",
+  summary: "Get a season leaderboard",
+  tags: ["Seasons"],
+  params: z.object({ id: zId }),
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
+});
 app.get(
-  "/admin/users/:id/devices",
+  "/seasons/:id/leaderboard",
   authenticate,
-  requireAdmin,
   validateRequest(
     z.object({
       params: z.object({ id: zId }),
-      body: z.object({}).default({}),
-      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+      body: z.object({}).default({})
     })
   ),
   async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    if (!userId) {
-      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    const seasonId = req.params.id;
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+    try {
+      const [seasonRows] = await dbPool.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [seasonId]);
+      if (!seasonRows.length) {
+        return res.status(404).json({ ok: false, message: "Season not found." });
+      }
+      const season = formatSeason(seasonRows[0]);
+      // Ended seasons read their frozen snapshot; the running one is computed on the fly.
+      let standings = [];
+      if (season.status === "ended") {
+        const [rows] = await dbPool.query(
+          `SELECT rank_position AS \`rank\`, user_id AS userId, balance, net_winnings AS netWinnings, bets_won AS betsWon
+           FROM season_standings
+           WHERE season_id = ?
+           ORDER BY rank_position`,
+          [seasonId]
+        );
+        standings = rows.map((row) => ({
+          rank: Number(row.rank),
+          userId: Number(row.userId),
+          balance: Number(row.balance),
+          netWinnings: Number(row.netWinnings),
+          betsWon: Number(row.betsWon)
+        }));
+      } else {
+        standings = await computeSeasonStandings(dbPool, { from: seasonRows[0].startedAt, to: new Date() });
+      }
+      const page = standings.slice(offset, offset + limit);
+      const users = new Map();
+      if (page.length) {
+        const [userRows] = await dbPool.query(
+          `SELECT id, name, profile_visibility AS profileVisibility, profile_alias AS profileAlias, deleted_at AS deletedAt
+           FROM users
+           WHERE id IN (?)`,
+          [page.map((standing) => standing.userId)]
+        );
+        userRows.forEach((row) => users.set(Number(row.id), row));
+      }
+      const mine = standings.find((standing) => standing.userId === req.user.id) || null;
+      return res.json({
+        ok: true,
+        season,
+        live: season.status !== "ended",
+        total: standings.length,
+        leaderboard: page.map((standing) => serializeStandingForViewer(standing, users.get(standing.userId), req.user)),
+        me: mine && { ...mine, displayName: req.user.name }
+      });
+    } catch (error) {
+      console.error("Season leaderboard error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch season leaderboard." });
     }
+  }
+);
+
+const seasonStartBodySchema = z.object({ name: z.string().trim().min(1).max(120) });
+
+registerRoute({
+  method: "post",
+  path: "/admin/seasons",
+  summary: "Start a season",
+  tags: ["Admin", "Seasons"],
+  body: seasonStartBodySchema
+});
+app.post(
+  "/admin/seasons",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: seasonStartBodySchema })),
+  async (req, res) => {
     try {
-      const limit = req.query.limit ?? 50;
-      const offset = req.query.offset ?? 0;
-      const [rows] = await dbPool.query(
-        `SELECT d.id,
-                d.fingerprint,
-                d.user_agent AS userAgent,
-                d.last_ip AS lastIp,
-                d.first_seen AS firstSeen,
-                d.last_seen AS lastSeen,
-                d.revoked_at AS revokedAt,
-                d.revoked_by AS revokedBy,
-                (
-                  SELECT COUNT(*)
-                  FROM refresh_tokens rt
-                  WHERE rt.user_id = d.user_id
-                    AND rt.device_id = d.id
-                    AND rt.revoked_at IS NULL
-                    AND rt.expires_at > NOW()
-                ) AS activeSessions
-         FROM user_devices d
-         WHERE d.user_id = ?
-         ORDER BY d.last_seen DESC
-         LIMIT ? OFFSET ?`,
-        [userId, limit, offset]
+      const [result] = await dbPool.query(
+        "INSERT INTO seasons (name, status, started_by) VALUES (?, 'active', ?)",
+        [req.body.name, req.user.id]
       );
+      const [rows] = await dbPool.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [result.insertId]);
+      const season = formatSeason(rows[0]);
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_list_devices",
-        reason: "list_devices",
-        metadata: { limit, offset }
+        action: "season_start",
+        reason: "season_start",
+        relatedEntityType: "season",
+        relatedEntityId: season.id,
+        metadata: { name: season.name }
       });
-      return res.json({ ok: true, devices: rows });
+      return res.status(201).json({ ok: true, season });
     } catch (error) {
-      console.error("List devices error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list devices." });
+      if (error?.code === "ER_DUP_ENTRY") {
+        return res.status(409).json({ ok: false, message: "A season is already running." });
+      }
+      console.error("Start season error", error);
+      return res.status(500).json({ ok: false, message: "Failed to start season." });
     }
   }
 );
 
+const seasonEndBodySchema = z.object({
+  resetBaseline: z.coerce.number().int().min(0).max(1000000).optional()
+});
+
 registerRoute({
-  method: "delete",
-  path: "/admin/users/{id}/devices/{deviceId}",
-  summary: "Revoke user device",
-  tags: ["Admin"],
-  params: z.object({ id: zId, deviceId: zId })
+  method: "post",
+  path: "/admin/seasons/{id}/end",
+  summary: "End a season and freeze its leaderboard",
+  tags: ["Admin", "Seasons"],
+  params: z.object({ id: zId }),
+  body: seasonEndBodySchema
 });
-app.delete(
-  "/admin/users/:id/devices/:deviceId",
+app.post(
+  "/admin/seasons/:id/end",
   authenticate,
   requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({ id: zId, deviceId: zId }),
-      query: z.object({}),
-      body: z.object({}).default({})
-    })
-  ),
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: seasonEndBodySchema.default({}) })),
   async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    const deviceId = parsePositiveInt(req.params.deviceId);
-    if (!userId || !deviceId) {
-      return res.status(400).json({ ok: false, message: "Invalid user or device id." });
-    }
+    const seasonId = req.params.id;
+    const resetBaseline = req.body.resetBaseline ?? null;
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
-      const [deviceRows] = await connection.query(
-        "SELECT id, revoked_at AS revokedAt FROM user_devices WHERE id = ? AND user_id = ? FOR UPDATE",
-        [deviceId, userId]
-      );
-      if (!deviceRows.length) {
+      const [seasonRows] = await connection.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ? FOR UPDATE`, [seasonId]);
+      if (!seasonRows.length) {
         await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Device not found." });
+        return res.status(404).json({ ok: false, message: "Season not found." });
       }
-      if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
+      if (seasonRows[0].status !== "active") {
         await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot revoke super admin devices." });
+        return res.status(409).json({ ok: false, message: "Season already ended." });
       }
-      const alreadyRevoked = Boolean(deviceRows[0].revokedAt);
+      // Locking every balance freezes the standings until the snapshot (and the reset) are written.
+      await connection.query("SELECT id FROM users WHERE deleted_at IS NULL FOR UPDATE");
       await connection.query(
-        "UPDATE user_devices SET revoked_at = COALESCE(revoked_at, NOW()), revoked_by = ? WHERE id = ? AND user_id = ?",
-        [req.user.id, deviceId, userId]
-      );
-      const [sessionResult] = await connection.query(
-        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND device_id = ? AND revoked_at IS NULL",
-        [userId, deviceId]
+        "UPDATE seasons SET status = 'ended', ended_at = NOW(), ended_by = ?, reset_baseline = ? WHERE id = ?",
+        [req.user.id, resetBaseline, seasonId]
       );
-      const revokedSessions = Number(sessionResult.affectedRows || 0);
+      const [endedRows] = await connection.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [seasonId]);
+      const standings = await computeSeasonStandings(connection, {
+        from: endedRows[0].startedAt,
+        to: endedRows[0].endedAt
+      });
+      if (standings.length) {
+        await connection.query(
+          "INSERT INTO season_standings (season_id, user_id, rank_position, balance, net_winnings, bets_won) VALUES ?",
+          [standings.map((standing) => [
+            seasonId,
+            standing.userId,
+            standing.rank,
+            standing.balance,
+            standing.netWinnings,
+            standing.betsWon
+          ])]
+        );
+      }
+      // Balances move to the baseline against the mint, one audited ledger transaction per user.
+      let resetUsers = 0;
+      let resetDelta = 0;
+      if (resetBaseline !== null) {
+        for (const standing of standings) {
+          const delta = resetBaseline - standing.balance;
+          if (!delta) {
+            continue;
+          }
+          await applyPointsDelta(connection, {
+            userId: standing.userId,
+            delta,
+            counterAccount: "mint",
+            actorUserId: req.user.id,
+            action: "season_reset",
+            reason: "season_reset",
+            relatedEntityType: "season",
+            relatedEntityId: seasonId,
+            metadata: { seasonId, baseline: resetBaseline, balance: standing.balance }
+          });
+          resetUsers += 1;
+          resetDelta += delta;
+        }
+      }
       await logAudit(connection, {
         actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_device_revoke",
-        reason: "revoke_device",
-        relatedEntityType: "user_device",
-        relatedEntityId: deviceId,
-        metadata: { revokedSessions, alreadyRevoked }
+        action: "season_end",
+        reason: "season_end",
+        relatedEntityType: "season",
+        relatedEntityId: seasonId,
+        metadata: { participants: standings.length, resetBaseline, resetUsers, resetDelta }
       });
       await connection.commit();
-      return res.json({ ok: true, deviceId, revokedSessions, alreadyRevoked });
+      return res.json({
+        ok: true,
+        season: formatSeason(endedRows[0]),
+        participants: standings.length,
+        reset: resetBaseline === null ? null : { baseline: resetBaseline, users: resetUsers, delta: resetDelta }
+      });
     } catch (error) {
       await connection.rollback();
-      console.error("Revoke device error", error);
-      return res.status(500).json({ ok: false, message: "Failed to revoke device." });
+      console.error("End season error", error);
+      return res.status(500).json({ ok: false, message: "Failed to end season." });
     } finally {
       connection.release();
     }
   }
 );
 
+// Rows split off by a partial sale point to the position they came from; the open parent reports what was sold.
+const groupPositionsByBet = (rows) => {
+  const soldByParent = new Map();
+  for (const row of rows) {
+    if (row.parent_position_id !== null) {
+      const parentId = Number(row.parent_position_id);
+      soldByParent.set(parentId, (soldByParent.get(parentId) || 0) + Number(row.stake_points));
+    }
+  }
+  const positionsByBet = new Map();
+  for (const row of rows) {
+    const betId = Number(row.bet_id);
+    const soldStakePoints = soldByParent.get(Number(row.id)) || 0;
+    if (!positionsByBet.has(betId)) {
+      positionsByBet.set(betId, []);
+    }
+    positionsByBet.get(betId).push({
+      id: Number(row.id),
+      optionId: Number(row.bet_option_id),
+      stakePoints: Number(row.stake_points),
+      originalStakePoints: Number(row.stake_points) + soldStakePoints,
+      soldStakePoints,
+      partiallySold: soldStakePoints > 0,
+      oddsAtPurchase: Number(row.odds_at_purchase),
+      status: row.status,
+      payoutPoints: row.payout_points === null ? null : Number(row.payout_points),
+      soldPoints: row.sold_points === null ? null : Number(row.sold_points),
+      parentPositionId: row.parent_position_id === null ? null : Number(row.parent_position_id),
+      createdAt: row.created_at
+    });
+  }
+  return positionsByBet;
+};
+
 registerRoute({
   method: "get",
-  path: "/admin/users/{id}/sessions",
-  summary: "List user sessions",
-  tags: ["Admin"],
-  params: z.object({ id: zId }),
-  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
-  responses: {
-    200: {
-      description: "Sessions",
-      content: { "application/json": { schema: AdminSessionListSchema } }
-    }
-  }
+  path: "/me/bets",
+  summary: "List personal bets",
+  tags: ["Profiles"],
+  params: z.object({}),
+  query: z.object({})
 });
-app.get(
-  "/admin/users/:id/sessions",
-  authenticate,
-  requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({ id: zId }),
-      body: z.object({}).default({}),
-      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
-    })
-  ),
-  async (req, res) => {
-    const userId = parsePositiveInt(req.params.id);
-    if (!userId) {
-      return res.status(400).json({ ok: false, message: "Invalid user id." });
+app.get("/me/bets", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [createdRows] = await dbPool.query(
+      "SELECT id FROM bets WHERE creator_user_id = ?",
+      [userId]
+    );
+    const [positionRows] = await dbPool.query(
+      `SELECT id, bet_id, bet_option_id, stake_points, odds_at_purchase, status, payout_points, sold_points,
+              parent_position_id, created_at
+       FROM bet_positions WHERE user_id = ? ORDER BY id`,
+      [userId]
+    );
+    const createdIds = new Set(createdRows.map((row) => Number(row.id)));
+    const participatedIds = new Set(positionRows.map((row) => Number(row.bet_id)));
+    const positionsByBet = groupPositionsByBet(positionRows);
+    const betIdSet = new Set([...createdIds, ...participatedIds]);
+    const betIds = Array.from(betIdSet);
+
+    if (!betIds.length) {
+      return res.json({ ok: true, bets: [] });
     }
-    try {
-      const limit = req.query.limit ?? 50;
-      const offset = req.query.offset ?? 0;
-      const [rows] = await dbPool.query(
-        `SELECT rt.id,
-                rt.device_id AS deviceId,
-                rt.created_at AS createdAt,
-                rt.last_used_at AS lastUsedAt,
-                rt.revoked_at AS revokedAt,
-                rt.expires_at AS expiresAt,
-                (rt.revoked_at IS NULL AND rt.expires_at > NOW()) AS isActive,
-                d.user_agent AS userAgent,
-                d.last_ip AS lastIp
-         FROM refresh_tokens rt
-         LEFT JOIN user_devices d ON d.id = rt.device_id
-         WHERE rt.user_id = ?
-         ORDER BY rt.created_at DESC
-         LIMIT ? OFFSET ?`,
-        [userId, limit, offset]
-      );
-      await logAudit(dbPool, {
-        actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_list_sessions",
-        reason: "list_sessions",
-        metadata: { limit, offset }
-      });
-      return res.json({ ok: true, sessions: rows.map((row) => ({ ...row, isActive: Boolean(row.isActive) })) });
-    } catch (error) {
-      console.error("List sessions error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list sessions." });
+
+    const [bets] = await dbPool.query(
+      `SELECT * FROM bets WHERE id IN (${betIds.map(() => "?").join(",")}) ORDER BY created_at DESC`,
+      betIds
+    );
+    const [options] = await dbPool.query(
+      `SELECT * FROM bet_options WHERE bet_id IN (${betIds.map(() => "?").join(",")})`,
+      betIds
+    );
+    const optionsByBet = new Map();
+    for (const option of options) {
+      const betId = Number(option.bet_id);
+      if (!optionsByBet.has(betId)) {
+        optionsByBet.set(betId, []);
+      }
+      optionsByBet.get(betId).push(serializeBetOption(option));
     }
+
+    await logAudit(dbPool, {
+      actorUserId: userId,
+      action: "user_list_bets",
+      reason: "user_list_bets",
+      metadata: { count: bets.length }
+    });
+
+    const payoutFeeRules = await loadPayoutFeeRules(dbPool, bets);
+    return res.json({
+      ok: true,
+      bets: bets.map((bet) => {
+        const betId = Number(bet.id);
+        return {
+          ...serializeBet(bet, optionsByBet.get(betId) || [], payoutFeeRules),
+          roles: {
+            creator: createdIds.has(betId),
+            participant: participatedIds.has(betId)
+          },
+          positions: positionsByBet.get(betId) || []
+        };
+      })
+    });
+  } catch (error) {
+    console.error("List user bets error", error);
+    return res.status(500).json({ ok: false, message: "Failed to list user bets." });
   }
-);
+});
 
 registerRoute({
-  method: "delete",
-  path: "/admin/users/{id}/sessions/{sessionId}",
-  summary: "Revoke user session",
+  method: "get",
+  path: "/me/groups",
+  summary: "List user groups",
+  tags: ["Groups"],
+  params: z.object({}),
+  query: z.object({})
+});
+app.get("/me/groups", authenticate, validateRequest(emptyRequestSchema), async (req, res) => {
+  try {
+    const [rows] = await dbPool.query(
+      `SELECT g.id, g.name, g.description, g.is_private AS isPrivate,
+              gm.role, gm.created_at AS joinedAt
+       FROM group_members gm
+       JOIN user_groups g ON g.id = gm.group_id
+       WHERE gm.user_id = ?
+       ORDER BY g.name ASC`,
+      [req.user.id]
+    );
+    await logAudit(dbPool, {
+      actorUserId: req.user.id,
+      action: "user_list_groups",
+      reason: "user_list_groups"
+    });
+    return res.json({ ok: true, groups: rows });
+  } catch (error) {
+    console.error("List user groups error", error);
+    return res.status(500).json({ ok: false, message: "Failed to list groups." });
+  }
+});
+
+app.use("/admin", adminLimiter);
+
+// Admin: credit/debit points.
+registerRoute({
+  method: "post",
+  path: "/admin/users/{id}/points/credit",
+  summary: "Admin credit points",
   tags: ["Admin"],
-  params: z.object({ id: zId, sessionId: zId })
+  params: z.object({ id: zId }),
+  body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
 });
-app.delete(
-  "/admin/users/:id/sessions/:sessionId",
+app.post(
+  "/admin/users/:id/points/credit",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId, sessionId: zId }),
+      params: z.object({ id: zId }),
       query: z.object({}),
-      body: z.object({}).default({})
+      body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
     })
   ),
-  async (req, res) => {
+  withIdempotency("admin_points_credit", async (req, res) => {
     const userId = parsePositiveInt(req.params.id);
-    const sessionId = parsePositiveInt(req.params.sessionId);
-    if (!userId || !sessionId) {
-      return res.status(400).json({ ok: false, message: "Invalid user or session id." });
+    const amount = parsePositiveInt(req.body?.amount ?? req.body?.points);
+    if (!userId || !amount) {
+      return res.status(400).json({ ok: false, message: "User id and positive amount are required." });
     }
+
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
       if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
         await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot revoke super admin sessions." });
-      }
-      const [result] = await connection.query(
-        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ?",
-        [sessionId, userId]
-      );
-      if (!result.affectedRows) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Session not found." });
+        return res.status(403).json({ ok: false, message: "Cannot modify super admin points." });
       }
-      await logAudit(connection, {
+      const { after } = await applyPointsDelta(connection, {
+        userId,
+        delta: amount,
+        counterAccount: "mint",
         actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_session_revoke",
-        reason: "revoke_session",
-        relatedEntityType: "refresh_token",
-        relatedEntityId: sessionId
+        action: "admin_points_credit",
+        reason: "admin_credit",
+        metadata: { amount }
       });
       await connection.commit();
-      return res.json({ ok: true, sessionId });
+      return res.json({ ok: true, userId, points: after });
     } catch (error) {
       await connection.rollback();
-      console.error("Revoke session error", error);
-      return res.status(500).json({ ok: false, message: "Failed to revoke session." });
+      console.error("Credit points error", error);
+      if (error?.message === "User not found") {
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      return res.status(500).json({ ok: false, message: "Failed to credit points." });
     } finally {
       connection.release();
     }
-  }
+  })
 );
 
 registerRoute({
   method: "post",
-  path: "/admin/users/{id}/reset-password",
-  summary: "Reset user password",
+  path: "/admin/users/{id}/points/debit",
+  summary: "Admin debit points",
   tags: ["Admin"],
   params: z.object({ id: zId }),
-  body: z.object({ newPassword: z.string().min(6).max(200) })
+  body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
 });
 app.post(
-  "/admin/users/:id/reset-password",
+  "/admin/users/:id/points/debit",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
       params: z.object({ id: zId }),
       query: z.object({}),
-      body: z.object({ newPassword: z.string().min(6).max(200) })
+      body: z.object({ amount: zPositiveInt.optional(), points: zPositiveInt.optional() })
     })
   ),
-  async (req, res) => {
+  withIdempotency("admin_points_debit", async (req, res) => {
     const userId = parsePositiveInt(req.params.id);
-    const { newPassword } = req.body || {};
-    if (!userId || !newPassword) {
-      return res.status(400).json({ ok: false, message: "User id and newPassword are required." });
-    }
-    if (String(newPassword).length < 6) {
-      return res.status(400).json({ ok: false, message: "Password must be at least 6 characters." });
+    const amount = parsePositiveInt(req.body?.amount ?? req.body?.points);
+    if (!userId || !amount) {
+      return res.status(400).json({ ok: false, message: "User id and positive amount are required." });
     }
+
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
-      const [rows] = await connection.query(
-        "SELECT id FROM users WHERE id = ? FOR UPDATE",
-        [userId]
-      );
-      if (!rows.length) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "User not found." });
-      }
       if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
         await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot reset super admin password." });
+        return res.status(403).json({ ok: false, message: "Cannot modify super admin points." });
       }
-      const passwordHash = await bcrypt.hash(newPassword, 10);
-      await connection.query("UPDATE users SET password_hash = ? WHERE id = ?", [passwordHash, userId]);
-      await connection.query("UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ?", [userId]);
-      await logAudit(connection, {
+      const { after } = await applyPointsDelta(connection, {
+        userId,
+        delta: -amount,
+        counterAccount: "mint",
         actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "admin_reset_password",
-        reason: "reset_password"
+        action: "admin_points_debit",
+        reason: "admin_debit",
+        metadata: { amount }
       });
       await connection.commit();
-      return res.json({ ok: true, userId });
+      return res.json({ ok: true, userId, points: after });
     } catch (error) {
       await connection.rollback();
-      console.error("Reset password error", error);
-      return res.status(500).json({ ok: false, message: "Failed to reset password." });
-    } finally {
-      connection.release();
-    }
-  }
+      console.error("Debit points error", error);
+      if (error?.message === "User not found") {
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      if (error.message === "Insufficient points") {
+        return res.status(400).json({ ok: false, message: "Insufficient points." });
+      }
+      return res.status(500).json({ ok: false, message: "Failed to debit points." });
+    } finally {
+      connection.release();
+    }
+  })
 );
 
-// Admin group management.
 registerRoute({
   method: "post",
-  path: "/admin/groups",
-  summary: "Create group",
-  tags: ["Admin", "Groups"],
-  body: z.object({
-    name: z.string().trim().min(1).max(160),
-    description: zNullableString(500),
-    isPrivate: zBooleanString.optional()
-  })
+  path: "/admin/users/{id}/promote",
+  summary: "Promote user to admin",
+  tags: ["Admin"],
+  params: z.object({ id: zId })
 });
 app.post(
-  "/admin/groups",
+  "/admin/users/:id/promote",
   authenticate,
-  requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({}),
-      query: z.object({}),
-      body: z.object({
-        name: z.string().trim().min(1).max(160),
-        description: zNullableString(500),
-        isPrivate: zBooleanString.optional()
-      })
-    })
-  ),
+  requireSuperAdmin,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
   async (req, res) => {
-    const name = req.body?.name ? String(req.body.name).trim() : "";
-    const description = req.body?.description ? String(req.body.description).trim() : null;
-    const isPrivateInput = req.body?.isPrivate;
-    const isPrivate = isPrivateInput === undefined ? 1 : isPrivateInput ? 1 : 0;
-    if (!name) {
-      return res.status(400).json({ ok: false, message: "Group name is required." });
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
     }
     try {
-      const [result] = await dbPool.query(
-        "INSERT INTO user_groups (name, description, is_private, created_by) VALUES (?, ?, ?, ?)",
-        [name, description || null, isPrivate, req.user.id]
-      );
+      const [userRows] = await dbPool.query("SELECT id FROM users WHERE id = ?", [userId]);
+      if (!userRows.length) {
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      const isTargetSuper = await isSuperAdminUserId(userId);
+      if (isTargetSuper) {
+        return res.status(400).json({ ok: false, message: "User is already super admin." });
+      }
+      const adminRoleId = await ensureRole("admin", "Standard admin role");
+      if (!adminRoleId) {
+        return res.status(500).json({ ok: false, message: "Admin role not configured." });
+      }
+      await ensureUserRole(userId, adminRoleId, req.user.id);
+      await dbPool.query("UPDATE users SET is_admin = 1 WHERE id = ?", [userId]);
+      clearPermissionCache(userId);
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        action: "group_create",
-        reason: "group_create",
-        relatedEntityType: "group",
-        relatedEntityId: result.insertId
+        targetUserId: userId,
+        action: "admin_promote",
+        reason: "promote_admin"
       });
-      return res.status(201).json({ ok: true, groupId: result.insertId });
+      return res.json({ ok: true, userId, isAdmin: true });
     } catch (error) {
-      console.error("Create group error", error);
-      return res.status(500).json({ ok: false, message: "Failed to create group." });
+      console.error("Promote admin error", error);
+      return res.status(500).json({ ok: false, message: "Failed to promote admin." });
     }
   }
 );
 
 registerRoute({
-  method: "patch",
-  path: "/admin/groups/{id}",
-  summary: "Update group",
-  tags: ["Admin", "Groups"],
-  params: z.object({ id: zId }),
-  body: z.object({
-    name: zOptionalString(160),
-    description: zNullableString(500),
-    isPrivate: zBooleanString.optional()
-  })
+  method: "post",
+  path: "/admin/users/{id}/demote",
+  summary: "Demote admin",
+  tags: ["Admin"],
+  params: z.object({ id: zId })
 });
-app.patch(
-  "/admin/groups/:id",
+app.post(
+  "/admin/users/:id/demote",
   authenticate,
-  requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({ id: zId }),
-      query: z.object({}),
-      body: z.object({
-        name: zOptionalString(160),
-        description: zNullableString(500),
-        isPrivate: zBooleanString.optional()
-      })
-    })
-  ),
+  requireSuperAdmin,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
   async (req, res) => {
-    const groupId = parsePositiveInt(req.params.id);
-    if (!groupId) {
-      return res.status(400).json({ ok: false, message: "Invalid group id." });
-    }
-    const updates = [];
-    const values = [];
-    if (req.body?.name !== undefined) {
-      const name = String(req.body.name || "").trim();
-      if (!name) {
-        return res.status(400).json({ ok: false, message: "name cannot be empty." });
-      }
-      updates.push("name = ?");
-      values.push(name);
-    }
-    if (req.body?.description !== undefined) {
-      const description = req.body.description ? String(req.body.description).trim() : null;
-      updates.push("description = ?");
-      values.push(description);
-    }
-    if (req.body?.isPrivate !== undefined) {
-      updates.push("is_private = ?");
-      values.push(req.body.isPrivate ? 1 : 0);
-    }
-    if (!updates.length) {
-      return res.status(400).json({ ok: false, message: "No fields provided." });
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
     }
     try {
-      const [result] = await dbPool.query(
-        `UPDATE user_groups SET ${updates.join(", ")} WHERE id = ?`,
-        [...values, groupId]
+      const [userRows] = await dbPool.query("SELECT id FROM users WHERE id = ?", [userId]);
+      if (!userRows.length) {
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      const isTargetSuper = await isSuperAdminUserId(userId);
+      if (isTargetSuper) {
+        return res.status(403).json({ ok: false, message: "Cannot demote super admin." });
+      }
+      const adminRoleId = await ensureRole("admin", "Standard admin role");
+      if (!adminRoleId) {
+        return res.status(500).json({ ok: false, message: "Admin role not configured." });
+      }
+      const [rows] = await dbPool.query(
+        `SELECT COUNT(*) AS count
+         FROM user_roles ur
+         WHERE ur.role_id = ?`,
+        [adminRoleId]
       );
-      if (!result.affectedRows) {
-        return res.status(404).json({ ok: false, message: "Group not found." });
+      if (Number(rows[0]?.count) <= 1 && req.user.id === userId) {
+        return res.status(400).json({ ok: false, message: "Cannot demote the last admin." });
       }
+      await dbPool.query("DELETE FROM user_roles WHERE user_id = ? AND role_id = ?", [userId, adminRoleId]);
+      await dbPool.query("UPDATE users SET is_admin = 0 WHERE id = ?", [userId]);
+      clearPermissionCache(userId);
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        action: "group_update",
-        reason: "group_update",
-        relatedEntityType: "group",
-        relatedEntityId: groupId,
-        metadata: { fields: updates }
+        targetUserId: userId,
+        action: "admin_demote",
+        reason: "demote_admin"
       });
-      return res.json({ ok: true, groupId });
+      return res.json({ ok: true, userId, isAdmin: false });
     } catch (error) {
-      console.error("Update group error", error);
-      return res.status(500).json({ ok: false, message: "Failed to update group." });
+      console.error("Demote admin error", error);
+      return res.status(500).json({ ok: false, message: "Failed to demote admin." });
     }
   }
 );
 
 registerRoute({
-  method: "get",
-  path: "/admin/groups",
-  summary: "List groups",
-  tags: ["Admin", "Groups"],
-  query: z.object({
-    limit: zLimit.optional(),
-    offset: zOffset.optional(),
-    sort: z.enum(["name", "created_at"]).optional(),
-    order: zSortOrder.optional(),
-    search: zSearch
-  })
+  method: "post",
+  path: "/admin/users/{id}/ban",
+  summary: "Ban user",
+  tags: ["Admin"],
+  params: z.object({ id: zId })
 });
-app.get(
-  "/admin/groups",
+app.post(
+  "/admin/users/:id/ban",
   authenticate,
   requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({}),
-      body: z.object({}).default({}),
-      query: z.object({
-        limit: zLimit.optional(),
-        offset: zOffset.optional(),
-        sort: z.enum(["name", "created_at"]).optional(),
-        order: zSortOrder.optional(),
-        search: zSearch
-      })
-    })
-  ),
-  async (req, res) => {
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  withIdempotency("admin_ban", async (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    }
+
+    const connection = await dbPool.getConnection();
     try {
-      const limit = req.query.limit ?? 100;
-      const offset = req.query.offset ?? 0;
-      const sortKey = req.query.sort || "name";
-      const order = req.query.order || "asc";
-      const search = req.query.search;
-      const sortMap = {
-        name: "name",
-        created_at: "created_at"
-      };
-      const sortColumn = sortMap[sortKey] || "name";
-      const orderSql = order === "asc" ? "ASC" : "DESC";
-      const clauses = [];
-      const params = [];
-      if (search) {
-        clauses.push("(name LIKE ? OR description LIKE ?)");
-        const like = `%${search}%`;
-        params.push(like, like);
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT id, points, is_banned AS isBanned FROM users WHERE id = ? FOR UPDATE",
+        [userId]
+      );
+      if (!rows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "User not found." });
       }
-      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
-      const [rows] = await dbPool.query(
-        `SELECT id, name, description, is_private AS isPrivate, created_by AS createdBy, created_at AS createdAt
-         FROM user_groups
-         ${where}
-         ORDER BY ${sortColumn} ${orderSql}
-         LIMIT ? OFFSET ?`,
-        [...params, limit, offset]
+      const target = rows[0];
+      if (await isUserInRole(userId, "super_admin", connection)) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot ban super admin." });
+      }
+      if (await isUserInRole(userId, "admin", connection)) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot ban admins." });
+      }
+      if (target.isBanned) {
+        await connection.rollback();
+        return res.json({ ok: true, userId, alreadyBanned: true });
+      }
+
+      const superAdminId = await requireSuperAdminId(connection);
+      if (Number(superAdminId) === Number(userId)) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot ban super admin." });
+      }
+
+      const pointsToTransfer = Number(target.points) || 0;
+      if (pointsToTransfer > 0) {
+        await transferPoints(connection, {
+          fromUserId: userId,
+          toUserId: superAdminId,
+          amount: pointsToTransfer,
+          actorUserId: req.user.id,
+          action: "ban_transfer",
+          reason: "ban_transfer",
+          relatedEntityType: "user",
+          relatedEntityId: userId,
+          metadata: { transferredPoints: pointsToTransfer }
+        });
+      }
+
+      await connection.query(
+        "UPDATE users SET is_banned = 1, banned_at = NOW() WHERE id = ?",
+        [userId]
       );
-      await logAudit(dbPool, {
+
+      await logAudit(connection, {
         actorUserId: req.user.id,
-        action: "group_list",
-        reason: "group_list",
-        metadata: { count: rows.length, limit, offset, sort: sortColumn, order: orderSql, search }
+        targetUserId: userId,
+        action: "admin_ban",
+        reason: "ban_user",
+        relatedEntityType: "user",
+        relatedEntityId: userId,
+        metadata: { transferredPoints: pointsToTransfer, superAdminId }
+      });
+
+      await connection.commit();
+      return res.json({
+        ok: true,
+        userId,
+        transferredPoints: pointsToTransfer,
+        superAdminId
       });
-      return res.json({ ok: true, groups: rows });
     } catch (error) {
-      console.error("List groups error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list groups." });
+      await connection.rollback();
+      console.error("Ban user error", error);
+      return res.status(500).json({ ok: false, message: "Failed to ban user." });
+    } finally {
+      connection.release();
+    }
+  })
+);
+
+registerRoute({
+  method: "post",
+  path: "/admin/users/{id}/unban",
+  summary: "Unban user",
+  tags: ["Admin"],
+  params: z.object({ id: zId })
+});
+app.post(
+  "/admin/users/:id/unban",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    }
+
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT id, is_banned AS isBanned FROM users WHERE id = ? FOR UPDATE",
+        [userId]
+      );
+      if (!rows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      const target = rows[0];
+      if (await isUserInRole(userId, "super_admin", connection)) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Super admin cannot be unbanned." });
+      }
+      if (!target.isBanned) {
+        await connection.rollback();
+        return res.json({ ok: true, userId, alreadyUnbanned: true });
+      }
+
+      await connection.query(
+        "UPDATE users SET is_banned = 0, banned_at = NULL WHERE id = ?",
+        [userId]
+      );
+
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: userId,
+        action: "admin_unban",
+        reason: "unban_user",
+        relatedEntityType: "user",
+        relatedEntityId: userId
+      });
+
+      await connection.commit();
+      return res.json({ ok: true, userId, isBanned: false });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Unban user error", error);
+      return res.status(500).json({ ok: false, message: "Failed to unban user." });
+    } finally {
+      connection.release();
     }
   }
 );
 
 registerRoute({
   method: "get",
-  path: "/admin/groups/{id}/members",
-  summary: "List group members",
-  tags: ["Admin", "Groups"],
-  params: z.object({ id: zId }),
+  path: "/admin/users",
+  summary: "List users",
+  tags: ["Admin"],
   query: z.object({
-    limit: zLimit.optional(),
+    limit: zLongLimit.optional(),
     offset: zOffset.optional(),
-    sort: z.enum(["joined_at", "email", "name"]).optional(),
+    sort: z.enum(["created_at", "points", "email", "name"]).optional(),
     order: zSortOrder.optional(),
     search: zSearch
   })
 });
 app.get(
-  "/admin/groups/:id/members",
+  "/admin/users",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
+      params: z.object({}),
       body: z.object({}).default({}),
       query: z.object({
-        limit: zLimit.optional(),
+        limit: zLongLimit.optional(),
         offset: zOffset.optional(),
-        sort: z.enum(["joined_at", "email", "name"]).optional(),
+        sort: z.enum(["created_at", "points", "email", "name"]).optional(),
         order: zSortOrder.optional(),
         search: zSearch
       })
     })
   ),
   async (req, res) => {
-    const groupId = parsePositiveInt(req.params.id);
-    if (!groupId) {
-      return res.status(400).json({ ok: false, message: "Invalid group id." });
-    }
     try {
       const limit = req.query.limit ?? 100;
       const offset = req.query.offset ?? 0;
-      const sortKey = req.query.sort || "joined_at";
+      const sortKey = req.query.sort || "created_at";
       const order = req.query.order || "desc";
       const search = req.query.search;
       const sortMap = {
-        joined_at: "gm.created_at",
-        email: "u.email",
-        name: "u.name"
+        created_at: "created_at",
+        points: "points",
+        email: "email",
+        name: "name"
       };
-      const sortColumn = sortMap[sortKey] || "gm.created_at";
+      const sortColumn = sortMap[sortKey] || "created_at";
       const orderSql = order === "asc" ? "ASC" : "DESC";
 
-      const clauses = ["gm.group_id = ?"];
-      const params = [groupId];
+      const clauses = [];
+      const params = [];
       if (search) {
-        clauses.push("(u.email LIKE ? OR u.name LIKE ?)");
+        clauses.push("(email LIKE ? OR name LIKE ?)");
         const like = `%${search}%`;
         params.push(like, like);
       }
       const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+
       const [rows] = await dbPool.query(
-        `SELECT gm.user_id AS userId, gm.role, gm.created_at AS joinedAt,
-                u.email, u.name,
+        `SELECT u.id, u.email, u.name, u.points,
                 EXISTS(
                   SELECT 1
                   FROM user_roles ur
@@ -3594,9 +4812,12 @@ app.get(
                   FROM user_roles ur
                   JOIN roles r ON r.id = ur.role_id
                   WHERE ur.user_id = u.id AND r.name = 'super_admin'
-                ) AS isSuperAdmin
-         FROM group_members gm
-         JOIN users u ON u.id = gm.user_id
+                ) AS isSuperAdmin,
+                u.is_banned AS isBanned,
+                u.banned_at AS bannedAt,
+                u.created_at AS createdAt,
+                u.updated_at AS updatedAt
+         FROM users u
          ${where}
          ORDER BY ${sortColumn} ${orderSql}
          LIMIT ? OFFSET ?`,
@@ -3604,349 +4825,241 @@ app.get(
       );
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        action: "group_list_members",
-        reason: "group_list_members",
-        relatedEntityType: "group",
-        relatedEntityId: groupId,
+        action: "admin_list_users",
+        reason: "list_users",
         metadata: { limit, offset, sort: sortColumn, order: orderSql, search }
       });
-      return res.json({ ok: true, members: rows });
+      return res.json({ ok: true, users: rows });
     } catch (error) {
-      console.error("List group members error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list group members." });
+      console.error("List users error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list users." });
     }
   }
 );
 
 registerRoute({
-  method: "post",
-  path: "/admin/groups/{id}/members",
-  summary: "Add group member",
-  tags: ["Admin", "Groups"],
-  params: z.object({ id: zId }),
-  body: z.object({
-    userId: zId,
-    role: zGroupRole.optional()
+  method: "get",
+  path: "/admin/users/banned",
+  summary: "List banned users",
+  tags: ["Admin"],
+  query: z.object({
+    limit: zLongLimit.optional(),
+    offset: zOffset.optional(),
+    sort: z.enum(["banned_at", "created_at", "email", "name"]).optional(),
+    order: zSortOrder.optional(),
+    search: zSearch
   })
 });
-app.post(
-  "/admin/groups/:id/members",
+app.get(
+  "/admin/users/banned",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
-      query: z.object({}),
-      body: z.object({
-        userId: zId,
-        role: zGroupRole.optional()
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: z.object({
+        limit: zLongLimit.optional(),
+        offset: zOffset.optional(),
+        sort: z.enum(["banned_at", "created_at", "email", "name"]).optional(),
+        order: zSortOrder.optional(),
+        search: zSearch
       })
     })
   ),
   async (req, res) => {
-    const groupId = parsePositiveInt(req.params.id);
-    const userId = parsePositiveInt(req.body?.userId);
-    const role = req.body?.role ? String(req.body.role).trim() : "member";
-    if (!groupId || !userId) {
-      return res.status(400).json({ ok: false, message: "groupId and userId are required." });
-    }
-    const connection = await dbPool.getConnection();
     try {
-      await connection.beginTransaction();
-      const [groupRows] = await connection.query("SELECT id FROM user_groups WHERE id = ? FOR UPDATE", [groupId]);
-      if (!groupRows.length) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Group not found." });
-      }
-      const [userRows] = await connection.query("SELECT id FROM users WHERE id = ? FOR UPDATE", [userId]);
-      if (!userRows.length) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "User not found." });
-      }
-      const [existing] = await connection.query(
-        "SELECT id FROM group_members WHERE group_id = ? AND user_id = ?",
-        [groupId, userId]
-      );
-      if (existing.length) {
-        await connection.rollback();
-        return res.status(409).json({ ok: false, message: "User already in group." });
+      const limit = req.query.limit ?? 100;
+      const offset = req.query.offset ?? 0;
+      const sortKey = req.query.sort || "banned_at";
+      const order = req.query.order || "desc";
+      const search = req.query.search;
+      const sortMap = {
+        banned_at: "banned_at",
+        created_at: "created_at",
+        email: "email",
+        name: "name"
+      };
+      const sortColumn = sortMap[sortKey] || "banned_at";
+      const orderSql = order === "asc" ? "ASC" : "DESC";
+      const clauses = ["is_banned = 1"];
+      const params = [];
+      if (search) {
+        clauses.push("(email LIKE ? OR name LIKE ?)");
+        const like = `%${search}%`;
+        params.push(like, like);
       }
-      await connection.query(
-        "INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)",
-        [groupId, userId, role || "member"]
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const [rows] = await dbPool.query(
+        `SELECT u.id, u.email, u.name, u.points,
+                EXISTS(
+                  SELECT 1
+                  FROM user_roles ur
+                  JOIN roles r ON r.id = ur.role_id
+                  WHERE ur.user_id = u.id AND r.name = 'admin'
+                ) AS isAdmin,
+                EXISTS(
+                  SELECT 1
+                  FROM user_roles ur
+                  JOIN roles r ON r.id = ur.role_id
+                  WHERE ur.user_id = u.id AND r.name = 'super_admin'
+                ) AS isSuperAdmin,
+                u.is_banned AS isBanned,
+                u.banned_at AS bannedAt,
+                u.created_at AS createdAt,
+                u.updated_at AS updatedAt
+         FROM users u
+         ${where}
+         ORDER BY ${sortColumn} ${orderSql}
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
       );
-      await logAudit(connection, {
+      await logAudit(dbPool, {
         actorUserId: req.user.id,
-        targetUserId: userId,
-        action: "group_add_member",
-        reason: "group_add_member",
-        relatedEntityType: "group",
-        relatedEntityId: groupId,
-        metadata: { role }
+        action: "admin_list_banned",
+        reason: "list_banned_users",
+        metadata: { limit, offset, sort: sortColumn, order: orderSql, search }
       });
-      await connection.commit();
-      return res.status(201).json({ ok: true, groupId, userId });
+      return res.json({ ok: true, users: rows });
     } catch (error) {
-      await connection.rollback();
-      console.error("Add group member error", error);
-      return res.status(500).json({ ok: false, message: "Failed to add group member." });
-    } finally {
-      connection.release();
+      console.error("List banned users error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list banned users." });
     }
   }
 );
 
 registerRoute({
-  method: "post",
-  path: "/admin/groups/{id}/members/batch",
-  summary: "Batch add group members",
-  tags: ["Admin", "Groups"],
-  params: z.object({ id: zId }),
-  body: z.object({
-    role: zGroupRole.optional(),
-    userIds: z.array(zId).max(500).optional(),
-    users: z.array(zId).max(500).optional()
-  })
+  method: "get",
+  path: "/admin/users/{id}/limits",
+  summary: "Get a user's exposure limits and self-exclusion",
+  tags: ["Admin", "Limits"],
+  params: z.object({ id: zId })
 });
-app.post(
-  "/admin/groups/:id/members/batch",
+app.get(
+  "/admin/users/:id/limits",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
       params: z.object({ id: zId }),
       query: z.object({}),
-      body: z.object({
-        role: zGroupRole.optional(),
-        userIds: z.array(zId).max(500).optional(),
-        users: z.array(zId).max(500).optional()
-      })
-        .refine((data) => Array.isArray(data.userIds) || Array.isArray(data.users), {
-          message: "userIds array is required."
-        })
-    })
-  ),
-  async (req, res) => {
-    const groupId = parsePositiveInt(req.params.id);
-    const role = req.body?.role ? String(req.body.role).trim() : "member";
-    const userIdsRaw = Array.isArray(req.body?.userIds) ? req.body.userIds : req.body?.users;
-    if (!groupId) {
-      return res.status(400).json({ ok: false, message: "Invalid group id." });
-    }
-    if (!Array.isArray(userIdsRaw)) {
-      return res.status(400).json({ ok: false, message: "userIds array is required." });
-    }
-    const uniqueIds = Array.from(new Set(userIdsRaw.map(parsePositiveInt).filter(Boolean)));
-    if (!uniqueIds.length) {
-      return res.status(400).json({ ok: false, message: "No valid user ids provided." });
-    }
-    if (uniqueIds.length > 500) {
-      return res.status(400).json({ ok: false, message: "Too many user ids (max 500)." });
-    }
-
-    const connection = await dbPool.getConnection();
-    try {
-      await connection.beginTransaction();
-      const [groupRows] = await connection.query("SELECT id FROM user_groups WHERE id = ? FOR UPDATE", [groupId]);
-      if (!groupRows.length) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Group not found." });
-      }
-
-      const [validUserRows] = await connection.query(
-        `SELECT id FROM users WHERE id IN (${uniqueIds.map(() => "?").join(",")})`,
-        uniqueIds
-      );
-      const validIds = new Set(validUserRows.map((row) => Number(row.id)));
-      const invalidUserIds = uniqueIds.filter((id) => !validIds.has(id));
-
-      if (!validIds.size) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "No valid users found.", invalidUserIds });
-      }
-
-      const validIdList = Array.from(validIds);
-      const [existingRows] = await connection.query(
-        `SELECT user_id AS userId FROM group_members WHERE group_id = ? AND user_id IN (${validIdList.map(() => "?").join(",")})`,
-        [groupId, ...validIdList]
-      );
-      const existingIds = new Set(existingRows.map((row) => Number(row.userId)));
-      const toAdd = validIdList.filter((id) => !existingIds.has(id));
-
-      if (toAdd.length) {
-        const insertValues = toAdd.map((userId) => [groupId, userId, role || "member"]);
-        await connection.query(
-          "INSERT INTO group_members (group_id, user_id, role) VALUES ?",
-          [insertValues]
-        );
-      }
-
-      await logAudit(connection, {
-        actorUserId: req.user.id,
-        action: "group_add_member_batch",
-        reason: "group_add_member_batch",
-        relatedEntityType: "group",
-        relatedEntityId: groupId,
-        metadata: {
-          addedCount: toAdd.length,
-          skippedCount: existingIds.size,
-          invalidCount: invalidUserIds.length,
-          role
-        }
-      });
-      await connection.commit();
-
-      return res.status(201).json({
-        ok: true,
-        groupId,
-        addedUserIds: toAdd,
-        skippedUserIds: Array.from(existingIds),
-        invalidUserIds
-      });
-    } catch (error) {
-      await connection.rollback();
-      console.error("Batch add group members error", error);
-      return res.status(500).json({ ok: false, message: "Failed to add members." });
-    } finally {
-      connection.release();
-    }
-  }
-);
-
-registerRoute({
-  method: "delete",
-  path: "/admin/groups/{id}/members/{userId}",
-  summary: "Remove group member",
-  tags: ["Admin", "Groups"],
-  params: z.object({ id: zId, userId: zId })
-});
-app.delete(
-  "/admin/groups/:id/members/:userId",
-  authenticate,
-  requireAdmin,
-  validateRequest(
-    z.object({
-      params: z.object({ id: zId, userId: zId }),
-      query: z.object({}),
       body: z.object({}).default({})
     })
   ),
   async (req, res) => {
-    const groupId = parsePositiveInt(req.params.id);
-    const userId = parsePositiveInt(req.params.userId);
-    if (!groupId || !userId) {
-      return res.status(400).json({ ok: false, message: "Invalid groupId or userId." });
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
     }
     try {
-      const [result] = await dbPool.query(
-        "DELETE FROM group_members WHERE group_id = ? AND user_id = ?",
-        [groupId, userId]
-      );
-      if (!result.affectedRows) {
-        return res.status(404).json({ ok: false, message: "Membership not found." });
+      const [userRows] = await dbPool.query("SELECT id FROM users WHERE id = ?", [userId]);
+      if (!userRows.length) {
+        return res.status(404).json({ ok: false, message: "User not found." });
       }
+      const [historyRows] = await dbPool.query(
+        `SELECT id, action, metadata, created_at AS createdAt
+         FROM audit_logs
+         WHERE target_user_id = ? AND action IN ('user_limit_lowered', 'user_limit_raise_scheduled', 'user_limit_raised', 'user_self_exclusion')
+         ORDER BY id DESC
+         LIMIT 50`,
+        [userId]
+      );
       await logAudit(dbPool, {
         actorUserId: req.user.id,
         targetUserId: userId,
-        action: "group_remove_member",
-        reason: "group_remove_member",
-        relatedEntityType: "group",
-        relatedEntityId: groupId
+        action: "admin_view_limits",
+        reason: "admin_view_limits",
+        relatedEntityType: "user",
+        relatedEntityId: userId
+      });
+      return res.json({
+        ok: true,
+        userId,
+        ...(await fetchResponsiblePlay(dbPool, userId)),
+        history: historyRows
       });
-      return res.json({ ok: true, groupId, userId });
     } catch (error) {
-      console.error("Remove group member error", error);
-      return res.status(500).json({ ok: false, message: "Failed to remove group member." });
+      console.error("Admin limits error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch user limits." });
     }
   }
 );
 
 registerRoute({
   method: "get",
-  path: "/admin/logs",
-  summary: "List audit logs",
+  path: "/admin/users/{id}/logs",
+  summary: "Get user audit logs",
   tags: ["Admin", "Audit"],
+  params: z.object({ id: zId }),
   query: z.object({
     limit: zLongLimit.optional(),
     offset: zOffset.optional(),
-    sort: z.enum(["id", "created_at", "points_delta"]).optional(),
+    scope: z.enum(["actor", "target", "all"]).optional(),
+    sort: z.enum(["id", "created_at"]).optional(),
     order: zSortOrder.optional(),
     action: zOptionalString(160),
-    search: zSearch,
-    actorUserId: zOptionalId,
-    targetUserId: zOptionalId,
-    relatedEntityType: zOptionalString(64),
-    relatedEntityId: zOptionalId
+    search: zSearch
   })
 });
 app.get(
-  "/admin/logs",
+  "/admin/users/:id/logs",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({}),
+      params: z.object({ id: zId }),
       body: z.object({}).default({}),
       query: z.object({
         limit: zLongLimit.optional(),
         offset: zOffset.optional(),
-        sort: z.enum(["id", "created_at", "points_delta"]).optional(),
+        scope: z.enum(["actor", "target", "all"]).optional(),
+        sort: z.enum(["id", "created_at"]).optional(),
         order: zSortOrder.optional(),
         action: zOptionalString(160),
-        search: zSearch,
-        actorUserId: zOptionalId,
-        targetUserId: zOptionalId,
-        relatedEntityType: zOptionalString(64),
-        relatedEntityId: zOptionalId
+        search: zSearch
       })
     })
   ),
   async (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    }
     try {
       const limit = req.query.limit ?? 200;
       const offset = req.query.offset ?? 0;
+      const scope = req.query.scope ? String(req.query.scope).trim().toLowerCase() : "all";
       const sortKey = req.query.sort || "id";
       const order = req.query.order || "desc";
-      const action = req.query.action ? String(req.query.action).trim() : null;
       const search = req.query.search;
-      const actorUserId = parsePositiveInt(req.query.actorUserId);
-      const targetUserId = parsePositiveInt(req.query.targetUserId);
-      const relatedEntityType = req.query.relatedEntityType ? String(req.query.relatedEntityType).trim() : null;
-      const relatedEntityId = parsePositiveInt(req.query.relatedEntityId);
+      const action = req.query.action ? String(req.query.action).trim() : null;
       const sortMap = {
         id: "id",
-        created_at: "created_at",
-        points_delta: "points_delta"
+        created_at: "created_at"
       };
       const sortColumn = sortMap[sortKey] || "id";
       const orderSql = order === "asc" ? "ASC" : "DESC";
 
       const clauses = [];
-      const values = [];
+      const params = [];
+      if (scope === "actor") {
+        clauses.push("actor_user_id = ?");
+        params.push(userId);
+      } else if (scope === "target") {
+        clauses.push("target_user_id = ?");
+        params.push(userId);
+      } else {
+        clauses.push("(actor_user_id = ? OR target_user_id = ?)");
+        params.push(userId, userId);
+      }
       if (action) {
         clauses.push("action = ?");
-        values.push(action);
+        params.push(action);
       }
       if (search) {
         clauses.push("(action LIKE ? OR reason LIKE ?)");
         const like = `%${search}%`;
-        values.push(like, like);
-      }
-      if (actorUserId) {
-        clauses.push("actor_user_id = ?");
-        values.push(actorUserId);
-      }
-      if (targetUserId) {
-        clauses.push("target_user_id = ?");
-        values.push(targetUserId);
-      }
-      if (relatedEntityType) {
-        clauses.push("related_entity_type = ?");
-        values.push(relatedEntityType);
-      }
-      if (relatedEntityId) {
-        clauses.push("related_entity_id = ?");
-        values.push(relatedEntityId);
+        params.push(like, like);
       }
       const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
 
@@ -3958,657 +5071,3859 @@ app.get(
          ${where}
          ORDER BY ${sortColumn} ${orderSql}
          LIMIT ? OFFSET ?`,
-        [...values, limit, offset]
+        [...params, limit, offset]
       );
-
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        action: "admin_list_logs",
-        reason: "list_logs",
-        metadata: {
-          limit,
-          offset,
-          sort: sortColumn,
-          order: orderSql,
-          action,
-          search,
-          actorUserId,
-          targetUserId,
-          relatedEntityType,
-          relatedEntityId
-        }
+        targetUserId: userId,
+        action: "admin_get_user_logs",
+        reason: "get_user_logs",
+        metadata: { scope, limit, offset, sort: sortColumn, order: orderSql, search, action }
       });
-
       return res.json({ ok: true, logs: rows });
     } catch (error) {
-      console.error("List logs error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list logs." });
+      console.error("Get user logs error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch user logs." });
     }
   }
 );
 
 registerRoute({
   method: "get",
-  path: "/admin/fees/summary",
-  summary: "Get fee summary",
-  tags: ["Admin", "Audit"],
-  query: z.object({
-    from: zOptionalString(64),
-    to: zOptionalString(64)
-  })
+  path: "/admin/users/{id}/devices",
+  summary: "List user devices",
+  tags: ["Admin"],
+  params: z.object({ id: zId }),
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+  responses: {
+    200: {
+      description: "Devices",
+      content: { "application/json": { schema: AdminDeviceListSchema } }
+    }
+  }
 });
 app.get(
-  "/admin/fees/summary",
+  "/admin/users/:id/devices",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({}),
+      params: z.object({ id: zId }),
       body: z.object({}).default({}),
-      query: z.object({ from: zOptionalString(64), to: zOptionalString(64) })
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
     })
   ),
   async (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    }
     try {
-      const from = req.query.from ? new Date(req.query.from) : null;
-      const to = req.query.to ? new Date(req.query.to) : null;
-      const clauses = ["action LIKE 'fee_%'"];
-      const values = [];
-      if (from && !Number.isNaN(from.getTime())) {
-        clauses.push("created_at >= ?");
-        values.push(from);
-      }
-      if (to && !Number.isNaN(to.getTime())) {
-        clauses.push("created_at <= ?");
-        values.push(to);
-      }
-      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const limit = req.query.limit ?? 50;
+      const offset = req.query.offset ?? 0;
       const [rows] = await dbPool.query(
-        `SELECT COALESCE(SUM(points_delta), 0) AS totalFees, COUNT(*) AS entries
-         FROM audit_logs
-         ${where}`,
-        values
+        `SELECT d.id,
+                d.fingerprint,
+                d.user_agent AS userAgent,
+                d.last_ip AS lastIp,
+                d.first_seen AS firstSeen,
+                d.last_seen AS lastSeen,
+                d.revoked_at AS revokedAt,
+                d.revoked_by AS revokedBy,
+                d.suspicious_at AS suspiciousAt,
+                d.suspicious_reason AS suspiciousReason,
+                (
+                  SELECT COUNT(*)
+                  FROM refresh_tokens rt
+                  WHERE rt.user_id = d.user_id
+                    AND rt.device_id = d.id
+                    AND rt.revoked_at IS NULL
+                    AND rt.expires_at > NOW()
+                ) AS activeSessions
+         FROM user_devices d
+         WHERE d.user_id = ?
+         ORDER BY d.last_seen DESC
+         LIMIT ? OFFSET ?`,
+        [userId, limit, offset]
       );
       await logAudit(dbPool, {
         actorUserId: req.user.id,
-        action: "admin_fee_summary",
-        reason: "fee_summary",
-        metadata: { from: req.query.from || null, to: req.query.to || null }
+        targetUserId: userId,
+        action: "admin_list_devices",
+        reason: "list_devices",
+        metadata: { limit, offset }
       });
-      return res.json({ ok: true, totalFees: Number(rows[0].totalFees), entries: Number(rows[0].entries) });
+      return res.json({ ok: true, devices: rows });
     } catch (error) {
-      console.error("Fees summary error", error);
-      return res.status(500).json({ ok: false, message: "Failed to fetch fees summary." });
+      console.error("List devices error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list devices." });
     }
   }
 );
 
-// Offer endpoints.
 registerRoute({
-  method: "post",
-  path: "/offers",
-  summary: "Create offer",
-  tags: ["Offers"],
-  body: z.object({
-    title: z.string().trim().min(1).max(160),
-    description: zNullableString(2000),
-    pointsCost: zPositiveInt,
-    maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
-    groupId: zOptionalId.optional(),
-    group_id: zOptionalId.optional()
-  })
+  method: "delete",
+  path: "/admin/users/{id}/devices/{deviceId}",
+  summary: "Revoke user device",
+  tags: ["Admin"],
+  params: z.object({ id: zId, deviceId: zId })
 });
-app.post(
-  "/offers",
+app.delete(
+  "/admin/users/:id/devices/:deviceId",
   authenticate,
+  requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({}),
+      params: z.object({ id: zId, deviceId: zId }),
       query: z.object({}),
-      body: z.object({
-        title: z.string().trim().min(1).max(160),
-        description: zNullableString(2000),
-        pointsCost: zPositiveInt,
-        maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
-        groupId: zOptionalId.optional(),
-        group_id: zOptionalId.optional()
-      })
+      body: z.object({}).default({})
     })
   ),
   async (req, res) => {
-  try {
-    const { title, description, pointsCost, maxAcceptances } = req.body || {};
-    const groupIdRaw = req.body?.groupId ?? req.body?.group_id;
-    let groupId = null;
-    const creatorId = req.user.id;
-    const cost = parsePositiveInt(pointsCost);
-    const { value: maxAcceptancesValue, valid: maxAcceptancesValid } =
-      parseOptionalPositiveInt(maxAcceptances);
-
-    if (!title || !cost) {
-      return res.status(400).json({ ok: false, message: "title and pointsCost are required." });
-    }
-    if (!maxAcceptancesValid) {
-      return res.status(400).json({ ok: false, message: "maxAcceptances must be a positive integer or omitted." });
+    const userId = parsePositiveInt(req.params.id);
+    const deviceId = parsePositiveInt(req.params.deviceId);
+    if (!userId || !deviceId) {
+      return res.status(400).json({ ok: false, message: "Invalid user or device id." });
     }
-
-    if (groupIdRaw !== undefined && groupIdRaw !== null && groupIdRaw !== "") {
-      groupId = parsePositiveInt(groupIdRaw);
-      if (!groupId) {
-        return res.status(400).json({ ok: false, message: "Invalid groupId." });
-      }
-      const group = await fetchGroupById(groupId);
-      if (!group) {
-        return res.status(404).json({ ok: false, message: "Group not found." });
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [deviceRows] = await connection.query(
+        "SELECT id, revoked_at AS revokedAt FROM user_devices WHERE id = ? AND user_id = ? FOR UPDATE",
+        [deviceId, userId]
+      );
+      if (!deviceRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Device not found." });
       }
-      if (!req.user.isAdmin && !(await isUserInGroup(req.user.id, groupId))) {
-        return res.status(403).json({ ok: false, message: "Not a member of this group." });
+      if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot revoke super admin devices." });
       }
+      const alreadyRevoked = Boolean(deviceRows[0].revokedAt);
+      await connection.query(
+        "UPDATE user_devices SET revoked_at = COALESCE(revoked_at, NOW()), revoked_by = ? WHERE id = ? AND user_id = ?",
+        [req.user.id, deviceId, userId]
+      );
+      const [sessionResult] = await connection.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND device_id = ? AND revoked_at IS NULL",
+        [userId, deviceId]
+      );
+      const revokedSessions = Number(sessionResult.affectedRows || 0);
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: userId,
+        action: "admin_device_revoke",
+        reason: "revoke_device",
+        relatedEntityType: "user_device",
+        relatedEntityId: deviceId,
+        metadata: { revokedSessions, alreadyRevoked }
+      });
+      await connection.commit();
+      return res.json({ ok: true, deviceId, revokedSessions, alreadyRevoked });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Revoke device error", error);
+      return res.status(500).json({ ok: false, message: "Failed to revoke device." });
+    } finally {
+      connection.release();
     }
-
-    const [result] = await dbPool.query(
-      "INSERT INTO offers (creator_user_id, group_id, title, description, points_cost, max_acceptances) VALUES (?, ?, ?, ?, ?, ?)",
-      [
-        creatorId,
-        groupId,
-        String(title).trim(),
-        description ? String(description).trim() : null,
-        cost,
-        maxAcceptancesValue
-      ]
-    );
-
-    const [rows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [result.insertId]);
-    await logAudit(dbPool, {
-      actorUserId: creatorId,
-      targetUserId: creatorId,
-      action: "offer_create",
-      reason: "offer_create",
-      relatedEntityType: "offer",
-      relatedEntityId: result.insertId
-    });
-    return res.status(201).json({ ok: true, offer: serializeOffer(rows[0]) });
-  } catch (error) {
-    console.error("Create offer error", error);
-    return res.status(500).json({ ok: false, message: "Failed to create offer." });
-  }
-  }
-);
+  }
+);
 
 registerRoute({
   method: "get",
-  path: "/offers",
-  summary: "List offers",
-  tags: ["Offers"],
-  query: z.object({
-    active: zBooleanString.optional(),
-    limit: zLimit.optional(),
-    offset: zOffset.optional(),
-    sort: z.enum(["created_at", "points_cost", "accepted_count"]).optional(),
-    order: zSortOrder.optional(),
-    search: zSearch
-  })
+  path: "/admin/users/{id}/sessions",
+  summary: "List user sessions",
+  tags: ["Admin"],
+  params: z.object({ id: zId }),
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+  responses: {
+    200: {
+      description: "Sessions",
+      content: { "application/json": { schema: AdminSessionListSchema } }
+    }
+  }
 });
 app.get(
-  "/offers",
-  optionalAuthenticate,
+  "/admin/users/:id/sessions",
+  authenticate,
+  requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({}),
+      params: z.object({ id: zId }),
       body: z.object({}).default({}),
-      query: z.object({
-        active: zBooleanString.optional(),
-        limit: zLimit.optional(),
-        offset: zOffset.optional(),
-        sort: z.enum(["created_at", "points_cost", "accepted_count"]).optional(),
-        order: zSortOrder.optional(),
-        search: zSearch
-      })
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
     })
   ),
   async (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    }
     try {
-      const onlyActive = req.query.active !== undefined ? req.query.active : true;
       const limit = req.query.limit ?? 50;
       const offset = req.query.offset ?? 0;
-      const sortKey = req.query.sort || "created_at";
-      const order = req.query.order || "desc";
-      const search = req.query.search;
-      const sortMap = {
-        created_at: "created_at",
-        points_cost: "points_cost",
-        accepted_count: "accepted_count"
-      };
-      const sortColumn = sortMap[sortKey] || "created_at";
-      const orderSql = order === "asc" ? "ASC" : "DESC";
-
-      const clauses = [];
-      const params = [];
-      if (onlyActive) {
-        clauses.push("is_active = 1");
-      }
-      if (search) {
-        clauses.push("(title LIKE ? OR description LIKE ?)");
-        const like = `%${search}%`;
-        params.push(like, like);
-      }
-      if (!req.user) {
-        clauses.push("group_id IS NULL");
-      } else if (!req.user.isAdmin) {
-        const groupIds = await fetchUserGroupIds(req.user.id);
-        const filter = buildGroupAccessFilter(groupIds);
-        clauses.push(`(${filter.clause})`);
-        params.push(...filter.params);
-      }
-      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
       const [rows] = await dbPool.query(
-        `SELECT * FROM offers ${where} ORDER BY ${sortColumn} ${orderSql} LIMIT ? OFFSET ?`,
-        [...params, limit, offset]
+        `SELECT rt.id,
+                rt.device_id AS deviceId,
+                rt.created_at AS createdAt,
+                rt.last_used_at AS lastUsedAt,
+                rt.revoked_at AS revokedAt,
+                rt.expires_at AS expiresAt,
+                (rt.revoked_at IS NULL AND rt.expires_at > NOW()) AS isActive,
+                d.user_agent AS userAgent,
+                d.last_ip AS lastIp
+         FROM refresh_tokens rt
+         LEFT JOIN user_devices d ON d.id = rt.device_id
+         WHERE rt.user_id = ?
+         ORDER BY rt.created_at DESC
+         LIMIT ? OFFSET ?`,
+        [userId, limit, offset]
       );
-      return res.json({ ok: true, offers: rows.map(serializeOffer) });
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        targetUserId: userId,
+        action: "admin_list_sessions",
+        reason: "list_sessions",
+        metadata: { limit, offset }
+      });
+      return res.json({ ok: true, sessions: rows.map((row) => ({ ...row, isActive: Boolean(row.isActive) })) });
     } catch (error) {
-      console.error("List offers error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list offers." });
+      console.error("List sessions error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list sessions." });
     }
   }
 );
 
 registerRoute({
-  method: "get",
-  path: "/offers/{id}",
-  summary: "Get offer",
-  tags: ["Offers"],
-  params: z.object({ id: zId }),
-  query: z.object({})
+  method: "delete",
+  path: "/admin/users/{id}/sessions/{sessionId}",
+  summary: "Revoke user session",
+  tags: ["Admin"],
+  params: z.object({ id: zId, sessionId: zId })
 });
-app.get(
-  "/offers/:id",
-  optionalAuthenticate,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+app.delete(
+  "/admin/users/:id/sessions/:sessionId",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId, sessionId: zId }),
+      query: z.object({}),
+      body: z.object({}).default({})
+    })
+  ),
   async (req, res) => {
-  const offerId = parsePositiveInt(req.params.id);
-  if (!offerId) {
-    return res.status(400).json({ ok: false, message: "Invalid offer id." });
-  }
-  try {
-    const [rows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [offerId]);
-    if (!rows.length) {
-      return res.status(404).json({ ok: false, message: "Offer not found." });
+    const userId = parsePositiveInt(req.params.id);
+    const sessionId = parsePositiveInt(req.params.sessionId);
+    if (!userId || !sessionId) {
+      return res.status(400).json({ ok: false, message: "Invalid user or session id." });
     }
-    const offer = rows[0];
-    if (!(await canAccessGroupResource(offer.group_id, req.user))) {
-      return res.status(403).json({ ok: false, message: "Access denied." });
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot revoke super admin sessions." });
+      }
+      const [result] = await connection.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ?",
+        [sessionId, userId]
+      );
+      if (!result.affectedRows) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Session not found." });
+      }
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: userId,
+        action: "admin_session_revoke",
+        reason: "revoke_session",
+        relatedEntityType: "refresh_token",
+        relatedEntityId: sessionId
+      });
+      await connection.commit();
+      return res.json({ ok: true, sessionId });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Revoke session error", error);
+      return res.status(500).json({ ok: false, message: "Failed to revoke session." });
+    } finally {
+      connection.release();
     }
-    return res.json({ ok: true, offer: serializeOffer(offer) });
-  } catch (error) {
-    console.error("Fetch offer error", error);
-    return res.status(500).json({ ok: false, message: "Failed to fetch offer." });
-  }
   }
 );
 
 registerRoute({
-  method: "get",
-  path: "/offers/{id}/acceptances",
-  summary: "List offer acceptances",
-  tags: ["Offers"],
+  method: "post",
+  path: "/admin/users/{id}/reset-password",
+  summary: "Reset user password",
+  tags: ["Admin"],
   params: z.object({ id: zId }),
-  query: z.object({})
+  body: z.object({ newPassword: z.string().min(6).max(200) })
 });
-app.get(
-  "/offers/:id/acceptances",
+app.post(
+  "/admin/users/:id/reset-password",
   authenticate,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({ newPassword: z.string().min(6).max(200) })
+    })
+  ),
   async (req, res) => {
-  const offerId = parsePositiveInt(req.params.id);
-  if (!offerId) {
-    return res.status(400).json({ ok: false, message: "Invalid offer id." });
-  }
-  try {
-    const [offerRows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [offerId]);
-    if (!offerRows.length) {
-      return res.status(404).json({ ok: false, message: "Offer not found." });
-    }
-    const offer = offerRows[0];
-    const creatorUserId = Number(offer.creator_user_id);
-    const isCreator = req.user.id === creatorUserId;
-    const isAdmin = req.user.isAdmin;
-    let isGroupMember = false;
-    if (offer.group_id !== null) {
-      const groupId = Number(offer.group_id);
-      isGroupMember = await isUserInGroup(req.user.id, groupId);
+    const userId = parsePositiveInt(req.params.id);
+    const { newPassword } = req.body || {};
+    if (!userId || !newPassword) {
+      return res.status(400).json({ ok: false, message: "User id and newPassword are required." });
     }
-    if (!isAdmin && !isCreator && !isGroupMember) {
-      return res.status(403).json({ ok: false, message: "Access denied." });
+    if (String(newPassword).length < 6) {
+      return res.status(400).json({ ok: false, message: "Password must be at least 6 characters." });
+    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT id FROM users WHERE id = ? FOR UPDATE",
+        [userId]
+      );
+      if (!rows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot reset super admin password." });
+      }
+      const passwordHash = await bcrypt.hash(newPassword, 10);
+      await connection.query("UPDATE users SET password_hash = ? WHERE id = ?", [passwordHash, userId]);
+      await connection.query("UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ?", [userId]);
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: userId,
+        action: "admin_reset_password",
+        reason: "reset_password"
+      });
+      await connection.commit();
+      return res.json({ ok: true, userId });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Reset password error", error);
+      return res.status(500).json({ ok: false, message: "Failed to reset password." });
+    } finally {
+      connection.release();
     }
-    const [rows] = await dbPool.query(
-      "SELECT id, offer_id AS offerId, accepter_user_id AS accepterUserId, points_cost AS pointsCost, created_at AS createdAt FROM offer_acceptances WHERE offer_id = ? ORDER BY created_at DESC",
-      [offerId]
-    );
-    return res.json({ ok: true, acceptances: rows });
-  } catch (error) {
-    console.error("List acceptances error", error);
-    return res.status(500).json({ ok: false, message: "Failed to list acceptances." });
-  }
   }
 );
 
 registerRoute({
-  method: "get",
-  path: "/offers/{id}/reviews",
-  summary: "List offer reviews",
-  tags: ["Offers"],
+  method: "post",
+  path: "/admin/users/{id}/verify-email",
+  summary: "Mark user email as verified",
+  tags: ["Admin"],
   params: z.object({ id: zId }),
-  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
+  body: z.object({})
 });
-app.get(
-  "/offers/:id/reviews",
-  optionalAuthenticate,
-  validateRequest(
-    z.object({
-      params: z.object({ id: zId }),
-      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
-      body: z.object({}).default({}) })
-  ),
+app.post(
+  "/admin/users/:id/verify-email",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
   async (req, res) => {
-  const offerId = parsePositiveInt(req.params.id);
-  if (!offerId) {
-    return res.status(400).json({ ok: false, message: "Invalid offer id." });
-  }
-  try {
-    const [offerRows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [offerId]);
-    if (!offerRows.length) {
-      return res.status(404).json({ ok: false, message: "Offer not found." });
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
     }
-    const offer = offerRows[0];
-    if (!(await canAccessGroupResource(offer.group_id, req.user))) {
-      return res.status(403).json({ ok: false, message: "Access denied." });
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT id, email_verified_at AS emailVerifiedAt FROM users WHERE id = ? FOR UPDATE",
+        [userId]
+      );
+      if (!rows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      if (!rows[0].emailVerifiedAt) {
+        await connection.query("UPDATE users SET email_verified_at = NOW() WHERE id = ?", [userId]);
+        await connection.query(
+          "UPDATE auth_action_tokens SET consumed_at = NOW() WHERE user_id = ? AND purpose = 'email_verify' AND consumed_at IS NULL",
+          [userId]
+        );
+        await logAudit(connection, {
+          actorUserId: req.user.id,
+          targetUserId: userId,
+          action: "admin_verify_email",
+          reason: "verify_email"
+        });
+      }
+      await connection.commit();
+      return res.json({ ok: true, userId, emailVerified: true });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Verify email error", error);
+      return res.status(500).json({ ok: false, message: "Failed to verify email." });
+    } finally {
+      connection.release();
     }
-    const limitRaw = parsePositiveInt(req.query.limit) || 50;
-    const offsetRaw = Number(req.query.offset || 0);
-    const limit = Math.min(limitRaw, 200);
-    const offset = Number.isFinite(offsetRaw) && offsetRaw >= 0 ? Math.floor(offsetRaw) : 0;
-    const [rows] = await dbPool.query(
-      `SELECT id, offer_id AS offerId, reviewer_user_id AS reviewerUserId, rating, comment, created_at AS createdAt
-       FROM offer_reviews
-       WHERE offer_id = ?
-       ORDER BY created_at DESC
-       LIMIT ? OFFSET ?`,
-      [offerId, limit, offset]
-    );
-    return res.json({ ok: true, reviews: rows });
-  } catch (error) {
-    console.error("List reviews error", error);
-    return res.status(500).json({ ok: false, message: "Failed to list reviews." });
-  }
   }
 );
 
+// Admin group management.
 registerRoute({
   method: "post",
-  path: "/offers/{id}/reviews",
-  summary: "Create offer review",
-  tags: ["Offers"],
-  params: z.object({ id: zId }),
-  body: z.object({ rating: zPositiveInt, comment: zNullableString(500).optional() })
+  path: "/admin/groups",
+  summary: "Create group",
+  tags: ["Admin", "Groups"],
+  body: z.object({
+    name: z.string().trim().min(1).max(160),
+    description: zNullableString(500),
+    isPrivate: zBooleanString.optional()
+  })
 });
 app.post(
-  "/offers/:id/reviews",
+  "/admin/groups",
   authenticate,
+  requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
+      params: z.object({}),
       query: z.object({}),
-      body: z.object({ rating: zPositiveInt, comment: zNullableString(500).optional() })
+      body: z.object({
+        name: z.string().trim().min(1).max(160),
+        description: zNullableString(500),
+        isPrivate: zBooleanString.optional()
+      })
     })
   ),
   async (req, res) => {
-  const offerId = parsePositiveInt(req.params.id);
-  const rating = parsePositiveInt(req.body?.rating);
-  const comment = req.body?.comment ? String(req.body.comment).trim() : null;
-  if (!offerId || !rating) {
-    return res.status(400).json({ ok: false, message: "offer id and rating are required." });
-  }
-  if (rating < 1 || rating > 5) {
-    return res.status(400).json({ ok: false, message: "rating must be between 1 and 5." });
-  }
-  const connection = await dbPool.getConnection();
-  try {
-    await connection.beginTransaction();
-    const [offerRows] = await connection.query("SELECT * FROM offers WHERE id = ? FOR UPDATE", [offerId]);
-    if (!offerRows.length) {
-      await connection.rollback();
-      return res.status(404).json({ ok: false, message: "Offer not found." });
-    }
-    const offer = offerRows[0];
-    if (!(await canAccessGroupResource(offer.group_id, req.user, connection))) {
-      await connection.rollback();
-      return res.status(403).json({ ok: false, message: "Access denied." });
-    }
-    const [acceptanceRows] = await connection.query(
-      "SELECT id FROM offer_acceptances WHERE offer_id = ? AND accepter_user_id = ?",
-      [offerId, req.user.id]
-    );
-    if (!acceptanceRows.length) {
-      await connection.rollback();
-      return res.status(403).json({ ok: false, message: "Only buyers can leave reviews." });
+    const name = req.body?.name ? String(req.body.name).trim() : "";
+    const description = req.body?.description ? String(req.body.description).trim() : null;
+    const isPrivateInput = req.body?.isPrivate;
+    const isPrivate = isPrivateInput === undefined ? 1 : isPrivateInput ? 1 : 0;
+    if (!name) {
+      return res.status(400).json({ ok: false, message: "Group name is required." });
     }
-    const [existing] = await connection.query(
-      "SELECT id FROM offer_reviews WHERE offer_id = ? AND reviewer_user_id = ?",
-      [offerId, req.user.id]
-    );
-    if (existing.length) {
-      await connection.rollback();
-      return res.status(409).json({ ok: false, message: "Review already exists." });
+    try {
+      const [result] = await dbPool.query(
+        "INSERT INTO user_groups (name, description, is_private, created_by) VALUES (?, ?, ?, ?)",
+        [name, description || null, isPrivate, req.user.id]
+      );
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "group_create",
+        reason: "group_create",
+        relatedEntityType: "group",
+        relatedEntityId: result.insertId
+      });
+      return res.status(201).json({ ok: true, groupId: result.insertId });
+    } catch (error) {
+      console.error("Create group error", error);
+      return res.status(500).json({ ok: false, message: "Failed to create group." });
     }
-    const [result] = await connection.query(
-      "INSERT INTO offer_reviews (offer_id, reviewer_user_id, rating, comment) VALUES (?, ?, ?, ?)",
-      [offerId, req.user.id, rating, comment]
-    );
-    await logAudit(connection, {
-      actorUserId: req.user.id,
-      targetUserId: req.user.id,
-      action: "offer_review_create",
-      reason: "offer_review",
-      relatedEntityType: "offer",
-      relatedEntityId: offerId,
-      metadata: { rating }
-    });
-    await connection.commit();
-    return res.status(201).json({ ok: true, reviewId: result.insertId });
-  } catch (error) {
-    await connection.rollback();
-    console.error("Create review error", error);
-    return res.status(500).json({ ok: false, message: "Failed to create review." });
-  } finally {
-    connection.release();
-  }
   }
 );
 
 registerRoute({
-  method: "post",
-  path: "/offers/{id}/accept",
-  summary: "Accept offer",
-  tags: ["Offers"],
-  params: z.object({ id: zId })
+  method: "patch",
+  path: "/admin/groups/{id}",
+  summary: "Update group",
+  tags: ["Admin", "Groups"],
+  params: z.object({ id: zId }),
+  body: z.object({
+    name: zOptionalString(160),
+    description: zNullableString(500),
+    isPrivate: zBooleanString.optional()
+  })
 });
-app.post(
-  "/offers/:id/accept",
+app.patch(
+  "/admin/groups/:id",
   authenticate,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
-  withIdempotency("offer_accept", async (req, res) => {
-  const offerId = parsePositiveInt(req.params.id);
-  const accepterUserId = req.user.id;
-  if (!offerId) {
-    return res.status(400).json({ ok: false, message: "Offer id is required." });
-  }
-
-  const connection = await dbPool.getConnection();
-  try {
-    await connection.beginTransaction();
-
-    const [offerRows] = await connection.query("SELECT * FROM offers WHERE id = ? FOR UPDATE", [offerId]);
-    if (!offerRows.length) {
-      await connection.rollback();
-      return res.status(404).json({ ok: false, message: "Offer not found." });
-    }
-
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({
+        name: zOptionalString(160),
+        description: zNullableString(500),
+        isPrivate: zBooleanString.optional()
+      })
+    })
+  ),
+  async (req, res) => {
+    const groupId = parsePositiveInt(req.params.id);
+    if (!groupId) {
+      return res.status(400).json({ ok: false, message: "Invalid group id." });
+    }
+    const updates = [];
+    const values = [];
+    if (req.body?.name !== undefined) {
+      const name = String(req.body.name || "").trim();
+      if (!name) {
+        return res.status(400).json({ ok: false, message: "name cannot be empty." });
+      }
+      updates.push("name = ?");
+      values.push(name);
+    }
+    if (req.body?.description !== undefined) {
+      const description = req.body.description ? String(req.body.description).trim() : null;
+      updates.push("description = ?");
+      values.push(description);
+    }
+    if (req.body?.isPrivate !== undefined) {
+      updates.push("is_private = ?");
+      values.push(req.body.isPrivate ? 1 : 0);
+    }
+    if (!updates.length) {
+      return res.status(400).json({ ok: false, message: "No fields provided." });
+    }
+    try {
+      const [result] = await dbPool.query(
+        `UPDATE user_groups SET ${updates.join(", ")} WHERE id = ?`,
+        [...values, groupId]
+      );
+      if (!result.affectedRows) {
+        return res.status(404).json({ ok: false, message: "Group not found." });
+      }
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "group_update",
+        reason: "group_update",
+        relatedEntityType: "group",
+        relatedEntityId: groupId,
+        metadata: { fields: updates }
+      });
+      return res.json({ ok: true, groupId });
+    } catch (error) {
+      console.error("Update group error", error);
+      return res.status(500).json({ ok: false, message: "Failed to update group." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/admin/groups",
+  summary: "List groups",
+  tags: ["Admin", "Groups"],
+  query: z.object({
+    limit: zLimit.optional(),
+    offset: zOffset.optional(),
+    sort: z.enum(["name", "created_at"]).optional(),
+    order: zSortOrder.optional(),
+    search: zSearch
+  })
+});
+app.get(
+  "/admin/groups",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: z.object({
+        limit: zLimit.optional(),
+        offset: zOffset.optional(),
+        sort: z.enum(["name", "created_at"]).optional(),
+        order: zSortOrder.optional(),
+        search: zSearch
+      })
+    })
+  ),
+  async (req, res) => {
+    try {
+      const limit = req.query.limit ?? 100;
+      const offset = req.query.offset ?? 0;
+      const sortKey = req.query.sort || "name";
+      const order = req.query.order || "asc";
+      const search = req.query.search;
+      const sortMap = {
+        name: "name",
+        created_at: "created_at"
+      };
+      const sortColumn = sortMap[sortKey] || "name";
+      const orderSql = order === "asc" ? "ASC" : "DESC";
+      const clauses = [];
+      const params = [];
+      if (search) {
+        clauses.push("(name LIKE ? OR description LIKE ?)");
+        const like = `%${search}%`;
+        params.push(like, like);
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const [rows] = await dbPool.query(
+        `SELECT id, name, description, is_private AS isPrivate, created_by AS createdBy, created_at AS createdAt
+         FROM user_groups
+         ${where}
+         ORDER BY ${sortColumn} ${orderSql}
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "group_list",
+        reason: "group_list",
+        metadata: { count: rows.length, limit, offset, sort: sortColumn, order: orderSql, search }
+      });
+      return res.json({ ok: true, groups: rows });
+    } catch (error) {
+      console.error("List groups error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list groups." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/admin/groups/{id}/members",
+  summary: "List group members",
+  tags: ["Admin", "Groups"],
+  params: z.object({ id: zId }),
+  query: z.object({
+    limit: zLimit.optional(),
+    offset: zOffset.optional(),
+    sort: z.enum(["joined_at", "email", "name"]).optional(),
+    order: zSortOrder.optional(),
+    search: zSearch
+  })
+});
+app.get(
+  "/admin/groups/:id/members",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      body: z.object({}).default({}),
+      query: z.object({
+        limit: zLimit.optional(),
+        offset: zOffset.optional(),
+        sort: z.enum(["joined_at", "email", "name"]).optional(),
+        order: zSortOrder.optional(),
+        search: zSearch
+      })
+    })
+  ),
+  async (req, res) => {
+    const groupId = parsePositiveInt(req.params.id);
+    if (!groupId) {
+      return res.status(400).json({ ok: false, message: "Invalid group id." });
+    }
+    try {
+      const limit = req.query.limit ?? 100;
+      const offset = req.query.offset ?? 0;
+      const sortKey = req.query.sort || "joined_at";
+      const order = req.query.order || "desc";
+      const search = req.query.search;
+      const sortMap = {
+        joined_at: "gm.created_at",
+        email: "u.email",
+        name: "u.name"
+      };
+      const sortColumn = sortMap[sortKey] || "gm.created_at";
+      const orderSql = order === "asc" ? "ASC" : "DESC";
+
+      const clauses = ["gm.group_id = ?"];
+      const params = [groupId];
+      if (search) {
+        clauses.push("(u.email LIKE ? OR u.name LIKE ?)");
+        const like = `%${search}%`;
+        params.push(like, like);
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const [rows] = await dbPool.query(
+        `SELECT gm.user_id AS userId, gm.role, gm.created_at AS joinedAt,
+                u.email, u.name,
+                EXISTS(
+                  SELECT 1
+                  FROM user_roles ur
+                  JOIN roles r ON r.id = ur.role_id
+                  WHERE ur.user_id = u.id AND r.name = 'admin'
+                ) AS isAdmin,
+                EXISTS(
+                  SELECT 1
+                  FROM user_roles ur
+                  JOIN roles r ON r.id = ur.role_id
+                  WHERE ur.user_id = u.id AND r.name = 'super_admin'
+                ) AS isSuperAdmin
+         FROM group_members gm
+         JOIN users u ON u.id = gm.user_id
+         ${where}
+         ORDER BY ${sortColumn} ${orderSql}
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "group_list_members",
+        reason: "group_list_members",
+        relatedEntityType: "group",
+        relatedEntityId: groupId,
+        metadata: { limit, offset, sort: sortColumn, order: orderSql, search }
+      });
+      return res.json({ ok: true, members: rows });
+    } catch (error) {
+      console.error("List group members error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list group members." });
+    }
+  }
+);
+
+registerRoute({
+  method: "post",
+  path: "/admin/groups/{id}/members",
+  summary: "Add group member",
+  tags: ["Admin", "Groups"],
+  params: z.object({ id: zId }),
+  body: z.object({
+    userId: zId,
+    role: zGroupRole.optional()
+  })
+});
+app.post(
+  "/admin/groups/:id/members",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({
+        userId: zId,
+        role: zGroupRole.optional()
+      })
+    })
+  ),
+  async (req, res) => {
+    const groupId = parsePositiveInt(req.params.id);
+    const userId = parsePositiveInt(req.body?.userId);
+    const role = req.body?.role ? String(req.body.role).trim() : "member";
+    if (!groupId || !userId) {
+      return res.status(400).json({ ok: false, message: "groupId and userId are required." });
+    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [groupRows] = await connection.query("SELECT id FROM user_groups WHERE id = ? FOR UPDATE", [groupId]);
+      if (!groupRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Group not found." });
+      }
+      const [userRows] = await connection.query("SELECT id FROM users WHERE id = ? FOR UPDATE", [userId]);
+      if (!userRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      const [existing] = await connection.query(
+        "SELECT id FROM group_members WHERE group_id = ? AND user_id = ?",
+        [groupId, userId]
+      );
+      if (existing.length) {
+        await connection.rollback();
+        return res.status(409).json({ ok: false, message: "User already in group." });
+      }
+      await connection.query(
+        "INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)",
+        [groupId, userId, role || "member"]
+      );
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: userId,
+        action: "group_add_member",
+        reason: "group_add_member",
+        relatedEntityType: "group",
+        relatedEntityId: groupId,
+        metadata: { role }
+      });
+      await connection.commit();
+      return res.status(201).json({ ok: true, groupId, userId });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Add group member error", error);
+      return res.status(500).json({ ok: false, message: "Failed to add group member." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+registerRoute({
+  method: "post",
+  path: "/admin/groups/{id}/members/batch",
+  summary: "Batch add group members",
+  tags: ["Admin", "Groups"],
+  params: z.object({ id: zId }),
+  body: z.object({
+    role: zGroupRole.optional(),
+    userIds: z.array(zId).max(500).optional(),
+    users: z.array(zId).max(500).optional()
+  })
+});
+app.post(
+  "/admin/groups/:id/members/batch",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({
+        role: zGroupRole.optional(),
+        userIds: z.array(zId).max(500).optional(),
+        users: z.array(zId).max(500).optional()
+      })
+        .refine((data) => Array.isArray(data.userIds) || Array.isArray(data.users), {
+          message: "userIds array is required."
+        })
+    })
+  ),
+  async (req, res) => {
+    const groupId = parsePositiveInt(req.params.id);
+    const role = req.body?.role ? String(req.body.role).trim() : "member";
+    const userIdsRaw = Array.isArray(req.body?.userIds) ? req.body.userIds : req.body?.users;
+    if (!groupId) {
+      return res.status(400).json({ ok: false, message: "Invalid group id." });
+    }
+    if (!Array.isArray(userIdsRaw)) {
+      return res.status(400).json({ ok: false, message: "userIds array is required." });
+    }
+    const uniqueIds = Array.from(new Set(userIdsRaw.map(parsePositiveInt).filter(Boolean)));
+    if (!uniqueIds.length) {
+      return res.status(400).json({ ok: false, message: "No valid user ids provided." });
+    }
+    if (uniqueIds.length > 500) {
+      return res.status(400).json({ ok: false, message: "Too many user ids (max 500)." });
+    }
+
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [groupRows] = await connection.query("SELECT id FROM user_groups WHERE id = ? FOR UPDATE", [groupId]);
+      if (!groupRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Group not found." });
+      }
+
+      const [validUserRows] = await connection.query(
+        `SELECT id FROM users WHERE id IN (${uniqueIds.map(() => "?").join(",")})`,
+        uniqueIds
+      );
+      const validIds = new Set(validUserRows.map((row) => Number(row.id)));
+      const invalidUserIds = uniqueIds.filter((id) => !validIds.has(id));
+
+      if (!validIds.size) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "No valid users found.", invalidUserIds });
+      }
+
+      const validIdList = Array.from(validIds);
+      const [existingRows] = await connection.query(
+        `SELECT user_id AS userId FROM group_members WHERE group_id = ? AND user_id IN (${validIdList.map(() => "?").join(",")})`,
+        [groupId, ...validIdList]
+      );
+      const existingIds = new Set(existingRows.map((row) => Number(row.userId)));
+      const toAdd = validIdList.filter((id) => !existingIds.has(id));
+
+      if (toAdd.length) {
+        const insertValues = toAdd.map((userId) => [groupId, userId, role || "member"]);
+        await connection.query(
+          "INSERT INTO group_members (group_id, user_id, role) VALUES ?",
+          [insertValues]
+        );
+      }
+
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        action: "group_add_member_batch",
+        reason: "group_add_member_batch",
+        relatedEntityType: "group",
+        relatedEntityId: groupId,
+        metadata: {
+          addedCount: toAdd.length,
+          skippedCount: existingIds.size,
+          invalidCount: invalidUserIds.length,
+          role
+        }
+      });
+      await connection.commit();
+
+      return res.status(201).json({
+        ok: true,
+        groupId,
+        addedUserIds: toAdd,
+        skippedUserIds: Array.from(existingIds),
+        invalidUserIds
+      });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Batch add group members error", error);
+      return res.status(500).json({ ok: false, message: "Failed to add members." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+registerRoute({
+  method: "delete",
+  path: "/admin/groups/{id}/members/{userId}",
+  summary: "Remove group member",
+  tags: ["Admin", "Groups"],
+  params: z.object({ id: zId, userId: zId })
+});
+app.delete(
+  "/admin/groups/:id/members/:userId",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId, userId: zId }),
+      query: z.object({}),
+      body: z.object({}).default({})
+    })
+  ),
+  async (req, res) => {
+    const groupId = parsePositiveInt(req.params.id);
+    const userId = parsePositiveInt(req.params.userId);
+    if (!groupId || !userId) {
+      return res.status(400).json({ ok: false, message: "Invalid groupId or userId." });
+    }
+    try {
+      const [result] = await dbPool.query(
+        "DELETE FROM group_members WHERE group_id = ? AND user_id = ?",
+        [groupId, userId]
+      );
+      if (!result.affectedRows) {
+        return res.status(404).json({ ok: false, message: "Membership not found." });
+      }
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        targetUserId: userId,
+        action: "group_remove_member",
+        reason: "group_remove_member",
+        relatedEntityType: "group",
+        relatedEntityId: groupId
+      });
+      return res.json({ ok: true, groupId, userId });
+    } catch (error) {
+      console.error("Remove group member error", error);
+      return res.status(500).json({ ok: false, message: "Failed to remove group member." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/admin/logs",
+  summary: "List audit logs",
+  tags: ["Admin", "Audit"],
+  query: z.object({
+    limit: zLongLimit.optional(),
+    offset: zOffset.optional(),
+    sort: z.enum(["id", "created_at", "points_delta"]).optional(),
+    order: zSortOrder.optional(),
+    action: zOptionalString(160),
+    search: zSearch,
+    actorUserId: zOptionalId,
+    targetUserId: zOptionalId,
+    relatedEntityType: zOptionalString(64),
+    relatedEntityId: zOptionalId
+  })
+});
+app.get(
+  "/admin/logs",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: z.object({
+        limit: zLongLimit.optional(),
+        offset: zOffset.optional(),
+        sort: z.enum(["id", "created_at", "points_delta"]).optional(),
+        order: zSortOrder.optional(),
+        action: zOptionalString(160),
+        search: zSearch,
+        actorUserId: zOptionalId,
+        targetUserId: zOptionalId,
+        relatedEntityType: zOptionalString(64),
+        relatedEntityId: zOptionalId
+      })
+    })
+  ),
+  async (req, res) => {
+    try {
+      const limit = req.query.limit ?? 200;
+      const offset = req.query.offset ?? 0;
+      const sortKey = req.query.sort || "id";
+      const order = req.query.order || "desc";
+      const action = req.query.action ? String(req.query.action).trim() : null;
+      const search = req.query.search;
+      const actorUserId = parsePositiveInt(req.query.actorUserId);
+      const targetUserId = parsePositiveInt(req.query.targetUserId);
+      const relatedEntityType = req.query.relatedEntityType ? String(req.query.relatedEntityType).trim() : null;
+      const relatedEntityId = parsePositiveInt(req.query.relatedEntityId);
+      const sortMap = {
+        id: "id",
+        created_at: "created_at",
+        points_delta: "points_delta"
+      };
+      const sortColumn = sortMap[sortKey] || "id";
+      const orderSql = order === "asc" ? "ASC" : "DESC";
+
+      const clauses = [];
+      const values = [];
+      if (action) {
+        clauses.push("action = ?");
+        values.push(action);
+      }
+      if (search) {
+        clauses.push("(action LIKE ? OR reason LIKE ?)");
+        const like = `%${search}%`;
+        values.push(like, like);
+      }
+      if (actorUserId) {
+        clauses.push("actor_user_id = ?");
+        values.push(actorUserId);
+      }
+      if (targetUserId) {
+        clauses.push("target_user_id = ?");
+        values.push(targetUserId);
+      }
+      if (relatedEntityType) {
+        clauses.push("related_entity_type = ?");
+        values.push(relatedEntityType);
+      }
+      if (relatedEntityId) {
+        clauses.push("related_entity_id = ?");
+        values.push(relatedEntityId);
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+
+      const [rows] = await dbPool.query(
+        `SELECT id, actor_user_id AS actorUserId, target_user_id AS targetUserId, action, reason, points_delta AS pointsDelta,
+                points_before AS pointsBefore, points_after AS pointsAfter, related_entity_type AS relatedEntityType,
+                related_entity_id AS relatedEntityId, metadata, created_at AS createdAt
+         FROM audit_logs
+         ${where}
+         ORDER BY ${sortColumn} ${orderSql}
+         LIMIT ? OFFSET ?`,
+        [...values, limit, offset]
+      );
+
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "admin_list_logs",
+        reason: "list_logs",
+        metadata: {
+          limit,
+          offset,
+          sort: sortColumn,
+          order: orderSql,
+          action,
+          search,
+          actorUserId,
+          targetUserId,
+          relatedEntityType,
+          relatedEntityId
+        }
+      });
+
+      return res.json({ ok: true, logs: rows });
+    } catch (error) {
+      console.error("List logs error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list logs." });
+    }
+  }
+);
+
+// Audit actions of collected fees, grouped by what produced them.
+const feeSources = {
+  fee_offer_accept: "offer",
+  fee_bet_sell: "cashout",
+  fee_bet_resolve: "payout",
+  fee_parlay: "payout",
+  fee_transfer: "transfer"
+};
+
+registerRoute({
+  method: "get",
+  path: "/admin/fees/summary",
+  summary: "Get fee summary",
+  tags: ["Admin", "Audit"],
+  query: z.object({
+    from: zOptionalString(64),
+    to: zOptionalString(64)
+  })
+});
+app.get(
+  "/admin/fees/summary",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: z.object({ from: zOptionalString(64), to: zOptionalString(64) })
+    })
+  ),
+  async (req, res) => {
+    try {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      // Only collected fees: schedule and promotion edits are audited as fee_schedule_* / fee_promotion_*.
+      const actions = Object.keys(feeSources);
+      const clauses = [`action IN (${actions.map(() => "?").join(", ")})`];
+      const values = [...actions];
+      if (from && !Number.isNaN(from.getTime())) {
+        clauses.push("created_at >= ?");
+        values.push(from);
+      }
+      if (to && !Number.isNaN(to.getTime())) {
+        clauses.push("created_at <= ?");
+        values.push(to);
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const [rows] = await dbPool.query(
+        `SELECT action, COALESCE(SUM(points_delta), 0) AS totalFees, COUNT(*) AS entries
+         FROM audit_logs
+         ${where}
+         GROUP BY action`,
+        values
+      );
+      const bySource = Object.fromEntries(
+        [...new Set(Object.values(feeSources))].map((source) => [source, { totalFees: 0, entries: 0 }])
+      );
+      for (const row of rows) {
+        const source = feeSources[row.action];
+        bySource[source].totalFees += Number(row.totalFees);
+        bySource[source].entries += Number(row.entries);
+      }
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "admin_fee_summary",
+        reason: "fee_summary",
+        metadata: { from: req.query.from || null, to: req.query.to || null }
+      });
+      return res.json({
+        ok: true,
+        totalFees: rows.reduce((total, row) => total + Number(row.totalFees), 0),
+        entries: rows.reduce((total, row) => total + Number(row.entries), 0),
+        bySource
+      });
+    } catch (error) {
+      console.error("Fees summary error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch fees summary." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/admin/fees/treasury",
+  summary: "Get the fee treasury balance",
+  tags: ["Admin", "Audit"],
+  query: z.object({ limit: zLimit.optional() })
+});
+app.get(
+  "/admin/fees/treasury",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({ params: z.object({}), query: z.object({ limit: zLimit.optional() }), body: z.object({}).default({}) })
+  ),
+  async (req, res) => {
+    const limit = Math.min(req.query.limit ?? 20, 100);
+    try {
+      const [totals] = await dbPool.query(
+        `SELECT COALESCE(SUM(amount), 0) AS balance,
+                COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) AS collected,
+                COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) AS disbursed
+         FROM ledger_entries
+         WHERE account = 'fees'`
+      );
+      const [rows] = await dbPool.query(
+        `SELECT t.id AS transactionId, t.actor_user_id AS actorUserId, u.user_id AS userId, u.amount, t.created_at AS createdAt
+         FROM ledger_transactions t
+         JOIN ledger_entries u ON u.transaction_id = t.id AND u.account = 'user'
+         WHERE t.kind = 'treasury_disburse'
+         ORDER BY t.id DESC
+         LIMIT ?`,
+        [limit]
+      );
+      return res.json({
+        ok: true,
+        treasury: {
+          balance: Number(totals[0].balance),
+          collected: Number(totals[0].collected),
+          disbursed: Number(totals[0].disbursed)
+        },
+        disbursements: rows.map((row) => ({
+          transactionId: Number(row.transactionId),
+          userId: Number(row.userId),
+          amount: Number(row.amount),
+          actorUserId: row.actorUserId === null ? null : Number(row.actorUserId),
+          createdAt: row.createdAt
+        }))
+      });
+    } catch (error) {
+      console.error("Treasury error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch treasury." });
+    }
+  }
+);
+
+const treasuryDisburseBodySchema = z.object({
+  userId: zId,
+  amount: zPositiveInt,
+  note: z.string().trim().min(1).max(500)
+});
+
+registerRoute({
+  method: "post",
+  path: "/admin/fees/treasury/disburse",
+  summary: "Disburse points from the fee treasury",
+  tags: ["Admin", "Audit"],
+  body: treasuryDisburseBodySchema
+});
+app.post(
+  "/admin/fees/treasury/disburse",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: treasuryDisburseBodySchema })),
+  withIdempotency("treasury_disburse", async (req, res) => {
+    const userId = parsePositiveInt(req.body.userId);
+    const amount = parsePositiveInt(req.body.amount);
+    const { note } = req.body;
+    if (userId === req.user.id) {
+      return res.status(403).json({ ok: false, message: "Cannot disburse to yourself." });
+    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      if (!req.user.isSuperAdmin && (await isUserInRole(userId, "super_admin", connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot disburse to a super admin." });
+      }
+      // Locking the treasury entries serializes disbursements against each other and against fee collection.
+      const [balanceRows] = await connection.query(
+        "SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_entries WHERE account = 'fees' FOR UPDATE"
+      );
+      const balance = Number(balanceRows[0].balance);
+      if (amount > balance) {
+        await connection.rollback();
+        return res.status(409).json({ ok: false, message: "Insufficient treasury balance.", balance });
+      }
+      const { after } = await applyPointsDelta(connection, {
+        userId,
+        delta: amount,
+        counterAccount: "fees",
+        actorUserId: req.user.id,
+        action: "treasury_disburse",
+        reason: "treasury_disburse",
+        relatedEntityType: "user",
+        relatedEntityId: userId,
+        metadata: { amount, note }
+      });
+      await connection.commit();
+      return res.status(201).json({ ok: true, userId, amount, points: after, treasuryBalance: balance - amount });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Treasury disburse error", error);
+      if (error?.message === "User not found") {
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      return res.status(500).json({ ok: false, message: "Failed to disburse from treasury." });
+    } finally {
+      connection.release();
+    }
+  })
+);
+
+const zFeeAction = z.enum(feeActions);
+
+const formatFeeRule = (row) => ({
+  id: Number(row.id),
+  action: row.action,
+  groupId: row.groupId === null ? null : Number(row.groupId),
+  rate: Number(row.rate),
+  minFee: row.minFee === null ? null : Number(row.minFee),
+  maxFee: row.maxFee === null ? null : Number(row.maxFee),
+  updatedBy: row.updatedBy === null ? null : Number(row.updatedBy),
+  updatedAt: row.updatedAt
+});
+
+const formatFeePromotion = (row) => ({
+  id: Number(row.id),
+  name: row.name,
+  action: row.action,
+  groupId: row.groupId === null ? null : Number(row.groupId),
+  startsAt: row.startsAt,
+  endsAt: row.endsAt,
+  createdBy: row.createdBy === null ? null : Number(row.createdBy),
+  createdAt: row.createdAt
+});
+
+const feeRuleColumns = `id, action, group_id AS groupId, rate, min_fee AS minFee, max_fee AS maxFee,
+  updated_by AS updatedBy, updated_at AS updatedAt`;
+
+registerRoute({
+  method: "get",
+  path: "/admin/fees/schedule",
+  summary: "Get the fee schedule",
+  tags: ["Admin", "Audit"]
+});
+app.get(
+  "/admin/fees/schedule",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+    try {
+      const [ruleRows] = await dbPool.query(
+        `SELECT ${feeRuleColumns} FROM fee_schedule ORDER BY action, group_key`
+      );
+      const [promotionRows] = await dbPool.query(
+        `SELECT id, name, action, group_id AS groupId, starts_at AS startsAt, ends_at AS endsAt,
+                created_by AS createdBy, created_at AS createdAt, (starts_at <= NOW() AND ends_at > NOW()) AS active
+         FROM fee_promotions
+         WHERE ends_at > NOW()
+         ORDER BY starts_at, id`
+      );
+      return res.json({
+        ok: true,
+        rules: ruleRows.map(formatFeeRule),
+        promotions: promotionRows.map((row) => ({ ...formatFeePromotion(row), active: Boolean(row.active) }))
+      });
+    } catch (error) {
+      console.error("Fee schedule error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch fee schedule." });
+    }
+  }
+);
+
+const feeRuleBodySchema = z
+  .object({
+    groupId: zId.nullable().optional(),
+    rate: z.coerce.number().min(0).max(0.5),
+    minFee: z.coerce.number().int().min(0).nullable().optional(),
+    maxFee: z.coerce.number().int().min(0).nullable().optional()
+  })
+  .refine((body) => (body.minFee ?? 0) <= (body.maxFee ?? Infinity), {
+    message: "minFee must not exceed maxFee.",
+    path: ["minFee"]
+  });
+
+registerRoute({
+  method: "put",
+  path: "/admin/fees/schedule/rules/{action}",
+  summary: "Set the fee rule of an action, globally or for one group",
+  tags: ["Admin", "Audit"],
+  params: z.object({ action: zFeeAction }),
+  body: feeRuleBodySchema
+});
+app.put(
+  "/admin/fees/schedule/rules/:action",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({ action: zFeeAction }), query: z.object({}), body: feeRuleBodySchema })),
+  async (req, res) => {
+    const { action } = req.params;
+    const groupId = req.body.groupId ?? null;
+    const rate = Number(req.body.rate.toFixed(4));
+    const minFee = req.body.minFee ?? null;
+    const maxFee = req.body.maxFee ?? null;
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      if (groupId !== null) {
+        const [groupRows] = await connection.query("SELECT id FROM user_groups WHERE id = ?", [groupId]);
+        if (!groupRows.length) {
+          await connection.rollback();
+          return res.status(404).json({ ok: false, message: "Group not found." });
+        }
+      }
+      const [beforeRows] = await connection.query(
+        `SELECT ${feeRuleColumns} FROM fee_schedule WHERE action = ? AND group_key = ? FOR UPDATE`,
+        [action, groupId ?? 0]
+      );
+      await connection.query(
+        `INSERT INTO fee_schedule (action, group_id, rate, min_fee, max_fee, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE rate = VALUES(rate), min_fee = VALUES(min_fee), max_fee = VALUES(max_fee),
+           updated_by = VALUES(updated_by)`,
+        [action, groupId, rate, minFee, maxFee, req.user.id]
+      );
+      const [afterRows] = await connection.query(
+        `SELECT ${feeRuleColumns} FROM fee_schedule WHERE action = ? AND group_key = ?`,
+        [action, groupId ?? 0]
+      );
+      const before = beforeRows.length ? formatFeeRule(beforeRows[0]) : null;
+      const rule = formatFeeRule(afterRows[0]);
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        action: "fee_schedule_update",
+        reason: "fee_schedule_update",
+        relatedEntityType: "fee_schedule",
+        relatedEntityId: rule.id,
+        metadata: {
+          action,
+          groupId,
+          before: before && { rate: before.rate, minFee: before.minFee, maxFee: before.maxFee },
+          after: { rate: rule.rate, minFee: rule.minFee, maxFee: rule.maxFee }
+        }
+      });
+      await connection.commit();
+      return res.status(before ? 200 : 201).json({ ok: true, rule });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Fee rule update error", error);
+      return res.status(500).json({ ok: false, message: "Failed to update fee rule." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+registerRoute({
+  method: "delete",
+  path: "/admin/fees/schedule/rules/{action}",
+  summary: "Remove a group fee override",
+  tags: ["Admin", "Audit"],
+  params: z.object({ action: zFeeAction }),
+  query: z.object({ groupId: zId })
+});
+app.delete(
+  "/admin/fees/schedule/rules/:action",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ action: zFeeAction }),
+      query: z.object({ groupId: zId }),
+      body: z.object({}).default({})
+    })
+  ),
+  async (req, res) => {
+    const { action } = req.params;
+    const groupId = req.query.groupId;
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      // Only group overrides can go: the global rule of each action always exists.
+      const [ruleRows] = await connection.query(
+        `SELECT ${feeRuleColumns} FROM fee_schedule WHERE action = ? AND group_id = ? FOR UPDATE`,
+        [action, groupId]
+      );
+      if (!ruleRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Fee override not found." });
+      }
+      const rule = formatFeeRule(ruleRows[0]);
+      await connection.query("DELETE FROM fee_schedule WHERE id = ?", [rule.id]);
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        action: "fee_schedule_delete",
+        reason: "fee_schedule_delete",
+        relatedEntityType: "fee_schedule",
+        relatedEntityId: rule.id,
+        metadata: { action, groupId, before: { rate: rule.rate, minFee: rule.minFee, maxFee: rule.maxFee } }
+      });
+      await connection.commit();
+      return res.json({ ok: true });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Fee rule delete error", error);
+      return res.status(500).json({ ok: false, message: "Failed to delete fee rule." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+const feePromotionBodySchema = z
+  .object({
+    name: z.string().trim().min(1).max(120),
+    action: zFeeAction.nullable().optional(),
+    groupId: zId.nullable().optional(),
+    startsAt: z.coerce.date(),
+    endsAt: zFutureDate
+  })
+  .refine((body) => body.startsAt.getTime() < body.endsAt.getTime(), {
+    message: "startsAt must be before endsAt.",
+    path: ["startsAt"]
+  });
+
+registerRoute({
+  method: "post",
+  path: "/admin/fees/schedule/promotions",
+  summary: "Create a fee-free promotional window",
+  tags: ["Admin", "Audit"],
+  body: feePromotionBodySchema
+});
+app.post(
+  "/admin/fees/schedule/promotions",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: feePromotionBodySchema })),
+  async (req, res) => {
+    const { name, startsAt, endsAt } = req.body;
+    const action = req.body.action ?? null;
+    const groupId = req.body.groupId ?? null;
+    try {
+      if (groupId !== null) {
+        const [groupRows] = await dbPool.query("SELECT id FROM user_groups WHERE id = ?", [groupId]);
+        if (!groupRows.length) {
+          return res.status(404).json({ ok: false, message: "Group not found." });
+        }
+      }
+      const [result] = await dbPool.query(
+        `INSERT INTO fee_promotions (name, action, group_id, starts_at, ends_at, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, action, groupId, startsAt, endsAt, req.user.id]
+      );
+      const [rows] = await dbPool.query(
+        `SELECT id, name, action, group_id AS groupId, starts_at AS startsAt, ends_at AS endsAt,
+                created_by AS createdBy, created_at AS createdAt
+         FROM fee_promotions
+         WHERE id = ?`,
+        [result.insertId]
+      );
+      const promotion = formatFeePromotion(rows[0]);
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "fee_promotion_create",
+        reason: "fee_promotion_create",
+        relatedEntityType: "fee_promotion",
+        relatedEntityId: promotion.id,
+        metadata: { name, action, groupId, startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString() }
+      });
+      return res.status(201).json({ ok: true, promotion });
+    } catch (error) {
+      console.error("Fee promotion create error", error);
+      return res.status(500).json({ ok: false, message: "Failed to create fee promotion." });
+    }
+  }
+);
+
+registerRoute({
+  method: "delete",
+  path: "/admin/fees/schedule/promotions/{id}",
+  summary: "Delete a fee promotion",
+  tags: ["Admin", "Audit"],
+  params: z.object({ id: zId })
+});
+app.delete(
+  "/admin/fees/schedule/promotions/:id",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+    const promotionId = req.params.id;
+    try {
+      const [rows] = await dbPool.query(
+        `SELECT id, name, action, group_id AS groupId, starts_at AS startsAt, ends_at AS endsAt,
+                created_by AS createdBy, created_at AS createdAt
+         FROM fee_promotions
+         WHERE id = ?`,
+        [promotionId]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ ok: false, message: "Fee promotion not found." });
+      }
+      await dbPool.query("DELETE FROM fee_promotions WHERE id = ?", [promotionId]);
+      const promotion = formatFeePromotion(rows[0]);
+      await logAudit(dbPool, {
+        actorUserId: req.user.id,
+        action: "fee_promotion_delete",
+        reason: "fee_promotion_delete",
+        relatedEntityType: "fee_promotion",
+        relatedEntityId: promotion.id,
+        metadata: {
+          name: promotion.name,
+          action: promotion.action,
+          groupId: promotion.groupId,
+          startsAt: promotion.startsAt,
+          endsAt: promotion.endsAt
+        }
+      });
+      return res.json({ ok: true });
+    } catch (error) {
+      console.error("Fee promotion delete error", error);
+      return res.status(500).json({ ok: false, message: "Failed to delete fee promotion." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/admin/ledger/accounts",
+  summary: "Get ledger account balances",
+  tags: ["Admin", "Audit"]
+});
+app.get(
+  "/admin/ledger/accounts",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+    try {
+      const [accountRows] = await dbPool.query(
+        `SELECT account, COALESCE(SUM(amount), 0) AS balance, COUNT(*) AS entries
+         FROM ledger_entries
+         GROUP BY account`
+      );
+      const balances = new Map(accountRows.map((row) => [row.account, Number(row.balance)]));
+      const [pointsRows] = await dbPool.query("SELECT COALESCE(SUM(points), 0) AS total FROM users");
+      // Users whose balance no longer matches the sum of their ledger entries.
+      const [driftRows] = await dbPool.query(
+        `SELECT u.id AS userId, u.points, COALESCE(SUM(e.amount), 0) AS ledgerBalance
+         FROM users u
+         LEFT JOIN ledger_entries e ON e.account = 'user' AND e.user_id = u.id
+         GROUP BY u.id, u.points
+         HAVING ledgerBalance <> u.points
+         ORDER BY u.id
+         LIMIT 100`
+      );
+      const usersLedger = balances.get("user") ?? 0;
+      return res.json({
+        ok: true,
+        accounts: ledgerSystemAccounts.map((account) => ({ account, balance: balances.get(account) ?? 0 })),
+        users: {
+          ledgerBalance: usersLedger,
+          points: Number(pointsRows[0].total),
+          drift: Number(pointsRows[0].total) - usersLedger
+        },
+        // Every ledger transaction sums to zero, so the whole ledger must too.
+        total: [...balances.values()].reduce((total, value) => total + value, 0),
+        driftingUsers: driftRows.map((row) => ({
+          userId: Number(row.userId),
+          points: Number(row.points),
+          ledgerBalance: Number(row.ledgerBalance)
+        }))
+      });
+    } catch (error) {
+      console.error("Ledger accounts error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch ledger accounts." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/admin/users/{id}/ledger",
+  summary: "Get user ledger entries",
+  tags: ["Admin", "Audit"],
+  params: z.object({ id: zId }),
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
+});
+app.get(
+  "/admin/users/:id/ledger",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+      body: z.object({}).default({})
+    })
+  ),
+  async (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ ok: false, message: "Invalid user id." });
+    }
+    const limit = Math.min(req.query.limit ?? 50, 200);
+    const offset = req.query.offset ?? 0;
+    try {
+      const [userRows] = await dbPool.query("SELECT points FROM users WHERE id = ?", [userId]);
+      if (!userRows.length) {
+        return res.status(404).json({ ok: false, message: "User not found." });
+      }
+      const [balanceRows] = await dbPool.query(
+        "SELECT COALESCE(SUM(amount), 0) AS balance, COUNT(*) AS total FROM ledger_entries WHERE account = 'user' AND user_id = ?",
+        [userId]
+      );
+      // Each entry comes with the other side(s) of its transaction.
+      const [rows] = await dbPool.query(
+        `SELECT e.id, e.amount, e.created_at AS createdAt, t.id AS transactionId, t.kind,
+                t.related_entity_type AS relatedEntityType, t.related_entity_id AS relatedEntityId,
+                (SELECT GROUP_CONCAT(CASE WHEN o.account = 'user' THEN CONCAT('user:', o.user_id) ELSE o.account END ORDER BY o.id)
+                 FROM ledger_entries o
+                 WHERE o.transaction_id = e.transaction_id AND o.id <> e.id) AS counterAccounts
+         FROM ledger_entries e
+         JOIN ledger_transactions t ON t.id = e.transaction_id
+         WHERE e.account = 'user' AND e.user_id = ?
+         ORDER BY e.id DESC
+         LIMIT ? OFFSET ?`,
+        [userId, limit, offset]
+      );
+      const points = Number(userRows[0].points);
+      const ledgerBalance = Number(balanceRows[0].balance);
+      return res.json({
+        ok: true,
+        userId,
+        points,
+        ledgerBalance,
+        drift: points - ledgerBalance,
+        entries: rows.map((row) => ({
+          id: Number(row.id),
+          transactionId: Number(row.transactionId),
+          kind: row.kind,
+          amount: Number(row.amount),
+          counterAccounts: row.counterAccounts ? row.counterAccounts.split(",") : [],
+          relatedEntityType: row.relatedEntityType,
+          relatedEntityId: row.relatedEntityId === null ? null : Number(row.relatedEntityId),
+          createdAt: row.createdAt
+        })),
+        total: Number(balanceRows[0].total),
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error("User ledger error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch user ledger." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/admin/reconciliation/latest",
+  summary: "Get the latest points reconciliation report",
+  tags: ["Admin", "Audit"]
+});
+app.get(
+  "/admin/reconciliation/latest",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+    try {
+      const [rows] = await dbPool.query("SELECT * FROM reconciliation_reports ORDER BY id DESC LIMIT 1");
+      if (!rows.length) {
+        return res.status(404).json({ ok: false, message: "No reconciliation report yet." });
+      }
+      const row = rows[0];
+      return res.json({
+        ok: true,
+        report: {
+          id: Number(row.id),
+          status: row.status,
+          usersChecked: Number(row.users_checked),
+          totalDrift: Number(row.total_drift),
+          drift: {
+            audit: Number(row.audit_drift),
+            ledger: Number(row.ledger_drift),
+            escrow: Number(row.escrow_drift),
+            pool: Number(row.pool_drift)
+          },
+          checks: typeof row.details === "string" ? JSON.parse(row.details) : row.details,
+          startedAt: row.started_at,
+          finishedAt: row.finished_at
+        }
+      });
+    } catch (error) {
+      console.error("Reconciliation report error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch reconciliation report." });
+    }
+  }
+);
+
+// Offer endpoints.
+registerRoute({
+  method: "post",
+  path: "/offers",
+  summary: "Create offer",
+  tags: ["Offers"],
+  body: z.object({
+    title: z.string().trim().min(1).max(160),
+    description: zNullableString(2000),
+    pointsCost: zPositiveInt,
+    maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
+    groupId: zOptionalId.optional(),
+    group_id: zOptionalId.optional()
+  })
+});
+app.post(
+  "/offers",
+  authenticate,
+  requireVerifiedEmail,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({
+        title: z.string().trim().min(1).max(160),
+        description: zNullableString(2000),
+        pointsCost: zPositiveInt,
+        maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
+        groupId: zOptionalId.optional(),
+        group_id: zOptionalId.optional()
+      })
+    })
+  ),
+  async (req, res) => {
+  try {
+    const { title, description, pointsCost, maxAcceptances } = req.body || {};
+    const groupIdRaw = req.body?.groupId ?? req.body?.group_id;
+    let groupId = null;
+    const creatorId = req.user.id;
+    const cost = parsePositiveInt(pointsCost);
+    const { value: maxAcceptancesValue, valid: maxAcceptancesValid } =
+      parseOptionalPositiveInt(maxAcceptances);
+
+    if (!title || !cost) {
+      return res.status(400).json({ ok: false, message: "title and pointsCost are required." });
+    }
+    if (!maxAcceptancesValid) {
+      return res.status(400).json({ ok: false, message: "maxAcceptances must be a positive integer or omitted." });
+    }
+
+    if (groupIdRaw !== undefined && groupIdRaw !== null && groupIdRaw !== "") {
+      groupId = parsePositiveInt(groupIdRaw);
+      if (!groupId) {
+        return res.status(400).json({ ok: false, message: "Invalid groupId." });
+      }
+      const group = await fetchGroupById(groupId);
+      if (!group) {
+        return res.status(404).json({ ok: false, message: "Group not found." });
+      }
+      if (!req.user.isAdmin && !(await isUserInGroup(req.user.id, groupId))) {
+        return res.status(403).json({ ok: false, message: "Not a member of this group." });
+      }
+    }
+
+    const [result] = await dbPool.query(
+      "INSERT INTO offers (creator_user_id, group_id, title, description, points_cost, max_acceptances) VALUES (?, ?, ?, ?, ?, ?)",
+      [
+        creatorId,
+        groupId,
+        String(title).trim(),
+        description ? String(description).trim() : null,
+        cost,
+        maxAcceptancesValue
+      ]
+    );
+
+    const [rows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [result.insertId]);
+    await logAudit(dbPool, {
+      actorUserId: creatorId,
+      targetUserId: creatorId,
+      action: "offer_create",
+      reason: "offer_create",
+      relatedEntityType: "offer",
+      relatedEntityId: result.insertId
+    });
+    return res.status(201).json({ ok: true, offer: serializeOffer(rows[0]) });
+  } catch (error) {
+    console.error("Create offer error", error);
+    return res.status(500).json({ ok: false, message: "Failed to create offer." });
+  }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/offers",
+  summary: "List offers",
+  tags: ["Offers"],
+  query: z.object({
+    active: zBooleanString.optional(),
+    limit: zLimit.optional(),
+    offset: zOffset.optional(),
+    sort: z.enum(["created_at", "points_cost", "accepted_count"]).optional(),
+    order: zSortOrder.optional(),
+    search: zSearch
+  })
+});
+app.get(
+  "/offers",
+  optionalAuthenticate,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: z.object({
+        active: zBooleanString.optional(),
+        limit: zLimit.optional(),
+        offset: zOffset.optional(),
+        sort: z.enum(["created_at", "points_cost", "accepted_count"]).optional(),
+        order: zSortOrder.optional(),
+        search: zSearch
+      })
+    })
+  ),
+  async (req, res) => {
+    try {
+      const onlyActive = req.query.active !== undefined ? req.query.active : true;
+      const limit = req.query.limit ?? 50;
+      const offset = req.query.offset ?? 0;
+      const sortKey = req.query.sort || "created_at";
+      const order = req.query.order || "desc";
+      const search = req.query.search;
+      const sortMap = {
+        created_at: "created_at",
+        points_cost: "points_cost",
+        accepted_count: "accepted_count"
+      };
+      const sortColumn = sortMap[sortKey] || "created_at";
+      const orderSql = order === "asc" ? "ASC" : "DESC";
+
+      const clauses = [];
+      const params = [];
+      if (onlyActive) {
+        clauses.push("is_active = 1");
+      }
+      if (search) {
+        clauses.push("(title LIKE ? OR description LIKE ?)");
+        const like = `%${search}%`;
+        params.push(like, like);
+      }
+      if (!req.user) {
+        clauses.push("group_id IS NULL");
+      } else if (!req.user.isAdmin) {
+        const groupIds = await fetchUserGroupIds(req.user.id);
+        const filter = buildGroupAccessFilter(groupIds);
+        clauses.push(`(${filter.clause})`);
+        params.push(...filter.params);
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const [rows] = await dbPool.query(
+        `SELECT * FROM offers ${where} ORDER BY ${sortColumn} ${orderSql} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return res.json({ ok: true, offers: rows.map(serializeOffer) });
+    } catch (error) {
+      console.error("List offers error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list offers." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/offers/{id}",
+  summary: "Get offer",
+  tags: ["Offers"],
+  params: z.object({ id: zId }),
+  query: z.object({})
+});
+app.get(
+  "/offers/:id",
+  optionalAuthenticate,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+  const offerId = parsePositiveInt(req.params.id);
+  if (!offerId) {
+    return res.status(400).json({ ok: false, message: "Invalid offer id." });
+  }
+  try {
+    const [rows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [offerId]);
+    if (!rows.length) {
+      return res.status(404).json({ ok: false, message: "Offer not found." });
+    }
+    const offer = rows[0];
+    if (!(await canAccessGroupResource(offer.group_id, req.user))) {
+      return res.status(403).json({ ok: false, message: "Access denied." });
+    }
+    return res.json({ ok: true, offer: serializeOffer(offer) });
+  } catch (error) {
+    console.error("Fetch offer error", error);
+    return res.status(500).json({ ok: false, message: "Failed to fetch offer." });
+  }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/offers/{id}/acceptances",
+  summary: "List offer acceptances",
+  tags: ["Offers"],
+  params: z.object({ id: zId }),
+  query: z.object({})
+});
+app.get(
+  "/offers/:id/acceptances",
+  authenticate,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+  const offerId = parsePositiveInt(req.params.id);
+  if (!offerId) {
+    return res.status(400).json({ ok: false, message: "Invalid offer id." });
+  }
+  try {
+    const [offerRows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [offerId]);
+    if (!offerRows.length) {
+      return res.status(404).json({ ok: false, message: "Offer not found." });
+    }
+    const offer = offerRows[0];
+    const creatorUserId = Number(offer.creator_user_id);
+    const isCreator = req.user.id === creatorUserId;
+    const isAdmin = req.user.isAdmin;
+    let isGroupMember = false;
+    if (offer.group_id !== null) {
+      const groupId = Number(offer.group_id);
+      isGroupMember = await isUserInGroup(req.user.id, groupId);
+    }
+    if (!isAdmin && !isCreator && !isGroupMember) {
+      return res.status(403).json({ ok: false, message: "Access denied." });
+    }
+    const [rows] = await dbPool.query(
+      "SELECT id, offer_id AS offerId, accepter_user_id AS accepterUserId, points_cost AS pointsCost, created_at AS createdAt FROM offer_acceptances WHERE offer_id = ? ORDER BY created_at DESC",
+      [offerId]
+    );
+    return res.json({ ok: true, acceptances: rows });
+  } catch (error) {
+    console.error("List acceptances error", error);
+    return res.status(500).json({ ok: false, message: "Failed to list acceptances." });
+  }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/offers/{id}/reviews",
+  summary: "List offer reviews",
+  tags: ["Offers"],
+  params: z.object({ id: zId }),
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
+});
+app.get(
+  "/offers/:id/reviews",
+  optionalAuthenticate,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+      body: z.object({}).default({}) })
+  ),
+  async (req, res) => {
+  const offerId = parsePositiveInt(req.params.id);
+  if (!offerId) {
+    return res.status(400).json({ ok: false, message: "Invalid offer id." });
+  }
+  try {
+    const [offerRows] = await dbPool.query("SELECT * FROM offers WHERE id = ?", [offerId]);
+    if (!offerRows.length) {
+      return res.status(404).json({ ok: false, message: "Offer not found." });
+    }
+    const offer = offerRows[0];
+    if (!(await canAccessGroupResource(offer.group_id, req.user))) {
+      return res.status(403).json({ ok: false, message: "Access denied." });
+    }
+    const limitRaw = parsePositiveInt(req.query.limit) || 50;
+    const offsetRaw = Number(req.query.offset || 0);
+    const limit = Math.min(limitRaw, 200);
+    const offset = Number.isFinite(offsetRaw) && offsetRaw >= 0 ? Math.floor(offsetRaw) : 0;
+    const [rows] = await dbPool.query(
+      `SELECT id, offer_id AS offerId, reviewer_user_id AS reviewerUserId, rating, comment, created_at AS createdAt
+       FROM offer_reviews
+       WHERE offer_id = ?
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`,
+      [offerId, limit, offset]
+    );
+    return res.json({ ok: true, reviews: rows });
+  } catch (error) {
+    console.error("List reviews error", error);
+    return res.status(500).json({ ok: false, message: "Failed to list reviews." });
+  }
+  }
+);
+
+registerRoute({
+  method: "post",
+  path: "/offers/{id}/reviews",
+  summary: "Create offer review",
+  tags: ["Offers"],
+  params: z.object({ id: zId }),
+  body: z.object({ rating: zPositiveInt, comment: zNullableString(500).optional() })
+});
+app.post(
+  "/offers/:id/reviews",
+  authenticate,
+  requireVerifiedEmail,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({ rating: zPositiveInt, comment: zNullableString(500).optional() })
+    })
+  ),
+  async (req, res) => {
+  const offerId = parsePositiveInt(req.params.id);
+  const rating = parsePositiveInt(req.body?.rating);
+  const comment = req.body?.comment ? String(req.body.comment).trim() : null;
+  if (!offerId || !rating) {
+    return res.status(400).json({ ok: false, message: "offer id and rating are required." });
+  }
+  if (rating < 1 || rating > 5) {
+    return res.status(400).json({ ok: false, message: "rating must be between 1 and 5." });
+  }
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [offerRows] = await connection.query("SELECT * FROM offers WHERE id = ? FOR UPDATE", [offerId]);
+    if (!offerRows.length) {
+      await connection.rollback();
+      return res.status(404).json({ ok: false, message: "Offer not found." });
+    }
+    const offer = offerRows[0];
+    if (!(await canAccessGroupResource(offer.group_id, req.user, connection))) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: "Access denied." });
+    }
+    const [acceptanceRows] = await connection.query(
+      "SELECT id FROM offer_acceptances WHERE offer_id = ? AND accepter_user_id = ?",
+      [offerId, req.user.id]
+    );
+    if (!acceptanceRows.length) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: "Only buyers can leave reviews." });
+    }
+    const [existing] = await connection.query(
+      "SELECT id FROM offer_reviews WHERE offer_id = ? AND reviewer_user_id = ?",
+      [offerId, req.user.id]
+    );
+    if (existing.length) {
+      await connection.rollback();
+      return res.status(409).json({ ok: false, message: "Review already exists." });
+    }
+    const [result] = await connection.query(
+      "INSERT INTO offer_reviews (offer_id, reviewer_user_id, rating, comment) VALUES (?, ?, ?, ?)",
+      [offerId, req.user.id, rating, comment]
+    );
+    await logAudit(connection, {
+      actorUserId: req.user.id,
+      targetUserId: req.user.id,
+      action: "offer_review_create",
+      reason: "offer_review",
+      relatedEntityType: "offer",
+      relatedEntityId: offerId,
+      metadata: { rating }
+    });
+    await connection.commit();
+    return res.status(201).json({ ok: true, reviewId: result.insertId });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Create review error", error);
+    return res.status(500).json({ ok: false, message: "Failed to create review." });
+  } finally {
+    connection.release();
+  }
+  }
+);
+
+registerRoute({
+  method: "post",
+  path: "/offers/{id}/accept",
+  summary: "Accept offer",
+  tags: ["Offers"],
+  params: z.object({ id: zId })
+});
+app.post(
+  "/offers/:id/accept",
+  authenticate,
+  requireVerifiedEmail,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  withIdempotency("offer_accept", async (req, res) => {
+  const offerId = parsePositiveInt(req.params.id);
+  const accepterUserId = req.user.id;
+  if (!offerId) {
+    return res.status(400).json({ ok: false, message: "Offer id is required." });
+  }
+
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [offerRows] = await connection.query("SELECT * FROM offers WHERE id = ? FOR UPDATE", [offerId]);
+    if (!offerRows.length) {
+      await connection.rollback();
+      return res.status(404).json({ ok: false, message: "Offer not found." });
+    }
+
     const offer = offerRows[0];
     if (!offer.is_active) {
       await connection.rollback();
-      return res.status(400).json({ ok: false, message: "Offer is not active." });
+      return res.status(400).json({ ok: false, message: "Offer is not active." });
+    }
+    if (!(await canAccessGroupResource(offer.group_id, req.user, connection))) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: "Access denied." });
+    }
+
+    if (offer.max_acceptances !== null && offer.accepted_count >= offer.max_acceptances) {
+      await connection.rollback();
+      return res.status(409).json({ ok: false, message: "Offer has reached its maximum acceptances." });
+    }
+
+    const creatorUserId = Number(offer.creator_user_id);
+    if (creatorUserId === accepterUserId) {
+      await connection.rollback();
+      return res.status(400).json({ ok: false, message: "Creator cannot accept their own offer." });
+    }
+
+    const cost = Number(offer.points_cost);
+    const fee = await calculateFee(connection, "offer_accept", cost, { groupId: offer.group_id });
+    const totalCost = cost + fee;
+    const limitRefusal = await checkExposureLimits(connection, accepterUserId, totalCost);
+    if (limitRefusal) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: limitRefusal });
+    }
+    let accepterPoints = null;
+    let creatorPoints = null;
+    try {
+      const debitResult = await applyPointsDelta(connection, {
+        userId: accepterUserId,
+        delta: -totalCost,
+        counterAccount: "offer_escrow",
+        actorUserId: accepterUserId,
+        action: "offer_accept_debit",
+        reason: "offer_accept",
+        relatedEntityType: "offer",
+        relatedEntityId: offerId,
+        metadata: { fee, cost }
+      });
+      accepterPoints = debitResult.after;
+      const creditResult = await applyPointsDelta(connection, {
+        userId: creatorUserId,
+        delta: cost,
+        counterAccount: "offer_escrow",
+        actorUserId: accepterUserId,
+        action: "offer_accept_credit",
+        reason: "offer_accept",
+        relatedEntityType: "offer",
+        relatedEntityId: offerId
+      });
+      creatorPoints = creditResult.after;
+    } catch (error) {
+      await connection.rollback();
+      if (error.message === "Insufficient points") {
+        return res.status(400).json({ ok: false, message: "Insufficient points." });
+      }
+      throw error;
+    }
+
+    const newAcceptedCount = Number(offer.accepted_count) + 1;
+    const stillActive = offer.max_acceptances === null ? 1 : Number(newAcceptedCount < offer.max_acceptances);
+
+    await connection.query(
+      "UPDATE offers SET accepted_count = ?, is_active = ? WHERE id = ?",
+      [newAcceptedCount, stillActive, offerId]
+    );
+
+    await connection.query(
+      "INSERT INTO offer_acceptances (offer_id, accepter_user_id, points_cost) VALUES (?, ?, ?)",
+      [offerId, accepterUserId, cost]
+    );
+
+    await logAudit(connection, {
+      actorUserId: accepterUserId,
+      targetUserId: offer.creator_user_id,
+      action: "offer_accept",
+      reason: "offer_accept",
+      relatedEntityType: "offer",
+      relatedEntityId: offerId,
+      metadata: { fee, totalCost, cost }
+    });
+
+    await collectFee(connection, fee, {
+      account: "offer_escrow",
+      actorUserId: accepterUserId,
+      action: "fee_offer_accept",
+      reason: "offer_fee",
+      relatedEntityType: "offer",
+      relatedEntityId: offerId,
+      metadata: { fee, cost }
+    });
+
+    await connection.commit();
+    return res.json({
+      ok: true,
+      offerId,
+      accepterUserId,
+      cost,
+      fee,
+      totalCost,
+      accepterPoints,
+      creatorUserId,
+      creatorPoints
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Accept offer error", error);
+    return res.status(500).json({ ok: false, message: "Failed to accept offer." });
+  } finally {
+    connection.release();
+  }
+  })
+);
+
+registerRoute({
+  method: "delete",
+  path: "/admin/offers/{id}",
+  summary: "Delete offer",
+  tags: ["Admin"],
+  params: z.object({ id: zId })
+});
+app.delete(
+  "/admin/offers/:id",
+  authenticate,
+  requireAdmin,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+  const offerId = parsePositiveInt(req.params.id);
+  if (!offerId) {
+    return res.status(400).json({ ok: false, message: "Invalid offer id." });
+  }
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query("SELECT creator_user_id AS creatorUserId FROM offers WHERE id = ? FOR UPDATE", [offerId]);
+    if (!rows.length) {
+      await connection.rollback();
+      return res.status(404).json({ ok: false, message: "Offer not found." });
+    }
+    const creatorId = Number(rows[0].creatorUserId);
+    if (!req.user.isSuperAdmin && (await isSuperAdminUserId(creatorId, connection))) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: "Cannot modify super admin offers." });
+    }
+    await connection.query("DELETE FROM offers WHERE id = ?", [offerId]);
+    await logAudit(connection, {
+      actorUserId: req.user.id,
+      targetUserId: creatorId,
+      action: "offer_delete",
+      reason: "offer_delete",
+      relatedEntityType: "offer",
+      relatedEntityId: offerId
+    });
+    await connection.commit();
+    return res.json({ ok: true, offerId, deleted: true });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Delete offer error", error);
+    return res.status(500).json({ ok: false, message: "Failed to delete offer." });
+  } finally {
+    connection.release();
+  }
+  }
+);
+
+registerRoute({
+  method: "patch",
+  path: "/admin/offers/{id}",
+  summary: "Update offer",
+  tags: ["Admin"],
+  params: z.object({ id: zId }),
+  body: z.object({
+    title: zOptionalString(160),
+    description: zNullableString(2000),
+    pointsCost: zPositiveInt.optional(),
+    maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
+    isActive: zBooleanString.optional()
+  })
+});
+app.patch(
+  "/admin/offers/:id",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({
+        title: zOptionalString(160),
+        description: zNullableString(2000),
+        pointsCost: zPositiveInt.optional(),
+        maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
+        isActive: zBooleanString.optional()
+      })
+    })
+  ),
+  async (req, res) => {
+  const offerId = parsePositiveInt(req.params.id);
+  if (!offerId) {
+    return res.status(400).json({ ok: false, message: "Invalid offer id." });
+  }
+  const { title, description, pointsCost, maxAcceptances, isActive } = req.body || {};
+  const updates = [];
+  const values = [];
+
+  if (title !== undefined) {
+    const trimmed = String(title).trim();
+    if (!trimmed) {
+      return res.status(400).json({ ok: false, message: "title cannot be empty." });
+    }
+    updates.push("title = ?");
+    values.push(trimmed);
+  }
+
+  if (description !== undefined) {
+    updates.push("description = ?");
+    values.push(description ? String(description).trim() : null);
+  }
+
+  if (pointsCost !== undefined) {
+    const cost = parsePositiveInt(pointsCost);
+    if (!cost) {
+      return res.status(400).json({ ok: false, message: "pointsCost must be a positive integer." });
+    }
+    updates.push("points_cost = ?");
+    values.push(cost);
+  }
+
+  if (maxAcceptances !== undefined) {
+    const { value: maxValue, valid } = parseOptionalPositiveInt(maxAcceptances);
+    if (!valid) {
+      return res.status(400).json({ ok: false, message: "maxAcceptances must be a positive integer or null." });
+    }
+    updates.push("max_acceptances = ?");
+    values.push(maxValue);
+  }
+
+  if (isActive !== undefined) {
+    updates.push("is_active = ?");
+    values.push(isActive ? 1 : 0);
+  }
+
+  if (!updates.length) {
+    return res.status(400).json({ ok: false, message: "No valid fields provided." });
+  }
+
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [currentRows] = await connection.query("SELECT * FROM offers WHERE id = ? FOR UPDATE", [offerId]);
+    if (!currentRows.length) {
+      await connection.rollback();
+      return res.status(404).json({ ok: false, message: "Offer not found." });
+    }
+
+    const current = currentRows[0];
+    if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(current.creator_user_id), connection))) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: "Cannot modify super admin offers." });
+    }
+    if (maxAcceptances !== undefined) {
+      const maxIndex = updates.indexOf("max_acceptances = ?");
+      const maxValue = maxIndex >= 0 ? values[maxIndex] : null;
+      if (maxValue !== null && Number(current.accepted_count) > maxValue) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "maxAcceptances cannot be lower than accepted_count." });
+      }
+    }
+
+    values.push(offerId);
+    await connection.query(`UPDATE offers SET ${updates.join(", ")} WHERE id = ?`, values);
+    const [rows] = await connection.query("SELECT * FROM offers WHERE id = ?", [offerId]);
+    await logAudit(connection, {
+      actorUserId: req.user.id,
+      targetUserId: Number(current.creator_user_id),
+      action: "offer_update",
+      reason: "offer_update",
+      relatedEntityType: "offer",
+      relatedEntityId: offerId,
+      metadata: { fields: updates }
+    });
+    await connection.commit();
+    return res.json({ ok: true, offer: serializeOffer(rows[0]) });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Update offer error", error);
+    return res.status(500).json({ ok: false, message: "Failed to update offer." });
+  } finally {
+    connection.release();
+  }
+  }
+);
+
+// Transfer endpoints.
+const transferNoteSchema = z.string().trim().max(280);
+const createTransferSchema = z.object({
+  recipientUserId: zId,
+  amount: zPositiveInt,
+  note: transferNoteSchema.optional().nullable()
+});
+
+// Caps are counted over a rolling 24h window on the amount sent (fees excluded).
+const fetchTransferUsage = async (userId, connection = dbPool) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total
+     FROM point_transfers
+     WHERE sender_user_id = ? AND created_at >= NOW() - INTERVAL 1 DAY`,
+    [userId]
+  );
+  const sentCount = Number(rows[0]?.count) || 0;
+  const sentPoints = Number(rows[0]?.total) || 0;
+  return {
+    dailyMaxPoints: transferDailyMaxPoints,
+    dailyMaxCount: transferDailyMaxCount,
+    sentPointsToday: sentPoints,
+    sentCountToday: sentCount,
+    remainingPointsToday: Math.max(0, transferDailyMaxPoints - sentPoints),
+    remainingCountToday: Math.max(0, transferDailyMaxCount - sentCount)
+  };
+};
+
+registerRoute({
+  method: "post",
+  path: "/transfers",
+  summary: "Send points to another user",
+  tags: ["Transfers"],
+  body: createTransferSchema,
+  responses: {
+    201: {
+      description: "Transfer created",
+      content: { "application/json": { schema: TransferCreatedSchema } }
+    },
+    400: {
+      description: "Bad Request",
+      content: { "application/json": { schema: ErrorResponseSchema } }
+    }
+  }
+});
+app.post(
+  "/transfers",
+  authenticate,
+  requireVerifiedEmail,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: createTransferSchema })),
+  withIdempotency("transfer_create", async (req, res) => {
+  const senderUserId = req.user.id;
+  const recipientUserId = req.body.recipientUserId;
+  const amount = req.body.amount;
+  const note = req.body.note ? req.body.note : null;
+  if (recipientUserId === senderUserId) {
+    return res.status(400).json({ ok: false, message: "Cannot transfer points to yourself." });
+  }
+
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    // Locking the sender first serializes concurrent transfers, so the daily caps cannot be raced.
+    await connection.query("SELECT id FROM users WHERE id = ? FOR UPDATE", [senderUserId]);
+    const [recipientRows] = await connection.query(
+      "SELECT id, is_banned AS isBanned FROM users WHERE id = ? AND deleted_at IS NULL",
+      [recipientUserId]
+    );
+    if (!recipientRows.length) {
+      await connection.rollback();
+      return res.status(404).json({ ok: false, message: "Recipient not found." });
+    }
+    if (recipientRows[0].isBanned) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: "Recipient is banned." });
+    }
+
+    const usage = await fetchTransferUsage(senderUserId, connection);
+    if (usage.remainingCountToday < 1 || usage.remainingPointsToday < amount) {
+      await connection.rollback();
+      return res.status(409).json({
+        ok: false,
+        code: "TRANSFER_LIMIT_REACHED",
+        message: "Daily transfer limit reached.",
+        limits: usage
+      });
+    }
+
+    const fee = await calculateFee(connection, "transfer", amount);
+    const totalCost = amount + fee;
+    const [result] = await connection.query(
+      "INSERT INTO point_transfers (sender_user_id, recipient_user_id, amount, fee, note) VALUES (?, ?, ?, ?, ?)",
+      [senderUserId, recipientUserId, amount, fee, note]
+    );
+    const transferId = result.insertId;
+
+    let senderPoints = null;
+    try {
+      const debitResult = await applyPointsDelta(connection, {
+        userId: senderUserId,
+        delta: -totalCost,
+        counterAccount: "transfer_escrow",
+        actorUserId: senderUserId,
+        action: "transfer_debit",
+        reason: "transfer",
+        relatedEntityType: "transfer",
+        relatedEntityId: transferId,
+        metadata: { fee, amount, recipientUserId }
+      });
+      senderPoints = debitResult.after;
+    } catch (error) {
+      await connection.rollback();
+      if (error.message === "Insufficient points") {
+        return res.status(400).json({ ok: false, message: "Insufficient points." });
+      }
+      throw error;
+    }
+    await applyPointsDelta(connection, {
+      userId: recipientUserId,
+      delta: amount,
+      counterAccount: "transfer_escrow",
+      actorUserId: senderUserId,
+      action: "transfer_credit",
+      reason: "transfer",
+      relatedEntityType: "transfer",
+      relatedEntityId: transferId,
+      metadata: { amount, senderUserId }
+    });
+
+    await logAudit(connection, {
+      actorUserId: senderUserId,
+      targetUserId: recipientUserId,
+      action: "transfer",
+      reason: "transfer",
+      relatedEntityType: "transfer",
+      relatedEntityId: transferId,
+      metadata: { amount, fee, totalCost, hasNote: Boolean(note) }
+    });
+
+    await collectFee(connection, fee, {
+      account: "transfer_escrow",
+      actorUserId: senderUserId,
+      action: "fee_transfer",
+      reason: "transfer_fee",
+      relatedEntityType: "transfer",
+      relatedEntityId: transferId,
+      metadata: { fee, amount }
+    });
+
+    await connection.commit();
+    return res.status(201).json({
+      ok: true,
+      transfer: {
+        id: transferId,
+        direction: "sent",
+        counterpartUserId: recipientUserId,
+        amount,
+        fee,
+        totalCost,
+        note,
+        createdAt: new Date().toISOString()
+      },
+      senderPoints,
+      limits: {
+        ...usage,
+        sentPointsToday: usage.sentPointsToday + amount,
+        sentCountToday: usage.sentCountToday + 1,
+        remainingPointsToday: usage.remainingPointsToday - amount,
+        remainingCountToday: usage.remainingCountToday - 1
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error("Create transfer error", error);
+    return res.status(500).json({ ok: false, message: "Failed to transfer points." });
+  } finally {
+    connection.release();
+  }
+  })
+);
+
+const listTransfersQuerySchema = z.object({
+  limit: zLimit.optional(),
+  offset: zOffset.optional(),
+  direction: z.enum(["all", "sent", "received"]).optional()
+});
+
+registerRoute({
+  method: "get",
+  path: "/me/transfers",
+  summary: "List my transfers",
+  tags: ["Transfers"],
+  query: listTransfersQuerySchema,
+  responses: {
+    200: {
+      description: "Transfers",
+      content: { "application/json": { schema: TransferListSchema } }
+    }
+  }
+});
+app.get(
+  "/me/transfers",
+  authenticate,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: listTransfersQuerySchema
+    })
+  ),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const limit = req.query.limit ?? 50;
+      const offset = req.query.offset ?? 0;
+      const direction = req.query.direction ?? "all";
+      const clauses = [];
+      const params = [userId, userId, userId];
+      if (direction === "sent") {
+        clauses.push("t.sender_user_id = ?");
+        params.push(userId);
+      } else if (direction === "received") {
+        clauses.push("t.recipient_user_id = ?");
+        params.push(userId);
+      } else {
+        clauses.push("(t.sender_user_id = ? OR t.recipient_user_id = ?)");
+        params.push(userId, userId);
+      }
+      const [rows] = await dbPool.query(
+        `SELECT t.id,
+                t.amount,
+                t.note,
+                t.created_at AS createdAt,
+                IF(t.sender_user_id = ?, 'sent', 'received') AS direction,
+                IF(t.sender_user_id = ?, t.fee, 0) AS fee,
+                c.id AS counterpartUserId,
+                COALESCE(c.profile_alias, c.name) AS counterpartName
+         FROM point_transfers t
+         JOIN users c ON c.id = IF(t.sender_user_id = ?, t.recipient_user_id, t.sender_user_id)
+         WHERE ${clauses.join(" AND ")}
+         ORDER BY t.created_at DESC, t.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const limits = await fetchTransferUsage(userId);
+      return res.json({
+        ok: true,
+        transfers: rows.map((row) => ({
+          id: Number(row.id),
+          direction: row.direction,
+          counterpartUserId: Number(row.counterpartUserId),
+          counterpartName: row.counterpartName,
+          amount: Number(row.amount),
+          fee: Number(row.fee),
+          note: row.note,
+          createdAt: row.createdAt
+        })),
+        limits
+      });
+    } catch (error) {
+      console.error("List transfers error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list transfers." });
+    }
+  }
+);
+
+// Bets endpoints.
+// Every price move is appended to bet_option_odds_history; `source` tells which path moved it.
+const recordOddsHistory = async (connection, changes, source) => {
+  if (!changes.length) {
+    return;
+  }
+  await connection.query(
+    "INSERT INTO bet_option_odds_history (bet_id, bet_option_id, odds, source) VALUES ?",
+    [changes.map((change) => [change.betId, change.optionId, change.odds, source])]
+  );
+};
+
+// Pool bets cache their implied odds in current_odds so lists and the betslip show live prices.
+const refreshPoolOdds = async (connection, betId) => {
+  const [rows] = await connection.query(
+    "SELECT id, current_odds, pool_points FROM bet_options WHERE bet_id = ? ORDER BY id FOR UPDATE",
+    [betId]
+  );
+  const [betRows] = await connection.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
+  const payoutFeeRule = await loadFeeRule(connection, "payout", betRows[0]?.group_id ?? null);
+  const totalPool = rows.reduce((total, row) => total + Number(row.pool_points), 0);
+  const oddsByOption = new Map();
+  const changes = [];
+  for (const row of rows) {
+    const odds = poolImpliedOdds(Number(row.pool_points), totalPool, payoutFeeRule);
+    if (odds !== null) {
+      await connection.query("UPDATE bet_options SET current_odds = ? WHERE id = ?", [odds, row.id]);
+      if (Number(row.current_odds) !== odds) {
+        changes.push({ betId, optionId: row.id, odds });
+      }
+    }
+    oddsByOption.set(Number(row.id), odds);
+  }
+  await recordOddsHistory(connection, changes, "pool");
+  return oddsByOption;
+};
+
+// LMSR bets keep outstanding shares in bet_options.lmsr_shares; current_odds caches the market price.
+const loadLmsrOptions = async (connection, betId) => {
+  const [rows] = await connection.query(
+    "SELECT id, bet_id, current_odds, lmsr_shares FROM bet_options WHERE bet_id = ? ORDER BY id FOR UPDATE",
+    [betId]
+  );
+  return rows;
+};
+
+const writeLmsrOdds = async (connection, options, shares, liquidity, source = "lmsr") => {
+  const odds = lmsr.oddsOf(shares, liquidity);
+  const changes = [];
+  for (let index = 0; index < options.length; index += 1) {
+    await connection.query(
+      "UPDATE bet_options SET lmsr_shares = ?, current_odds = ? WHERE id = ?",
+      [shares[index].toFixed(6), odds[index], options[index].id]
+    );
+    if (Number(options[index].current_odds) !== odds[index]) {
+      changes.push({ betId: options[index].bet_id, optionId: options[index].id, odds: odds[index] });
+    }
+  }
+  await recordOddsHistory(connection, changes, source);
+  return odds;
+};
+
+// Rebuilds the market from the options' current odds; only valid while no position exists.
+const seedLmsrMarket = async (connection, betId, liquidity, source = "admin") => {
+  const options = await loadLmsrOptions(connection, betId);
+  const shares = lmsr.seedShares(options.map((option) => Number(option.current_odds)), liquidity);
+  const subsidy = lmsr.maxSubsidy(shares, liquidity);
+  if (subsidy > lmsrMaxSubsidyPoints) {
+    return { error: `Worst-case subsidy ${Math.ceil(subsidy)} exceeds ${lmsrMaxSubsidyPoints} points: lower the liquidity.` };
+  }
+  await writeLmsrOdds(connection, options, shares, liquidity, source);
+  await connection.query("UPDATE bets SET lmsr_max_subsidy = ? WHERE id = ?", [subsidy.toFixed(2), betId]);
+  return { subsidy };
+};
+
+const buyLmsrShares = async (connection, bet, optionId, stakePoints) => {
+  const liquidity = Number(bet.lmsr_liquidity);
+  const options = await loadLmsrOptions(connection, bet.id);
+  const shares = options.map((option) => Number(option.lmsr_shares));
+  const index = options.findIndex((option) => Number(option.id) === optionId);
+  const received = lmsr.sharesForStake(shares, liquidity, index, stakePoints);
+  // Rounded down so stake * odds never pays more than the shares the market issued.
+  const oddsAtPurchase = Math.min(lmsr.maxOdds, Math.floor((received / stakePoints) * 100) / 100);
+  shares[index] += stakePoints * oddsAtPurchase;
+  const odds = await writeLmsrOdds(connection, options, shares, liquidity);
+  return { oddsAtPurchase, currentOdds: odds[index] };
+};
+
+// Returns shares to the market (cashout or refund) and reports what the cost function pays back for them.
+const releaseLmsrShares = async (connection, bet, optionId, sharesToRelease) => {
+  const liquidity = Number(bet.lmsr_liquidity);
+  const options = await loadLmsrOptions(connection, bet.id);
+  const shares = options.map((option) => Number(option.lmsr_shares));
+  const index = options.findIndex((option) => Number(option.id) === Number(optionId));
+  const delta = Math.min(shares[index], sharesToRelease);
+  const proceeds = lmsr.proceedsForShares(shares, liquidity, index, delta);
+  shares[index] -= delta;
+  const odds = await writeLmsrOdds(connection, options, shares, liquidity);
+  return { proceeds, currentOdds: odds[index] };
+};
+
+registerRoute({
+  method: "post",
+  path: "/bets",
+  summary: "Create bet",
+  tags: ["Bets"],
+  body: z.object({
+    title: z.string().trim().min(1).max(160),
+    description: zNullableString(2000),
+    details: zNullableString(4000),
+    closesAt: zFutureDate,
+    betType: z.enum(["boolean", "number", "multiple"]).optional(),
+    groupId: zOptionalId.optional(),
+    group_id: zOptionalId.optional(),
+    pricingMode: z.enum(["fixed", "lmsr", "pool"]).optional(),
+    liquidity: z.coerce.number().positive().max(1000000).optional(),
+    settlementRule: zSettlementRule.optional(),
+    settlementLine: z.coerce.number().finite().optional(),
+    resolutionMode: z.enum(["admin", "community"]).optional(),
+    disputeWindowMinutes: z.coerce.number().int().min(1).max(10080).optional(),
+    options: z.array(
+      z.object({
+        label: z.string().trim().min(1).max(160),
+        odds: zOdds.optional(),
+        value: z.coerce.number().optional()
+      })
+    ).min(2)
+  })
+});
+app.post(
+  "/bets",
+  authenticate,
+  requireVerifiedEmail,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({
+        title: z.string().trim().min(1).max(160),
+        description: zNullableString(2000),
+        details: zNullableString(4000),
+        closesAt: zFutureDate,
+        betType: z.enum(["boolean", "number", "multiple"]).optional(),
+        groupId: zOptionalId.optional(),
+        group_id: zOptionalId.optional(),
+        pricingMode: z.enum(["fixed", "lmsr", "pool"]).optional(),
+        liquidity: z.coerce.number().positive().max(1000000).optional(),
+        settlementRule: zSettlementRule.optional(),
+        settlementLine: z.coerce.number().finite().optional(),
+        resolutionMode: z.enum(["admin", "community"]).optional(),
+        disputeWindowMinutes: z.coerce.number().int().min(1).max(10080).optional(),
+        options: z.array(
+          z.object({
+            label: z.string().trim().min(1).max(160),
+            odds: zOdds.optional(),
+            value: z.coerce.number().optional()
+          })
+        ).min(2)
+      })
+    })
+  ),
+  async (req, res) => {
+  try {
+    const { title, description, details, closesAt, betType, options } = req.body || {};
+    const pricingMode = req.body?.pricingMode || "fixed";
+    const liquidity = pricingMode === "lmsr" ? Number(req.body?.liquidity ?? lmsrDefaultLiquidity) : null;
+    const resolutionMode = req.body?.resolutionMode || "admin";
+    if (resolutionMode !== "community" && req.body?.disputeWindowMinutes !== undefined) {
+      return res.status(400).json({ ok: false, message: "disputeWindowMinutes only applies to community resolution." });
+    }
+    const disputeWindow = resolutionMode === "community"
+      ? Number(req.body?.disputeWindowMinutes ?? betDisputeWindowMinutes)
+      : null;
+    const groupIdRaw = req.body?.groupId ?? req.body?.group_id;
+    let groupId = null;
+    const creatorId = req.user.id;
+    const closeDate = parseFutureDate(closesAt);
+    if (!title || !closeDate || !Array.isArray(options) || options.length < 2) {
+      return res.status(400).json({
+        ok: false,
+        message: "title, closesAt (future date), and at least two options are required."
+      });
+    }
+
+    const normalizedType = betType ? String(betType).trim().toLowerCase() : "multiple";
+    const allowedTypes = new Set(["boolean", "number", "multiple"]);
+    const finalType = allowedTypes.has(normalizedType) ? normalizedType : "multiple";
+
+    const optionRows = [];
+    for (const option of options) {
+      const label = String(option?.label || "").trim();
+      if (!label) {
+        return res.status(400).json({ ok: false, message: "Each option must have a label." });
+      }
+      const oddsValue = parseOdds(option?.odds ?? 2.0);
+      if (!oddsValue) {
+        return res.status(400).json({ ok: false, message: "Each option must have valid odds >= 1.01." });
+      }
+      let numericValue = null;
+      if (finalType === "number") {
+        const numericInput = option?.value ?? label;
+        const parsedNumeric = Number(numericInput);
+        if (!Number.isFinite(parsedNumeric)) {
+          return res.status(400).json({ ok: false, message: "Numeric bet options must include a number." });
+        }
+        numericValue = Number(parsedNumeric.toFixed(2));
+      }
+      optionRows.push({ label, oddsValue, numericValue });
+    }
+    let settlementRule = null;
+    let settlementLine = null;
+    if (finalType === "number") {
+      settlementRule = req.body?.settlementRule || "bucket";
+      const settlement = validateNumericSettlement(
+        optionRows.map((optionRow) => optionRow.numericValue),
+        settlementRule,
+        req.body?.settlementLine
+      );
+      if (settlement.error) {
+        return res.status(400).json({ ok: false, message: settlement.error });
+      }
+      settlementLine = settlement.line;
+    } else if (req.body?.settlementRule || req.body?.settlementLine !== undefined) {
+      return res.status(400).json({ ok: false, message: "settlementRule only applies to number bets." });
+    }
+
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      if (groupIdRaw !== undefined && groupIdRaw !== null && groupIdRaw !== "") {
+        groupId = parsePositiveInt(groupIdRaw);
+        if (!groupId) {
+          await connection.rollback();
+          return res.status(400).json({ ok: false, message: "Invalid groupId." });
+        }
+        const group = await fetchGroupById(groupId, connection);
+        if (!group) {
+          await connection.rollback();
+          return res.status(404).json({ ok: false, message: "Group not found." });
+        }
+        if (!req.user.isAdmin && !(await isUserInGroup(req.user.id, groupId, connection))) {
+          await connection.rollback();
+          return res.status(403).json({ ok: false, message: "Not a member of this group." });
+        }
+      }
+      if (pricingMode === "pool") {
+        // An empty pool has no price yet: show what equal pools of 100 points would pay until the first stake.
+        const seedOdds = poolImpliedOdds(100, 100 * optionRows.length, await loadFeeRule(connection, "payout", groupId));
+        optionRows.forEach((optionRow) => {
+          optionRow.oddsValue = seedOdds;
+        });
+      }
+      const [result] = await connection.query(
+        `INSERT INTO bets (creator_user_id, group_id, title, description, details, bet_type, closes_at, pricing_mode, lmsr_liquidity,
+                           settlement_rule, settlement_line, resolution_mode, dispute_window_minutes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          creatorId,
+          groupId,
+          String(title).trim(),
+          description ? String(description).trim() : null,
+          details ? String(details).trim() : null,
+          finalType,
+          closeDate,
+          pricingMode,
+          liquidity,
+          settlementRule,
+          settlementLine,
+          resolutionMode,
+          disputeWindow
+        ]
+      );
+
+      const betId = result.insertId;
+      const initialOdds = [];
+      for (const optionRow of optionRows) {
+        const [optionResult] = await connection.query(
+          "INSERT INTO bet_options (bet_id, label, numeric_value, current_odds) VALUES (?, ?, ?, ?)",
+          [betId, optionRow.label, optionRow.numericValue, optionRow.oddsValue]
+        );
+        initialOdds.push({ betId, optionId: optionResult.insertId, odds: optionRow.oddsValue });
+      }
+      await recordOddsHistory(connection, initialOdds, "create");
+      if (pricingMode === "lmsr") {
+        const seeded = await seedLmsrMarket(connection, betId, liquidity, "create");
+        if (seeded.error) {
+          await connection.rollback();
+          return res.status(400).json({ ok: false, message: seeded.error });
+        }
+      }
+
+      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ?", [betId]);
+      const [optionRowsDb] = await connection.query("SELECT * FROM bet_options WHERE bet_id = ?", [betId]);
+      const payoutFeeRules = await loadPayoutFeeRules(connection, betRows);
+      await logAudit(connection, {
+        actorUserId: creatorId,
+        targetUserId: creatorId,
+        action: "bet_create",
+        reason: "bet_create",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: { pricingMode, liquidity }
+      });
+      await connection.commit();
+
+      return res.status(201).json({
+        ok: true,
+        bet: serializeBet(betRows[0], optionRowsDb.map(serializeBetOption), payoutFeeRules)
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error("Create bet error", error);
+    return res.status(500).json({ ok: false, message: "Failed to create bet." });
+  }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/bets",
+  summary: "List bets",
+  tags: ["Bets"],
+  query: z.object({
+    active: zBooleanString.optional(),
+    limit: zLimit.optional(),
+    offset: zOffset.optional(),
+    sort: z.enum(["created_at", "closes_at"]).optional(),
+    order: zSortOrder.optional(),
+    search: zSearch
+  })
+});
+app.get(
+  "/bets",
+  optionalAuthenticate,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: z.object({
+        active: zBooleanString.optional(),
+        limit: zLimit.optional(),
+        offset: zOffset.optional(),
+        sort: z.enum(["created_at", "closes_at"]).optional(),
+        order: zSortOrder.optional(),
+        search: zSearch
+      })
+    })
+  ),
+  async (req, res) => {
+    try {
+      const onlyActive = req.query.active !== undefined ? req.query.active : false;
+      const limit = req.query.limit ?? 50;
+      const offset = req.query.offset ?? 0;
+      const sortKey = req.query.sort || "created_at";
+      const order = req.query.order || "desc";
+      const search = req.query.search;
+      const sortMap = {
+        created_at: "created_at",
+        closes_at: "closes_at"
+      };
+      const sortColumn = sortMap[sortKey] || "created_at";
+      const orderSql = order === "asc" ? "ASC" : "DESC";
+
+      const clauses = [];
+      const params = [];
+      if (onlyActive) {
+        clauses.push("status = 'open' AND closes_at > NOW()");
+      }
+      if (search) {
+        clauses.push("(title LIKE ? OR description LIKE ? OR details LIKE ?)");
+        const like = `%${search}%`;
+        params.push(like, like, like);
+      }
+      if (!req.user) {
+        clauses.push("group_id IS NULL");
+      } else if (!req.user.isAdmin) {
+        const groupIds = await fetchUserGroupIds(req.user.id);
+        const filter = buildGroupAccessFilter(groupIds);
+        clauses.push(`(${filter.clause})`);
+        params.push(...filter.params);
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const [bets] = await dbPool.query(
+        `SELECT * FROM bets ${where} ORDER BY ${sortColumn} ${orderSql} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      if (!bets.length) {
+        return res.json({ ok: true, bets: [] });
+      }
+      const betIds = bets.map((bet) => bet.id);
+      const [options] = await dbPool.query(
+        `SELECT * FROM bet_options WHERE bet_id IN (${betIds.map(() => "?").join(",")})`,
+        betIds
+      );
+      const optionsByBet = new Map();
+      for (const option of options) {
+        const betId = Number(option.bet_id);
+        if (!optionsByBet.has(betId)) {
+          optionsByBet.set(betId, []);
+        }
+        optionsByBet.get(betId).push(serializeBetOption(option));
+      }
+
+      if (req.user) {
+        await logAudit(dbPool, {
+          actorUserId: req.user.id,
+          action: "bet_list",
+          reason: "bet_list",
+          metadata: { count: bets.length, limit, offset, sort: sortColumn, order: orderSql, search }
+        });
+      }
+      const payoutFeeRules = await loadPayoutFeeRules(dbPool, bets);
+      return res.json({
+        ok: true,
+        bets: bets.map((bet) => serializeBet(bet, optionsByBet.get(Number(bet.id)) || [], payoutFeeRules))
+      });
+    } catch (error) {
+      console.error("List bets error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list bets." });
+    }
+  }
+);
+
+registerRoute({
+  method: "get",
+  path: "/bets/{id}",
+  summary: "Get bet",
+  tags: ["Bets"],
+  params: z.object({ id: zId }),
+  query: z.object({})
+});
+app.get(
+  "/bets/:id",
+  optionalAuthenticate,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  async (req, res) => {
+  const betId = parsePositiveInt(req.params.id);
+  if (!betId) {
+    return res.status(400).json({ ok: false, message: "Invalid bet id." });
+  }
+  try {
+    const [betRows] = await dbPool.query("SELECT * FROM bets WHERE id = ?", [betId]);
+    if (!betRows.length) {
+      return res.status(404).json({ ok: false, message: "Bet not found." });
+    }
+    const bet = betRows[0];
+    if (!(await canAccessGroupResource(bet.group_id, req.user))) {
+      return res.status(403).json({ ok: false, message: "Access denied." });
+    }
+    const [options] = await dbPool.query("SELECT * FROM bet_options WHERE bet_id = ?", [betId]);
+    const payoutFeeRules = await loadPayoutFeeRules(dbPool, [bet]);
+    return res.json({ ok: true, bet: serializeBet(bet, options.map(serializeBetOption), payoutFeeRules) });
+  } catch (error) {
+    console.error("Fetch bet error", error);
+    return res.status(500).json({ ok: false, message: "Failed to fetch bet." });
+  }
+  }
+);
+
+const oddsHistoryQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  points: z.coerce.number().int().min(2).max(500).default(60),
+  optionId: zPositiveInt.optional()
+});
+
+registerRoute({
+  method: "get",
+  path: "/bets/{id}/odds-history",
+  summary: "Get bet odds history",
+  tags: ["Bets"],
+  params: z.object({ id: zId }),
+  query: oddsHistoryQuerySchema
+});
+app.get(
+  "/bets/:id/odds-history",
+  optionalAuthenticate,
+  validateRequest(
+    z.object({ params: z.object({ id: zId }), query: oddsHistoryQuerySchema, body: z.object({}).default({}) })
+  ),
+  async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "Invalid bet id." });
+    }
+    const { points, optionId } = req.query;
+    try {
+      const [betRows] = await dbPool.query("SELECT * FROM bets WHERE id = ?", [betId]);
+      if (!betRows.length) {
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      const bet = betRows[0];
+      if (!(await canAccessGroupResource(bet.group_id, req.user))) {
+        return res.status(403).json({ ok: false, message: "Access denied." });
+      }
+      const from = req.query.from || new Date(bet.created_at);
+      const to = req.query.to || new Date();
+      if (from.getTime() >= to.getTime()) {
+        return res.status(400).json({ ok: false, message: "from must be before to." });
+      }
+      const [options] = await dbPool.query(
+        `SELECT id, label, current_odds FROM bet_options WHERE bet_id = ?${optionId ? " AND id = ?" : ""} ORDER BY id`,
+        optionId ? [betId, optionId] : [betId]
+      );
+      if (optionId && !options.length) {
+        return res.status(404).json({ ok: false, message: "Option not found." });
+      }
+      // Keeps the last price of each bucket, so a chart of `points` samples ends on the real closing odds.
+      const bucketSeconds = Math.floor((to.getTime() - from.getTime()) / 1000 / points) + 1;
+      const optionFilter = optionId ? " AND bet_option_id = ?" : "";
+      const optionParams = optionId ? [optionId] : [];
+      const [rows] = await dbPool.query(
+        `SELECT bet_option_id AS optionId, odds, recorded_at AS recordedAt
+         FROM (
+           SELECT bet_option_id, odds, recorded_at,
+                  ROW_NUMBER() OVER (
+                    PARTITION BY bet_option_id, FLOOR(TIMESTAMPDIFF(SECOND, ?, recorded_at) / ?)
+                    ORDER BY recorded_at DESC, id DESC
+                  ) AS bucket_rank
+           FROM bet_option_odds_history
+           WHERE bet_id = ? AND recorded_at >= ? AND recorded_at <= ?${optionFilter}
+         ) sampled
+         WHERE bucket_rank = 1
+         ORDER BY bet_option_id, recorded_at`,
+        [from, bucketSeconds, betId, from, to, ...optionParams]
+      );
+      // The price in force when the window opens, so each series starts at `from` instead of its first move.
+      const [openingRows] = await dbPool.query(
+        `SELECT bet_option_id AS optionId, odds
+         FROM (
+           SELECT bet_option_id, odds,
+                  ROW_NUMBER() OVER (PARTITION BY bet_option_id ORDER BY recorded_at DESC, id DESC) AS latest_rank
+           FROM bet_option_odds_history
+           WHERE bet_id = ? AND recorded_at < ?${optionFilter}
+         ) previous
+         WHERE latest_rank = 1`,
+        [betId, from, ...optionParams]
+      );
+      const openingByOption = new Map(openingRows.map((row) => [Number(row.optionId), Number(row.odds)]));
+      const pointsByOption = new Map(options.map((option) => [Number(option.id), []]));
+      for (const row of rows) {
+        pointsByOption.get(Number(row.optionId))?.push({
+          at: new Date(row.recordedAt).toISOString(),
+          odds: Number(row.odds)
+        });
+      }
+      const series = options.map((option) => {
+        const id = Number(option.id);
+        const samples = pointsByOption.get(id);
+        if (openingByOption.has(id)) {
+          samples.unshift({ at: from.toISOString(), odds: openingByOption.get(id) });
+        }
+        return { optionId: id, label: option.label, currentOdds: Number(option.current_odds), points: samples };
+      });
+      return res.json({
+        ok: true,
+        betId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucketSeconds,
+        series
+      });
+    } catch (error) {
+      console.error("Fetch odds history error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch odds history." });
+    }
+  }
+);
+
+registerRoute({
+  method: "post",
+  path: "/bets/{id}/buy",
+  summary: "Buy bet position",
+  tags: ["Bets"],
+  params: z.object({ id: zId }),
+  body: z.object({ optionId: zPositiveInt, stakePoints: zPositiveInt.optional(), points: zPositiveInt.optional() })
+});
+app.post(
+  "/bets/:id/buy",
+  authenticate,
+  requireVerifiedEmail,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({ optionId: zPositiveInt, stakePoints: zPositiveInt.optional(), points: zPositiveInt.optional() })
+    })
+  ),
+  withIdempotency("bet_buy", async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    const optionId = parsePositiveInt(req.body?.optionId);
+    const stakePoints = parsePositiveInt(req.body?.stakePoints ?? req.body?.points);
+    if (!betId || !optionId || !stakePoints) {
+      return res.status(400).json({ ok: false, message: "bet id, optionId, and stakePoints are required." });
+    }
+
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+      if (!betRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      const bet = betRows[0];
+      if (!(await canAccessGroupResource(bet.group_id, req.user, connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Access denied." });
+      }
+      const closesAt = new Date(bet.closes_at);
+      if (bet.status !== "open" || closesAt.getTime() <= Date.now()) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet is closed for new positions." });
+      }
+
+      const [optionRows] = await connection.query(
+        "SELECT * FROM bet_options WHERE id = ? AND bet_id = ? FOR UPDATE",
+        [optionId, betId]
+      );
+      if (!optionRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Option not found." });
+      }
+      const limitRefusal = await checkExposureLimits(connection, req.user.id, stakePoints);
+      if (limitRefusal) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: limitRefusal });
+      }
+
+      let userPoints = null;
+      try {
+        const debitResult = await applyPointsDelta(connection, {
+          userId: req.user.id,
+          delta: -stakePoints,
+          counterAccount: "bet_escrow",
+          actorUserId: req.user.id,
+          action: "bet_buy_debit",
+          reason: "bet_buy",
+          relatedEntityType: "bet",
+          relatedEntityId: betId
+        });
+        userPoints = debitResult.after;
+      } catch (error) {
+        await connection.rollback();
+        if (error.message === "Insufficient points") {
+          return res.status(400).json({ ok: false, message: "Insufficient points." });
+        }
+        throw error;
+      }
+
+      let oddsAtPurchase = Number(optionRows[0].current_odds);
+      let currentOdds = oddsAtPurchase;
+      if (bet.pricing_mode === "lmsr") {
+        ({ oddsAtPurchase, currentOdds } = await buyLmsrShares(connection, bet, optionId, stakePoints));
+      } else if (bet.pricing_mode === "pool") {
+        // Indicative only: the worker pays pool winners from the final pool sizes.
+        await connection.query("UPDATE bet_options SET pool_points = pool_points + ? WHERE id = ?", [stakePoints, optionId]);
+        const poolOdds = await refreshPoolOdds(connection, betId);
+        oddsAtPurchase = poolOdds.get(optionId);
+        currentOdds = oddsAtPurchase;
+      }
+      const [positionResult] = await connection.query(
+        "INSERT INTO bet_positions (bet_id, bet_option_id, user_id, stake_points, odds_at_purchase, status) VALUES (?, ?, ?, ?, ?, 'open')",
+        [betId, optionId, req.user.id, stakePoints, oddsAtPurchase]
+      );
+
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: req.user.id,
+        action: "bet_buy",
+        reason: "bet_buy",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: { optionId, stakePoints, oddsAtPurchase, pricingMode: bet.pricing_mode }
+      });
+
+      await connection.commit();
+      await publishBetUpdate(betId);
+      return res.json({
+        ok: true,
+        positionId: positionResult.insertId,
+        betId,
+        optionId,
+        stakePoints,
+        oddsAtPurchase,
+        currentOdds,
+        userPoints
+      });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Buy bet error", error);
+      return res.status(500).json({ ok: false, message: "Failed to buy bet position." });
+    } finally {
+      connection.release();
+    }
+  })
+);
+
+// Without stakePoints or fraction the whole position is sold.
+const sellPositionBodySchema = z.object({
+  positionId: zPositiveInt,
+  stakePoints: zPositiveInt.optional(),
+  fraction: z.coerce.number().gt(0).max(1).optional()
+});
+
+registerRoute({
+  method: "post",
+  path: "/bets/{id}/sell",
+  summary: "Sell bet position",
+  tags: ["Bets"],
+  params: z.object({ id: zId }),
+  body: sellPositionBodySchema
+});
+app.post(
+  "/bets/:id/sell",
+  authenticate,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: sellPositionBodySchema
+    })
+  ),
+  withIdempotency("bet_sell", async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    const positionId = parsePositiveInt(req.body.positionId);
+    if (!betId || !positionId) {
+      return res.status(400).json({ ok: false, message: "bet id and positionId are required." });
     }
-    if (!(await canAccessGroupResource(offer.group_id, req.user, connection))) {
-      await connection.rollback();
-      return res.status(403).json({ ok: false, message: "Access denied." });
+    if (req.body.stakePoints !== undefined && req.body.fraction !== undefined) {
+      return res.status(400).json({ ok: false, message: "Send either stakePoints or fraction." });
     }
 
-    if (offer.max_acceptances !== null && offer.accepted_count >= offer.max_acceptances) {
-      await connection.rollback();
-      return res.status(409).json({ ok: false, message: "Offer has reached its maximum acceptances." });
-    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
 
-    const creatorUserId = Number(offer.creator_user_id);
-    if (creatorUserId === accepterUserId) {
-      await connection.rollback();
-      return res.status(400).json({ ok: false, message: "Creator cannot accept their own offer." });
-    }
+      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+      if (!betRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      const bet = betRows[0];
+      if (!(await canAccessGroupResource(bet.group_id, req.user, connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Access denied." });
+      }
+      const closesAt = new Date(bet.closes_at);
+      if (bet.status !== "open" || !Number.isFinite(closesAt.getTime()) || closesAt.getTime() <= Date.now()) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet is closed for selling." });
+      }
+      if (bet.pricing_mode === "pool") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Pool positions cannot be sold before resolution." });
+      }
 
-    const cost = Number(offer.points_cost);
-    const fee = calculateFee(cost);
-    const totalCost = cost + fee;
-    let accepterPoints = null;
-    let creatorPoints = null;
-    try {
-      const debitResult = await applyPointsDelta(connection, {
-        userId: accepterUserId,
-        delta: -totalCost,
-        actorUserId: accepterUserId,
-        action: "offer_accept_debit",
-        reason: "offer_accept",
-        relatedEntityType: "offer",
-        relatedEntityId: offerId,
-        metadata: { fee, cost }
-      });
-      accepterPoints = debitResult.after;
-      const creditResult = await applyPointsDelta(connection, {
-        userId: creatorUserId,
-        delta: cost,
-        actorUserId: accepterUserId,
-        action: "offer_accept_credit",
-        reason: "offer_accept",
-        relatedEntityType: "offer",
-        relatedEntityId: offerId
+      const [positionRows] = await connection.query(
+        "SELECT * FROM bet_positions WHERE id = ? AND bet_id = ? AND user_id = ? FOR UPDATE",
+        [positionId, betId, req.user.id]
+      );
+      if (!positionRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Position not found." });
+      }
+
+      const position = positionRows[0];
+      if (position.status !== "open") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Position is not open." });
+      }
+
+      const [optionRows] = await connection.query(
+        "SELECT * FROM bet_options WHERE id = ? FOR UPDATE",
+        [position.bet_option_id]
+      );
+      if (!optionRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Option not found." });
+      }
+
+      let currentOdds = Number(optionRows[0].current_odds);
+      const purchaseOdds = Number(position.odds_at_purchase);
+      const stake = Number(position.stake_points);
+      let soldStake = stake;
+      if (req.body.stakePoints !== undefined) {
+        soldStake = Number(req.body.stakePoints);
+      } else if (req.body.fraction !== undefined) {
+        soldStake = Math.floor(stake * Number(req.body.fraction));
+      }
+      if (soldStake < 1 || soldStake > stake) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: `Sold stake must be between 1 and ${stake} points.` });
+      }
+      const remainingStake = stake - soldStake;
+      let rawCashout = soldStake * (currentOdds / purchaseOdds);
+      if (bet.pricing_mode === "lmsr") {
+        // The position owns stake * odds_at_purchase shares; the market buys them back at its own price.
+        const released = await releaseLmsrShares(connection, bet, position.bet_option_id, soldStake * purchaseOdds);
+        rawCashout = released.proceeds;
+        currentOdds = released.currentOdds;
+      }
+      const cashoutPoints = Math.max(0, Math.floor(rawCashout));
+      const fee = await calculateFee(connection, "cashout", cashoutPoints, { groupId: bet.group_id });
+      const netCashout = cashoutPoints - fee;
+
+      // The sold stake leaves escrow; the cashout (and its fee) is paid from the mint.
+      await transferSystemPoints(connection, {
+        from: "bet_escrow",
+        to: "mint",
+        amount: soldStake,
+        kind: "bet_stake_release",
+        actorUserId: req.user.id,
+        relatedEntityType: "bet",
+        relatedEntityId: betId
       });
-      creatorPoints = creditResult.after;
-    } catch (error) {
-      await connection.rollback();
-      if (error.message === "Insufficient points") {
-        return res.status(400).json({ ok: false, message: "Insufficient points." });
+      let userPoints = null;
+      if (netCashout > 0) {
+        const deltaResult = await applyPointsDelta(connection, {
+          userId: req.user.id,
+          delta: netCashout,
+          counterAccount: "mint",
+          actorUserId: req.user.id,
+          action: "bet_sell_credit",
+          reason: "bet_sell",
+          relatedEntityType: "bet",
+          relatedEntityId: betId
+        });
+        userPoints = deltaResult.after;
+      } else {
+        const [userRows] = await connection.query("SELECT points FROM users WHERE id = ? FOR UPDATE", [req.user.id]);
+        userPoints = Number(userRows[0]?.points ?? 0);
       }
-      throw error;
-    }
 
-    const newAcceptedCount = Number(offer.accepted_count) + 1;
-    const stillActive = offer.max_acceptances === null ? 1 : Number(newAcceptedCount < offer.max_acceptances);
+      // A partial sale splits the row: the sold part becomes a new 'sold' row, the original keeps the rest open.
+      let soldPositionId = positionId;
+      if (remainingStake > 0) {
+        const [insertResult] = await connection.query(
+          `INSERT INTO bet_positions
+             (bet_id, bet_option_id, user_id, stake_points, odds_at_purchase, status, sold_points, sold_at, parent_position_id)
+           VALUES (?, ?, ?, ?, ?, 'sold', ?, NOW(), ?)`,
+          [betId, position.bet_option_id, req.user.id, soldStake, position.odds_at_purchase, netCashout, positionId]
+        );
+        soldPositionId = insertResult.insertId;
+        await connection.query(
+          "UPDATE bet_positions SET stake_points = ?, updated_at = NOW() WHERE id = ?",
+          [remainingStake, positionId]
+        );
+      } else {
+        await connection.query(
+          "UPDATE bet_positions SET status = 'sold', sold_points = ?, sold_at = NOW(), updated_at = NOW() WHERE id = ?",
+          [netCashout, positionId]
+        );
+      }
 
-    await connection.query(
-      "UPDATE offers SET accepted_count = ?, is_active = ? WHERE id = ?",
-      [newAcceptedCount, stillActive, offerId]
-    );
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: req.user.id,
+        action: "bet_sell",
+        reason: "bet_sell",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: {
+          positionId: soldPositionId,
+          parentPositionId: remainingStake > 0 ? positionId : null,
+          soldStakePoints: soldStake,
+          cashoutPoints: netCashout,
+          grossCashoutPoints: cashoutPoints,
+          fee,
+          currentOdds,
+          purchaseOdds,
+          pricingMode: bet.pricing_mode
+        }
+      });
+      if (remainingStake > 0) {
+        await logAudit(connection, {
+          actorUserId: req.user.id,
+          targetUserId: req.user.id,
+          action: "bet_position_split",
+          reason: "bet_sell",
+          relatedEntityType: "bet",
+          relatedEntityId: betId,
+          metadata: {
+            positionId,
+            soldPositionId,
+            stakeBefore: stake,
+            remainingStakePoints: remainingStake,
+            soldStakePoints: soldStake,
+            fee,
+            purchaseOdds
+          }
+        });
+      }
 
-    await connection.query(
-      "INSERT INTO offer_acceptances (offer_id, accepter_user_id, points_cost) VALUES (?, ?, ?)",
-      [offerId, accepterUserId, cost]
-    );
+      await collectFee(connection, fee, {
+        account: "mint",
+        actorUserId: req.user.id,
+        action: "fee_bet_sell",
+        reason: "bet_sell_fee",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: { fee, positionId: soldPositionId }
+      });
 
-    await logAudit(connection, {
-      actorUserId: accepterUserId,
-      targetUserId: offer.creator_user_id,
-      action: "offer_accept",
-      reason: "offer_accept",
-      relatedEntityType: "offer",
-      relatedEntityId: offerId,
-      metadata: { fee, totalCost, cost }
-    });
+      await connection.commit();
+      await publishBetUpdate(betId);
+      return res.json({
+        ok: true,
+        positionId,
+        soldPositionId,
+        betId,
+        soldStakePoints: soldStake,
+        remainingStakePoints: remainingStake,
+        cashoutPoints: netCashout,
+        fee,
+        currentOdds,
+        userPoints
+      });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Sell bet error", error);
+      return res.status(500).json({ ok: false, message: "Failed to sell bet position." });
+    } finally {
+      connection.release();
+    }
+  })
+);
 
-    await creditFeeToSuperAdmin(connection, fee, {
-      actorUserId: accepterUserId,
-      action: "fee_offer_accept",
-      reason: "offer_fee",
-      relatedEntityType: "offer",
-      relatedEntityId: offerId,
-      metadata: { fee, cost }
-    });
+registerRoute({
+  method: "get",
+  path: "/bets/{id}/positions",
+  summary: "List my positions for a bet",
+  tags: ["Bets"],
+  params: z.object({ id: zId }),
+  query: z.object({
+    limit: zLimit.optional(),
+    offset: zOffset.optional(),
+    sort: z.enum(["created_at"]).optional(),
+    order: zSortOrder.optional()
+  })
+});
+app.get(
+  "/bets/:id/positions",
+  authenticate,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      body: z.object({}).default({}),
+      query: z.object({
+        limit: zLimit.optional(),
+        offset: zOffset.optional(),
+        sort: z.enum(["created_at"]).optional(),
+        order: zSortOrder.optional()
+      })
+    })
+  ),
+  async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "Invalid bet id." });
+    }
+    try {
+      const limit = req.query.limit ?? 100;
+      const offset = req.query.offset ?? 0;
+      const sortKey = req.query.sort || "created_at";
+      const order = req.query.order || "desc";
+      const orderSql = order === "asc" ? "ASC" : "DESC";
+      const sortColumn = sortKey === "created_at" ? "created_at" : "created_at";
 
-    await connection.commit();
-    return res.json({
-      ok: true,
-      offerId,
-      accepterUserId,
-      cost,
-      fee,
-      totalCost,
-      accepterPoints,
-      creatorUserId,
-      creatorPoints
-    });
-  } catch (error) {
-    await connection.rollback();
-    console.error("Accept offer error", error);
-    return res.status(500).json({ ok: false, message: "Failed to accept offer." });
-  } finally {
-    connection.release();
+      const [betRows] = await dbPool.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
+      if (!betRows.length) {
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      if (!(await canAccessGroupResource(betRows[0].group_id, req.user))) {
+        return res.status(403).json({ ok: false, message: "Access denied." });
+      }
+      const [rows] = await dbPool.query(
+        `SELECT id, bet_id AS betId, bet_option_id AS optionId, stake_points AS stakePoints, odds_at_purchase AS oddsAtPurchase, status,
+                payout_points AS payoutPoints, sold_points AS soldPoints, parent_position_id AS parentPositionId,
+                created_at AS createdAt
+         FROM bet_positions
+         WHERE bet_id = ? AND user_id = ?
+         ORDER BY ${sortColumn} ${orderSql}
+         LIMIT ? OFFSET ?`,
+        [betId, req.user.id, limit, offset]
+      );
+      return res.json({ ok: true, positions: rows });
+    } catch (error) {
+      console.error("List positions error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list positions." });
+    }
   }
-  })
 );
 
 registerRoute({
-  method: "delete",
-  path: "/admin/offers/{id}",
-  summary: "Delete offer",
-  tags: ["Admin"],
-  params: z.object({ id: zId })
+  method: "post",
+  path: "/admin/bets/{id}/options",
+  summary: "Create bet option",
+  tags: ["Admin", "Bets"],
+  params: z.object({ id: zId }),
+  body: z.object({
+    label: z.string().trim().min(1).max(160),
+    odds: zOdds.optional(),
+    value: z.coerce.number().optional(),
+    feedMarketId: zFeedMarketId
+  })
 });
-app.delete(
-  "/admin/offers/:id",
+app.post(
+  "/admin/bets/:id/options",
   authenticate,
   requireAdmin,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({
+        label: z.string().trim().min(1).max(160),
+        odds: zOdds.optional(),
+        value: z.coerce.number().optional(),
+        feedMarketId: zFeedMarketId
+      })
+    })
+  ),
   async (req, res) => {
-  const offerId = parsePositiveInt(req.params.id);
-  if (!offerId) {
-    return res.status(400).json({ ok: false, message: "Invalid offer id." });
+  const betId = parsePositiveInt(req.params.id);
+  const { label, odds, value, feedMarketId } = req.body || {};
+  if (!betId || !label) {
+    return res.status(400).json({ ok: false, message: "bet id and label are required." });
+  }
+  const oddsValue = parseOdds(odds ?? 2.0);
+  if (!oddsValue) {
+    return res.status(400).json({ ok: false, message: "Invalid odds." });
   }
   const connection = await dbPool.getConnection();
   try {
     await connection.beginTransaction();
-    const [rows] = await connection.query("SELECT creator_user_id AS creatorUserId FROM offers WHERE id = ? FOR UPDATE", [offerId]);
-    if (!rows.length) {
+    const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+    if (!betRows.length) {
       await connection.rollback();
-      return res.status(404).json({ ok: false, message: "Offer not found." });
+      return res.status(404).json({ ok: false, message: "Bet not found." });
     }
-    const creatorId = Number(rows[0].creatorUserId);
-    if (!req.user.isSuperAdmin && (await isSuperAdminUserId(creatorId, connection))) {
+    const bet = betRows[0];
+    if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
       await connection.rollback();
-      return res.status(403).json({ ok: false, message: "Cannot modify super admin offers." });
+      return res.status(403).json({ ok: false, message: "Cannot modify super admin bets." });
+    }
+    if (bet.status === "resolved" || bet.status === "cancelled" || bet.status === "resolving") {
+      await connection.rollback();
+      return res.status(400).json({ ok: false, message: "Cannot modify options for a closed bet." });
+    }
+    const [posRows] = await connection.query(
+      "SELECT COUNT(*) AS count FROM bet_positions WHERE bet_id = ?",
+      [betId]
+    );
+    if (Number(posRows[0].count) > 0) {
+      await connection.rollback();
+      return res.status(400).json({ ok: false, message: "Cannot modify options after positions exist." });
+    }
+    if (bet.settlement_rule === "over_under") {
+      await connection.rollback();
+      return res.status(400).json({ ok: false, message: "An over_under bet has exactly two options." });
+    }
+    if (feedMarketId && bet.pricing_mode !== "fixed") {
+      await connection.rollback();
+      return res.status(400).json({ ok: false, message: "Only fixed odds options can follow a feed market." });
+    }
+    let numericValue = null;
+    if (bet.bet_type === "number") {
+      const numericInput = value ?? label;
+      const parsedNumeric = Number(numericInput);
+      if (!Number.isFinite(parsedNumeric)) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Numeric bet options must include a number." });
+      }
+      numericValue = Number(parsedNumeric.toFixed(2));
+    }
+    const [result] = await connection.query(
+      "INSERT INTO bet_options (bet_id, label, numeric_value, current_odds, feed_market_id) VALUES (?, ?, ?, ?, ?)",
+      [betId, String(label).trim(), numericValue, oddsValue, feedMarketId || null]
+    );
+    await recordOddsHistory(connection, [{ betId, optionId: result.insertId, odds: oddsValue }], "admin");
+    if (bet.pricing_mode === "lmsr") {
+      const seeded = await seedLmsrMarket(connection, betId, Number(bet.lmsr_liquidity));
+      if (seeded.error) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: seeded.error });
+      }
     }
-    await connection.query("DELETE FROM offers WHERE id = ?", [offerId]);
     await logAudit(connection, {
       actorUserId: req.user.id,
-      targetUserId: creatorId,
-      action: "offer_delete",
-      reason: "offer_delete",
-      relatedEntityType: "offer",
-      relatedEntityId: offerId
+      targetUserId: Number(bet.creator_user_id),
+      action: "bet_option_create",
+      reason: "bet_option_create",
+      relatedEntityType: "bet_option",
+      relatedEntityId: result.insertId,
+      metadata: { betId, odds: oddsValue }
     });
     await connection.commit();
-    return res.json({ ok: true, offerId, deleted: true });
+    await publishBetUpdate(betId);
+    return res.status(201).json({ ok: true, optionId: result.insertId, betId });
   } catch (error) {
     await connection.rollback();
-    console.error("Delete offer error", error);
-    return res.status(500).json({ ok: false, message: "Failed to delete offer." });
+    console.error("Create bet option error", error);
+    return res.status(500).json({ ok: false, message: "Failed to create bet option." });
   } finally {
     connection.release();
   }
@@ -4617,357 +8932,535 @@ app.delete(
 
 registerRoute({
   method: "patch",
-  path: "/admin/offers/{id}",
-  summary: "Update offer",
-  tags: ["Admin"],
-  params: z.object({ id: zId }),
+  path: "/admin/bets/{betId}/options/{optionId}",
+  summary: "Update bet option",
+  tags: ["Admin", "Bets"],
+  params: z.object({ betId: zId, optionId: zId }),
   body: z.object({
-    title: zOptionalString(160),
-    description: zNullableString(2000),
-    pointsCost: zPositiveInt.optional(),
-    maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
-    isActive: zBooleanString.optional()
+    label: zOptionalString(160),
+    odds: zOdds.optional(),
+    value: z.coerce.number().optional(),
+    feedMarketId: zFeedMarketId
   })
 });
 app.patch(
-  "/admin/offers/:id",
+  "/admin/bets/:betId/options/:optionId",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
+      params: z.object({ betId: zId, optionId: zId }),
       query: z.object({}),
       body: z.object({
-        title: zOptionalString(160),
-        description: zNullableString(2000),
-        pointsCost: zPositiveInt.optional(),
-        maxAcceptances: zOptionalPositiveIntOrInfinity.optional(),
-        isActive: zBooleanString.optional()
+        label: zOptionalString(160),
+        odds: zOdds.optional(),
+        value: z.coerce.number().optional(),
+        feedMarketId: zFeedMarketId
       })
     })
   ),
   async (req, res) => {
-  const offerId = parsePositiveInt(req.params.id);
-  if (!offerId) {
-    return res.status(400).json({ ok: false, message: "Invalid offer id." });
-  }
-  const { title, description, pointsCost, maxAcceptances, isActive } = req.body || {};
-  const updates = [];
-  const values = [];
-
-  if (title !== undefined) {
-    const trimmed = String(title).trim();
-    if (!trimmed) {
-      return res.status(400).json({ ok: false, message: "title cannot be empty." });
+    const betId = parsePositiveInt(req.params.betId);
+    const optionId = parsePositiveInt(req.params.optionId);
+    if (!betId || !optionId) {
+      return res.status(400).json({ ok: false, message: "betId and optionId are required." });
     }
-    updates.push("title = ?");
-    values.push(trimmed);
-  }
-
-  if (description !== undefined) {
-    updates.push("description = ?");
-    values.push(description ? String(description).trim() : null);
-  }
-
-  if (pointsCost !== undefined) {
-    const cost = parsePositiveInt(pointsCost);
-    if (!cost) {
-      return res.status(400).json({ ok: false, message: "pointsCost must be a positive integer." });
+    const { label, odds, value, feedMarketId } = req.body || {};
+    const updates = [];
+    const values = [];
+    let newOdds = null;
+    if (label !== undefined) {
+      const trimmed = String(label).trim();
+      if (!trimmed) {
+        return res.status(400).json({ ok: false, message: "label cannot be empty." });
+      }
+      updates.push("label = ?");
+      values.push(trimmed);
     }
-    updates.push("points_cost = ?");
-    values.push(cost);
-  }
-
-  if (maxAcceptances !== undefined) {
-    const { value: maxValue, valid } = parseOptionalPositiveInt(maxAcceptances);
-    if (!valid) {
-      return res.status(400).json({ ok: false, message: "maxAcceptances must be a positive integer or null." });
+    if (odds !== undefined) {
+      const oddsValue = parseOdds(odds);
+      if (!oddsValue) {
+        return res.status(400).json({ ok: false, message: "Invalid odds." });
+      }
+      updates.push("current_odds = ?");
+      values.push(oddsValue);
+      newOdds = oddsValue;
     }
-    updates.push("max_acceptances = ?");
-    values.push(maxValue);
-  }
-
-  if (isActive !== undefined) {
-    updates.push("is_active = ?");
-    values.push(isActive ? 1 : 0);
-  }
-
-  if (!updates.length) {
-    return res.status(400).json({ ok: false, message: "No valid fields provided." });
-  }
-
-  const connection = await dbPool.getConnection();
-  try {
-    await connection.beginTransaction();
-    const [currentRows] = await connection.query("SELECT * FROM offers WHERE id = ? FOR UPDATE", [offerId]);
-    if (!currentRows.length) {
-      await connection.rollback();
-      return res.status(404).json({ ok: false, message: "Offer not found." });
+    if (value !== undefined) {
+      const parsedNumeric = Number(value);
+      if (!Number.isFinite(parsedNumeric)) {
+        return res.status(400).json({ ok: false, message: "Invalid numeric value." });
+      }
+      updates.push("numeric_value = ?");
+      values.push(Number(parsedNumeric.toFixed(2)));
     }
-
-    const current = currentRows[0];
-    if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(current.creator_user_id), connection))) {
-      await connection.rollback();
-      return res.status(403).json({ ok: false, message: "Cannot modify super admin offers." });
+    if (feedMarketId !== undefined) {
+      updates.push("feed_market_id = ?");
+      values.push(feedMarketId || null);
     }
-    if (maxAcceptances !== undefined) {
-      const maxIndex = updates.indexOf("max_acceptances = ?");
-      const maxValue = maxIndex >= 0 ? values[maxIndex] : null;
-      if (maxValue !== null && Number(current.accepted_count) > maxValue) {
+    if (!updates.length) {
+      return res.status(400).json({ ok: false, message: "No valid fields provided." });
+    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+      if (!betRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      const bet = betRows[0];
+      if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot modify super admin bets." });
+      }
+      if (bet.status === "resolved" || bet.status === "cancelled" || bet.status === "resolving") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Cannot modify options for a closed bet." });
+      }
+      const [posRows] = await connection.query(
+        "SELECT COUNT(*) AS count FROM bet_positions WHERE bet_id = ?",
+        [betId]
+      );
+      const priceFields = ["current_odds = ?", "feed_market_id = ?"];
+      if (Number(posRows[0].count) > 0 && updates.some((field) => !priceFields.includes(field))) {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "maxAcceptances cannot be lower than accepted_count." });
+        return res.status(400).json({ ok: false, message: "Cannot modify options after positions exist." });
+      }
+      if (bet.pricing_mode === "pool" && odds !== undefined) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Odds of a pool bet follow its stakes." });
+      }
+      if (feedMarketId && bet.pricing_mode !== "fixed") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Only fixed odds options can follow a feed market." });
+      }
+      const reseedMarket = bet.pricing_mode === "lmsr" && odds !== undefined;
+      if (reseedMarket && Number(posRows[0].count) > 0) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Odds of a market pricing bet follow its trades." });
+      }
+      values.push(optionId, betId);
+      const [result] = await connection.query(
+        `UPDATE bet_options SET ${updates.join(", ")} WHERE id = ? AND bet_id = ?`,
+        values
+      );
+      if (!result.affectedRows) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Option not found." });
+      }
+      if (newOdds !== null) {
+        await recordOddsHistory(connection, [{ betId, optionId, odds: newOdds }], "admin");
+      }
+      if (reseedMarket) {
+        const seeded = await seedLmsrMarket(connection, betId, Number(bet.lmsr_liquidity));
+        if (seeded.error) {
+          await connection.rollback();
+          return res.status(400).json({ ok: false, message: seeded.error });
+        }
       }
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: Number(bet.creator_user_id),
+        action: "bet_option_update",
+        reason: "bet_option_update",
+        relatedEntityType: "bet_option",
+        relatedEntityId: optionId,
+        metadata: { betId, fields: updates }
+      });
+      await connection.commit();
+      await publishBetUpdate(betId);
+      return res.json({ ok: true, optionId, betId });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Update bet option error", error);
+      return res.status(500).json({ ok: false, message: "Failed to update bet option." });
+    } finally {
+      connection.release();
     }
-
-    values.push(offerId);
-    await connection.query(`UPDATE offers SET ${updates.join(", ")} WHERE id = ?`, values);
-    const [rows] = await connection.query("SELECT * FROM offers WHERE id = ?", [offerId]);
-    await logAudit(connection, {
-      actorUserId: req.user.id,
-      targetUserId: Number(current.creator_user_id),
-      action: "offer_update",
-      reason: "offer_update",
-      relatedEntityType: "offer",
-      relatedEntityId: offerId,
-      metadata: { fields: updates }
-    });
-    await connection.commit();
-    return res.json({ ok: true, offer: serializeOffer(rows[0]) });
-  } catch (error) {
-    await connection.rollback();
-    console.error("Update offer error", error);
-    return res.status(500).json({ ok: false, message: "Failed to update offer." });
-  } finally {
-    connection.release();
-  }
   }
 );
 
-// Bets endpoints.
 registerRoute({
-  method: "post",
-  path: "/bets",
-  summary: "Create bet",
-  tags: ["Bets"],
-  body: z.object({
-    title: z.string().trim().min(1).max(160),
-    description: zNullableString(2000),
-    details: zNullableString(4000),
-    closesAt: zFutureDate,
-    betType: z.enum(["boolean", "number", "multiple"]).optional(),
-    groupId: zOptionalId.optional(),
-    group_id: zOptionalId.optional(),
-    options: z.array(
-      z.object({
-        label: z.string().trim().min(1).max(160),
-        odds: zOdds.optional(),
-        value: z.coerce.number().optional()
-      })
-    ).min(2)
-  })
+  method: "delete",
+  path: "/admin/bets/{betId}/options/{optionId}",
+  summary: "Delete bet option",
+  tags: ["Admin", "Bets"],
+  params: z.object({ betId: zId, optionId: zId })
 });
-app.post(
-  "/bets",
+app.delete(
+  "/admin/bets/:betId/options/:optionId",
   authenticate,
+  requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({}),
+      params: z.object({ betId: zId, optionId: zId }),
       query: z.object({}),
-      body: z.object({
-        title: z.string().trim().min(1).max(160),
-        description: zNullableString(2000),
-        details: zNullableString(4000),
-        closesAt: zFutureDate,
-        betType: z.enum(["boolean", "number", "multiple"]).optional(),
-        groupId: zOptionalId.optional(),
-        group_id: zOptionalId.optional(),
-        options: z.array(
-          z.object({
-            label: z.string().trim().min(1).max(160),
-            odds: zOdds.optional(),
-            value: z.coerce.number().optional()
-          })
-        ).min(2)
-      })
+      body: z.object({}).default({})
     })
   ),
   async (req, res) => {
-  try {
-    const { title, description, details, closesAt, betType, options } = req.body || {};
-    const groupIdRaw = req.body?.groupId ?? req.body?.group_id;
-    let groupId = null;
-    const creatorId = req.user.id;
-    const closeDate = parseFutureDate(closesAt);
-    if (!title || !closeDate || !Array.isArray(options) || options.length < 2) {
-      return res.status(400).json({
-        ok: false,
-        message: "title, closesAt (future date), and at least two options are required."
-      });
-    }
-
-    const normalizedType = betType ? String(betType).trim().toLowerCase() : "multiple";
-    const allowedTypes = new Set(["boolean", "number", "multiple"]);
-    const finalType = allowedTypes.has(normalizedType) ? normalizedType : "multiple";
-
-    const optionRows = [];
-    for (const option of options) {
-      const label = String(option?.label || "").trim();
-      if (!label) {
-        return res.status(400).json({ ok: false, message: "Each option must have a label." });
-      }
-      const oddsValue = parseOdds(option?.odds ?? 2.0);
-      if (!oddsValue) {
-        return res.status(400).json({ ok: false, message: "Each option must have valid odds >= 1.01." });
-      }
-      let numericValue = null;
-      if (finalType === "number") {
-        const numericInput = option?.value ?? label;
-        const parsedNumeric = Number(numericInput);
-        if (!Number.isFinite(parsedNumeric)) {
-          return res.status(400).json({ ok: false, message: "Numeric bet options must include a number." });
-        }
-        numericValue = Number(parsedNumeric.toFixed(2));
-      }
-      optionRows.push({ label, oddsValue, numericValue });
+    const betId = parsePositiveInt(req.params.betId);
+    const optionId = parsePositiveInt(req.params.optionId);
+    if (!betId || !optionId) {
+      return res.status(400).json({ ok: false, message: "betId and optionId are required." });
     }
-
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
-      if (groupIdRaw !== undefined && groupIdRaw !== null && groupIdRaw !== "") {
-        groupId = parsePositiveInt(groupIdRaw);
-        if (!groupId) {
-          await connection.rollback();
-          return res.status(400).json({ ok: false, message: "Invalid groupId." });
-        }
-        const group = await fetchGroupById(groupId, connection);
-        if (!group) {
-          await connection.rollback();
-          return res.status(404).json({ ok: false, message: "Group not found." });
-        }
-        if (!req.user.isAdmin && !(await isUserInGroup(req.user.id, groupId, connection))) {
-          await connection.rollback();
-          return res.status(403).json({ ok: false, message: "Not a member of this group." });
-        }
+      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+      if (!betRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      const bet = betRows[0];
+      if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot modify super admin bets." });
+      }
+      if (bet.status === "resolved" || bet.status === "cancelled" || bet.status === "resolving") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Cannot modify options for a closed bet." });
+      }
+      const [posRows] = await connection.query(
+        "SELECT COUNT(*) AS count FROM bet_positions WHERE bet_id = ?",
+        [betId]
+      );
+      if (Number(posRows[0].count) > 0) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Cannot modify options after positions exist." });
+      }
+      const [countRows] = await connection.query(
+        "SELECT COUNT(*) AS count FROM bet_options WHERE bet_id = ?",
+        [betId]
+      );
+      if (Number(countRows[0].count) <= 2) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet must have at least two options." });
       }
       const [result] = await connection.query(
-        "INSERT INTO bets (creator_user_id, group_id, title, description, details, bet_type, closes_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
-        [
-          creatorId,
-          groupId,
-          String(title).trim(),
-          description ? String(description).trim() : null,
-          details ? String(details).trim() : null,
-          finalType,
-          closeDate
-        ]
+        "DELETE FROM bet_options WHERE id = ? AND bet_id = ?",
+        [optionId, betId]
       );
+      if (!result.affectedRows) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Option not found." });
+      }
+      if (bet.pricing_mode === "lmsr") {
+        const seeded = await seedLmsrMarket(connection, betId, Number(bet.lmsr_liquidity));
+        if (seeded.error) {
+          await connection.rollback();
+          return res.status(400).json({ ok: false, message: seeded.error });
+        }
+      }
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: Number(bet.creator_user_id),
+        action: "bet_option_delete",
+        reason: "bet_option_delete",
+        relatedEntityType: "bet_option",
+        relatedEntityId: optionId,
+        metadata: { betId }
+      });
+      await connection.commit();
+      await publishBetUpdate(betId);
+      return res.json({ ok: true, optionId, betId });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Delete bet option error", error);
+      return res.status(500).json({ ok: false, message: "Failed to delete bet option." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// Parlay endpoints.
+const parlayMaxLegs = 10;
+const parlayMaxCombinedOdds = 1000;
+const createParlaySchema = z.object({
+  optionIds: z.array(zPositiveInt).min(2).max(parlayMaxLegs),
+  stakePoints: zPositiveInt
+});
+
+const serializeParlay = (parlay, legs = []) => ({
+  id: Number(parlay.id),
+  status: parlay.status,
+  stakePoints: Number(parlay.stake_points),
+  combinedOdds: Number(parlay.combined_odds),
+  effectiveOdds: parlay.effective_odds === null ? null : Number(parlay.effective_odds),
+  payoutPoints: parlay.payout_points === null ? null : Number(parlay.payout_points),
+  feePoints: parlay.fee_points === null ? null : Number(parlay.fee_points),
+  settledAt: parlay.settled_at ? new Date(parlay.settled_at).toISOString() : null,
+  createdAt: parlay.created_at,
+  legs
+});
+
+const serializeParlayLeg = (leg) => ({
+  id: Number(leg.id),
+  betId: Number(leg.bet_id),
+  betTitle: leg.bet_title,
+  optionId: Number(leg.bet_option_id),
+  optionLabel: leg.option_label,
+  oddsAtPurchase: Number(leg.odds_at_purchase),
+  payoutFactor: Number(leg.payout_factor ?? 1),
+  status: leg.status,
+  settledAt: leg.settled_at ? new Date(leg.settled_at).toISOString() : null
+});
+
+const fetchParlayLegs = async (parlayIds, connection = dbPool) => {
+  const legsByParlay = new Map();
+  if (!parlayIds.length) {
+    return legsByParlay;
+  }
+  const [rows] = await connection.query(
+    `SELECT l.*, b.title AS bet_title, o.label AS option_label
+     FROM parlay_legs l
+     JOIN bets b ON b.id = l.bet_id
+     JOIN bet_options o ON o.id = l.bet_option_id
+     WHERE l.parlay_id IN (?)
+     ORDER BY l.id ASC`,
+    [parlayIds]
+  );
+  for (const row of rows) {
+    const parlayId = Number(row.parlay_id);
+    if (!legsByParlay.has(parlayId)) {
+      legsByParlay.set(parlayId, []);
+    }
+    legsByParlay.get(parlayId).push(serializeParlayLeg(row));
+  }
+  return legsByParlay;
+};
+
+registerRoute({
+  method: "post",
+  path: "/parlays",
+  summary: "Place a parlay (accumulator) across several bets",
+  tags: ["Bets"],
+  body: createParlaySchema,
+  responses: {
+    201: {
+      description: "Parlay placed",
+      content: { "application/json": { schema: ParlayCreatedSchema } }
+    },
+    400: {
+      description: "Bad Request",
+      content: { "application/json": { schema: ErrorResponseSchema } }
+    }
+  }
+});
+app.post(
+  "/parlays",
+  authenticate,
+  requireVerifiedEmail,
+  validateRequest(z.object({ params: z.object({}), query: z.object({}), body: createParlaySchema })),
+  withIdempotency("parlay_create", async (req, res) => {
+  const optionIds = req.body.optionIds.map(Number);
+  const stakePoints = req.body.stakePoints;
+  if (new Set(optionIds).size !== optionIds.length) {
+    return res.status(400).json({ ok: false, message: "Each option can only be selected once." });
+  }
 
-      const betId = result.insertId;
-      for (const optionRow of optionRows) {
-        await connection.query(
-          "INSERT INTO bet_options (bet_id, label, numeric_value, current_odds) VALUES (?, ?, ?, ?)",
-          [betId, optionRow.label, optionRow.numericValue, optionRow.oddsValue]
-        );
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [optionRows] = await connection.query(
+      "SELECT id, bet_id, label, current_odds FROM bet_options WHERE id IN (?) FOR UPDATE",
+      [optionIds]
+    );
+    if (optionRows.length !== optionIds.length) {
+      await connection.rollback();
+      return res.status(404).json({ ok: false, message: "Option not found." });
+    }
+    const betIds = optionRows.map((option) => Number(option.bet_id));
+    if (new Set(betIds).size !== betIds.length) {
+      await connection.rollback();
+      return res.status(400).json({ ok: false, message: "Each leg must be on a different bet." });
+    }
+    const [betRows] = await connection.query("SELECT * FROM bets WHERE id IN (?) FOR UPDATE", [betIds]);
+    for (const bet of betRows) {
+      if (!(await canAccessGroupResource(bet.group_id, req.user, connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Access denied." });
+      }
+      const closesAt = new Date(bet.closes_at);
+      if (bet.status !== "open" || closesAt.getTime() <= Date.now()) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: `Bet ${bet.id} is closed for new positions.` });
+      }
+      // Parlays pay fixed odds: they would break an LMSR subsidy bound and pool odds are only known at resolution.
+      if (bet.pricing_mode && bet.pricing_mode !== "fixed") {
+        await connection.rollback();
+        return res.status(400).json({
+          ok: false,
+          message: `Bet ${bet.id} uses ${bet.pricing_mode} pricing and cannot be in a parlay.`
+        });
       }
+    }
 
-      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ?", [betId]);
-      const [optionRowsDb] = await connection.query("SELECT * FROM bet_options WHERE bet_id = ?", [betId]);
-      await logAudit(connection, {
-        actorUserId: creatorId,
-        targetUserId: creatorId,
-        action: "bet_create",
-        reason: "bet_create",
-        relatedEntityType: "bet",
-        relatedEntityId: betId
-      });
-      await connection.commit();
+    const combinedOdds = roundParlayOdds(
+      optionRows.reduce((total, option) => total * Number(option.current_odds), 1)
+    );
+    if (combinedOdds > parlayMaxCombinedOdds) {
+      await connection.rollback();
+      return res.status(400).json({ ok: false, message: `Combined odds cannot exceed ${parlayMaxCombinedOdds}.` });
+    }
+    const limitRefusal = await checkExposureLimits(connection, req.user.id, stakePoints);
+    if (limitRefusal) {
+      await connection.rollback();
+      return res.status(403).json({ ok: false, message: limitRefusal });
+    }
 
-      return res.status(201).json({
-        ok: true,
-        bet: serializeBet(betRows[0], optionRowsDb.map(serializeBetOption))
+    const [parlayResult] = await connection.query(
+      "INSERT INTO parlays (user_id, stake_points, combined_odds, status) VALUES (?, ?, ?, 'open')",
+      [req.user.id, stakePoints, combinedOdds]
+    );
+    const parlayId = Number(parlayResult.insertId);
+    for (const option of optionRows) {
+      await connection.query(
+        "INSERT INTO parlay_legs (parlay_id, bet_id, bet_option_id, odds_at_purchase, status) VALUES (?, ?, ?, ?, 'open')",
+        [parlayId, Number(option.bet_id), Number(option.id), Number(option.current_odds)]
+      );
+    }
+
+    let userPoints = null;
+    try {
+      const debitResult = await applyPointsDelta(connection, {
+        userId: req.user.id,
+        delta: -stakePoints,
+        counterAccount: "bet_escrow",
+        actorUserId: req.user.id,
+        action: "parlay_stake_debit",
+        reason: "parlay_create",
+        relatedEntityType: "parlay",
+        relatedEntityId: parlayId,
+        metadata: { combinedOdds, legs: optionIds.length }
       });
+      userPoints = debitResult.after;
     } catch (error) {
       await connection.rollback();
+      if (error.message === "Insufficient points") {
+        return res.status(400).json({ ok: false, message: "Insufficient points." });
+      }
       throw error;
-    } finally {
-      connection.release();
     }
+
+    await logAudit(connection, {
+      actorUserId: req.user.id,
+      targetUserId: req.user.id,
+      action: "parlay_create",
+      reason: "parlay_create",
+      relatedEntityType: "parlay",
+      relatedEntityId: parlayId,
+      metadata: { optionIds, stakePoints, combinedOdds }
+    });
+
+    const [createdRows] = await connection.query("SELECT * FROM parlays WHERE id = ?", [parlayId]);
+    const legsByParlay = await fetchParlayLegs([parlayId], connection);
+    await connection.commit();
+    return res.status(201).json({
+      ok: true,
+      parlay: serializeParlay(createdRows[0], legsByParlay.get(parlayId) || []),
+      potentialPayout: Math.floor(stakePoints * combinedOdds),
+      userPoints
+    });
   } catch (error) {
-    console.error("Create bet error", error);
-    return res.status(500).json({ ok: false, message: "Failed to create bet." });
-  }
+    await connection.rollback();
+    console.error("Create parlay error", error);
+    return res.status(500).json({ ok: false, message: "Failed to place parlay." });
+  } finally {
+    connection.release();
   }
+  })
 );
 
+const listParlaysQuerySchema = z.object({
+  limit: zLimit.optional(),
+  offset: zOffset.optional(),
+  status: z.enum(["open", "won", "lost", "void"]).optional()
+});
+
 registerRoute({
   method: "get",
-  path: "/bets",
-  summary: "List bets",
+  path: "/me/parlays",
+  summary: "List my parlays",
   tags: ["Bets"],
+  query: listParlaysQuerySchema,
+  responses: {
+    200: {
+      description: "Parlays",
+      content: { "application/json": { schema: ParlayListSchema } }
+    }
+  }
+});
+app.get(
+  "/me/parlays",
+  authenticate,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      body: z.object({}).default({}),
+      query: listParlaysQuerySchema
+    })
+  ),
+  async (req, res) => {
+    try {
+      const limit = req.query.limit ?? 50;
+      const offset = req.query.offset ?? 0;
+      const params = [req.user.id];
+      let statusClause = "";
+      if (req.query.status) {
+        statusClause = "AND status = ?";
+        params.push(req.query.status);
+      }
+      const [rows] = await dbPool.query(
+        `SELECT * FROM parlays WHERE user_id = ? ${statusClause} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const legsByParlay = await fetchParlayLegs(rows.map((row) => Number(row.id)));
+      return res.json({
+        ok: true,
+        parlays: rows.map((row) => serializeParlay(row, legsByParlay.get(Number(row.id)) || []))
+      });
+    } catch (error) {
+      console.error("List parlays error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list parlays." });
+    }
+  }
+);
+
+// Admin: list bets that are past close time and not resolved yet.
+registerRoute({
+  method: "get",
+  path: "/admin/bets/pending-resolution",
+  summary: "List bets pending resolution",
+  tags: ["Admin", "Bets"],
   query: z.object({
-    active: zBooleanString.optional(),
     limit: zLimit.optional(),
-    offset: zOffset.optional(),
-    sort: z.enum(["created_at", "closes_at"]).optional(),
-    order: zSortOrder.optional(),
-    search: zSearch
+    offset: zOffset.optional()
   })
 });
 app.get(
-  "/bets",
-  optionalAuthenticate,
+  "/admin/bets/pending-resolution",
+  authenticate,
+  requireAdmin,
   validateRequest(
     z.object({
       params: z.object({}),
       body: z.object({}).default({}),
       query: z.object({
-        active: zBooleanString.optional(),
         limit: zLimit.optional(),
-        offset: zOffset.optional(),
-        sort: z.enum(["created_at", "closes_at"]).optional(),
-        order: zSortOrder.optional(),
-        search: zSearch
+        offset: zOffset.optional()
       })
     })
   ),
   async (req, res) => {
     try {
-      const onlyActive = req.query.active !== undefined ? req.query.active : false;
-      const limit = req.query.limit ?? 50;
+      const limit = req.query.limit ?? 100;
       const offset = req.query.offset ?? 0;
-      const sortKey = req.query.sort || "created_at";
-      const order = req.query.order || "desc";
-      const search = req.query.search;
-      const sortMap = {
-        created_at: "created_at",
-        closes_at: "closes_at"
-      };
-      const sortColumn = sortMap[sortKey] || "created_at";
-      const orderSql = order === "asc" ? "ASC" : "DESC";
-
-      const clauses = [];
-      const params = [];
-      if (onlyActive) {
-        clauses.push("status = 'open' AND closes_at > NOW()");
-      }
-      if (search) {
-        clauses.push("(title LIKE ? OR description LIKE ? OR details LIKE ?)");
-        const like = `%${search}%`;
-        params.push(like, like, like);
-      }
-      if (!req.user) {
-        clauses.push("group_id IS NULL");
-      } else if (!req.user.isAdmin) {
-        const groupIds = await fetchUserGroupIds(req.user.id);
-        const filter = buildGroupAccessFilter(groupIds);
-        clauses.push(`(${filter.clause})`);
-        params.push(...filter.params);
-      }
-      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
       const [bets] = await dbPool.query(
-        `SELECT * FROM bets ${where} ORDER BY ${sortColumn} ${orderSql} LIMIT ? OFFSET ?`,
-        [...params, limit, offset]
+        "SELECT * FROM bets WHERE closes_at <= NOW() AND resolved_at IS NULL AND status NOT IN ('cancelled', 'resolving', 'proposed') ORDER BY closes_at ASC LIMIT ? OFFSET ?",
+        [limit, offset]
       );
       if (!bets.length) {
         return res.json({ ok: true, bets: [] });
@@ -4979,93 +9472,378 @@ app.get(
       );
       const optionsByBet = new Map();
       for (const option of options) {
-        const betId = Number(option.bet_id);
-        if (!optionsByBet.has(betId)) {
-          optionsByBet.set(betId, []);
+        const id = Number(option.bet_id);
+        if (!optionsByBet.has(id)) {
+          optionsByBet.set(id, []);
         }
-        optionsByBet.get(betId).push(serializeBetOption(option));
+        optionsByBet.get(id).push(serializeBetOption(option));
+      }
+      const payoutFeeRules = await loadPayoutFeeRules(dbPool, bets);
+      return res.json({
+        ok: true,
+        bets: bets.map((bet) => serializeBet(bet, optionsByBet.get(Number(bet.id)) || [], payoutFeeRules))
+      });
+    } catch (error) {
+      console.error("Pending bets error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch pending bets." });
+    }
+  }
+);
+
+// Numeric bets settle from an observed value. "bucket": each option is the lower bound of a range up to
+// the next option; "exact": equal value; "closest": nearest value(s); "over_under": two options around a line.
+const validateNumericSettlement = (values, rule, line) => {
+  if (rule !== "over_under") {
+    if (line !== undefined && line !== null) {
+      return { error: "settlementLine only applies to over_under bets." };
+    }
+    return { line: null };
+  }
+  if (values.length !== 2 || values[0] === values[1]) {
+    return { error: "An over_under bet needs exactly two options with different values (under, then over)." };
+  }
+  if (line === undefined || line === null || !Number.isFinite(Number(line))) {
+    return { error: "settlementLine is required for over_under bets." };
+  }
+  return { line: Number(Number(line).toFixed(2)) };
+};
+
+// Maps an observed value to a resolve body: one winner, a dead heat between equal matches, or a push (void).
+const matchNumericOutcome = (options, observedValue, rule, line) => {
+  const observed = Number(observedValue.toFixed(2));
+  const valued = options
+    .filter((option) => option.numeric_value !== null)
+    .map((option) => ({ id: Number(option.id), value: Number(option.numeric_value) }))
+    .sort((a, b) => a.value - b.value);
+  if (!valued.length) {
+    return { error: "This bet has no numeric options." };
+  }
+  const winnersAt = (value) => {
+    const matches = valued.filter((option) => option.value === value);
+    if (matches.length === 1) {
+      return { resultOptionId: matches[0].id };
+    }
+    return { winners: matches.map((option) => ({ optionId: option.id })), payoutMode: "split" };
+  };
+
+  if (rule === "exact") {
+    if (!valued.some((option) => option.value === observed)) {
+      return { error: "No option matches the observed value exactly." };
+    }
+    return winnersAt(observed);
+  }
+  if (rule === "closest") {
+    const distance = Math.min(...valued.map((option) => Math.abs(option.value - observed)));
+    const matches = valued.filter((option) => Math.abs(option.value - observed) === distance);
+    if (matches.length === 1) {
+      return { resultOptionId: matches[0].id };
+    }
+    return { winners: matches.map((option) => ({ optionId: option.id })), payoutMode: "split" };
+  }
+  if (rule === "over_under") {
+    if (valued.length !== 2 || valued[0].value === valued[1].value || line === null || line === undefined) {
+      return { error: "This over_under bet is misconfigured." };
+    }
+    if (observed === Number(line)) {
+      return { outcome: "void" };
+    }
+    return { resultOptionId: observed < Number(line) ? valued[0].id : valued[1].id };
+  }
+  const bucket = valued.filter((option) => option.value <= observed).pop();
+  if (!bucket) {
+    return { error: "Observed value is below the lowest bucket." };
+  }
+  return winnersAt(bucket.value);
+};
+
+// Admin: resolve a bet by enqueueing a payout job.
+const resolveBetBodySchema = z.object({
+  outcome: z.enum(["win", "void"]).optional(),
+  resultOptionId: zPositiveInt.optional(),
+  winners: z.array(
+    z.object({
+      optionId: zPositiveInt,
+      factor: z.coerce.number().positive().max(1).optional()
+    })
+  ).min(1).max(20).optional(),
+  payoutMode: z.enum(["full", "split"]).optional(),
+  observedValue: z.coerce.number().finite().optional()
+});
+
+// Turns a resolve body into the job resolution: "full" pays every winner its odds,
+// "split" (dead heat) divides the stake between winners unless explicit factors are given.
+const buildBetResolution = (body) => {
+  const outcome = body.outcome || "win";
+  if (outcome === "void") {
+    if (body.resultOptionId || body.winners) {
+      return { error: "A void resolution cannot name winners." };
+    }
+    return { resolution: { outcome: "void", type: "void", payoutMode: null, winners: [] } };
+  }
+  const requested = body.winners || (body.resultOptionId ? [{ optionId: body.resultOptionId }] : []);
+  if (!requested.length) {
+    return { error: "resultOptionId or winners is required." };
+  }
+  const optionIds = requested.map((winner) => Number(winner.optionId));
+  if (new Set(optionIds).size !== optionIds.length) {
+    return { error: "Each winning option can only be listed once." };
+  }
+  const payoutMode = body.payoutMode || "full";
+  const defaultFactor = payoutMode === "split" ? 1 / requested.length : 1;
+  const winners = requested.map((winner) => ({
+    optionId: Number(winner.optionId),
+    factor: Number((winner.factor ?? defaultFactor).toFixed(4))
+  }));
+  let type = winners.length > 1 ? "multiple" : "single";
+  if (winners.some((winner) => winner.factor < 1)) {
+    type = "dead_heat";
+  }
+  return { resolution: { outcome: "win", type, payoutMode, winners } };
+};
+
+// Turns a resolve body (explicit winners or an observed value) into a payout resolution checked against the bet.
+const buildResolutionForBet = async (connection, bet, body) => {
+  const betId = Number(bet.id);
+  const observedValue = body.observedValue;
+  let built = null;
+  let settlementRule = null;
+  if (observedValue !== undefined) {
+    if (body.outcome || body.resultOptionId || body.winners) {
+      return { status: 400, error: "Send either observedValue or an explicit outcome." };
+    }
+    if (bet.bet_type !== "number") {
+      return { status: 400, error: "observedValue only applies to number bets." };
+    }
+    settlementRule = bet.settlement_rule || "bucket";
+    const [numericOptions] = await connection.query(
+      "SELECT id, numeric_value FROM bet_options WHERE bet_id = ?",
+      [betId]
+    );
+    const matched = matchNumericOutcome(numericOptions, observedValue, settlementRule, bet.settlement_line);
+    built = matched.error ? matched : buildBetResolution(matched);
+  } else {
+    built = buildBetResolution(body);
+  }
+  if (built.error) {
+    return { status: 400, error: built.error };
+  }
+  const { resolution } = built;
+  const winningIds = resolution.winners.map((winner) => winner.optionId);
+  if (winningIds.length > 1 && bet.bet_type === "boolean") {
+    return { status: 400, error: "A boolean bet has a single winning option." };
+  }
+  // The LMSR subsidy bound assumes one winning outcome: several winners may only share it.
+  const totalFactor = resolution.winners.reduce((total, winner) => total + winner.factor, 0);
+  if (bet.pricing_mode === "lmsr" && totalFactor > 1.0001) {
+    return { status: 400, error: "Winners of a market pricing bet must split the payout." };
+  }
+  if (winningIds.length) {
+    const [optionRows] = await connection.query(
+      "SELECT id FROM bet_options WHERE bet_id = ? AND id IN (?)",
+      [betId, winningIds]
+    );
+    if (optionRows.length !== winningIds.length) {
+      return { status: 404, error: "Result option not found." };
+    }
+  }
+  return {
+    resolution,
+    observedValue: observedValue === undefined ? null : Number(observedValue.toFixed(2)),
+    settlementRule
+  };
+};
+
+registerRoute({
+  method: "post",
+  path: "/admin/bets/{id}/resolve",
+  summary: "Resolve bet (enqueue payouts)",
+  tags: ["Admin", "Bets"],
+  params: z.object({ id: zId }),
+  body: resolveBetBodySchema
+});
+app.post(
+  "/admin/bets/:id/resolve",
+  authenticate,
+  requireAdmin,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: resolveBetBodySchema
+    })
+  ),
+  withIdempotency("admin_bet_resolve", async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "bet id is required." });
+    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+      if (!betRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      const bet = betRows[0];
+      if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot resolve super admin bets." });
       }
+      if (bet.status === "cancelled") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet is cancelled." });
+      }
+      if (bet.resolved_at || bet.status === "resolved") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet already resolved." });
+      }
+      const built = await buildResolutionForBet(connection, bet, req.body || {});
+      if (built.error) {
+        await connection.rollback();
+        return res.status(built.status).json({ ok: false, message: built.error });
+      }
+      const { resolution, observedValue, settlementRule } = built;
 
-      if (req.user) {
-        await logAudit(dbPool, {
-          actorUserId: req.user.id,
-          action: "bet_list",
-          reason: "bet_list",
-          metadata: { count: bets.length, limit, offset, sort: sortColumn, order: orderSql, search }
-        });
+      const queued = await queueBetResolution(connection, {
+        bet,
+        resolution,
+        observedValue,
+        resolvedBy: req.user.id,
+        metadata: { requestedBy: req.user.id, observedValue, settlementRule }
+      });
+      if (queued.alreadyCompleted) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet already resolved." });
       }
+      const { jobResult, resultOptionId } = queued;
+
+      // An admin decision replaces any community proposal still waiting on this bet.
+      await connection.query(
+        `UPDATE bet_resolution_proposals
+         SET status = 'overturned', decided_by = ?, decided_at = NOW(), updated_at = NOW()
+         WHERE bet_id = ? AND status IN ('pending', 'disputed')`,
+        [req.user.id, betId]
+      );
+
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: null,
+        action: "bet_resolve_queued",
+        reason: "bet_resolve_queued",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: { resultOptionId, resolution, observedValue, settlementRule, jobId: jobResult.jobId }
+      });
+
+      await connection.commit();
+      await publishBetUpdate(betId);
       return res.json({
         ok: true,
-        bets: bets.map((bet) => serializeBet(bet, optionsByBet.get(Number(bet.id)) || []))
+        betId,
+        resultOptionId,
+        outcome: resolution.outcome,
+        resolutionType: resolution.type,
+        payoutMode: resolution.payoutMode,
+        winners: resolution.winners,
+        observedValue,
+        settlementRule,
+        jobId: jobResult.jobId,
+        queued: true
       });
     } catch (error) {
-      console.error("List bets error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list bets." });
+      await connection.rollback();
+      console.error("Resolve bet error", error);
+      return res.status(500).json({ ok: false, message: "Failed to resolve bet." });
+    } finally {
+      connection.release();
     }
-  }
+  })
 );
 
-registerRoute({
-  method: "get",
-  path: "/bets/{id}",
-  summary: "Get bet",
-  tags: ["Bets"],
-  params: z.object({ id: zId }),
-  query: z.object({})
+const serializeBetDispute = (row) => ({
+  id: Number(row.id),
+  proposalId: Number(row.proposal_id),
+  userId: Number(row.user_id),
+  reason: row.reason,
+  evidenceUrl: row.evidence_url || null,
+  createdAt: row.created_at
 });
-app.get(
-  "/bets/:id",
-  optionalAuthenticate,
-  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: z.object({}).default({}) })),
-  async (req, res) => {
-  const betId = parsePositiveInt(req.params.id);
-  if (!betId) {
-    return res.status(400).json({ ok: false, message: "Invalid bet id." });
+
+const serializeResolutionProposal = (row, disputes = []) => {
+  const resolution = typeof row.resolution === "string" ? JSON.parse(row.resolution) : row.resolution;
+  return {
+    id: Number(row.id),
+    betId: Number(row.bet_id),
+    proposerUserId: Number(row.proposer_user_id),
+    outcome: resolution.outcome,
+    resolutionType: resolution.type,
+    payoutMode: resolution.payoutMode,
+    winners: resolution.winners,
+    observedValue: row.observed_value === null ? null : Number(row.observed_value),
+    settlementRule: row.settlement_rule || null,
+    status: row.status,
+    disputeDeadline: row.dispute_deadline,
+    decidedBy: row.decided_by === null ? null : Number(row.decided_by),
+    decidedAt: row.decided_at,
+    createdAt: row.created_at,
+    disputes: disputes.map(serializeBetDispute)
+  };
+};
+
+const fetchProposalDisputes = async (proposalIds, connection = dbPool) => {
+  const disputesByProposal = new Map();
+  if (!proposalIds.length) {
+    return disputesByProposal;
   }
-  try {
-    const [betRows] = await dbPool.query("SELECT * FROM bets WHERE id = ?", [betId]);
-    if (!betRows.length) {
-      return res.status(404).json({ ok: false, message: "Bet not found." });
-    }
-    const bet = betRows[0];
-    if (!(await canAccessGroupResource(bet.group_id, req.user))) {
-      return res.status(403).json({ ok: false, message: "Access denied." });
+  const [rows] = await connection.query(
+    "SELECT * FROM bet_disputes WHERE proposal_id IN (?) ORDER BY id",
+    [proposalIds]
+  );
+  for (const row of rows) {
+    const proposalId = Number(row.proposal_id);
+    if (!disputesByProposal.has(proposalId)) {
+      disputesByProposal.set(proposalId, []);
     }
-    const [options] = await dbPool.query("SELECT * FROM bet_options WHERE bet_id = ?", [betId]);
-    return res.json({ ok: true, bet: serializeBet(bet, options.map(serializeBetOption)) });
-  } catch (error) {
-    console.error("Fetch bet error", error);
-    return res.status(500).json({ ok: false, message: "Failed to fetch bet." });
+    disputesByProposal.get(proposalId).push(row);
   }
-  }
-);
+  return disputesByProposal;
+};
+
+const { publishBetEvent, publishBetUpdate, publishBetPayouts } = createBetPublishers({
+  getClient: () => redisQueueClient,
+  getDb: () => dbPool,
+  logger,
+  betEventsChannel,
+  betUpdatesChannel
+});
 
+// Community resolution: the creator proposes, holders may dispute until the deadline, the worker finalizes the rest.
 registerRoute({
   method: "post",
-  path: "/bets/{id}/buy",
-  summary: "Buy bet position",
+  path: "/bets/{id}/resolution-proposal",
+  summary: "Propose bet outcome (community resolution)",
   tags: ["Bets"],
   params: z.object({ id: zId }),
-  body: z.object({ optionId: zPositiveInt, stakePoints: zPositiveInt.optional(), points: zPositiveInt.optional() })
+  body: resolveBetBodySchema
 });
 app.post(
-  "/bets/:id/buy",
+  "/bets/:id/resolution-proposal",
   authenticate,
+  requireVerifiedEmail,
   validateRequest(
     z.object({
       params: z.object({ id: zId }),
       query: z.object({}),
-      body: z.object({ optionId: zPositiveInt, stakePoints: zPositiveInt.optional(), points: zPositiveInt.optional() })
+      body: resolveBetBodySchema
     })
   ),
-  withIdempotency("bet_buy", async (req, res) => {
+  withIdempotency("bet_propose_resolution", async (req, res) => {
     const betId = parsePositiveInt(req.params.id);
-    const optionId = parsePositiveInt(req.body?.optionId);
-    const stakePoints = parsePositiveInt(req.body?.stakePoints ?? req.body?.points);
-    if (!betId || !optionId || !stakePoints) {
-      return res.status(400).json({ ok: false, message: "bet id, optionId, and stakePoints are required." });
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "bet id is required." });
     }
-
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
@@ -5076,106 +9854,160 @@ app.post(
         return res.status(404).json({ ok: false, message: "Bet not found." });
       }
       const bet = betRows[0];
-      if (!(await canAccessGroupResource(bet.group_id, req.user, connection))) {
+      if (Number(bet.creator_user_id) !== req.user.id) {
         await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Access denied." });
+        return res.status(403).json({ ok: false, message: "Only the bet creator can propose an outcome." });
       }
-      const closesAt = new Date(bet.closes_at);
-      if (bet.status !== "open" || closesAt.getTime() <= Date.now()) {
+      if (bet.resolution_mode !== "community") {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Bet is closed for new positions." });
+        return res.status(400).json({ ok: false, message: "This bet is resolved by admins." });
       }
-
-      const [optionRows] = await connection.query(
-        "SELECT * FROM bet_options WHERE id = ? AND bet_id = ? FOR UPDATE",
-        [optionId, betId]
-      );
-      if (!optionRows.length) {
+      if (!["open", "closed"].includes(bet.status)) {
         await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Option not found." });
+        return res.status(400).json({ ok: false, message: `Bet is ${bet.status}.` });
       }
-
-      let userPoints = null;
-      try {
-        const debitResult = await applyPointsDelta(connection, {
-          userId: req.user.id,
-          delta: -stakePoints,
-          actorUserId: req.user.id,
-          action: "bet_buy_debit",
-          reason: "bet_buy",
-          relatedEntityType: "bet",
-          relatedEntityId: betId
-        });
-        userPoints = debitResult.after;
-      } catch (error) {
+      const closesAt = new Date(bet.closes_at);
+      if (Number.isFinite(closesAt.getTime()) && closesAt.getTime() > Date.now()) {
         await connection.rollback();
-        if (error.message === "Insufficient points") {
-          return res.status(400).json({ ok: false, message: "Insufficient points." });
-        }
-        throw error;
+        return res.status(400).json({ ok: false, message: "Bet is still open." });
+      }
+      const built = await buildResolutionForBet(connection, bet, req.body || {});
+      if (built.error) {
+        await connection.rollback();
+        return res.status(built.status).json({ ok: false, message: built.error });
       }
 
-      const oddsAtPurchase = Number(optionRows[0].current_odds);
-      const [positionResult] = await connection.query(
-        "INSERT INTO bet_positions (bet_id, bet_option_id, user_id, stake_points, odds_at_purchase, status) VALUES (?, ?, ?, ?, ?, 'open')",
-        [betId, optionId, req.user.id, stakePoints, oddsAtPurchase]
+      const windowMinutes = Number(bet.dispute_window_minutes) || betDisputeWindowMinutes;
+      const [insertResult] = await connection.query(
+        `INSERT INTO bet_resolution_proposals
+           (bet_id, proposer_user_id, resolution, observed_value, settlement_rule, dispute_deadline)
+         VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+        [betId, req.user.id, JSON.stringify(built.resolution), built.observedValue, built.settlementRule, windowMinutes]
       );
-
+      await connection.query("UPDATE bets SET status = 'proposed', updated_at = NOW() WHERE id = ?", [betId]);
       await logAudit(connection, {
         actorUserId: req.user.id,
         targetUserId: req.user.id,
-        action: "bet_buy",
-        reason: "bet_buy",
+        action: "bet_resolution_proposed",
+        reason: "community_resolution",
         relatedEntityType: "bet",
         relatedEntityId: betId,
-        metadata: { optionId, stakePoints, oddsAtPurchase }
+        metadata: { proposalId: insertResult.insertId, resolution: built.resolution, windowMinutes }
       });
-
+      const [proposalRows] = await connection.query(
+        "SELECT * FROM bet_resolution_proposals WHERE id = ?",
+        [insertResult.insertId]
+      );
+      const [holderRows] = await connection.query(
+        "SELECT DISTINCT user_id AS userId FROM bet_positions WHERE bet_id = ? AND status = 'open'",
+        [betId]
+      );
       await connection.commit();
-      return res.json({
-        ok: true,
-        positionId: positionResult.insertId,
+
+      const proposal = serializeResolutionProposal(proposalRows[0]);
+      await publishBetUpdate(betId);
+      await publishBetEvent({
+        type: "bet_resolution_proposed",
         betId,
-        optionId,
-        stakePoints,
-        oddsAtPurchase,
-        userPoints
+        proposalId: proposal.id,
+        disputeDeadline: proposal.disputeDeadline,
+        userIds: holderRows.map((row) => Number(row.userId))
       });
+      return res.status(201).json({ ok: true, proposal });
     } catch (error) {
       await connection.rollback();
-      console.error("Buy bet error", error);
-      return res.status(500).json({ ok: false, message: "Failed to buy bet position." });
+      console.error("Propose resolution error", error);
+      return res.status(500).json({ ok: false, message: "Failed to propose resolution." });
     } finally {
       connection.release();
     }
   })
 );
 
+registerRoute({
+  method: "get",
+  path: "/bets/{id}/resolution-proposal",
+  summary: "Get the latest proposed outcome and its disputes",
+  tags: ["Bets"],
+  params: z.object({ id: zId })
+});
+app.get(
+  "/bets/:id/resolution-proposal",
+  authenticate,
+  validateRequest(
+    z.object({
+      params: z.object({ id: zId }),
+      query: z.object({}),
+      body: z.object({}).default({})
+    })
+  ),
+  async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "Invalid bet id." });
+    }
+    try {
+      const [betRows] = await dbPool.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
+      if (!betRows.length) {
+        return res.status(404).json({ ok: false, message: "Bet not found." });
+      }
+      if (!(await canAccessGroupResource(betRows[0].group_id, req.user))) {
+        return res.status(403).json({ ok: false, message: "Access denied." });
+      }
+      const [rows] = await dbPool.query(
+        "SELECT * FROM bet_resolution_proposals WHERE bet_id = ? ORDER BY id DESC LIMIT 1",
+        [betId]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ ok: false, message: "No proposed outcome for this bet." });
+      }
+      const disputesByProposal = await fetchProposalDisputes([Number(rows[0].id)]);
+      return res.json({
+        ok: true,
+        proposal: serializeResolutionProposal(rows[0], disputesByProposal.get(Number(rows[0].id)) || [])
+      });
+    } catch (error) {
+      console.error("Fetch resolution proposal error", error);
+      return res.status(500).json({ ok: false, message: "Failed to fetch resolution proposal." });
+    }
+  }
+);
+
+const disputeBodySchema = z.object({
+  reason: z.string().trim().min(3).max(1000),
+  evidenceUrl: z
+    .string()
+    .trim()
+    .url()
+    .max(512)
+    .refine((value) => /^https?:\/\//i.test(value), { message: "Must be an http(s) URL." })
+    .optional()
+});
+
 registerRoute({
   method: "post",
-  path: "/bets/{id}/sell",
-  summary: "Sell bet position",
+  path: "/bets/{id}/disputes",
+  summary: "Dispute a proposed outcome",
   tags: ["Bets"],
   params: z.object({ id: zId }),
-  body: z.object({ positionId: zPositiveInt })
+  body: disputeBodySchema
 });
 app.post(
-  "/bets/:id/sell",
+  "/bets/:id/disputes",
   authenticate,
+  requireVerifiedEmail,
   validateRequest(
     z.object({
       params: z.object({ id: zId }),
       query: z.object({}),
-      body: z.object({ positionId: zPositiveInt })
+      body: disputeBodySchema
     })
   ),
-  withIdempotency("bet_sell", async (req, res) => {
+  withIdempotency("bet_dispute", async (req, res) => {
     const betId = parsePositiveInt(req.params.id);
-    const positionId = parsePositiveInt(req.body.positionId);
-    if (!betId || !positionId) {
-      return res.status(400).json({ ok: false, message: "bet id and positionId are required." });
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "bet id is required." });
     }
-
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
@@ -5185,383 +10017,453 @@ app.post(
         await connection.rollback();
         return res.status(404).json({ ok: false, message: "Bet not found." });
       }
-      const bet = betRows[0];
-      if (!(await canAccessGroupResource(bet.group_id, req.user, connection))) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Access denied." });
-      }
-      const closesAt = new Date(bet.closes_at);
-      if (bet.status !== "open" || !Number.isFinite(closesAt.getTime()) || closesAt.getTime() <= Date.now()) {
-        await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Bet is closed for selling." });
-      }
-
-      const [positionRows] = await connection.query(
-        "SELECT * FROM bet_positions WHERE id = ? AND bet_id = ? AND user_id = ? FOR UPDATE",
-        [positionId, betId, req.user.id]
+      const [proposalRows] = await connection.query(
+        `SELECT *, dispute_deadline > NOW() AS isWithinWindow
+         FROM bet_resolution_proposals
+         WHERE bet_id = ? AND status IN ('pending', 'disputed')
+         ORDER BY id DESC LIMIT 1
+         FOR UPDATE`,
+        [betId]
       );
-      if (!positionRows.length) {
+      if (!proposalRows.length) {
         await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Position not found." });
+        return res.status(400).json({ ok: false, message: "No proposed outcome to dispute." });
       }
-
-      const position = positionRows[0];
-      if (position.status !== "open") {
+      const proposal = proposalRows[0];
+      if (!Number(proposal.isWithinWindow)) {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Position is not open." });
+        return res.status(400).json({ ok: false, message: "The dispute window is over." });
       }
-
-      const [optionRows] = await connection.query(
-        "SELECT * FROM bet_options WHERE id = ? FOR UPDATE",
-        [position.bet_option_id]
-      );
-      if (!optionRows.length) {
+      if (Number(proposal.proposer_user_id) === req.user.id) {
         await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Option not found." });
+        return res.status(400).json({ ok: false, message: "You cannot dispute your own proposal." });
       }
-
-      const currentOdds = Number(optionRows[0].current_odds);
-      const purchaseOdds = Number(position.odds_at_purchase);
-      const stake = Number(position.stake_points);
-      const rawCashout = stake * (currentOdds / purchaseOdds);
-      const cashoutPoints = Math.max(0, Math.floor(rawCashout));
-      const fee = calculateFee(cashoutPoints);
-      const netCashout = cashoutPoints - fee;
-
-      let userPoints = null;
-      if (netCashout > 0) {
-        const deltaResult = await applyPointsDelta(connection, {
-          userId: req.user.id,
-          delta: netCashout,
-          actorUserId: req.user.id,
-          action: "bet_sell_credit",
-          reason: "bet_sell",
-          relatedEntityType: "bet",
-          relatedEntityId: betId
-        });
-        userPoints = deltaResult.after;
-      } else {
-        const [userRows] = await connection.query("SELECT points FROM users WHERE id = ? FOR UPDATE", [req.user.id]);
-        userPoints = Number(userRows[0]?.points ?? 0);
+      const [positionRows] = await connection.query(
+        "SELECT id FROM bet_positions WHERE bet_id = ? AND user_id = ? AND status = 'open' LIMIT 1",
+        [betId, req.user.id]
+      );
+      if (!positionRows.length) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Only position holders can dispute an outcome." });
+      }
+      const [existingRows] = await connection.query(
+        "SELECT id FROM bet_disputes WHERE proposal_id = ? AND user_id = ?",
+        [proposal.id, req.user.id]
+      );
+      if (existingRows.length) {
+        await connection.rollback();
+        return res.status(409).json({ ok: false, message: "You already disputed this outcome." });
       }
 
+      const [insertResult] = await connection.query(
+        "INSERT INTO bet_disputes (proposal_id, bet_id, user_id, reason, evidence_url) VALUES (?, ?, ?, ?, ?)",
+        [proposal.id, betId, req.user.id, req.body.reason, req.body.evidenceUrl || null]
+      );
       await connection.query(
-        "UPDATE bet_positions SET status = 'sold', sold_points = ?, sold_at = NOW(), updated_at = NOW() WHERE id = ?",
-        [netCashout, positionId]
+        "UPDATE bet_resolution_proposals SET status = 'disputed', updated_at = NOW() WHERE id = ?",
+        [proposal.id]
       );
-
+      await connection.query("UPDATE bets SET status = 'disputed', updated_at = NOW() WHERE id = ?", [betId]);
       await logAudit(connection, {
         actorUserId: req.user.id,
-        targetUserId: req.user.id,
-        action: "bet_sell",
-        reason: "bet_sell",
-        relatedEntityType: "bet",
-        relatedEntityId: betId,
-        metadata: { positionId, cashoutPoints: netCashout, fee, currentOdds, purchaseOdds }
-      });
-
-      await creditFeeToSuperAdmin(connection, fee, {
-        actorUserId: req.user.id,
-        action: "fee_bet_sell",
-        reason: "bet_sell_fee",
+        targetUserId: Number(proposal.proposer_user_id),
+        action: "bet_dispute",
+        reason: "community_resolution",
         relatedEntityType: "bet",
         relatedEntityId: betId,
-        metadata: { fee, positionId }
+        metadata: { proposalId: Number(proposal.id), disputeId: insertResult.insertId, evidenceUrl: req.body.evidenceUrl || null }
       });
-
+      const [disputeRows] = await connection.query("SELECT * FROM bet_disputes WHERE id = ?", [insertResult.insertId]);
       await connection.commit();
-      return res.json({
-        ok: true,
-        positionId,
+
+      await publishBetUpdate(betId);
+      await publishBetEvent({
+        type: "bet_disputed",
+        audience: "admins",
         betId,
-        cashoutPoints: netCashout,
-        fee,
-        userPoints
+        proposalId: Number(proposal.id),
+        title: betRows[0].title
       });
+      return res.status(201).json({ ok: true, dispute: serializeBetDispute(disputeRows[0]) });
     } catch (error) {
       await connection.rollback();
-      console.error("Sell bet error", error);
-      return res.status(500).json({ ok: false, message: "Failed to sell bet position." });
+      console.error("Dispute bet error", error);
+      return res.status(500).json({ ok: false, message: "Failed to dispute outcome." });
     } finally {
       connection.release();
     }
   })
 );
 
+// Admin: community proposals that at least one holder disputed.
 registerRoute({
   method: "get",
-  path: "/bets/{id}/positions",
-  summary: "List my positions for a bet",
-  tags: ["Bets"],
-  params: z.object({ id: zId }),
+  path: "/admin/bets/disputes",
+  summary: "List disputed bet outcomes",
+  tags: ["Admin", "Bets"],
   query: z.object({
     limit: zLimit.optional(),
-    offset: zOffset.optional(),
-    sort: z.enum(["created_at"]).optional(),
-    order: zSortOrder.optional()
+    offset: zOffset.optional()
   })
 });
 app.get(
-  "/bets/:id/positions",
+  "/admin/bets/disputes",
   authenticate,
+  requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
+      params: z.object({}),
       body: z.object({}).default({}),
       query: z.object({
         limit: zLimit.optional(),
-        offset: zOffset.optional(),
-        sort: z.enum(["created_at"]).optional(),
-        order: zSortOrder.optional()
+        offset: zOffset.optional()
       })
     })
   ),
   async (req, res) => {
-    const betId = parsePositiveInt(req.params.id);
-    if (!betId) {
-      return res.status(400).json({ ok: false, message: "Invalid bet id." });
-    }
     try {
       const limit = req.query.limit ?? 100;
       const offset = req.query.offset ?? 0;
-      const sortKey = req.query.sort || "created_at";
-      const order = req.query.order || "desc";
-      const orderSql = order === "asc" ? "ASC" : "DESC";
-      const sortColumn = sortKey === "created_at" ? "created_at" : "created_at";
-
-      const [betRows] = await dbPool.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
-      if (!betRows.length) {
-        return res.status(404).json({ ok: false, message: "Bet not found." });
+      const [proposals] = await dbPool.query(
+        `SELECT * FROM bet_resolution_proposals
+         WHERE status = 'disputed'
+         ORDER BY dispute_deadline ASC
+         LIMIT ? OFFSET ?`,
+        [limit, offset]
+      );
+      if (!proposals.length) {
+        return res.json({ ok: true, disputes: [] });
       }
-      if (!(await canAccessGroupResource(betRows[0].group_id, req.user))) {
-        return res.status(403).json({ ok: false, message: "Access denied." });
+      const betIds = proposals.map((proposal) => Number(proposal.bet_id));
+      const [bets] = await dbPool.query("SELECT * FROM bets WHERE id IN (?)", [betIds]);
+      const [options] = await dbPool.query("SELECT * FROM bet_options WHERE bet_id IN (?)", [betIds]);
+      const optionsByBet = new Map();
+      for (const option of options) {
+        const id = Number(option.bet_id);
+        if (!optionsByBet.has(id)) {
+          optionsByBet.set(id, []);
+        }
+        optionsByBet.get(id).push(serializeBetOption(option));
       }
-      const [rows] = await dbPool.query(
-        `SELECT id, bet_id AS betId, bet_option_id AS optionId, stake_points AS stakePoints, odds_at_purchase AS oddsAtPurchase, status,
-                payout_points AS payoutPoints, sold_points AS soldPoints, created_at AS createdAt
-         FROM bet_positions
-         WHERE bet_id = ? AND user_id = ?
-         ORDER BY ${sortColumn} ${orderSql}
-         LIMIT ? OFFSET ?`,
-        [betId, req.user.id, limit, offset]
+      const payoutFeeRules = await loadPayoutFeeRules(dbPool, bets);
+      const betsById = new Map(
+        bets.map((bet) => [Number(bet.id), serializeBet(bet, optionsByBet.get(Number(bet.id)) || [], payoutFeeRules)])
       );
-      return res.json({ ok: true, positions: rows });
+      const disputesByProposal = await fetchProposalDisputes(proposals.map((proposal) => Number(proposal.id)));
+      return res.json({
+        ok: true,
+        disputes: proposals.map((proposal) => ({
+          bet: betsById.get(Number(proposal.bet_id)) || null,
+          proposal: serializeResolutionProposal(proposal, disputesByProposal.get(Number(proposal.id)) || [])
+        }))
+      });
     } catch (error) {
-      console.error("List positions error", error);
-      return res.status(500).json({ ok: false, message: "Failed to list positions." });
+      console.error("List disputes error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list disputes." });
     }
   }
 );
 
+// Admin: keep the creator's outcome despite the disputes. Overturning goes through POST /admin/bets/:id/resolve.
 registerRoute({
   method: "post",
-  path: "/admin/bets/{id}/options",
-  summary: "Create bet option",
+  path: "/admin/bets/disputes/{id}/uphold",
+  summary: "Uphold a disputed outcome",
   tags: ["Admin", "Bets"],
-  params: z.object({ id: zId }),
-  body: z.object({
-    label: z.string().trim().min(1).max(160),
-    odds: zOdds.optional(),
-    value: z.coerce.number().optional()
-  })
+  params: z.object({ id: zId })
 });
 app.post(
-  "/admin/bets/:id/options",
+  "/admin/bets/disputes/:id/uphold",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
       params: z.object({ id: zId }),
       query: z.object({}),
-      body: z.object({
-        label: z.string().trim().min(1).max(160),
-        odds: zOdds.optional(),
-        value: z.coerce.number().optional()
-      })
+      body: z.object({}).default({})
     })
   ),
-  async (req, res) => {
-  const betId = parsePositiveInt(req.params.id);
-  const { label, odds, value } = req.body || {};
-  if (!betId || !label) {
-    return res.status(400).json({ ok: false, message: "bet id and label are required." });
-  }
-  const oddsValue = parseOdds(odds ?? 2.0);
-  if (!oddsValue) {
-    return res.status(400).json({ ok: false, message: "Invalid odds." });
-  }
-  const connection = await dbPool.getConnection();
-  try {
-    await connection.beginTransaction();
-    const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
-    if (!betRows.length) {
-      await connection.rollback();
-      return res.status(404).json({ ok: false, message: "Bet not found." });
-    }
-    const bet = betRows[0];
-    if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
-      await connection.rollback();
-      return res.status(403).json({ ok: false, message: "Cannot modify super admin bets." });
-    }
-    if (bet.status === "resolved" || bet.status === "cancelled" || bet.status === "resolving") {
-      await connection.rollback();
-      return res.status(400).json({ ok: false, message: "Cannot modify options for a closed bet." });
-    }
-    const [posRows] = await connection.query(
-      "SELECT COUNT(*) AS count FROM bet_positions WHERE bet_id = ?",
-      [betId]
-    );
-    if (Number(posRows[0].count) > 0) {
-      await connection.rollback();
-      return res.status(400).json({ ok: false, message: "Cannot modify options after positions exist." });
+  withIdempotency("admin_dispute_uphold", async (req, res) => {
+    const proposalId = parsePositiveInt(req.params.id);
+    if (!proposalId) {
+      return res.status(400).json({ ok: false, message: "proposal id is required." });
     }
-    let numericValue = null;
-    if (bet.bet_type === "number") {
-      const numericInput = value ?? label;
-      const parsedNumeric = Number(numericInput);
-      if (!Number.isFinite(parsedNumeric)) {
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [proposalRows] = await connection.query(
+        "SELECT * FROM bet_resolution_proposals WHERE id = ? FOR UPDATE",
+        [proposalId]
+      );
+      if (!proposalRows.length) {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Numeric bet options must include a number." });
+        return res.status(404).json({ ok: false, message: "Proposal not found." });
       }
-      numericValue = Number(parsedNumeric.toFixed(2));
+      const proposal = proposalRows[0];
+      if (proposal.status !== "disputed") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Proposal is not disputed." });
+      }
+      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [proposal.bet_id]);
+      const bet = betRows[0];
+      if (!bet || bet.status !== "disputed") {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet is no longer waiting on this dispute." });
+      }
+      if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Cannot resolve super admin bets." });
+      }
+      const resolution = typeof proposal.resolution === "string" ? JSON.parse(proposal.resolution) : proposal.resolution;
+      const observedValue = proposal.observed_value === null ? null : Number(proposal.observed_value);
+      const queued = await queueBetResolution(connection, {
+        bet,
+        resolution,
+        observedValue,
+        resolvedBy: req.user.id,
+        metadata: { requestedBy: req.user.id, proposalId, upheld: true }
+      });
+      if (queued.alreadyCompleted) {
+        await connection.rollback();
+        return res.status(400).json({ ok: false, message: "Bet already resolved." });
+      }
+      await connection.query(
+        `UPDATE bet_resolution_proposals
+         SET status = 'upheld', decided_by = ?, decided_at = NOW(), updated_at = NOW()
+         WHERE id = ?`,
+        [req.user.id, proposalId]
+      );
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: Number(proposal.proposer_user_id),
+        action: "bet_dispute_upheld",
+        reason: "community_resolution",
+        relatedEntityType: "bet",
+        relatedEntityId: Number(bet.id),
+        metadata: { proposalId, resolution, jobId: queued.jobResult.jobId }
+      });
+
+      await connection.commit();
+      await publishBetUpdate(Number(bet.id));
+      return res.json({
+        ok: true,
+        betId: Number(bet.id),
+        proposalId,
+        resultOptionId: queued.resultOptionId,
+        resolutionType: resolution.type,
+        jobId: queued.jobResult.jobId,
+        queued: true
+      });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Uphold dispute error", error);
+      return res.status(500).json({ ok: false, message: "Failed to uphold outcome." });
+    } finally {
+      connection.release();
     }
-    const [result] = await connection.query(
-      "INSERT INTO bet_options (bet_id, label, numeric_value, current_odds) VALUES (?, ?, ?, ?)",
-      [betId, String(label).trim(), numericValue, oddsValue]
+  })
+);
+
+// Bet comments: threaded discussion under a bet. Deleted comments stay as placeholders so replies keep their parent.
+const betCommentBodySchema = z.object({ body: z.string().trim().min(1).max(2000) });
+const createBetCommentBodySchema = betCommentBodySchema.extend({ parentId: zPositiveInt.optional() });
+
+const serializeBetComment = (row) => {
+  const deleted = Boolean(row.deleted_at);
+  let deletedBy = null;
+  if (deleted) {
+    deletedBy = Number(row.deleted_by_user_id) === Number(row.user_id) ? "author" : "moderator";
+  }
+  return {
+    id: Number(row.id),
+    betId: Number(row.bet_id),
+    parentId: row.parent_comment_id === null ? null : Number(row.parent_comment_id),
+    author: { id: Number(row.user_id), name: row.authorName },
+    body: deleted ? null : row.body,
+    deleted,
+    deletedBy,
+    editedAt: row.edited_at,
+    createdAt: row.created_at
+  };
+};
+
+const loadBetComment = async (connection, betId, commentId, lock = false) => {
+  const [rows] = await connection.query(
+    `SELECT c.*, COALESCE(u.profile_alias, u.name) AS authorName, u.is_super_admin AS authorIsSuperAdmin
+     FROM bet_comments c
+     JOIN users u ON u.id = c.user_id
+     WHERE c.id = ? AND c.bet_id = ?${lock ? " FOR UPDATE" : ""}`,
+    [commentId, betId]
+  );
+  return rows[0] || null;
+};
+
+// Subscribers of the bet on /ws/odds receive every change; there is no per-user filtering for comments.
+const publishBetComment = async (action, comment) => {
+  if (!redisQueueClient) {
+    return;
+  }
+  try {
+    await redisQueueClient.publish(
+      betUpdatesChannel,
+      JSON.stringify({ type: "bet_comment", action, betId: comment.betId, comment, emittedAt: new Date().toISOString() })
     );
-    await logAudit(connection, {
-      actorUserId: req.user.id,
-      targetUserId: Number(bet.creator_user_id),
-      action: "bet_option_create",
-      reason: "bet_option_create",
-      relatedEntityType: "bet_option",
-      relatedEntityId: result.insertId,
-      metadata: { betId, odds: oddsValue }
-    });
-    await connection.commit();
-    return res.status(201).json({ ok: true, optionId: result.insertId, betId });
   } catch (error) {
-    await connection.rollback();
-    console.error("Create bet option error", error);
-    return res.status(500).json({ ok: false, message: "Failed to create bet option." });
-  } finally {
-    connection.release();
+    logger.warn({ err: error, betId: comment.betId }, "Failed to publish bet comment");
   }
-  }
-);
+};
+
+const softDeleteBetComment = async (connection, commentId, deletedByUserId) => {
+  await connection.query(
+    "UPDATE bet_comments SET body = NULL, deleted_at = NOW(), deleted_by_user_id = ? WHERE id = ?",
+    [deletedByUserId, commentId]
+  );
+};
 
 registerRoute({
-  method: "patch",
-  path: "/admin/bets/{betId}/options/{optionId}",
-  summary: "Update bet option",
-  tags: ["Admin", "Bets"],
-  params: z.object({ betId: zId, optionId: zId }),
-  body: z.object({
-    label: zOptionalString(160),
-    odds: zOdds.optional(),
-    value: z.coerce.number().optional()
-  })
+  method: "get",
+  path: "/bets/{id}/comments",
+  summary: "List bet comments",
+  tags: ["Bets"],
+  params: z.object({ id: zId }),
+  query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() })
 });
-app.patch(
-  "/admin/bets/:betId/options/:optionId",
-  authenticate,
-  requireAdmin,
+app.get(
+  "/bets/:id/comments",
+  optionalAuthenticate,
   validateRequest(
     z.object({
-      params: z.object({ betId: zId, optionId: zId }),
-      query: z.object({}),
-      body: z.object({
-        label: zOptionalString(160),
-        odds: zOdds.optional(),
-        value: z.coerce.number().optional()
-      })
+      params: z.object({ id: zId }),
+      query: z.object({ limit: zLimit.optional(), offset: zOffset.optional() }),
+      body: z.object({}).default({})
     })
   ),
   async (req, res) => {
-    const betId = parsePositiveInt(req.params.betId);
-    const optionId = parsePositiveInt(req.params.optionId);
-    if (!betId || !optionId) {
-      return res.status(400).json({ ok: false, message: "betId and optionId are required." });
-    }
-    const { label, odds, value } = req.body || {};
-    const updates = [];
-    const values = [];
-    if (label !== undefined) {
-      const trimmed = String(label).trim();
-      if (!trimmed) {
-        return res.status(400).json({ ok: false, message: "label cannot be empty." });
-      }
-      updates.push("label = ?");
-      values.push(trimmed);
+    const betId = parsePositiveInt(req.params.id);
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "Invalid bet id." });
     }
-    if (odds !== undefined) {
-      const oddsValue = parseOdds(odds);
-      if (!oddsValue) {
-        return res.status(400).json({ ok: false, message: "Invalid odds." });
+    const limit = Math.min(req.query.limit ?? 20, 100);
+    const offset = req.query.offset ?? 0;
+    try {
+      const [betRows] = await dbPool.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
+      if (!betRows.length) {
+        return res.status(404).json({ ok: false, message: "Bet not found." });
       }
-      updates.push("current_odds = ?");
-      values.push(oddsValue);
-    }
-    if (value !== undefined) {
-      const parsedNumeric = Number(value);
-      if (!Number.isFinite(parsedNumeric)) {
-        return res.status(400).json({ ok: false, message: "Invalid numeric value." });
+      if (!(await canAccessGroupResource(betRows[0].group_id, req.user))) {
+        return res.status(403).json({ ok: false, message: "Access denied." });
       }
-      updates.push("numeric_value = ?");
-      values.push(Number(parsedNumeric.toFixed(2)));
+      // Pages are made of threads (newest first); each thread comes with all its replies, oldest first.
+      const [countRows] = await dbPool.query(
+        "SELECT COUNT(*) AS count FROM bet_comments WHERE bet_id = ? AND parent_comment_id IS NULL",
+        [betId]
+      );
+      const [rootRows] = await dbPool.query(
+        `SELECT id FROM bet_comments
+         WHERE bet_id = ? AND parent_comment_id IS NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [betId, limit, offset]
+      );
+      const rootIds = rootRows.map((row) => Number(row.id));
+      let rows = [];
+      if (rootIds.length) {
+        [rows] = await dbPool.query(
+          `SELECT c.*, COALESCE(u.profile_alias, u.name) AS authorName
+           FROM bet_comments c
+           JOIN users u ON u.id = c.user_id
+           WHERE c.bet_id = ? AND (c.id IN (?) OR c.thread_root_id IN (?))
+           ORDER BY c.created_at ASC, c.id ASC`,
+          [betId, rootIds, rootIds]
+        );
+      }
+      const byId = new Map(rows.map((row) => [Number(row.id), { ...serializeBetComment(row), replies: [] }]));
+      for (const comment of byId.values()) {
+        if (comment.parentId !== null && byId.has(comment.parentId)) {
+          byId.get(comment.parentId).replies.push(comment);
+        }
+      }
+      return res.json({
+        ok: true,
+        comments: rootIds.map((id) => byId.get(id)).filter(Boolean),
+        total: Number(countRows[0].count),
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error("List bet comments error", error);
+      return res.status(500).json({ ok: false, message: "Failed to list comments." });
     }
-    if (!updates.length) {
-      return res.status(400).json({ ok: false, message: "No valid fields provided." });
+  }
+);
+
+registerRoute({
+  method: "post",
+  path: "/bets/{id}/comments",
+  summary: "Comment on a bet",
+  tags: ["Bets"],
+  params: z.object({ id: zId }),
+  body: createBetCommentBodySchema
+});
+app.post(
+  "/bets/:id/comments",
+  authenticate,
+  requireVerifiedEmail,
+  commentLimiter,
+  validateRequest(z.object({ params: z.object({ id: zId }), query: z.object({}), body: createBetCommentBodySchema })),
+  async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    if (!betId) {
+      return res.status(400).json({ ok: false, message: "Invalid bet id." });
     }
+    const { body, parentId } = req.body;
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
-      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+      const [betRows] = await connection.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
       if (!betRows.length) {
         await connection.rollback();
         return res.status(404).json({ ok: false, message: "Bet not found." });
       }
-      const bet = betRows[0];
-      if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot modify super admin bets." });
-      }
-      if (bet.status === "resolved" || bet.status === "cancelled" || bet.status === "resolving") {
+      if (!(await canAccessGroupResource(betRows[0].group_id, req.user, connection))) {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Cannot modify options for a closed bet." });
+        return res.status(403).json({ ok: false, message: "Access denied." });
       }
-      const [posRows] = await connection.query(
-        "SELECT COUNT(*) AS count FROM bet_positions WHERE bet_id = ?",
-        [betId]
-      );
-      if (Number(posRows[0].count) > 0 && updates.some((field) => field !== "current_odds = ?")) {
-        await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Cannot modify options after positions exist." });
+      let threadRootId = null;
+      if (parentId) {
+        const parent = await loadBetComment(connection, betId, parentId);
+        if (!parent) {
+          await connection.rollback();
+          return res.status(404).json({ ok: false, message: "Parent comment not found." });
+        }
+        if (parent.deleted_at) {
+          await connection.rollback();
+          return res.status(400).json({ ok: false, message: "Cannot reply to a deleted comment." });
+        }
+        threadRootId = parent.thread_root_id === null ? Number(parent.id) : Number(parent.thread_root_id);
       }
-      values.push(optionId, betId);
       const [result] = await connection.query(
-        `UPDATE bet_options SET ${updates.join(", ")} WHERE id = ? AND bet_id = ?`,
-        values
+        "INSERT INTO bet_comments (bet_id, user_id, parent_comment_id, thread_root_id, body) VALUES (?, ?, ?, ?, ?)",
+        [betId, req.user.id, parentId || null, threadRootId, body]
       );
-      if (!result.affectedRows) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Option not found." });
-      }
       await logAudit(connection, {
         actorUserId: req.user.id,
-        targetUserId: Number(bet.creator_user_id),
-        action: "bet_option_update",
-        reason: "bet_option_update",
-        relatedEntityType: "bet_option",
-        relatedEntityId: optionId,
-        metadata: { betId, fields: updates }
+        targetUserId: req.user.id,
+        action: "bet_comment_create",
+        reason: "bet_comment",
+        relatedEntityType: "bet_comment",
+        relatedEntityId: result.insertId,
+        metadata: { betId, parentId: parentId || null }
       });
+      const comment = serializeBetComment(await loadBetComment(connection, betId, result.insertId));
       await connection.commit();
-      return res.json({ ok: true, optionId, betId });
+      await publishBetComment("created", comment);
+      return res.status(201).json({ ok: true, comment });
     } catch (error) {
       await connection.rollback();
-      console.error("Update bet option error", error);
-      return res.status(500).json({ ok: false, message: "Failed to update bet option." });
+      console.error("Create bet comment error", error);
+      return res.status(500).json({ ok: false, message: "Failed to create comment." });
     } finally {
       connection.release();
     }
@@ -5569,252 +10471,200 @@ app.patch(
 );
 
 registerRoute({
-  method: "delete",
-  path: "/admin/bets/{betId}/options/{optionId}",
-  summary: "Delete bet option",
-  tags: ["Admin", "Bets"],
-  params: z.object({ betId: zId, optionId: zId })
+  method: "patch",
+  path: "/bets/{id}/comments/{commentId}",
+  summary: "Edit own bet comment",
+  tags: ["Bets"],
+  params: z.object({ id: zId, commentId: zId }),
+  body: betCommentBodySchema
 });
-app.delete(
-  "/admin/bets/:betId/options/:optionId",
+app.patch(
+  "/bets/:id/comments/:commentId",
   authenticate,
-  requireAdmin,
+  commentLimiter,
   validateRequest(
-    z.object({
-      params: z.object({ betId: zId, optionId: zId }),
-      query: z.object({}),
-      body: z.object({}).default({})
-    })
+    z.object({ params: z.object({ id: zId, commentId: zId }), query: z.object({}), body: betCommentBodySchema })
   ),
   async (req, res) => {
-    const betId = parsePositiveInt(req.params.betId);
-    const optionId = parsePositiveInt(req.params.optionId);
-    if (!betId || !optionId) {
-      return res.status(400).json({ ok: false, message: "betId and optionId are required." });
+    const betId = parsePositiveInt(req.params.id);
+    const commentId = parsePositiveInt(req.params.commentId);
+    if (!betId || !commentId) {
+      return res.status(400).json({ ok: false, message: "Invalid comment id." });
     }
     const connection = await dbPool.getConnection();
     try {
       await connection.beginTransaction();
-      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
+      // Authors who lost access to the bet's group can no longer touch their comments there.
+      const [betRows] = await connection.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
       if (!betRows.length) {
         await connection.rollback();
         return res.status(404).json({ ok: false, message: "Bet not found." });
       }
-      const bet = betRows[0];
-      if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot modify super admin bets." });
-      }
-      if (bet.status === "resolved" || bet.status === "cancelled" || bet.status === "resolving") {
-        await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Cannot modify options for a closed bet." });
-      }
-      const [posRows] = await connection.query(
-        "SELECT COUNT(*) AS count FROM bet_positions WHERE bet_id = ?",
-        [betId]
-      );
-      if (Number(posRows[0].count) > 0) {
+      if (!(await canAccessGroupResource(betRows[0].group_id, req.user, connection))) {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Cannot modify options after positions exist." });
+        return res.status(403).json({ ok: false, message: "Access denied." });
       }
-      const [countRows] = await connection.query(
-        "SELECT COUNT(*) AS count FROM bet_options WHERE bet_id = ?",
-        [betId]
-      );
-      if (Number(countRows[0].count) <= 2) {
+      const existing = await loadBetComment(connection, betId, commentId, true);
+      if (!existing || existing.deleted_at) {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Bet must have at least two options." });
+        return res.status(404).json({ ok: false, message: "Comment not found." });
       }
-      const [result] = await connection.query(
-        "DELETE FROM bet_options WHERE id = ? AND bet_id = ?",
-        [optionId, betId]
-      );
-      if (!result.affectedRows) {
+      if (Number(existing.user_id) !== req.user.id) {
         await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Option not found." });
+        return res.status(403).json({ ok: false, message: "Only the author can edit a comment." });
       }
+      await connection.query("UPDATE bet_comments SET body = ?, edited_at = NOW() WHERE id = ?", [
+        req.body.body,
+        commentId
+      ]);
       await logAudit(connection, {
         actorUserId: req.user.id,
-        targetUserId: Number(bet.creator_user_id),
-        action: "bet_option_delete",
-        reason: "bet_option_delete",
-        relatedEntityType: "bet_option",
-        relatedEntityId: optionId,
+        targetUserId: req.user.id,
+        action: "bet_comment_edit",
+        reason: "bet_comment",
+        relatedEntityType: "bet_comment",
+        relatedEntityId: commentId,
         metadata: { betId }
       });
+      const comment = serializeBetComment(await loadBetComment(connection, betId, commentId));
       await connection.commit();
-      return res.json({ ok: true, optionId, betId });
+      await publishBetComment("edited", comment);
+      return res.json({ ok: true, comment });
     } catch (error) {
       await connection.rollback();
-      console.error("Delete bet option error", error);
-      return res.status(500).json({ ok: false, message: "Failed to delete bet option." });
+      console.error("Edit bet comment error", error);
+      return res.status(500).json({ ok: false, message: "Failed to edit comment." });
     } finally {
       connection.release();
     }
   }
 );
 
-// Admin: list bets that are past close time and not resolved yet.
 registerRoute({
-  method: "get",
-  path: "/admin/bets/pending-resolution",
-  summary: "List bets pending resolution",
-  tags: ["Admin", "Bets"],
-  query: z.object({
-    limit: zLimit.optional(),
-    offset: zOffset.optional()
-  })
+  method: "delete",
+  path: "/bets/{id}/comments/{commentId}",
+  summary: "Delete own bet comment",
+  tags: ["Bets"],
+  params: z.object({ id: zId, commentId: zId })
 });
-app.get(
-  "/admin/bets/pending-resolution",
+app.delete(
+  "/bets/:id/comments/:commentId",
   authenticate,
-  requireAdmin,
   validateRequest(
-    z.object({
-      params: z.object({}),
-      body: z.object({}).default({}),
-      query: z.object({
-        limit: zLimit.optional(),
-        offset: zOffset.optional()
-      })
-    })
+    z.object({ params: z.object({ id: zId, commentId: zId }), query: z.object({}), body: z.object({}).default({}) })
   ),
   async (req, res) => {
+    const betId = parsePositiveInt(req.params.id);
+    const commentId = parsePositiveInt(req.params.commentId);
+    if (!betId || !commentId) {
+      return res.status(400).json({ ok: false, message: "Invalid comment id." });
+    }
+    const connection = await dbPool.getConnection();
     try {
-      const limit = req.query.limit ?? 100;
-      const offset = req.query.offset ?? 0;
-      const [bets] = await dbPool.query(
-        "SELECT * FROM bets WHERE closes_at <= NOW() AND resolved_at IS NULL AND status NOT IN ('cancelled', 'resolving') ORDER BY closes_at ASC LIMIT ? OFFSET ?",
-        [limit, offset]
-      );
-      if (!bets.length) {
-        return res.json({ ok: true, bets: [] });
+      await connection.beginTransaction();
+      // Authors who lost access to the bet's group can no longer touch their comments there.
+      const [betRows] = await connection.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
+      if (!betRows.length) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Bet not found." });
       }
-      const betIds = bets.map((bet) => bet.id);
-      const [options] = await dbPool.query(
-        `SELECT * FROM bet_options WHERE bet_id IN (${betIds.map(() => "?").join(",")})`,
-        betIds
-      );
-      const optionsByBet = new Map();
-      for (const option of options) {
-        const id = Number(option.bet_id);
-        if (!optionsByBet.has(id)) {
-          optionsByBet.set(id, []);
-        }
-        optionsByBet.get(id).push(serializeBetOption(option));
+      if (!(await canAccessGroupResource(betRows[0].group_id, req.user, connection))) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Access denied." });
       }
-      return res.json({
-        ok: true,
-        bets: bets.map((bet) => serializeBet(bet, optionsByBet.get(Number(bet.id)) || []))
+      const existing = await loadBetComment(connection, betId, commentId, true);
+      if (!existing || existing.deleted_at) {
+        await connection.rollback();
+        return res.status(404).json({ ok: false, message: "Comment not found." });
+      }
+      if (Number(existing.user_id) !== req.user.id) {
+        await connection.rollback();
+        return res.status(403).json({ ok: false, message: "Only the author can delete a comment." });
+      }
+      await softDeleteBetComment(connection, commentId, req.user.id);
+      await logAudit(connection, {
+        actorUserId: req.user.id,
+        targetUserId: req.user.id,
+        action: "bet_comment_delete",
+        reason: "bet_comment",
+        relatedEntityType: "bet_comment",
+        relatedEntityId: commentId,
+        metadata: { betId }
       });
+      const comment = serializeBetComment(await loadBetComment(connection, betId, commentId));
+      await connection.commit();
+      await publishBetComment("deleted", comment);
+      return res.json({ ok: true, comment });
     } catch (error) {
-      console.error("Pending bets error", error);
-      return res.status(500).json({ ok: false, message: "Failed to fetch pending bets." });
+      await connection.rollback();
+      console.error("Delete bet comment error", error);
+      return res.status(500).json({ ok: false, message: "Failed to delete comment." });
+    } finally {
+      connection.release();
     }
   }
 );
 
-// Admin: resolve a bet by enqueueing a payout job.
+// Admin moderation: same soft delete, attributed to the moderator and audited with the reason.
 registerRoute({
-  method: "post",
-  path: "/admin/bets/{id}/resolve",
-  summary: "Resolve bet (enqueue payouts)",
+  method: "delete",
+  path: "/admin/bets/{betId}/comments/{commentId}",
+  summary: "Moderate bet comment",
   tags: ["Admin", "Bets"],
-  params: z.object({ id: zId }),
-  body: z.object({ resultOptionId: zPositiveInt })
+  params: z.object({ betId: zId, commentId: zId }),
+  body: z.object({ reason: zOptionalString(500) })
 });
-app.post(
-  "/admin/bets/:id/resolve",
+app.delete(
+  "/admin/bets/:betId/comments/:commentId",
   authenticate,
   requireAdmin,
   validateRequest(
     z.object({
-      params: z.object({ id: zId }),
+      params: z.object({ betId: zId, commentId: zId }),
       query: z.object({}),
-      body: z.object({ resultOptionId: zPositiveInt })
+      body: z.object({ reason: zOptionalString(500) }).default({})
     })
   ),
-  withIdempotency("admin_bet_resolve", async (req, res) => {
-    const betId = parsePositiveInt(req.params.id);
-    const resultOptionId = parsePositiveInt(req.body?.resultOptionId);
-    if (!betId || !resultOptionId) {
-      return res.status(400).json({ ok: false, message: "bet id and resultOptionId are required." });
-    }
-
-    const connection = await dbPool.getConnection();
-    try {
-      await connection.beginTransaction();
-
-      const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
-      if (!betRows.length) {
-        await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Bet not found." });
-      }
-      const bet = betRows[0];
-      if (!req.user.isSuperAdmin && (await isSuperAdminUserId(Number(bet.creator_user_id), connection))) {
-        await connection.rollback();
-        return res.status(403).json({ ok: false, message: "Cannot resolve super admin bets." });
-      }
-      if (bet.status === "cancelled") {
-        await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Bet is cancelled." });
-      }
-      if (bet.resolved_at || bet.status === "resolved") {
-        await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Bet already resolved." });
-      }
-
-      const [optionRows] = await connection.query(
-        "SELECT id FROM bet_options WHERE id = ? AND bet_id = ?",
-        [resultOptionId, betId]
-      );
-      if (!optionRows.length) {
+  async (req, res) => {
+    const betId = parsePositiveInt(req.params.betId);
+    const commentId = parsePositiveInt(req.params.commentId);
+    if (!betId || !commentId) {
+      return res.status(400).json({ ok: false, message: "Invalid comment id." });
+    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const existing = await loadBetComment(connection, betId, commentId, true);
+      if (!existing || existing.deleted_at) {
         await connection.rollback();
-        return res.status(404).json({ ok: false, message: "Result option not found." });
+        return res.status(404).json({ ok: false, message: "Comment not found." });
       }
-
-      const jobResult = await enqueuePayoutJob(connection, {
-        betId,
-        resultOptionId,
-        resolvedBy: req.user.id,
-        metadata: { requestedBy: req.user.id }
-      });
-      if (jobResult.alreadyCompleted) {
+      if (!req.user.isSuperAdmin && Boolean(existing.authorIsSuperAdmin)) {
         await connection.rollback();
-        return res.status(400).json({ ok: false, message: "Bet already resolved." });
+        return res.status(403).json({ ok: false, message: "Cannot moderate super admin comments." });
       }
-
-      await connection.query(
-        "UPDATE bets SET status = 'resolving', result_option_id = ?, updated_at = NOW() WHERE id = ?",
-        [resultOptionId, betId]
-      );
-
+      await softDeleteBetComment(connection, commentId, req.user.id);
       await logAudit(connection, {
         actorUserId: req.user.id,
-        targetUserId: null,
-        action: "bet_resolve_queued",
-        reason: "bet_resolve_queued",
-        relatedEntityType: "bet",
-        relatedEntityId: betId,
-        metadata: { resultOptionId, jobId: jobResult.jobId }
+        targetUserId: Number(existing.user_id),
+        action: "bet_comment_moderate",
+        reason: req.body.reason || "bet_comment_moderation",
+        relatedEntityType: "bet_comment",
+        relatedEntityId: commentId,
+        metadata: { betId, body: existing.body }
       });
-
+      const comment = serializeBetComment(await loadBetComment(connection, betId, commentId));
       await connection.commit();
-      return res.json({
-        ok: true,
-        betId,
-        resultOptionId,
-        jobId: jobResult.jobId,
-        queued: true
-      });
+      await publishBetComment("deleted", comment);
+      return res.json({ ok: true, comment });
     } catch (error) {
       await connection.rollback();
-      console.error("Resolve bet error", error);
-      return res.status(500).json({ ok: false, message: "Failed to resolve bet." });
+      console.error("Moderate bet comment error", error);
+      return res.status(500).json({ ok: false, message: "Failed to moderate comment." });
     } finally {
       connection.release();
     }
-  })
+  }
 );
 
 registerRoute({
@@ -5938,7 +10788,9 @@ app.patch(
       metadata: { fields: updates }
     });
     await connection.commit();
-    return res.json({ ok: true, bet: serializeBet(updatedRows[0], options.map(serializeBetOption)) });
+    await publishBetUpdate(betId);
+    const payoutFeeRules = await loadPayoutFeeRules(dbPool, updatedRows);
+    return res.json({ ok: true, bet: serializeBet(updatedRows[0], options.map(serializeBetOption), payoutFeeRules) });
   } catch (error) {
     await connection.rollback();
     console.error("Update bet error", error);
@@ -6007,6 +10859,7 @@ app.delete(
         await applyPointsDelta(connection, {
           userId,
           delta: refund,
+          counterAccount: "bet_escrow",
           actorUserId: req.user.id,
           action: "bet_refund",
           reason: "bet_cancel",
@@ -6020,16 +10873,23 @@ app.delete(
         "UPDATE bets SET status = 'cancelled', updated_at = NOW() WHERE id = ?",
         [betId]
       );
+      const settledParlays = await settleParlaysForBet(connection, {
+        betId,
+        actorUserId: req.user.id,
+        reason: "bet_cancel"
+      });
       await logAudit(connection, {
         actorUserId: req.user.id,
         action: "bet_cancel",
         reason: "bet_cancel",
         relatedEntityType: "bet",
         relatedEntityId: betId,
-        metadata: { refunds: Object.fromEntries(refundsByUser) }
+        metadata: { refunds: Object.fromEntries(refundsByUser), settledParlays: settledParlays.length }
       });
 
       await connection.commit();
+      await publishBetUpdate(betId);
+      await publishBetPayouts(betId, { refunds: refundsByUser, outcome: "cancelled", parlays: settledParlays });
       return res.json({ ok: true, betId, refunds: Object.fromEntries(refundsByUser) });
     } catch (error) {
       await connection.rollback();
@@ -6065,9 +10925,10 @@ app.get("/openapi.json", (req, res) => {
 
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(openApiDocument));
 
-// Attach a WS server on the same HTTP server under /ws/odds.
+// WS servers share the HTTP server; upgrades are routed by path below.
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: "/ws/odds" });
+const wss = new WebSocketServer({ noServer: true });
+const eventsWss = new WebSocketServer({ noServer: true });
 
 // Fan-out helper to broadcast an odds update to every open WS client.
 const broadcastOdds = (payload) => {
@@ -6079,11 +10940,168 @@ const broadcastOdds = (payload) => {
   });
 };
 
-// Push the current snapshot immediately after a client connects.
-wss.on("connection", (socket) => {
+// Cap per socket so one client cannot make every bet update fan out to it.
+const maxBetSubscriptions = 50;
+
+const sendSocketMessage = (socket, payload) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+};
+
+// Each accepted bet answers with its current state so the client does not need a REST round-trip.
+const subscribeToBets = async (socket, betIds) => {
+  const subscribed = [];
+  const rejected = [];
+  for (const betId of betIds) {
+    if (socket.betIds.has(betId)) {
+      subscribed.push(betId);
+      continue;
+    }
+    if (socket.betIds.size >= maxBetSubscriptions) {
+      rejected.push({ betId, message: `At most ${maxBetSubscriptions} bets per connection.` });
+      continue;
+    }
+    const [betRows] = await dbPool.query("SELECT group_id FROM bets WHERE id = ?", [betId]);
+    if (!betRows.length) {
+      rejected.push({ betId, message: "Bet not found." });
+      continue;
+    }
+    if (!(await canAccessGroupResource(betRows[0].group_id, socket.user))) {
+      rejected.push({ betId, message: "Access denied." });
+      continue;
+    }
+    socket.betIds.add(betId);
+    subscribed.push(betId);
+    const update = await loadBetUpdate(dbPool, betId);
+    if (update) {
+      sendSocketMessage(socket, update);
+    }
+  }
+  sendSocketMessage(socket, { type: "subscribed", betIds: subscribed, rejected });
+};
+
+const handleOddsSocketMessage = async (socket, raw) => {
+  let message = null;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    sendSocketMessage(socket, { type: "error", message: "Messages must be JSON." });
+    return;
+  }
+  const betIds = Array.isArray(message?.betIds) ? [...new Set(message.betIds.map(parsePositiveInt).filter(Boolean))] : [];
+  if (message?.type === "subscribe") {
+    await subscribeToBets(socket, betIds);
+    return;
+  }
+  if (message?.type === "unsubscribe") {
+    betIds.forEach((betId) => socket.betIds.delete(betId));
+    sendSocketMessage(socket, { type: "unsubscribed", betIds });
+    return;
+  }
+  sendSocketMessage(socket, { type: "error", message: "Unknown message type (expected subscribe or unsubscribe)." });
+};
+
+// Push the current snapshot immediately after a client connects; bet channels are opt-in per bet id.
+wss.on("connection", (socket, req, user) => {
+  socket.user = user || null;
+  socket.betIds = new Set();
+  socket.on("message", (raw) => {
+    handleOddsSocketMessage(socket, raw.toString()).catch((error) => {
+      logger.warn({ err: error }, "Odds socket message failed");
+      sendSocketMessage(socket, { type: "error", message: "Subscription failed." });
+    });
+  });
   socket.send(JSON.stringify(latestOdds));
 });
 
+// Relays a bet_updates message to the sockets subscribed to that bet; payouts only reach their owner.
+const dispatchBetUpdate = (update) => {
+  const betId = Number(update.betId);
+  const ownerId = update.userId === undefined ? null : Number(update.userId);
+  const message = JSON.stringify(update);
+  wss.clients.forEach((client) => {
+    if (client.readyState !== WebSocket.OPEN || !client.betIds?.has(betId)) {
+      return;
+    }
+    if (ownerId !== null && client.user?.id !== ownerId) {
+      return;
+    }
+    client.send(message);
+  });
+};
+
+// Bet lifecycle events (closing, SLA escalation) only reach the users they concern.
+const dispatchBetEvent = (event) => {
+  const { userIds, audience, ...payload } = event;
+  const recipients = new Set(Array.isArray(userIds) ? userIds.map(Number) : []);
+  const message = JSON.stringify(payload);
+  eventsWss.clients.forEach((client) => {
+    if (client.readyState !== WebSocket.OPEN || !client.user) {
+      return;
+    }
+    const isRecipient = audience === "admins" ? client.user.isAdmin : recipients.has(client.user.id);
+    if (isRecipient) {
+      client.send(message);
+    }
+  });
+};
+
+eventsWss.on("connection", (socket, req, user) => {
+  socket.user = user;
+  socket.send(JSON.stringify({ type: "ready", userId: user.id }));
+});
+
+// Browsers cannot set headers on a WS handshake, so the access token travels as ?token=.
+const authenticateSocketUpgrade = async (req) => {
+  const url = new URL(req.url, "http://localhost");
+  const token = url.searchParams.get("token");
+  if (!token) {
+    return null;
+  }
+  const user = await getUserFromRequest({ headers: { authorization: `Bearer ${token}` } });
+  if (!user || user.isBanned) {
+    return null;
+  }
+  return user;
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+server.on("upgrade", (req, socket, head) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (pathname === "/ws/odds") {
+    // Anonymous clients get public bets; a token unlocks group bets and personal payout messages.
+    const hasToken = new URL(req.url, "http://localhost").searchParams.has("token");
+    authenticateSocketUpgrade(req)
+      .then((user) => {
+        if (hasToken && !user) {
+          rejectUpgrade(socket, 401, "Unauthorized");
+          return;
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req, user));
+      })
+      .catch(() => rejectUpgrade(socket, 401, "Unauthorized"));
+    return;
+  }
+  if (pathname === "/ws/events") {
+    authenticateSocketUpgrade(req)
+      .then((user) => {
+        if (!user) {
+          rejectUpgrade(socket, 401, "Unauthorized");
+          return;
+        }
+        eventsWss.handleUpgrade(req, socket, head, (ws) => eventsWss.emit("connection", ws, req, user));
+      })
+      .catch(() => rejectUpgrade(socket, 401, "Unauthorized"));
+    return;
+  }
+  rejectUpgrade(socket, 404, "Not Found");
+});
+
 // Subscribe to Redis pub/sub and rebroadcast updates to HTTP/WS consumers.
 const connectRedis = async () => {
   const client = createClient({ url: `redis://${redisHost}:${redisPort}` });
@@ -6107,6 +11125,20 @@ const connectRedis = async () => {
       console.error("Invalid odds payload", error);
     }
   });
+  await subscriber.subscribe(betEventsChannel, (message) => {
+    try {
+      dispatchBetEvent(JSON.parse(message));
+    } catch (error) {
+      console.error("Invalid bet event payload", error);
+    }
+  });
+  await subscriber.subscribe(betUpdatesChannel, (message) => {
+    try {
+      dispatchBetUpdate(JSON.parse(message));
+    } catch (error) {
+      console.error("Invalid bet update payload", error);
+    }
+  });
 };
 
 const ensureColumn = async (tableName, columnName, definitionSql) => {
@@ -6116,7 +11148,9 @@ const ensureColumn = async (tableName, columnName, definitionSql) => {
   );
   if (Number(rows[0]?.count) === 0) {
     await dbPool.query(`ALTER TABLE ${tableName} ADD COLUMN ${definitionSql}`);
+    return true;
   }
+  return false;
 };
 
 const ensureCheckConstraint = async (tableName, constraintName, definitionSql) => {
@@ -6235,6 +11269,12 @@ const ensureSchema = async () => {
   await ensureColumn("users", "theme_preference", "theme_preference VARCHAR(16) NOT NULL DEFAULT 'system'");
   await ensureColumn("users", "totp_secret", "totp_secret VARCHAR(64) NULL");
   await ensureColumn("users", "totp_enabled", "totp_enabled TINYINT(1) NOT NULL DEFAULT 0");
+  await ensureColumn("users", "totp_last_step", "totp_last_step BIGINT UNSIGNED NULL");
+  if (await ensureColumn("users", "email_verified_at", "email_verified_at DATETIME NULL")) {
+    // Accounts created before verification existed keep their current permissions.
+    await dbPool.query("UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL");
+  }
+  await ensureColumn("users", "deleted_at", "deleted_at DATETIME NULL");
   await dbPool.query("ALTER TABLE users MODIFY COLUMN points INT UNSIGNED NOT NULL DEFAULT 1000");
   await ensureCheckConstraint("users", "chk_users_points_nonnegative", "points >= 0");
   await ensureTrigger(
@@ -6337,6 +11377,8 @@ const ensureSchema = async () => {
       last_ip VARCHAR(64) NULL,
       revoked_at DATETIME NULL,
       revoked_by BIGINT UNSIGNED NULL,
+      suspicious_at DATETIME NULL,
+      suspicious_reason VARCHAR(64) NULL,
       first_seen TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       last_seen TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       UNIQUE KEY uniq_user_device (user_id, fingerprint),
@@ -6348,6 +11390,8 @@ const ensureSchema = async () => {
   await dbPool.query(createUserDevicesTableSql);
   await ensureColumn("user_devices", "revoked_at", "revoked_at DATETIME NULL");
   await ensureColumn("user_devices", "revoked_by", "revoked_by BIGINT UNSIGNED NULL");
+  await ensureColumn("user_devices", "suspicious_at", "suspicious_at DATETIME NULL");
+  await ensureColumn("user_devices", "suspicious_reason", "suspicious_reason VARCHAR(64) NULL");
 
   const createGroupsTableSql = `
     CREATE TABLE IF NOT EXISTS user_groups (
@@ -6426,6 +11470,17 @@ const ensureSchema = async () => {
       status VARCHAR(16) NOT NULL DEFAULT 'open',
       result_option_id BIGINT UNSIGNED NULL,
       resolved_at DATETIME NULL,
+      resolution_escalated_at DATETIME NULL,
+      resolution_type VARCHAR(16) NULL,
+      resolution_winners JSON NULL,
+      settlement_rule VARCHAR(16) NULL,
+      settlement_line DECIMAL(12,2) NULL,
+      observed_value DECIMAL(12,2) NULL,
+      resolution_mode VARCHAR(16) NOT NULL DEFAULT 'admin',
+      dispute_window_minutes INT UNSIGNED NULL,
+      pricing_mode VARCHAR(16) NOT NULL DEFAULT 'fixed',
+      lmsr_liquidity DECIMAL(12,4) NULL,
+      lmsr_max_subsidy DECIMAL(12,2) NULL,
       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       CONSTRAINT fk_bets_creator FOREIGN KEY (creator_user_id) REFERENCES users(id)
@@ -6436,6 +11491,17 @@ const ensureSchema = async () => {
   await dbPool.query(createBetsTableSql);
   await ensureColumn("bets", "details", "details TEXT");
   await ensureColumn("bets", "group_id", "group_id BIGINT UNSIGNED NULL");
+  await ensureColumn("bets", "resolution_escalated_at", "resolution_escalated_at DATETIME NULL");
+  await ensureColumn("bets", "resolution_type", "resolution_type VARCHAR(16) NULL");
+  await ensureColumn("bets", "resolution_winners", "resolution_winners JSON NULL");
+  await ensureColumn("bets", "settlement_rule", "settlement_rule VARCHAR(16) NULL");
+  await ensureColumn("bets", "settlement_line", "settlement_line DECIMAL(12,2) NULL");
+  await ensureColumn("bets", "observed_value", "observed_value DECIMAL(12,2) NULL");
+  await ensureColumn("bets", "resolution_mode", "resolution_mode VARCHAR(16) NOT NULL DEFAULT 'admin'");
+  await ensureColumn("bets", "dispute_window_minutes", "dispute_window_minutes INT UNSIGNED NULL");
+  await ensureColumn("bets", "pricing_mode", "pricing_mode VARCHAR(16) NOT NULL DEFAULT 'fixed'");
+  await ensureColumn("bets", "lmsr_liquidity", "lmsr_liquidity DECIMAL(12,4) NULL");
+  await ensureColumn("bets", "lmsr_max_subsidy", "lmsr_max_subsidy DECIMAL(12,2) NULL");
 
   const createBetOptionsTableSql = `
     CREATE TABLE IF NOT EXISTS bet_options (
@@ -6444,11 +11510,41 @@ const ensureSchema = async () => {
       label VARCHAR(160) NOT NULL,
       numeric_value DECIMAL(12,2) NULL,
       current_odds DECIMAL(7,2) NOT NULL,
+      lmsr_shares DECIMAL(20,6) NOT NULL DEFAULT 0,
+      pool_points BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      feed_market_id VARCHAR(64) NULL,
       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       CONSTRAINT fk_bet_options_bet FOREIGN KEY (bet_id) REFERENCES bets(id)
         ON DELETE CASCADE ON UPDATE CASCADE
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
   await dbPool.query(createBetOptionsTableSql);
+  await ensureColumn("bet_options", "lmsr_shares", "lmsr_shares DECIMAL(20,6) NOT NULL DEFAULT 0");
+  await ensureColumn("bet_options", "pool_points", "pool_points BIGINT UNSIGNED NOT NULL DEFAULT 0");
+  await ensureColumn("bet_options", "feed_market_id", "feed_market_id VARCHAR(64) NULL");
+
+  const createOddsHistoryTableSql = `
+    CREATE TABLE IF NOT EXISTS bet_option_odds_history (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      bet_id BIGINT UNSIGNED NOT NULL,
+      bet_option_id BIGINT UNSIGNED NOT NULL,
+      odds DECIMAL(7,2) NOT NULL,
+      source VARCHAR(16) NOT NULL,
+      recorded_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY idx_odds_history_bet_time (bet_id, recorded_at),
+      KEY idx_odds_history_option_time (bet_option_id, recorded_at),
+      CONSTRAINT fk_odds_history_bet FOREIGN KEY (bet_id) REFERENCES bets(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_odds_history_option FOREIGN KEY (bet_option_id) REFERENCES bet_options(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createOddsHistoryTableSql);
+  // Options created before the history existed start their series at their current price.
+  await dbPool.query(
+    `INSERT INTO bet_option_odds_history (bet_id, bet_option_id, odds, source, recorded_at)
+     SELECT o.bet_id, o.id, o.current_odds, 'create', o.created_at
+     FROM bet_options o
+     WHERE NOT EXISTS (SELECT 1 FROM bet_option_odds_history h WHERE h.bet_option_id = o.id)`
+  );
 
   const createPayoutJobsTableSql = `
     CREATE TABLE IF NOT EXISTS payout_jobs (
@@ -6499,6 +11595,7 @@ const ensureSchema = async () => {
       sold_at DATETIME NULL,
       settled_at DATETIME NULL,
       cancelled_at DATETIME NULL,
+      parent_position_id BIGINT UNSIGNED NULL,
       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       CONSTRAINT fk_positions_bet FOREIGN KEY (bet_id) REFERENCES bets(id)
@@ -6509,6 +11606,74 @@ const ensureSchema = async () => {
         ON DELETE CASCADE ON UPDATE CASCADE
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
   await dbPool.query(createPositionsTableSql);
+  await ensureColumn("bet_positions", "parent_position_id", "parent_position_id BIGINT UNSIGNED NULL");
+
+  const createResolutionProposalsTableSql = `
+    CREATE TABLE IF NOT EXISTS bet_resolution_proposals (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      bet_id BIGINT UNSIGNED NOT NULL,
+      proposer_user_id BIGINT UNSIGNED NOT NULL,
+      resolution JSON NOT NULL,
+      observed_value DECIMAL(12,2) NULL,
+      settlement_rule VARCHAR(16) NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending',
+      dispute_deadline DATETIME NOT NULL,
+      decided_by BIGINT UNSIGNED NULL,
+      decided_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_proposals_status_deadline (status, dispute_deadline),
+      KEY idx_proposals_bet (bet_id),
+      CONSTRAINT fk_proposals_bet FOREIGN KEY (bet_id) REFERENCES bets(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_proposals_user FOREIGN KEY (proposer_user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createResolutionProposalsTableSql);
+
+  const createBetDisputesTableSql = `
+    CREATE TABLE IF NOT EXISTS bet_disputes (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      proposal_id BIGINT UNSIGNED NOT NULL,
+      bet_id BIGINT UNSIGNED NOT NULL,
+      user_id BIGINT UNSIGNED NOT NULL,
+      reason VARCHAR(1000) NOT NULL,
+      evidence_url VARCHAR(512) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_dispute_user (proposal_id, user_id),
+      CONSTRAINT fk_disputes_proposal FOREIGN KEY (proposal_id) REFERENCES bet_resolution_proposals(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_disputes_bet FOREIGN KEY (bet_id) REFERENCES bets(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_disputes_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createBetDisputesTableSql);
+
+  const createBetCommentsTableSql = `
+    CREATE TABLE IF NOT EXISTS bet_comments (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      bet_id BIGINT UNSIGNED NOT NULL,
+      user_id BIGINT UNSIGNED NOT NULL,
+      parent_comment_id BIGINT UNSIGNED NULL,
+      thread_root_id BIGINT UNSIGNED NULL,
+      body VARCHAR(2000) NULL,
+      edited_at DATETIME NULL,
+      deleted_at DATETIME NULL,
+      deleted_by_user_id BIGINT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_bet_comments_bet (bet_id, thread_root_id, created_at),
+      CONSTRAINT fk_bet_comments_bet FOREIGN KEY (bet_id) REFERENCES bets(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_bet_comments_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_bet_comments_parent FOREIGN KEY (parent_comment_id) REFERENCES bet_comments(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_bet_comments_deleted_by FOREIGN KEY (deleted_by_user_id) REFERENCES users(id)
+        ON DELETE SET NULL ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createBetCommentsTableSql);
 
   const createAuthSecretsTableSql = `
     CREATE TABLE IF NOT EXISTS auth_secrets (
@@ -6529,9 +11694,11 @@ const ensureSchema = async () => {
       id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
       user_id BIGINT UNSIGNED NOT NULL,
       device_id BIGINT UNSIGNED NULL,
+      family_id CHAR(36) NULL,
       token_hash CHAR(64) NOT NULL,
       expires_at DATETIME NOT NULL,
       revoked_at DATETIME NULL,
+      rotated_at DATETIME NULL,
       last_used_at DATETIME NULL,
       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
       CONSTRAINT fk_refresh_user FOREIGN KEY (user_id) REFERENCES users(id)
@@ -6542,6 +11709,8 @@ const ensureSchema = async () => {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
   await dbPool.query(createRefreshTokensTableSql);
   await ensureColumn("refresh_tokens", "device_id", "device_id BIGINT UNSIGNED NULL");
+  await ensureColumn("refresh_tokens", "family_id", "family_id CHAR(36) NULL");
+  await ensureColumn("refresh_tokens", "rotated_at", "rotated_at DATETIME NULL");
 
   const createUserPasskeysTableSql = `
     CREATE TABLE IF NOT EXISTS user_passkeys (
@@ -6558,6 +11727,68 @@ const ensureSchema = async () => {
         ON DELETE CASCADE ON UPDATE CASCADE
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
   await dbPool.query(createUserPasskeysTableSql);
+  await ensureColumn("user_passkeys", "public_key_alg", "public_key_alg INT NULL");
+  await ensureColumn("user_passkeys", "attestation_format", "attestation_format VARCHAR(32) NULL");
+  await ensureColumn("user_passkeys", "transports", "transports VARCHAR(255) NULL");
+
+  const createWebauthnChallengesTableSql = `
+    CREATE TABLE IF NOT EXISTS webauthn_challenges (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NULL,
+      challenge VARCHAR(128) NOT NULL,
+      purpose VARCHAR(16) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      consumed_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_webauthn_challenge (challenge),
+      CONSTRAINT fk_webauthn_challenges_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createWebauthnChallengesTableSql);
+
+  const createTotpRecoveryCodesTableSql = `
+    CREATE TABLE IF NOT EXISTS user_totp_recovery_codes (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_totp_recovery_code (user_id, code_hash),
+      CONSTRAINT fk_totp_recovery_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createTotpRecoveryCodesTableSql);
+
+  const createMfaChallengesTableSql = `
+    CREATE TABLE IF NOT EXISTS auth_mfa_challenges (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      attempts INT UNSIGNED NOT NULL DEFAULT 0,
+      expires_at DATETIME NOT NULL,
+      consumed_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_mfa_challenge_token (token_hash),
+      CONSTRAINT fk_mfa_challenges_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createMfaChallengesTableSql);
+
+  const createAuthActionTokensTableSql = `
+    CREATE TABLE IF NOT EXISTS auth_action_tokens (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      purpose VARCHAR(32) NOT NULL,
+      jti CHAR(36) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      consumed_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_auth_action_token_jti (jti),
+      CONSTRAINT fk_auth_action_tokens_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createAuthActionTokensTableSql);
 
   const createUserAssignmentsTableSql = `
     CREATE TABLE IF NOT EXISTS user_assignments (
@@ -6594,6 +11825,94 @@ const ensureSchema = async () => {
       UNIQUE KEY uniq_offer_review (offer_id, reviewer_user_id)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
   await dbPool.query(createOfferReviewsTableSql);
+  const createParlaysTableSql = `
+    CREATE TABLE IF NOT EXISTS parlays (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      stake_points INT UNSIGNED NOT NULL,
+      combined_odds DECIMAL(12,4) NOT NULL,
+      effective_odds DECIMAL(12,4) NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'open',
+      payout_points INT UNSIGNED NULL,
+      fee_points INT UNSIGNED NULL,
+      settled_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_parlays_user (user_id, created_at),
+      CONSTRAINT fk_parlays_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createParlaysTableSql);
+  const createParlayLegsTableSql = `
+    CREATE TABLE IF NOT EXISTS parlay_legs (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      parlay_id BIGINT UNSIGNED NOT NULL,
+      bet_id BIGINT UNSIGNED NOT NULL,
+      bet_option_id BIGINT UNSIGNED NOT NULL,
+      odds_at_purchase DECIMAL(7,2) NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'open',
+      payout_factor DECIMAL(6,4) NOT NULL DEFAULT 1,
+      settled_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_parlay_leg_bet (parlay_id, bet_id),
+      KEY idx_parlay_legs_bet_status (bet_id, status),
+      CONSTRAINT fk_parlay_legs_parlay FOREIGN KEY (parlay_id) REFERENCES parlays(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_parlay_legs_bet FOREIGN KEY (bet_id) REFERENCES bets(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_parlay_legs_option FOREIGN KEY (bet_option_id) REFERENCES bet_options(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createParlayLegsTableSql);
+  await ensureColumn("parlay_legs", "payout_factor", "payout_factor DECIMAL(6,4) NOT NULL DEFAULT 1");
+  const createPointTransfersTableSql = `
+    CREATE TABLE IF NOT EXISTS point_transfers (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      sender_user_id BIGINT UNSIGNED NOT NULL,
+      recipient_user_id BIGINT UNSIGNED NOT NULL,
+      amount INT UNSIGNED NOT NULL,
+      fee INT UNSIGNED NOT NULL DEFAULT 0,
+      note VARCHAR(280) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_point_transfers_sender (sender_user_id, created_at),
+      KEY idx_point_transfers_recipient (recipient_user_id, created_at),
+      CONSTRAINT fk_point_transfers_sender FOREIGN KEY (sender_user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_point_transfers_recipient FOREIGN KEY (recipient_user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createPointTransfersTableSql);
+
+  const createUserLimitsTableSql = `
+    CREATE TABLE IF NOT EXISTS user_limits (
+      user_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      daily_stake_limit INT UNSIGNED NULL,
+      weekly_stake_limit INT UNSIGNED NULL,
+      daily_loss_limit INT UNSIGNED NULL,
+      weekly_loss_limit INT UNSIGNED NULL,
+      self_excluded_until DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_user_limits_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createUserLimitsTableSql);
+
+  const createUserLimitChangesTableSql = `
+    CREATE TABLE IF NOT EXISTS user_limit_changes (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      limit_column VARCHAR(32) NOT NULL,
+      new_value INT UNSIGNED NULL,
+      effective_at DATETIME NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_limit_changes_user (user_id, status, effective_at),
+      CONSTRAINT fk_limit_changes_user FOREIGN KEY (user_id) REFERENCES users(id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createUserLimitChangesTableSql);
 
   const createAuditLogsTableSql = `
     CREATE TABLE IF NOT EXISTS audit_logs (
@@ -6612,9 +11931,163 @@ const ensureSchema = async () => {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
   await dbPool.query(createAuditLogsTableSql);
 
+  const createLedgerTransactionsTableSql = `
+    CREATE TABLE IF NOT EXISTS ledger_transactions (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      kind VARCHAR(64) NOT NULL,
+      actor_user_id BIGINT UNSIGNED NULL,
+      related_entity_type VARCHAR(64) NULL,
+      related_entity_id BIGINT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_ledger_transactions_related (related_entity_type, related_entity_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createLedgerTransactionsTableSql);
+
+  const createLedgerEntriesTableSql = `
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      transaction_id BIGINT UNSIGNED NOT NULL,
+      account VARCHAR(32) NOT NULL,
+      user_id BIGINT UNSIGNED NULL,
+      amount BIGINT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_ledger_entries_account (account, user_id),
+      CONSTRAINT fk_ledger_entries_transaction FOREIGN KEY (transaction_id) REFERENCES ledger_transactions(id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createLedgerEntriesTableSql);
+  await openLedgerBalances();
+
+  const createReconciliationReportsTableSql = `
+    CREATE TABLE IF NOT EXISTS reconciliation_reports (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      status ENUM('ok', 'drift') NOT NULL,
+      users_checked INT UNSIGNED NOT NULL DEFAULT 0,
+      total_drift BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      audit_drift BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      ledger_drift BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      escrow_drift BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      pool_drift BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      details JSON NULL,
+      started_at TIMESTAMP(3) NOT NULL,
+      finished_at TIMESTAMP(3) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createReconciliationReportsTableSql);
+
+  // `group_key` folds NULL (the global rule) into 0 so each action has one global rule and one rule per group.
+  const createFeeScheduleTableSql = `
+    CREATE TABLE IF NOT EXISTS fee_schedule (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      action ENUM('offer_accept', 'cashout', 'payout', 'transfer') NOT NULL,
+      group_id BIGINT UNSIGNED NULL,
+      group_key BIGINT UNSIGNED AS (COALESCE(group_id, 0)) STORED,
+      rate DECIMAL(6,4) NOT NULL,
+      min_fee INT UNSIGNED NULL,
+      max_fee INT UNSIGNED NULL,
+      updated_by BIGINT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_fee_schedule_rule (action, group_key),
+      CONSTRAINT fk_fee_schedule_group FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+      CONSTRAINT fk_fee_schedule_updated_by FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createFeeScheduleTableSql);
+  for (const action of feeActions) {
+    await dbPool.query("INSERT IGNORE INTO fee_schedule (action, rate) VALUES (?, ?)", [action, defaultFeeRate]);
+  }
+
+  const createFeePromotionsTableSql = `
+    CREATE TABLE IF NOT EXISTS fee_promotions (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(120) NOT NULL,
+      action ENUM('offer_accept', 'cashout', 'payout', 'transfer') NULL,
+      group_id BIGINT UNSIGNED NULL,
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NOT NULL,
+      created_by BIGINT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_fee_promotions_window (starts_at, ends_at),
+      CONSTRAINT fk_fee_promotions_group FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+      CONSTRAINT fk_fee_promotions_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createFeePromotionsTableSql);
+
+  // `active_key` is 1 only on the running season, so the unique key allows a single active season.
+  const createSeasonsTableSql = `
+    CREATE TABLE IF NOT EXISTS seasons (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(120) NOT NULL,
+      status ENUM('active', 'ended') NOT NULL DEFAULT 'active',
+      active_key TINYINT AS (IF(status = 'active', 1, NULL)) STORED,
+      reset_baseline INT UNSIGNED NULL,
+      started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME NULL,
+      started_by BIGINT UNSIGNED NULL,
+      ended_by BIGINT UNSIGNED NULL,
+      UNIQUE KEY uniq_seasons_active (active_key),
+      CONSTRAINT fk_seasons_started_by FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL,
+      CONSTRAINT fk_seasons_ended_by FOREIGN KEY (ended_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createSeasonsTableSql);
+
+  const createSeasonStandingsTableSql = `
+    CREATE TABLE IF NOT EXISTS season_standings (
+      season_id BIGINT UNSIGNED NOT NULL,
+      user_id BIGINT UNSIGNED NOT NULL,
+      rank_position INT UNSIGNED NOT NULL,
+      balance BIGINT NOT NULL,
+      net_winnings BIGINT NOT NULL,
+      bets_won INT UNSIGNED NOT NULL DEFAULT 0,
+      PRIMARY KEY (season_id, user_id),
+      KEY idx_season_standings_rank (season_id, rank_position),
+      CONSTRAINT fk_season_standings_season FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+      CONSTRAINT fk_season_standings_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+  await dbPool.query(createSeasonStandingsTableSql);
+
   await seedRbac();
 };
 
+// Balances that predate the ledger are opened from the mint: users without entries get their current points,
+// and open stakes seed the bet escrow the first time it is seen. Later startups find nothing to open.
+const openLedgerBalances = async () => {
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [userRows] = await connection.query(
+      `SELECT u.id, u.points
+       FROM users u
+       WHERE u.points > 0
+         AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.account = 'user' AND e.user_id = u.id)
+       FOR UPDATE`
+    );
+    const [escrowRows] = await connection.query("SELECT 1 FROM ledger_entries WHERE account = 'bet_escrow' LIMIT 1");
+    let escrowStakes = 0;
+    if (!escrowRows.length) {
+      const [stakeRows] = await connection.query(
+        `SELECT
+           (SELECT COALESCE(SUM(stake_points), 0) FROM bet_positions WHERE status = 'open')
+           + (SELECT COALESCE(SUM(stake_points), 0) FROM parlays WHERE status = 'open') AS total`
+      );
+      escrowStakes = Number(stakeRows[0].total);
+    }
+    const entries = userRows.map((row) => ({ account: "user", userId: Number(row.id), amount: Number(row.points) }));
+    entries.push({ account: "bet_escrow", amount: escrowStakes });
+    const opened = entries.reduce((total, entry) => total + entry.amount, 0);
+    entries.push({ account: "mint", amount: -opened });
+    await postLedgerTransaction(connection, { kind: "opening_balance", entries });
+    await connection.commit();
+    if (opened) {
+      logger.info({ users: userRows.length, escrowStakes, opened }, "ledger_opening_balances");
+    }
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 const ensureSchemaWithRetry = async () => {
   const retryableErrors = new Set([
     "ER_FK_CANNOT_OPEN_PARENT",
@@ -0,0 +1,65 @@
+// Logarithmic market scoring rule (Hanson): each option holds q_i outstanding shares, one share pays 1 point.
+// Cost C(q) = b * ln(sum(exp(q_i / b))), price p_i = exp(q_i / b) / sum(exp(q_j / b)), decimal odds = 1 / p_i.
+const minOdds = 1.01;
+const maxOdds = 1000;
+
+const logSumExp = (values) => {
+  const max = Math.max(...values);
+  return max + Math.log(values.reduce((total, value) => total + Math.exp(value - max), 0));
+};
+
+// ln(e^k - 1) without overflowing for large stakes.
+const logExpm1 = (k) => (k > 30 ? k + Math.log1p(-Math.exp(-k)) : Math.log(Math.expm1(k)));
+
+const costOf = (shares, liquidity) => liquidity * logSumExp(shares.map((q) => q / liquidity));
+
+const pricesOf = (shares, liquidity) => {
+  const scaled = shares.map((q) => q / liquidity);
+  const total = logSumExp(scaled);
+  return scaled.map((value) => Math.exp(value - total));
+};
+
+const oddsFromPrice = (price) => {
+  const odds = price > 0 ? 1 / price : maxOdds;
+  return Number(Math.min(maxOdds, Math.max(minOdds, odds)).toFixed(2));
+};
+
+const oddsOf = (shares, liquidity) => pricesOf(shares, liquidity).map(oddsFromPrice);
+
+// Shares received on `index` for `stake` points, i.e. the delta solving C(q + delta * e_i) - C(q) = stake.
+const sharesForStake = (shares, liquidity, index, stake) => {
+  const scaled = shares.map((q) => q / liquidity);
+  const total = logSumExp(scaled);
+  return liquidity * logSumExp([total + logExpm1(stake / liquidity), scaled[index]]) - shares[index];
+};
+
+// Points the market pays back when `delta` shares of `index` are returned to it.
+const proceedsForShares = (shares, liquidity, index, delta) => {
+  const after = shares.slice();
+  after[index] -= delta;
+  return costOf(shares, liquidity) - costOf(after, liquidity);
+};
+
+// Initial shares matching the creator's odds (normalized to probabilities), shifted so the smallest is 0.
+const seedShares = (odds, liquidity) => {
+  const inverse = odds.map((value) => 1 / value);
+  const sum = inverse.reduce((total, value) => total + value, 0);
+  const logs = inverse.map((value) => liquidity * Math.log(value / sum));
+  const min = Math.min(...logs);
+  return logs.map((value) => value - min);
+};
+
+// Worst-case market maker loss from the seeded state: b * ln(1 / min p_i), b * ln(n) for uniform odds.
+const maxSubsidy = (shares, liquidity) => costOf(shares, liquidity) - Math.min(...shares);
+
+module.exports = {
+  minOdds,
+  maxOdds,
+  costOf,
+  pricesOf,
+  oddsOf,
+  sharesForStake,
+  proceedsForShares,
+  seedShares,
+  maxSubsidy
+};
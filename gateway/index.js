@@ -11,6 +11,10 @@ const mysql = require("mysql2/promise");
 const { createProxyMiddleware } = require("http-proxy-middleware");
 const pino = require("pino");
 const promClient = require("prom-client");
+const { createMailTransport } = require("./mailer");
+const { signupGrantPoints, postLedgerTransaction } = require("../shared/ledger");
+const { findTotpStep, hashRecoveryCode } = require("../shared/totp");
+const { sha256, verifyWebauthnSignature, parseClientData, consumeWebauthnChallenge } = require("../shared/webauthn");
 
 const app = express();
 // Runtime configuration (defaults match docker-compose service names/ports).
@@ -67,6 +71,42 @@ const refreshTokenDays = Number.isFinite(refreshTokenDaysRaw) && refreshTokenDay
   ? refreshTokenDaysRaw
   : 30;
 
+// WebAuthn relying party used for passkey ceremonies (must match the API).
+const webauthnRpId = process.env.WEBAUTHN_RP_ID || "localhost";
+const webauthnOrigins = (process.env.WEBAUTHN_ORIGINS || corsOriginsRaw)
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const webauthnChallengeTtlMs = 5 * 60 * 1000;
+
+// Outgoing mail for password reset and email verification links.
+const mailDriver = String(process.env.MAIL_TRANSPORT || "file").trim().toLowerCase();
+const mailFrom = process.env.MAIL_FROM || "Central E <no-reply@localhost>";
+const mailOutboxDir = process.env.MAIL_OUTBOX_DIR || "/tmp/mail-outbox";
+const smtpPortRaw = Number(process.env.SMTP_PORT || 587);
+const appPublicUrl = (
+  process.env.APP_PUBLIC_URL ||
+  corsOrigins.find((origin) => origin !== "*") ||
+  "http://localhost:8080"
+).replace(/\/+$/, "");
+const mailTransport = createMailTransport({
+  driver: mailDriver,
+  from: mailFrom,
+  outboxDir: mailOutboxDir,
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number.isFinite(smtpPortRaw) && smtpPortRaw > 0 ? smtpPortRaw : 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  }
+});
+// Lifetimes (seconds) of the signed single-use links sent by email.
+const actionTokenTtlSeconds = {
+  password_reset: 30 * 60,
+  email_verify: 48 * 60 * 60
+};
+
 let dbPool = null;
 let jwtSecretsCache = { secrets: null, primary: null, fetchedAt: 0 };
 
@@ -100,6 +140,13 @@ const authRequestsTotal = new promClient.Counter({
   registers: [metricsRegistry]
 });
 
+const mailSentTotal = new promClient.Counter({
+  name: "gateway_mail_sent_total",
+  help: "Total outgoing mails by template",
+  labelNames: ["template", "status"],
+  registers: [metricsRegistry]
+});
+
 const rateLimit = typeof rateLimitModule === "function" ? rateLimitModule : rateLimitModule.rateLimit;
 
 const createBackoffLimiter = ({
@@ -241,6 +288,7 @@ const zEmail = z.string().trim().email().max(255);
 const zPassword = z.string().min(6).max(200);
 const zName = z.string().trim().min(1).max(160);
 const zRefreshToken = z.string().min(10).max(500);
+const zActionToken = z.string().trim().min(20).max(2000);
 
 const validateRequest = (schema) => (req, res, next) => {
   const parsed = schema.safeParse({ body: req.body, query: req.query, params: req.params });
@@ -266,6 +314,7 @@ const toPublicUser = (user) => ({
   points: user.points,
   isAdmin: Boolean(user.isAdmin),
   isSuperAdmin: Boolean(user.isSuperAdmin),
+  emailVerified: Boolean(user.emailVerified),
   roles: Array.isArray(user.roles) ? user.roles : [],
   permissions: Array.isArray(user.permissions) ? user.permissions : []
 });
@@ -340,6 +389,18 @@ const logPointChange = async (connection, {
   });
 };
 
+// The signup grant goes through the shared double-entry ledger: the mint issues the points to the new user.
+const postSignupGrant = (connection, userId, points) => postLedgerTransaction(connection, {
+  kind: "register_points",
+  actorUserId: userId,
+  relatedEntityType: "user",
+  relatedEntityId: userId,
+  entries: [
+    { account: "user", userId, amount: points },
+    { account: "mint", amount: -points }
+  ]
+});
+
 const ensureRole = async (name, description = null, connection = dbPool) => {
   await connection.query("INSERT IGNORE INTO roles (name, description) VALUES (?, ?)", [name, description]);
   const [rows] = await connection.query("SELECT id FROM roles WHERE name = ?", [name]);
@@ -527,34 +588,237 @@ const hashToken = (token) =>
 const generateRefreshToken = () =>
   crypto.randomBytes(32).toString("base64url");
 
-const issueRefreshToken = async (connection, userId, deviceId = null) => {
+// Each refresh token row is a session; its id is carried in the access token as `sessionId`.
+// Tokens rotated from the same login share a `family_id` so a replay can revoke the whole chain.
+const issueRefreshToken = async (connection, userId, deviceId = null, familyId = crypto.randomUUID()) => {
   const refreshToken = generateRefreshToken();
   const tokenHash = hashToken(refreshToken);
   const expiresAt = new Date(Date.now() + refreshTokenDays * 24 * 60 * 60 * 1000);
-  await connection.query(
-    "INSERT INTO refresh_tokens (user_id, device_id, token_hash, expires_at) VALUES (?, ?, ?, ?)",
-    [userId, deviceId, tokenHash, expiresAt]
+  const [result] = await connection.query(
+    "INSERT INTO refresh_tokens (user_id, device_id, family_id, token_hash, expires_at) VALUES (?, ?, ?, ?, ?)",
+    [userId, deviceId, familyId, tokenHash, expiresAt]
+  );
+  return { refreshToken, sessionId: Number(result.insertId), familyId };
+};
+
+// A rotated token being presented again means two parties hold the same chain: revoke the
+// family and flag the device rather than picking which copy is legitimate.
+const revokeRefreshTokenFamily = async (connection, record) => {
+  const [result] = await connection.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND family_id = ? AND revoked_at IS NULL",
+    [record.userId, record.familyId]
   );
-  return refreshToken;
+  if (record.deviceId) {
+    await connection.query(
+      "UPDATE user_devices SET suspicious_at = NOW(), suspicious_reason = ? WHERE id = ? AND user_id = ?",
+      ["refresh_token_reuse", record.deviceId, record.userId]
+    );
+  }
+  await logAudit(connection, {
+    actorUserId: record.userId,
+    targetUserId: record.userId,
+    action: "auth_refresh_reuse",
+    reason: "refresh_token_reuse",
+    relatedEntityType: "refresh_token",
+    relatedEntityId: record.id,
+    metadata: {
+      familyId: record.familyId,
+      deviceId: record.deviceId || null,
+      revokedCount: result.affectedRows || 0
+    }
+  });
+  return result.affectedRows || 0;
 };
 
 const rotateRefreshToken = async (connection, tokenHash) => {
   const [rows] = await connection.query(
-    "SELECT id, user_id AS userId, device_id AS deviceId, expires_at AS expiresAt, revoked_at AS revokedAt FROM refresh_tokens WHERE token_hash = ? FOR UPDATE",
+    "SELECT id, user_id AS userId, device_id AS deviceId, family_id AS familyId, expires_at AS expiresAt, revoked_at AS revokedAt, rotated_at AS rotatedAt FROM refresh_tokens WHERE token_hash = ? FOR UPDATE",
     [tokenHash]
   );
   if (!rows.length) {
     return null;
   }
   const record = rows[0];
+  if (record.rotatedAt && record.familyId) {
+    const revokedCount = await revokeRefreshTokenFamily(connection, record);
+    return {
+      reuseDetected: true,
+      userId: record.userId,
+      deviceId: record.deviceId || null,
+      familyId: record.familyId,
+      revokedCount
+    };
+  }
   if (record.revokedAt || new Date(record.expiresAt).getTime() <= Date.now()) {
     return null;
   }
-  await connection.query("UPDATE refresh_tokens SET revoked_at = NOW(), last_used_at = NOW() WHERE id = ?", [
-    record.id
-  ]);
-  const newToken = await issueRefreshToken(connection, record.userId, record.deviceId || null);
-  return { userId: record.userId, refreshToken: newToken, deviceId: record.deviceId || null };
+  await connection.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW(), rotated_at = NOW(), last_used_at = NOW() WHERE id = ?",
+    [record.id]
+  );
+  const session = await issueRefreshToken(
+    connection,
+    record.userId,
+    record.deviceId || null,
+    record.familyId || undefined
+  );
+  return {
+    userId: record.userId,
+    refreshToken: session.refreshToken,
+    sessionId: session.sessionId,
+    deviceId: record.deviceId || null
+  };
+};
+
+// Password reset and email verification links carry a signed JWT whose audience is scoped to the
+// purpose (so it is never accepted as an access token); the `jti` row makes each link single-use.
+const actionTokenAudience = (purpose) => `${jwtAudience}:${purpose}`;
+
+const issueActionToken = async (connection, user, purpose) => {
+  const ttlSeconds = actionTokenTtlSeconds[purpose];
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  // A new link supersedes any outstanding one for the same purpose.
+  await connection.query(
+    "UPDATE auth_action_tokens SET consumed_at = NOW() WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL",
+    [user.id, purpose]
+  );
+  await connection.query(
+    "INSERT INTO auth_action_tokens (user_id, purpose, jti, email, expires_at) VALUES (?, ?, ?, ?, ?)",
+    [user.id, purpose, jti, user.email, expiresAt]
+  );
+  const { primary } = await getJwtSecrets();
+  const token = jwt.sign({ sub: String(user.id), purpose, jti }, primary, {
+    expiresIn: ttlSeconds,
+    algorithm: "HS256",
+    issuer: jwtIssuer,
+    audience: actionTokenAudience(purpose)
+  });
+  return { token, expiresAt };
+};
+
+const consumeActionToken = async (connection, token, purpose) => {
+  const { secrets } = await getJwtSecrets();
+  let payload = null;
+  for (const secret of secrets) {
+    try {
+      payload = jwt.verify(token, secret, {
+        algorithms: ["HS256"],
+        issuer: jwtIssuer,
+        audience: actionTokenAudience(purpose)
+      });
+      break;
+    } catch (error) {
+      // try next secret
+    }
+  }
+  if (!payload || payload.purpose !== purpose || typeof payload.jti !== "string") {
+    return null;
+  }
+  const [rows] = await connection.query(
+    `SELECT id, user_id AS userId, email, expires_at AS expiresAt, consumed_at AS consumedAt
+     FROM auth_action_tokens
+     WHERE jti = ? AND purpose = ?
+     FOR UPDATE`,
+    [payload.jti, purpose]
+  );
+  const record = rows[0];
+  if (
+    !record ||
+    record.consumedAt ||
+    String(record.userId) !== String(payload.sub) ||
+    new Date(record.expiresAt).getTime() <= Date.now()
+  ) {
+    return null;
+  }
+  await connection.query("UPDATE auth_action_tokens SET consumed_at = NOW() WHERE id = ?", [record.id]);
+  return { userId: Number(record.userId), email: record.email };
+};
+
+const mailTemplates = {
+  password_reset: ({ name, link }) => ({
+    subject: "Reinitialisation de votre mot de passe Central E",
+    text: [
+      `Bonjour ${name},`,
+      "",
+      "Une reinitialisation de mot de passe a ete demandee pour votre compte.",
+      `Ce lien est valable ${actionTokenTtlSeconds.password_reset / 60} minutes et ne peut servir qu'une fois :`,
+      link,
+      "",
+      "Si vous n'etes pas a l'origine de cette demande, ignorez ce message."
+    ].join("\n")
+  }),
+  email_verify: ({ name, link }) => ({
+    subject: "Confirmez votre adresse email Central E",
+    text: [
+      `Bonjour ${name},`,
+      "",
+      "Confirmez votre adresse email pour debloquer toutes les fonctionnalites de votre compte :",
+      link,
+      "",
+      `Ce lien expire dans ${actionTokenTtlSeconds.email_verify / 3600} heures.`
+    ].join("\n")
+  })
+};
+
+const actionLinkPaths = {
+  password_reset: "/reset-password",
+  email_verify: "/verify-email"
+};
+
+// Mail is sent after the transaction commits; a delivery failure is logged, never surfaced to the caller.
+const sendActionMail = async (user, purpose, token) => {
+  const link = `${appPublicUrl}${actionLinkPaths[purpose]}?token=${encodeURIComponent(token)}`;
+  const { subject, text } = mailTemplates[purpose]({ name: user.name, link });
+  try {
+    await mailTransport.send({ to: user.email, subject, text });
+    mailSentTotal.inc({ template: purpose, status: "success" });
+    return true;
+  } catch (error) {
+    mailSentTotal.inc({ template: purpose, status: "error" });
+    logger.error({ err: error, userId: user.id, template: purpose }, "Mail delivery failed");
+    return false;
+  }
+};
+
+const mfaChallengeTtlMs = 5 * 60 * 1000;
+const mfaMaxAttempts = 5;
+
+// Assertions only need the fixed authenticator data header (no attested credential data).
+const parseAuthenticatorData = (authData) => {
+  if (!Buffer.isBuffer(authData) || authData.length < 37) {
+    throw new Error("Authenticator data too short");
+  }
+  const flags = authData[32];
+  return {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & 0x01),
+    userVerified: Boolean(flags & 0x04),
+    signCount: authData.readUInt32BE(33)
+  };
+};
+
+const issueMfaChallenge = async (connection, userId) => {
+  const mfaToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + mfaChallengeTtlMs);
+  await connection.query(
+    "INSERT INTO auth_mfa_challenges (user_id, token_hash, expires_at) VALUES (?, ?, ?)",
+    [userId, hashToken(mfaToken), expiresAt]
+  );
+  return { mfaToken, expiresAt };
+};
+
+// Binds the device, signs the access token and issues a refresh token.
+// No tokens are issued when the device has been revoked (deviceInfo.isRevoked).
+const startSession = async (connection, user, req) => {
+  const deviceInfo = await upsertUserDevice(connection, user.id, req);
+  if (deviceInfo.isRevoked) {
+    return { deviceInfo, token: null, refreshToken: null };
+  }
+  const deviceId = Number(deviceInfo.deviceId);
+  const { refreshToken, sessionId } = await issueRefreshToken(connection, user.id, deviceInfo.deviceId || null);
+  const token = await signJwt({ sub: String(user.id), email: user.email, deviceId, sessionId });
+  return { deviceInfo, token, refreshToken };
 };
 
 const rotateJwtSecret = async (connection, newSecret, graceHours = 24) => {
@@ -582,7 +846,7 @@ const rotateJwtSecret = async (connection, newSecret, graceHours = 24) => {
 
 const fetchUserById = async (userId) => {
   const [rows] = await dbPool.query(
-    "SELECT id, email, name, points, is_banned AS isBanned FROM users WHERE id = ?",
+    "SELECT id, email, name, points, is_banned AS isBanned, email_verified_at AS emailVerifiedAt FROM users WHERE id = ? AND deleted_at IS NULL",
     [userId]
   );
   if (!rows.length) {
@@ -593,7 +857,8 @@ const fetchUserById = async (userId) => {
     email: rows[0].email,
     name: rows[0].name,
     points: rows[0].points,
-    isBanned: Boolean(rows[0].isBanned)
+    isBanned: Boolean(rows[0].isBanned),
+    emailVerified: Boolean(rows[0].emailVerifiedAt)
   };
   return enrichUser(baseUser);
 };
@@ -665,7 +930,7 @@ const authenticateToken = async (req, res, next) => {
     if (revoked) {
       return res.status(403).json({ ok: false, message: "Device access revoked." });
     }
-    req.user = { ...user, deviceId };
+    req.user = { ...user, deviceId, sessionId: parsePositiveInt(payload?.sessionId) };
     return next();
   } catch (error) {
     return res.status(401).json({ ok: false, message: "Invalid or expired token." });
@@ -700,7 +965,12 @@ const waitForSchema = async () => {
     "user_roles",
     "user_devices",
     "refresh_tokens",
-    "auth_secrets"
+    "auth_secrets",
+    "user_totp_recovery_codes",
+    "auth_mfa_challenges",
+    "user_passkeys",
+    "webauthn_challenges",
+    "auth_action_tokens"
   ];
   const placeholders = requiredTables.map(() => "?").join(", ");
   const maxAttempts = 12;
@@ -796,7 +1066,7 @@ app.post(
       }
 
       const passwordHash = await bcrypt.hash(password, 10);
-      const startingPoints = 1000;
+      const startingPoints = signupGrantPoints;
       const [result] = await connection.query(
         "INSERT INTO users (email, name, password_hash, points) VALUES (?, ?, ?, ?)",
         [normalizedEmail, trimmedName, passwordHash, startingPoints]
@@ -807,7 +1077,7 @@ app.post(
         (adminBootstrapEmail && normalizedEmail === adminBootstrapEmail);
       if (isSuperAdmin) {
         await connection.query(
-          "UPDATE users SET is_admin = 1, is_super_admin = 1 WHERE id = ?",
+          "UPDATE users SET is_admin = 1, is_super_admin = 1, email_verified_at = NOW() WHERE id = ?",
           [result.insertId]
         );
         try {
@@ -831,7 +1101,8 @@ app.post(
         name: trimmedName,
         passwordHash,
         points: startingPoints,
-        isBanned: false
+        isBanned: false,
+        emailVerified: Boolean(isSuperAdmin)
       };
       const user = await enrichUser(baseUser, connection);
 
@@ -843,8 +1114,8 @@ app.post(
         return res.status(403).json({ ok: false, message: "Device access revoked." });
       }
       const deviceId = Number(deviceInfo.deviceId);
-      const token = await signJwt({ sub: String(user.id), email: user.email, deviceId });
-      const refreshToken = await issueRefreshToken(connection, user.id, deviceInfo.deviceId || null);
+      const { refreshToken, sessionId } = await issueRefreshToken(connection, user.id, deviceInfo.deviceId || null);
+      const token = await signJwt({ sub: String(user.id), email: user.email, deviceId, sessionId });
       await logAudit(connection, {
         actorUserId: user.id,
         targetUserId: user.id,
@@ -859,8 +1130,15 @@ app.post(
         pointsBefore: 0,
         pointsAfter: startingPoints
       });
+      await postSignupGrant(connection, user.id, startingPoints);
+      const verification = user.emailVerified
+        ? null
+        : await issueActionToken(connection, user, "email_verify");
 
       await connection.commit();
+      if (verification) {
+        await sendActionMail(user, "email_verify", verification.token);
+      }
       recordAuthMetric("register", "success");
       logger.info({
         userId: user.id,
@@ -915,7 +1193,7 @@ app.post(
       }
 
       const [rows] = await connection.query(
-        "SELECT id, email, name, password_hash AS passwordHash, points, is_banned AS isBanned FROM users WHERE email = ?",
+        "SELECT id, email, name, password_hash AS passwordHash, points, is_banned AS isBanned, email_verified_at AS emailVerifiedAt, totp_enabled AS totpEnabled FROM users WHERE email = ?",
         [normalizedEmail]
       );
       if (!rows.length) {
@@ -928,7 +1206,8 @@ app.post(
         name: rows[0].name,
         passwordHash: rows[0].passwordHash,
         points: rows[0].points,
-        isBanned: Boolean(rows[0].isBanned)
+        isBanned: Boolean(rows[0].isBanned),
+        emailVerified: Boolean(rows[0].emailVerifiedAt)
       };
       const user = await enrichUser(baseUser);
 
@@ -944,16 +1223,33 @@ app.post(
       }
 
       await connection.beginTransaction();
-      const deviceInfo = await upsertUserDevice(connection, user.id, req);
+      if (rows[0].totpEnabled) {
+        // Password is valid but the session is only issued by /auth/login/mfa.
+        const challenge = await issueMfaChallenge(connection, user.id);
+        await logAudit(connection, {
+          actorUserId: user.id,
+          targetUserId: user.id,
+          action: "auth_mfa_challenge",
+          reason: "totp_required"
+        });
+        await connection.commit();
+        recordAuthMetric("login", "mfa_required");
+        logger.info({ userId: user.id }, "auth_mfa_challenge");
+        return res.json({
+          ok: true,
+          mfaRequired: true,
+          mfaToken: challenge.mfaToken,
+          expiresAt: challenge.expiresAt.toISOString()
+        });
+      }
+
+      const { deviceInfo, token, refreshToken } = await startSession(connection, user, req);
       if (deviceInfo.isRevoked) {
         await connection.rollback();
         recordAuthMetric("login", "error");
         logger.warn({ userId: user.id, deviceId: deviceInfo.deviceId }, "login_blocked_device_revoked");
         return res.status(403).json({ ok: false, message: "Device access revoked." });
       }
-      const deviceId = Number(deviceInfo.deviceId);
-      const token = await signJwt({ sub: String(user.id), email: user.email, deviceId });
-      const refreshToken = await issueRefreshToken(connection, user.id, deviceInfo.deviceId || null);
       await logAudit(connection, {
         actorUserId: user.id,
         targetUserId: user.id,
@@ -981,6 +1277,383 @@ app.post(
   }
 );
 
+// Second login step for accounts with TOTP enabled.
+app.post(
+  "/auth/login/mfa",
+  authLimiter,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({
+        mfaToken: zRefreshToken,
+        code: z.string().trim().min(6).max(32)
+      })
+    })
+  ),
+  async (req, res) => {
+    const { mfaToken, code } = req.body || {};
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [challengeRows] = await connection.query(
+        `SELECT id, user_id AS userId, attempts, expires_at AS expiresAt, consumed_at AS consumedAt
+         FROM auth_mfa_challenges WHERE token_hash = ? FOR UPDATE`,
+        [hashToken(mfaToken)]
+      );
+      const challenge = challengeRows[0];
+      if (
+        !challenge ||
+        challenge.consumedAt ||
+        new Date(challenge.expiresAt).getTime() <= Date.now() ||
+        Number(challenge.attempts) >= mfaMaxAttempts
+      ) {
+        await connection.rollback();
+        recordAuthMetric("login_mfa", "error");
+        return res.status(401).json({ ok: false, message: "Invalid or expired MFA challenge." });
+      }
+
+      const [userRows] = await connection.query(
+        `SELECT id, email, name, points, is_banned AS isBanned, email_verified_at AS emailVerifiedAt,
+                totp_secret AS totpSecret,
+                totp_enabled AS totpEnabled, totp_last_step AS totpLastStep
+         FROM users WHERE id = ? FOR UPDATE`,
+        [challenge.userId]
+      );
+      if (!userRows.length || !userRows[0].totpEnabled || !userRows[0].totpSecret) {
+        await connection.rollback();
+        recordAuthMetric("login_mfa", "error");
+        return res.status(401).json({ ok: false, message: "Invalid or expired MFA challenge." });
+      }
+      const row = userRows[0];
+      if (row.isBanned) {
+        await connection.rollback();
+        recordAuthMetric("login_mfa", "error");
+        return res.status(403).json({ ok: false, message: "User is banned." });
+      }
+
+      let method = null;
+      let recoveryCodeId = null;
+      if (/^\d{6}$/.test(code)) {
+        const step = findTotpStep(row.totpSecret, code);
+        // A code is accepted once: its step must be newer than the last accepted one.
+        if (step !== null && (row.totpLastStep === null || step > Number(row.totpLastStep))) {
+          await connection.query("UPDATE users SET totp_last_step = ? WHERE id = ?", [step, row.id]);
+          method = "totp";
+        }
+      } else {
+        const [codeRows] = await connection.query(
+          "SELECT id FROM user_totp_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL FOR UPDATE",
+          [row.id, hashRecoveryCode(code)]
+        );
+        if (codeRows.length) {
+          recoveryCodeId = codeRows[0].id;
+          await connection.query("UPDATE user_totp_recovery_codes SET used_at = NOW() WHERE id = ?", [recoveryCodeId]);
+          method = "recovery_code";
+        }
+      }
+
+      if (!method) {
+        await connection.query("UPDATE auth_mfa_challenges SET attempts = attempts + 1 WHERE id = ?", [challenge.id]);
+        await logAudit(connection, {
+          actorUserId: row.id,
+          targetUserId: row.id,
+          action: "auth_mfa_failed",
+          reason: "invalid_code",
+          metadata: { attempts: Number(challenge.attempts) + 1 }
+        });
+        await connection.commit();
+        recordAuthMetric("login_mfa", "error");
+        return res.status(401).json({ ok: false, message: "Invalid verification code." });
+      }
+
+      await connection.query("UPDATE auth_mfa_challenges SET consumed_at = NOW() WHERE id = ?", [challenge.id]);
+      const user = await enrichUser({
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        points: row.points,
+        isBanned: Boolean(row.isBanned),
+        emailVerified: Boolean(row.emailVerifiedAt)
+      }, connection);
+      const { deviceInfo, token, refreshToken } = await startSession(connection, user, req);
+      if (deviceInfo.isRevoked) {
+        await connection.rollback();
+        recordAuthMetric("login_mfa", "error");
+        logger.warn({ userId: user.id, deviceId: deviceInfo.deviceId }, "login_blocked_device_revoked");
+        return res.status(403).json({ ok: false, message: "Device access revoked." });
+      }
+      if (recoveryCodeId) {
+        await logAudit(connection, {
+          actorUserId: user.id,
+          targetUserId: user.id,
+          action: "auth_recovery_code_used",
+          reason: "totp_recovery",
+          relatedEntityType: "totp_recovery_code",
+          relatedEntityId: recoveryCodeId
+        });
+      }
+      await logAudit(connection, {
+        actorUserId: user.id,
+        targetUserId: user.id,
+        action: "auth_login",
+        reason: "auth_login",
+        metadata: { mfa: method }
+      });
+      await connection.commit();
+
+      recordAuthMetric("login_mfa", "success");
+      logger.info({
+        userId: user.id,
+        email: user.email,
+        mfa: method,
+        newDevice: deviceInfo.isNewDevice,
+        deviceId: deviceInfo.deviceId || null
+      }, "auth_login");
+      return res.json({ ok: true, user: toPublicUser(user), token, refreshToken, newDevice: deviceInfo.isNewDevice });
+    } catch (error) {
+      await connection.rollback();
+      recordAuthMetric("login_mfa", "error");
+      logger.error({ err: error }, "Login MFA error");
+      return res.status(500).json({ ok: false, message: "Login failed." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+const zBase64Url = z.string().min(1).max(16384).regex(/^[A-Za-z0-9_-]+$/);
+
+// Passwordless login, step 1: issue an assertion challenge.
+app.post(
+  "/auth/passkey/options",
+  authLimiter,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({ email: zEmail.optional() }).default({})
+    })
+  ),
+  async (req, res) => {
+    try {
+      const normalizedEmail = req.body?.email ? normalizeEmail(req.body.email) : null;
+      let userId = null;
+      let allowCredentials = [];
+      if (normalizedEmail) {
+        const [userRows] = await dbPool.query("SELECT id FROM users WHERE email = ?", [normalizedEmail]);
+        if (userRows.length) {
+          userId = userRows[0].id;
+          const [passkeyRows] = await dbPool.query(
+            "SELECT credential_id AS credentialId, transports FROM user_passkeys WHERE user_id = ? AND public_key_alg IS NOT NULL",
+            [userId]
+          );
+          allowCredentials = passkeyRows.map((row) => ({
+            type: "public-key",
+            id: row.credentialId,
+            transports: row.transports ? JSON.parse(row.transports) : undefined
+          }));
+        }
+      }
+      const challenge = crypto.randomBytes(32).toString("base64url");
+      await dbPool.query(
+        "INSERT INTO webauthn_challenges (user_id, challenge, purpose, expires_at) VALUES (?, ?, 'authentication', ?)",
+        [userId, challenge, new Date(Date.now() + webauthnChallengeTtlMs)]
+      );
+      return res.json({
+        ok: true,
+        options: {
+          challenge,
+          rpId: webauthnRpId,
+          timeout: webauthnChallengeTtlMs,
+          userVerification: "preferred",
+          allowCredentials
+        }
+      });
+    } catch (error) {
+      recordAuthMetric("passkey", "error");
+      logger.error({ err: error }, "Passkey options error");
+      return res.status(500).json({ ok: false, message: "Failed to generate passkey options." });
+    }
+  }
+);
+
+// Passwordless login, step 2: verify the assertion and open a session.
+app.post(
+  "/auth/passkey/verify",
+  authLimiter,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({
+        credential: z.object({
+          id: zBase64Url.max(512),
+          rawId: zBase64Url.max(512),
+          type: z.literal("public-key"),
+          response: z.object({
+            clientDataJSON: zBase64Url,
+            authenticatorData: zBase64Url,
+            signature: zBase64Url,
+            userHandle: zBase64Url.max(128).nullable().optional()
+          })
+        })
+      })
+    })
+  ),
+  async (req, res) => {
+    const { credential } = req.body;
+    const connection = await dbPool.getConnection();
+    const reject = async (message, status = 401) => {
+      // Challenges stay consumed even when the assertion is rejected.
+      await connection.commit();
+      recordAuthMetric("passkey", "error");
+      return res.status(status).json({ ok: false, message });
+    };
+    try {
+      await connection.beginTransaction();
+      const client = parseClientData(credential.response.clientDataJSON, "webauthn.get", webauthnOrigins);
+      if (client.error) {
+        return await reject(client.error);
+      }
+      const challenge = await consumeWebauthnChallenge(connection, {
+        challenge: client.clientData.challenge,
+        purpose: "authentication"
+      });
+      if (!challenge) {
+        return await reject("Invalid or expired challenge.");
+      }
+
+      const [passkeyRows] = await connection.query(
+        `SELECT id, user_id AS userId, public_key AS publicKey, public_key_alg AS alg, counter
+         FROM user_passkeys WHERE credential_id = ? AND public_key_alg IS NOT NULL FOR UPDATE`,
+        [credential.rawId]
+      );
+      const passkey = passkeyRows[0];
+      if (!passkey || (challenge.userId && Number(challenge.userId) !== Number(passkey.userId))) {
+        return await reject("Unknown passkey.");
+      }
+      const userHandle = credential.response.userHandle;
+      if (userHandle && Buffer.from(userHandle, "base64url").toString("utf8") !== String(passkey.userId)) {
+        return await reject("Unknown passkey.");
+      }
+
+      const authDataBuffer = Buffer.from(credential.response.authenticatorData, "base64url");
+      let authData = null;
+      try {
+        authData = parseAuthenticatorData(authDataBuffer);
+      } catch (error) {
+        return await reject("Malformed authenticator data.", 400);
+      }
+      if (!authData.rpIdHash.equals(sha256(webauthnRpId)) || !authData.userPresent) {
+        return await reject("Invalid passkey assertion.");
+      }
+      const signedData = Buffer.concat([authDataBuffer, client.hash]);
+      const signature = Buffer.from(credential.response.signature, "base64url");
+      if (!verifyWebauthnSignature(Number(passkey.alg), crypto.createPublicKey(passkey.publicKey), signedData, signature)) {
+        return await reject("Invalid passkey assertion.");
+      }
+
+      // A counter that does not move forward signals a cloned authenticator.
+      const storedCounter = Number(passkey.counter) || 0;
+      if ((authData.signCount > 0 || storedCounter > 0) && authData.signCount <= storedCounter) {
+        await logAudit(connection, {
+          actorUserId: passkey.userId,
+          targetUserId: passkey.userId,
+          action: "auth_passkey_counter_error",
+          reason: "sign_count_regression",
+          relatedEntityType: "passkey",
+          relatedEntityId: passkey.id,
+          metadata: { storedCounter, receivedCounter: authData.signCount }
+        });
+        logger.warn({ userId: passkey.userId, passkeyId: passkey.id }, "passkey_counter_regression");
+        return await reject("Invalid passkey assertion.");
+      }
+      await connection.query("UPDATE user_passkeys SET counter = ?, last_used_at = NOW() WHERE id = ?", [
+        authData.signCount,
+        passkey.id
+      ]);
+
+      const [userRows] = await connection.query(
+        `SELECT id, email, name, points, is_banned AS isBanned, email_verified_at AS emailVerifiedAt,
+                totp_enabled AS totpEnabled
+         FROM users WHERE id = ?`,
+        [passkey.userId]
+      );
+      if (!userRows.length) {
+        return await reject("Unknown passkey.");
+      }
+      if (userRows[0].isBanned) {
+        return await reject("User is banned.", 403);
+      }
+      if (userRows[0].totpEnabled && !authData.userVerified) {
+        // Without user verification the passkey is a single factor: the session is only issued by /auth/login/mfa.
+        const mfaChallenge = await issueMfaChallenge(connection, passkey.userId);
+        await logAudit(connection, {
+          actorUserId: passkey.userId,
+          targetUserId: passkey.userId,
+          action: "auth_mfa_challenge",
+          reason: "totp_required",
+          relatedEntityType: "passkey",
+          relatedEntityId: passkey.id,
+          metadata: { method: "passkey" }
+        });
+        await connection.commit();
+        recordAuthMetric("passkey", "mfa_required");
+        logger.info({ userId: passkey.userId, passkeyId: passkey.id }, "auth_mfa_challenge");
+        return res.json({
+          ok: true,
+          mfaRequired: true,
+          mfaToken: mfaChallenge.mfaToken,
+          expiresAt: mfaChallenge.expiresAt.toISOString()
+        });
+      }
+      const user = await enrichUser({
+        id: userRows[0].id,
+        email: userRows[0].email,
+        name: userRows[0].name,
+        points: userRows[0].points,
+        isBanned: false,
+        emailVerified: Boolean(userRows[0].emailVerifiedAt)
+      }, connection);
+      const { deviceInfo, token, refreshToken } = await startSession(connection, user, req);
+      if (deviceInfo.isRevoked) {
+        await connection.rollback();
+        recordAuthMetric("passkey", "error");
+        logger.warn({ userId: user.id, deviceId: deviceInfo.deviceId }, "login_blocked_device_revoked");
+        return res.status(403).json({ ok: false, message: "Device access revoked." });
+      }
+      await logAudit(connection, {
+        actorUserId: user.id,
+        targetUserId: user.id,
+        action: "auth_login",
+        reason: "auth_login",
+        relatedEntityType: "passkey",
+        relatedEntityId: passkey.id,
+        metadata: { method: "passkey", userVerified: authData.userVerified }
+      });
+      await connection.commit();
+
+      recordAuthMetric("passkey", "success");
+      logger.info({
+        userId: user.id,
+        email: user.email,
+        passkeyId: passkey.id,
+        newDevice: deviceInfo.isNewDevice,
+        deviceId: deviceInfo.deviceId || null
+      }, "auth_login");
+      return res.json({ ok: true, user: toPublicUser(user), token, refreshToken, newDevice: deviceInfo.isNewDevice });
+    } catch (error) {
+      await connection.rollback();
+      recordAuthMetric("passkey", "error");
+      logger.error({ err: error }, "Passkey login error");
+      return res.status(500).json({ ok: false, message: "Login failed." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
 app.post(
   "/auth/refresh",
   authLimiter,
@@ -1007,8 +1680,23 @@ app.post(
         recordAuthMetric("refresh", "error");
         return res.status(401).json({ ok: false, message: "Invalid refresh token." });
       }
+      if (rotated.reuseDetected) {
+        // Commit so the family revocation and audit entry survive the rejection.
+        await connection.commit();
+        recordAuthMetric("refresh", "reuse");
+        logger.warn(
+          {
+            userId: rotated.userId,
+            deviceId: rotated.deviceId,
+            familyId: rotated.familyId,
+            revokedCount: rotated.revokedCount
+          },
+          "Refresh token reuse detected"
+        );
+        return res.status(401).json({ ok: false, message: "Invalid refresh token." });
+      }
       const [userRows] = await connection.query(
-        "SELECT id, email, name, points, is_banned AS isBanned FROM users WHERE id = ?",
+        "SELECT id, email, name, points, is_banned AS isBanned, email_verified_at AS emailVerifiedAt FROM users WHERE id = ?",
         [rotated.userId]
       );
       if (!userRows.length) {
@@ -1021,7 +1709,8 @@ app.post(
         email: userRows[0].email,
         name: userRows[0].name,
         points: userRows[0].points,
-        isBanned: Boolean(userRows[0].isBanned)
+        isBanned: Boolean(userRows[0].isBanned),
+        emailVerified: Boolean(userRows[0].emailVerifiedAt)
       };
       const user = await enrichUser(baseUser);
       if (user.isBanned) {
@@ -1035,7 +1724,12 @@ app.post(
         recordAuthMetric("refresh", "error");
         return res.status(401).json({ ok: false, message: "Invalid refresh token." });
       }
-      const token = await signJwt({ sub: String(user.id), email: user.email, deviceId });
+      const token = await signJwt({
+        sub: String(user.id),
+        email: user.email,
+        deviceId,
+        sessionId: rotated.sessionId
+      });
       await logAudit(connection, {
         actorUserId: user.id,
         targetUserId: user.id,
@@ -1094,6 +1788,211 @@ app.post(
   }
 );
 
+// Self-service password reset: always answers 200 so the endpoint cannot be used to probe accounts.
+app.post(
+  "/auth/password/forgot",
+  authLimiter,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({ email: zEmail })
+    })
+  ),
+  async (req, res) => {
+    const normalizedEmail = normalizeEmail(req.body?.email);
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query(
+        "SELECT id, email, name, is_banned AS isBanned FROM users WHERE email = ?",
+        [normalizedEmail]
+      );
+      let reset = null;
+      const user = rows[0] || null;
+      if (user && !user.isBanned) {
+        reset = await issueActionToken(connection, user, "password_reset");
+        await logAudit(connection, {
+          actorUserId: user.id,
+          targetUserId: user.id,
+          action: "auth_password_reset_requested",
+          reason: "password_forgot",
+          metadata: { ip: getClientIp(req) }
+        });
+      }
+      await connection.commit();
+      if (reset) {
+        await sendActionMail(user, "password_reset", reset.token);
+      }
+      recordAuthMetric("password_forgot", "success");
+      return res.json({ ok: true, message: "If the account exists, a reset link has been sent." });
+    } catch (error) {
+      await connection.rollback();
+      recordAuthMetric("password_forgot", "error");
+      logger.error({ err: error }, "Password forgot error");
+      return res.status(500).json({ ok: false, message: "Password reset request failed." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+app.post(
+  "/auth/password/reset",
+  authLimiter,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({ token: zActionToken, password: zPassword })
+    })
+  ),
+  async (req, res) => {
+    const { token, password } = req.body || {};
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const consumed = await consumeActionToken(connection, token, "password_reset");
+      if (!consumed) {
+        await connection.rollback();
+        recordAuthMetric("password_reset", "error");
+        return res.status(400).json({ ok: false, message: "Invalid or expired reset token." });
+      }
+      const [rows] = await connection.query(
+        "SELECT id, is_banned AS isBanned FROM users WHERE id = ? FOR UPDATE",
+        [consumed.userId]
+      );
+      if (!rows.length || rows[0].isBanned) {
+        await connection.rollback();
+        recordAuthMetric("password_reset", "error");
+        return res.status(400).json({ ok: false, message: "Invalid or expired reset token." });
+      }
+      const passwordHash = await bcrypt.hash(password, 10);
+      // Following the emailed link also proves ownership of the address.
+      await connection.query(
+        "UPDATE users SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+        [passwordHash, consumed.userId]
+      );
+      await connection.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+        [consumed.userId]
+      );
+      await logAudit(connection, {
+        actorUserId: consumed.userId,
+        targetUserId: consumed.userId,
+        action: "auth_password_reset",
+        reason: "password_reset",
+        metadata: { ip: getClientIp(req) }
+      });
+      await connection.commit();
+      recordAuthMetric("password_reset", "success");
+      logger.info({ userId: consumed.userId }, "auth_password_reset");
+      return res.json({ ok: true });
+    } catch (error) {
+      await connection.rollback();
+      recordAuthMetric("password_reset", "error");
+      logger.error({ err: error }, "Password reset error");
+      return res.status(500).json({ ok: false, message: "Password reset failed." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+app.post(
+  "/auth/email/verify",
+  authLimiter,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({ token: zActionToken })
+    })
+  ),
+  async (req, res) => {
+    const { token } = req.body || {};
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const consumed = await consumeActionToken(connection, token, "email_verify");
+      if (!consumed) {
+        await connection.rollback();
+        recordAuthMetric("email_verify", "error");
+        return res.status(400).json({ ok: false, message: "Invalid or expired verification token." });
+      }
+      const [rows] = await connection.query(
+        "SELECT id, email FROM users WHERE id = ? FOR UPDATE",
+        [consumed.userId]
+      );
+      // The link only confirms the address it was sent to.
+      if (!rows.length || normalizeEmail(rows[0].email) !== normalizeEmail(consumed.email)) {
+        await connection.rollback();
+        recordAuthMetric("email_verify", "error");
+        return res.status(400).json({ ok: false, message: "Invalid or expired verification token." });
+      }
+      await connection.query(
+        "UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+        [consumed.userId]
+      );
+      await logAudit(connection, {
+        actorUserId: consumed.userId,
+        targetUserId: consumed.userId,
+        action: "auth_email_verified",
+        reason: "email_verify"
+      });
+      await connection.commit();
+      recordAuthMetric("email_verify", "success");
+      logger.info({ userId: consumed.userId }, "auth_email_verified");
+      return res.json({ ok: true, emailVerified: true });
+    } catch (error) {
+      await connection.rollback();
+      recordAuthMetric("email_verify", "error");
+      logger.error({ err: error }, "Email verify error");
+      return res.status(500).json({ ok: false, message: "Email verification failed." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+app.post(
+  "/auth/email/verify/resend",
+  authLimiter,
+  authenticateToken,
+  validateRequest(
+    z.object({
+      params: z.object({}),
+      query: z.object({}),
+      body: z.object({}).default({})
+    })
+  ),
+  async (req, res) => {
+    if (req.user.emailVerified) {
+      return res.status(409).json({ ok: false, message: "Email already verified." });
+    }
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const verification = await issueActionToken(connection, req.user, "email_verify");
+      await connection.commit();
+      const sent = await sendActionMail(req.user, "email_verify", verification.token);
+      if (!sent) {
+        recordAuthMetric("email_verify_resend", "error");
+        return res.status(502).json({ ok: false, message: "Verification email could not be sent." });
+      }
+      recordAuthMetric("email_verify_resend", "success");
+      return res.json({ ok: true, expiresAt: verification.expiresAt.toISOString() });
+    } catch (error) {
+      await connection.rollback();
+      recordAuthMetric("email_verify_resend", "error");
+      logger.error({ err: error }, "Email verification resend error");
+      return res.status(500).json({ ok: false, message: "Failed to send verification email." });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
 app.post(
   "/admin/auth/rotate-secret",
   authenticateToken,
@@ -0,0 +1,54 @@
+// Mail transport abstraction: callers only use `send`, the driver decides where the message goes.
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+// Writes each message as a JSON file so local setups and tests can read links without an SMTP server.
+const createFileTransport = ({ outboxDir }) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+    const payload = { id, createdAt: new Date().toISOString(), ...message };
+    await fs.writeFile(filePath, JSON.stringify(payload, null, 2), { mode: 0o600 });
+    return { id, path: filePath };
+  }
+});
+
+const createSmtpTransport = ({ host, port, secure, user, password }) => {
+  if (!host) {
+    throw new Error("SMTP_HOST must be set when MAIL_TRANSPORT=smtp.");
+  }
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const createMailTransport = ({ driver, from, outboxDir, smtp }) => {
+  let transport = null;
+  if (driver === "smtp") {
+    transport = createSmtpTransport(smtp || {});
+  } else if (driver === "file") {
+    transport = createFileTransport({ outboxDir });
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${driver}" (expected smtp or file).`);
+  }
+  return {
+    name: transport.name,
+    send: ({ to, subject, text }) => transport.send({ from, to, subject, text })
+  };
+};
+
+module.exports = { createMailTransport };
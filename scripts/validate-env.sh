@@ -113,6 +113,10 @@ require_port REDIS_PORT
 # Odds streaming settings.
 require_value ODDS_CHANNEL
 require_int ODDS_INTERVAL_MS
+# The replay feed driver needs a session file to play.
+if [ "$(printenv ODDS_FEED_DRIVER 2>/dev/null || true)" = "replay" ]; then
+  require_value ODDS_FEED_FILE
+fi
 
 if [ "$errors" -ne 0 ]; then
   # Provide a single summary line when validation fails.
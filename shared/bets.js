@@ -0,0 +1,105 @@
+// Bet push messages shared by the API and the worker. Both publish them on the bet updates channel and the API
+// relays them to the /ws/odds sockets subscribed to the bet.
+
+// Current odds and position counts of a bet, or null when the bet does not exist.
+const loadBetUpdate = async (connection, betId) => {
+  const [betRows] = await connection.query("SELECT id, status, closes_at FROM bets WHERE id = ?", [betId]);
+  if (!betRows.length) {
+    return null;
+  }
+  const [optionRows] = await connection.query(
+    `SELECT o.id, o.label, o.current_odds AS currentOdds, COUNT(p.id) AS positionCount
+     FROM bet_options o
+     LEFT JOIN bet_positions p ON p.bet_option_id = o.id AND p.status IN ('open', 'settled')
+     WHERE o.bet_id = ?
+     GROUP BY o.id, o.label, o.current_odds
+     ORDER BY o.id`,
+    [betId]
+  );
+  const options = optionRows.map((row) => ({
+    id: Number(row.id),
+    label: row.label,
+    odds: Number(row.currentOdds),
+    positionCount: Number(row.positionCount)
+  }));
+  return {
+    type: "bet_update",
+    betId: Number(betId),
+    status: betRows[0].status,
+    closesAt: betRows[0].closes_at,
+    positionCount: options.reduce((total, option) => total + option.positionCount, 0),
+    options
+  };
+};
+
+// Payout messages carry a userId: only that user's sockets subscribed to the bet receive them.
+// Parlay payouts also carry the parlayId and are sent on the bet whose settlement completed the ticket.
+const betPayoutMessage = (betId, { userId, outcome, payoutPoints = 0, refundPoints = 0, parlayId = null }) => ({
+  type: "bet_payout",
+  betId: Number(betId),
+  userId: Number(userId),
+  ...(parlayId ? { parlayId: Number(parlayId) } : {}),
+  outcome,
+  payoutPoints,
+  refundPoints
+});
+
+// Redis publishers for bet events, live bet updates and payout messages, called after commit. `getClient` returns
+// the service's publishing client, or null while Redis is not connected (the push is then skipped); `getDb` returns
+// the pool, created once the service starts.
+const createBetPublishers = ({ getClient, getDb, logger, betEventsChannel, betUpdatesChannel }) => {
+  const publishBetEvent = async (event) => {
+    const client = getClient();
+    if (!client) {
+      return;
+    }
+    try {
+      await client.publish(betEventsChannel, JSON.stringify({ ...event, emittedAt: new Date().toISOString() }));
+    } catch (error) {
+      logger.warn({ err: error, type: event.type, betId: event.betId }, "Failed to publish bet event");
+    }
+  };
+
+  // Every API instance relays the update to its own /ws/odds sockets subscribed to the bet.
+  const publishBetUpdate = async (betId) => {
+    const client = getClient();
+    if (!client) {
+      return;
+    }
+    try {
+      const update = await loadBetUpdate(getDb(), betId);
+      if (update) {
+        await client.publish(betUpdatesChannel, JSON.stringify({ ...update, emittedAt: new Date().toISOString() }));
+      }
+    } catch (error) {
+      logger.warn({ err: error, betId }, "Failed to publish bet update");
+    }
+  };
+
+  // `parlays` are the tickets settled with the bet (see settleParlaysForBet); paid ones carry their own message.
+  const publishBetPayouts = async (betId, { payouts = new Map(), refunds = new Map(), outcome, parlays = [] }) => {
+    const client = getClient();
+    if (!client) {
+      return;
+    }
+    const userIds = new Set([...payouts.keys(), ...refunds.keys()]);
+    const messages = [...userIds].map((userId) => betPayoutMessage(betId, {
+      userId,
+      outcome,
+      payoutPoints: payouts.get(userId) || 0,
+      refundPoints: refunds.get(userId) || 0
+    }));
+    messages.push(...parlays.map((parlay) => parlay.payoutMessage).filter(Boolean));
+    try {
+      for (const message of messages) {
+        await client.publish(betUpdatesChannel, JSON.stringify({ ...message, emittedAt: new Date().toISOString() }));
+      }
+    } catch (error) {
+      logger.warn({ err: error, betId }, "Failed to publish bet payouts");
+    }
+  };
+
+  return { publishBetEvent, publishBetUpdate, publishBetPayouts };
+};
+
+module.exports = { loadBetUpdate, betPayoutMessage, createBetPublishers };
@@ -0,0 +1,55 @@
+// Fee schedule shared by the API and the worker (`fee_schedule`): one global rate per action, optional
+// per-group overrides, min/max caps, and fee-free promotional windows (`fee_promotions`).
+// `defaultFeeRate` seeds the global rows and applies when an action has no rule at all.
+const defaultFeeRate = 0.02;
+const feeActions = ["offer_accept", "cashout", "payout", "transfer"];
+
+const loadFeeRule = async (connection, action, groupId = null) => {
+  const [rules] = await connection.query(
+    `SELECT id, group_id AS groupId, rate, min_fee AS minFee, max_fee AS maxFee
+     FROM fee_schedule
+     WHERE action = ? AND (group_id IS NULL OR group_id = ?)
+     ORDER BY group_id IS NULL
+     LIMIT 1`,
+    [action, groupId]
+  );
+  const [promotions] = await connection.query(
+    `SELECT id
+     FROM fee_promotions
+     WHERE starts_at <= NOW() AND ends_at > NOW()
+       AND (action IS NULL OR action = ?)
+       AND (group_id IS NULL OR group_id = ?)
+     ORDER BY id
+     LIMIT 1`,
+    [action, groupId]
+  );
+  const rule = rules[0];
+  return {
+    action,
+    ruleId: rule ? Number(rule.id) : null,
+    rate: rule ? Number(rule.rate) : defaultFeeRate,
+    minFee: rule?.minFee === null || rule?.minFee === undefined ? null : Number(rule.minFee),
+    maxFee: rule?.maxFee === null || rule?.maxFee === undefined ? null : Number(rule.maxFee),
+    promotionId: promotions.length ? Number(promotions[0].id) : null
+  };
+};
+
+// Fee for `amount` under a loaded rule: floor(amount * rate) within [minFee, maxFee], never above the amount.
+const feeFor = (rule, amount) => {
+  if (!Number.isFinite(amount) || amount <= 0 || rule.promotionId) {
+    return 0;
+  }
+  let fee = Math.floor(amount * rule.rate);
+  if (rule.minFee !== null) {
+    fee = Math.max(fee, rule.minFee);
+  }
+  if (rule.maxFee !== null) {
+    fee = Math.min(fee, rule.maxFee);
+  }
+  return Math.max(0, Math.min(fee, Math.floor(amount)));
+};
+
+const calculateFee = async (connection, action, amount, { groupId = null } = {}) =>
+  feeFor(await loadFeeRule(connection, action, groupId), amount);
+
+module.exports = { defaultFeeRate, feeActions, loadFeeRule, feeFor, calculateFee };
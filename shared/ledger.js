@@ -0,0 +1,63 @@
+// Double-entry ledger shared by the gateway, the API and the worker: every points movement is one ledger
+// transaction whose entries sum to zero. User balances are the sum of their `user` entries; system accounts
+// hold what is not on a user balance. `mint` issues points (signup grants, admin credits, winnings above the
+// stake) and only goes negative.
+const ledgerSystemAccounts = ["mint", "fees", "bet_escrow", "offer_escrow", "transfer_escrow"];
+
+// Points the gateway grants at signup (SIGNUP_GRANT_POINTS); the worker's reconciliation assumes the same grant
+// for accounts created before it was audited.
+const signupGrantPointsRaw = Number(process.env.SIGNUP_GRANT_POINTS || 1000);
+const signupGrantPoints = Number.isSafeInteger(signupGrantPointsRaw) && signupGrantPointsRaw >= 0
+  ? signupGrantPointsRaw
+  : 1000;
+
+const postLedgerTransaction = async (connection, {
+  kind,
+  entries,
+  actorUserId = null,
+  relatedEntityType = null,
+  relatedEntityId = null
+}) => {
+  const lines = entries.filter((entry) => Number(entry.amount) !== 0);
+  if (!lines.length) {
+    return null;
+  }
+  for (const entry of lines) {
+    const isUser = entry.account === "user" && entry.userId;
+    if (!isUser && !ledgerSystemAccounts.includes(entry.account)) {
+      throw new Error(`Unknown ledger account ${entry.account}`);
+    }
+    if (!Number.isInteger(Number(entry.amount))) {
+      throw new Error("Ledger amounts must be whole points");
+    }
+  }
+  if (lines.reduce((total, entry) => total + Number(entry.amount), 0) !== 0) {
+    throw new Error("Unbalanced ledger transaction");
+  }
+  const [result] = await connection.query(
+    `INSERT INTO ledger_transactions (kind, actor_user_id, related_entity_type, related_entity_id)
+     VALUES (?, ?, ?, ?)`,
+    [kind, actorUserId, relatedEntityType, relatedEntityId]
+  );
+  await connection.query(
+    "INSERT INTO ledger_entries (transaction_id, account, user_id, amount) VALUES ?",
+    [lines.map((entry) => [result.insertId, entry.account, entry.account === "user" ? entry.userId : null, Number(entry.amount)])]
+  );
+  return result.insertId;
+};
+
+// Moves points between two system accounts, e.g. releasing settled stakes from escrow back to the mint.
+const transferSystemPoints = async (connection, { from, to, amount, ...context }) => {
+  if (!amount) {
+    return null;
+  }
+  return postLedgerTransaction(connection, {
+    ...context,
+    entries: [
+      { account: from, amount: -Number(amount) },
+      { account: to, amount: Number(amount) }
+    ]
+  });
+};
+
+module.exports = { ledgerSystemAccounts, signupGrantPoints, postLedgerTransaction, transferSystemPoints };
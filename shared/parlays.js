@@ -0,0 +1,159 @@
+// Parlay settlement shared by the API (cancelled bets, account deletion) and the worker (payout jobs).
+// Points move through the caller's `applyPointsDelta` / `collectFee` so each service keeps its own
+// metrics and logs.
+const { transferSystemPoints } = require("./ledger");
+const { calculateFee } = require("./fees");
+const { betPayoutMessage } = require("./bets");
+
+const roundParlayOdds = (value) => Math.round(value * 10000) / 10000;
+
+const createParlaySettlement = ({ applyPointsDelta, collectFee, logAudit }) => {
+  // Pays out a parlay once its outcome is known: any lost leg loses the ticket, void legs count as odds 1
+  // and dead-heat legs pay their odds times the dead-heat factor. Paid tickets come back with the
+  // `bet_payout` message of `betId`, the bet that completed them, for the caller to publish after commit.
+  const settleParlay = async (connection, parlayId, { betId, actorUserId = null, reason = "parlay_settle" } = {}) => {
+    const [parlayRows] = await connection.query("SELECT * FROM parlays WHERE id = ? FOR UPDATE", [parlayId]);
+    if (!parlayRows.length || parlayRows[0].status !== "open") {
+      return null;
+    }
+    const parlay = parlayRows[0];
+    const [legs] = await connection.query(
+      "SELECT status, odds_at_purchase AS oddsAtPurchase, payout_factor AS payoutFactor FROM parlay_legs WHERE parlay_id = ?",
+      [parlayId]
+    );
+    const hasLostLeg = legs.some((leg) => leg.status === "lost");
+    if (!hasLostLeg && legs.some((leg) => leg.status === "open")) {
+      return null;
+    }
+
+    const userId = Number(parlay.user_id);
+    const stake = Number(parlay.stake_points);
+    const wonLegs = legs.filter((leg) => leg.status === "won");
+    let status = "lost";
+    let effectiveOdds = 0;
+    let payout = 0;
+    let fee = 0;
+    if (!hasLostLeg && !wonLegs.length) {
+      status = "void";
+      effectiveOdds = 1;
+      payout = stake;
+    } else if (!hasLostLeg) {
+      status = "won";
+      effectiveOdds = roundParlayOdds(
+        wonLegs.reduce((total, leg) => total * Number(leg.oddsAtPurchase) * Number(leg.payoutFactor ?? 1), 1)
+      );
+      const grossPayout = Math.floor(stake * effectiveOdds);
+      fee = await calculateFee(connection, "payout", grossPayout);
+      payout = Math.max(0, grossPayout - fee);
+    }
+
+    await connection.query(
+      `UPDATE parlays
+       SET status = ?, effective_odds = ?, payout_points = ?, fee_points = ?, settled_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [status, effectiveOdds, payout, fee, parlayId]
+    );
+    if (status === "void") {
+      await applyPointsDelta(connection, {
+        userId,
+        delta: payout,
+        counterAccount: "bet_escrow",
+        actorUserId,
+        action: "parlay_refund",
+        reason,
+        relatedEntityType: "parlay",
+        relatedEntityId: parlayId,
+        metadata: { refund: payout }
+      });
+    } else {
+      // Won or lost, the stake leaves escrow; winnings (and the fee) are then paid from the mint.
+      await transferSystemPoints(connection, {
+        from: "bet_escrow",
+        to: "mint",
+        amount: stake,
+        kind: "parlay_stake_release",
+        actorUserId,
+        relatedEntityType: "parlay",
+        relatedEntityId: parlayId
+      });
+    }
+    if (status === "won" && payout > 0) {
+      await applyPointsDelta(connection, {
+        userId,
+        delta: payout,
+        counterAccount: "mint",
+        actorUserId,
+        action: "parlay_payout",
+        reason,
+        relatedEntityType: "parlay",
+        relatedEntityId: parlayId,
+        metadata: { effectiveOdds, fee }
+      });
+      await collectFee(connection, fee, {
+        account: "mint",
+        actorUserId,
+        action: "fee_parlay",
+        reason: "parlay_fee",
+        relatedEntityType: "parlay",
+        relatedEntityId: parlayId,
+        metadata: { fee, effectiveOdds }
+      });
+    }
+    await logAudit(connection, {
+      actorUserId,
+      targetUserId: userId,
+      action: "parlay_settle",
+      reason,
+      relatedEntityType: "parlay",
+      relatedEntityId: parlayId,
+      metadata: { status, stake, effectiveOdds, payout, fee }
+    });
+    const payoutMessage = payout > 0
+      ? betPayoutMessage(betId, {
+        userId,
+        parlayId,
+        outcome: status,
+        payoutPoints: status === "won" ? payout : 0,
+        refundPoints: status === "void" ? payout : 0
+      })
+      : null;
+    return { parlayId, userId, status, payout, fee, payoutMessage };
+  };
+
+  // Settles the open legs on one bet (winners: optionId -> dead-heat factor, null = bet voided),
+  // then every ticket that is now complete.
+  const settleParlaysForBet = async (connection, { betId, winners = null, actorUserId = null, reason = "parlay_settle" }) => {
+    const [legs] = await connection.query(
+      "SELECT id, parlay_id AS parlayId, bet_option_id AS optionId FROM parlay_legs WHERE bet_id = ? AND status = 'open' FOR UPDATE",
+      [betId]
+    );
+    const settled = [];
+    if (!legs.length) {
+      return settled;
+    }
+    for (const leg of legs) {
+      let legStatus = "void";
+      let payoutFactor = 1;
+      if (winners) {
+        legStatus = winners.has(Number(leg.optionId)) ? "won" : "lost";
+        payoutFactor = winners.get(Number(leg.optionId)) ?? 1;
+      }
+      await connection.query(
+        "UPDATE parlay_legs SET status = ?, payout_factor = ?, settled_at = NOW() WHERE id = ?",
+        [legStatus, payoutFactor, leg.id]
+      );
+    }
+    const parlayIds = [...new Set(legs.map((leg) => Number(leg.parlayId)))];
+    for (const parlayId of parlayIds) {
+      const result = await settleParlay(connection, parlayId, { betId, actorUserId, reason });
+      if (result) {
+        settled.push(result);
+      }
+    }
+    return settled;
+  };
+
+  return { settleParlay, settleParlaysForBet };
+};
+
+module.exports = { roundParlayOdds, createParlaySettlement };
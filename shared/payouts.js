@@ -0,0 +1,81 @@
+// Payout job queueing shared by the API (admin, automatic and disputed resolutions) and the worker (community
+// proposals finalized after their dispute window). `onQueued` runs for every job left in the `queued` state so
+// each service can push it to Redis, count it and log it.
+const createPayoutQueue = ({ maxAttempts, onQueued = async () => {} }) => {
+  const enqueuePayoutJob = async (connection, { betId, resultOptionId, resolution = null, resolvedBy, metadata = null }) => {
+    const payload = {
+      betId,
+      resultOptionId,
+      resolution,
+      resolvedBy,
+      requestedAt: new Date().toISOString(),
+      metadata
+    };
+    const payloadJson = JSON.stringify(payload);
+    const [existingRows] = await connection.query(
+      "SELECT id, status, attempts FROM payout_jobs WHERE bet_id = ? FOR UPDATE",
+      [betId]
+    );
+    if (existingRows.length) {
+      const existing = existingRows[0];
+      if (existing.status === "completed") {
+        return { jobId: Number(existing.id), alreadyCompleted: true };
+      }
+      const shouldReset = ["failed", "dead", "retry_wait"].includes(existing.status);
+      const nextStatus = shouldReset ? "queued" : existing.status;
+      const nextAttempts = shouldReset ? 0 : Number(existing.attempts || 0);
+      await connection.query(
+        `UPDATE payout_jobs
+         SET result_option_id = ?, resolved_by = ?, payload = ?, status = ?, attempts = ?, max_attempts = ?,
+             error_message = NULL, next_attempt_at = NULL, dead_at = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [resultOptionId, resolvedBy, payloadJson, nextStatus, nextAttempts, maxAttempts, existing.id]
+      );
+      if (nextStatus === "queued") {
+        await onQueued({ jobId: Number(existing.id), betId, resultOptionId, resolvedBy, existing: true });
+      }
+      return { jobId: Number(existing.id), existing: true };
+    }
+    const [result] = await connection.query(
+      "INSERT INTO payout_jobs (bet_id, result_option_id, resolved_by, status, payload, max_attempts) VALUES (?, ?, ?, 'queued', ?, ?)",
+      [betId, resultOptionId, resolvedBy, payloadJson, maxAttempts]
+    );
+    const jobId = Number(result.insertId);
+    await onQueued({ jobId, betId, resultOptionId, resolvedBy, existing: false });
+    return { jobId, existing: false };
+  };
+
+  // Enqueues the payout job and moves the bet to resolving; the caller owns the transaction.
+  const queueBetResolution = async (connection, { bet, resolution, observedValue = null, resolvedBy, metadata = null }) => {
+    const betId = Number(bet.id);
+    const resultOptionId = resolution.winners.length ? resolution.winners[0].optionId : null;
+    const jobResult = await enqueuePayoutJob(connection, {
+      betId,
+      resultOptionId,
+      resolution,
+      resolvedBy,
+      metadata
+    });
+    if (jobResult.alreadyCompleted) {
+      return { alreadyCompleted: true };
+    }
+    await connection.query(
+      `UPDATE bets
+       SET status = 'resolving', result_option_id = ?, resolution_type = ?, resolution_winners = ?,
+           observed_value = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        resultOptionId,
+        resolution.type,
+        resolution.winners.length ? JSON.stringify(resolution.winners) : null,
+        observedValue,
+        betId
+      ]
+    );
+    return { jobResult, resultOptionId };
+  };
+
+  return { enqueuePayoutJob, queueBetResolution };
+};
+
+module.exports = { createPayoutQueue };
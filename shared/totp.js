@@ -0,0 +1,87 @@
+// TOTP (RFC 6238, SHA-1) shared by the API, which enrolls authenticators and recovery codes, and the gateway,
+// which checks them at the login MFA step.
+const crypto = require("crypto");
+
+const totpStepSeconds = 30;
+const totpDigits = 6;
+const totpDriftSteps = 1;
+const base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const encodeBase32 = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const decodeBase32 = (input) => {
+  const cleaned = String(input || "").toUpperCase().replace(/=+$/, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = base32Alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateTotpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", decodeBase32(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** totpDigits).padStart(totpDigits, "0");
+};
+
+// Returns the matching time step (within the drift window) or null.
+const findTotpStep = (secret, code, now = Date.now()) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ""))) {
+    return null;
+  }
+  const currentStep = Math.floor(now / 1000 / totpStepSeconds);
+  const expected = Buffer.from(String(code));
+  for (let drift = -totpDriftSteps; drift <= totpDriftSteps; drift += 1) {
+    const step = currentStep + drift;
+    const candidate = Buffer.from(generateTotpCode(secret, step));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+module.exports = {
+  totpStepSeconds,
+  totpDigits,
+  encodeBase32,
+  decodeBase32,
+  generateTotpCode,
+  findTotpStep,
+  hashRecoveryCode
+};
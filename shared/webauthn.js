@@ -0,0 +1,60 @@
+// WebAuthn ceremony checks shared by the API (passkey registration) and the gateway (passkey login).
+// Each service passes its own allowed origins (WEBAUTHN_ORIGINS).
+const crypto = require("crypto");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+const verifyWebauthnSignature = (alg, publicKey, data, signature) => {
+  if (!Buffer.isBuffer(signature)) {
+    return false;
+  }
+  try {
+    if (alg === -8) {
+      return crypto.verify(null, data, publicKey, signature);
+    }
+    if (alg === -7 || alg === -257) {
+      return crypto.verify("sha256", data, publicKey, signature);
+    }
+  } catch (error) {
+    return false;
+  }
+  return false;
+};
+
+// Decodes clientDataJSON and checks its type, challenge shape and origin; `hash` is what the authenticator signed.
+const parseClientData = (clientDataJSON, expectedType, allowedOrigins) => {
+  const raw = Buffer.from(clientDataJSON, "base64url");
+  let clientData = null;
+  try {
+    clientData = JSON.parse(raw.toString("utf8"));
+  } catch (error) {
+    return { error: "Malformed client data." };
+  }
+  if (clientData?.type !== expectedType) {
+    return { error: "Unexpected client data type." };
+  }
+  if (typeof clientData.challenge !== "string" || clientData.challenge.length > 128) {
+    return { error: "Invalid challenge." };
+  }
+  if (!allowedOrigins.includes(clientData.origin)) {
+    return { error: "Origin not allowed." };
+  }
+  return { clientData, hash: sha256(raw) };
+};
+
+// Single use: null when the challenge is unknown, expired or already consumed. The caller owns the transaction.
+const consumeWebauthnChallenge = async (connection, { challenge, purpose }) => {
+  const [rows] = await connection.query(
+    `SELECT id, user_id AS userId, expires_at AS expiresAt, consumed_at AS consumedAt
+     FROM webauthn_challenges WHERE challenge = ? AND purpose = ? FOR UPDATE`,
+    [challenge, purpose]
+  );
+  const record = rows[0];
+  if (!record || record.consumedAt || new Date(record.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  await connection.query("UPDATE webauthn_challenges SET consumed_at = NOW() WHERE id = ?", [record.id]);
+  return record;
+};
+
+module.exports = { sha256, verifyWebauthnSignature, parseClientData, consumeWebauthnChallenge };
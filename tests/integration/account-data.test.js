@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GATEWAY_URL, API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+test("account deletion refunds open positions and anonymizes the user", { timeout: 30000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "export.creator");
+  const bettor = await registerVerified(adminToken, "export.bettor");
+
+  const bet = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token: creator.token,
+    body: {
+      title: "Deletion Bet",
+      description: "Account deletion refund",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      options: [
+        { label: "Yes", odds: 2.0 },
+        { label: "No", odds: 1.5 }
+      ]
+    }
+  });
+  assert.equal(bet.response.status, 201, JSON.stringify(bet.payload));
+  const betId = bet.payload.bet.id;
+  const optionId = bet.payload.bet.options[0].id;
+
+  const bettorBefore = await jsonRequest({ url: `${API_URL}/users/${bettor.user.id}`, token: bettor.token });
+  const pointsBefore = bettorBefore.payload.user.points;
+  const buy = await jsonRequest({
+    url: `${API_URL}/bets/${betId}/buy`,
+    method: "POST",
+    token: bettor.token,
+    body: { optionId, stakePoints: 100 }
+  });
+  assert.equal(buy.response.status, 200, JSON.stringify(buy.payload));
+
+  const exported = await jsonRequest({ url: `${API_URL}/me/export`, token: creator.token });
+  assert.equal(exported.response.status, 200);
+  assert.match(exported.response.headers.get("content-disposition") || "", /attachment/);
+  assert.equal(exported.payload.profile.id, creator.user.id);
+  assert.ok(exported.payload.bets.some((row) => row.id === betId));
+  assert.ok(Array.isArray(exported.payload.auditLogs));
+
+  const zip = await fetch(`${API_URL}/me/export?format=zip`, {
+    headers: { Authorization: `Bearer ${creator.token}` }
+  });
+  assert.equal(zip.status, 200);
+  const archive = Buffer.from(await zip.arrayBuffer());
+  assert.equal(archive.readUInt32LE(0), 0x04034b50);
+
+  const wrongPassword = await jsonRequest({
+    url: `${API_URL}/me`,
+    method: "DELETE",
+    token: creator.token,
+    body: { password: "not-the-password" }
+  });
+  assert.equal(wrongPassword.response.status, 401);
+
+  const deleted = await jsonRequest({
+    url: `${API_URL}/me`,
+    method: "DELETE",
+    token: creator.token,
+    body: { password: "password123" }
+  });
+  assert.equal(deleted.response.status, 200, JSON.stringify(deleted.payload));
+  assert.equal(deleted.payload.cancelledBets, 1);
+  assert.equal(deleted.payload.refundedPositions, 1);
+
+  const bettorAfter = await jsonRequest({ url: `${API_URL}/users/${bettor.user.id}`, token: bettor.token });
+  assert.equal(bettorAfter.payload.user.points, pointsBefore);
+
+  const staleToken = await jsonRequest({ url: `${API_URL}/me/devices`, token: creator.token });
+  assert.equal(staleToken.response.status, 401);
+
+  const login = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login`,
+    method: "POST",
+    body: { email: creator.user.email, password: "password123" }
+  });
+  assert.equal(login.response.status, 401);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GATEWAY_URL, API_URL, jsonRequest, randomEmail, loginAdmin } = require("./helpers");
+
+const createBet = (token) =>
+  jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title: "Verification Bet",
+      description: "Email verification gate",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      options: [
+        { label: "Yes", odds: 2.0 },
+        { label: "No", odds: 1.5 }
+      ]
+    }
+  });
+
+test("unverified accounts are restricted until their email is confirmed", { timeout: 30000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const register = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/register`,
+    method: "POST",
+    body: { name: "Unverified User", email: randomEmail("unverified"), password: "password123" }
+  });
+  assert.equal(register.response.status, 201);
+  assert.equal(register.payload.user.emailVerified, false);
+  const { token, user } = register.payload;
+
+  const blocked = await createBet(token);
+  assert.equal(blocked.response.status, 403);
+  assert.equal(blocked.payload.code, "EMAIL_NOT_VERIFIED");
+
+  const resend = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/email/verify/resend`,
+    method: "POST",
+    token,
+    body: {}
+  });
+  assert.equal(resend.response.status, 200, JSON.stringify(resend.payload));
+
+  const forged = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/email/verify`,
+    method: "POST",
+    body: { token }
+  });
+  assert.equal(forged.response.status, 400, "an access token must not verify an email");
+
+  const verify = await jsonRequest({
+    url: `${API_URL}/admin/users/${user.id}/verify-email`,
+    method: "POST",
+    token: adminToken,
+    body: {}
+  });
+  assert.equal(verify.response.status, 200, JSON.stringify(verify.payload));
+
+  const allowed = await createBet(token);
+  assert.equal(allowed.response.status, 201, JSON.stringify(allowed.payload));
+});
+
+test("password reset requests do not reveal whether an account exists", { timeout: 30000 }, async () => {
+  const forgot = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/password/forgot`,
+    method: "POST",
+    body: { email: randomEmail("missing") }
+  });
+  assert.equal(forgot.response.status, 200);
+  assert.equal(forgot.payload.ok, true);
+
+  const reset = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/password/reset`,
+    method: "POST",
+    body: { token: "not-a-valid-reset-token-value", password: "password456" }
+  });
+  assert.equal(reset.response.status, 400);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GATEWAY_URL, API_URL, jsonRequest, randomEmail } = require("./helpers");
+
+const refresh = (refreshToken) =>
+  jsonRequest({
+    url: `${GATEWAY_URL}/auth/refresh`,
+    method: "POST",
+    body: { refreshToken }
+  });
+
+test("replaying a rotated refresh token revokes the whole family", { timeout: 30000 }, async () => {
+  const email = randomEmail("refresh.reuse");
+  const register = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/register`,
+    method: "POST",
+    body: { name: "Refresh Reuse", email, password: "password123" }
+  });
+  assert.equal(register.response.status, 201);
+  const original = register.payload.refreshToken;
+
+  const first = await refresh(original);
+  assert.equal(first.response.status, 200);
+  const rotated = first.payload.refreshToken;
+  assert.ok(rotated);
+  assert.notEqual(rotated, original);
+
+  const replay = await refresh(original);
+  assert.equal(replay.response.status, 401);
+
+  // The legitimate successor is revoked along with the replayed token.
+  const afterReplay = await refresh(rotated);
+  assert.equal(afterReplay.response.status, 401);
+
+  const login = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login`,
+    method: "POST",
+    body: { email, password: "password123" }
+  });
+  assert.equal(login.response.status, 200);
+
+  const devices = await jsonRequest({ url: `${API_URL}/me/devices`, token: login.payload.token });
+  assert.equal(devices.response.status, 200);
+  const flagged = devices.payload.devices.find((device) => device.suspiciousReason === "refresh_token_reuse");
+  assert.ok(flagged);
+  assert.ok(flagged.suspiciousAt);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { GATEWAY_URL, API_URL, jsonRequest, randomEmail } = require("./helpers");
+
+const decodeBase32 = (input) => {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input) {
+    value = (value << 5) | alphabet.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const totpCode = (secret, stepOffset = 0) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + stepOffset));
+  const digest = crypto.createHmac("sha1", decodeBase32(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, "0");
+};
+
+const login = (email, password) =>
+  jsonRequest({
+    url: `${GATEWAY_URL}/auth/login`,
+    method: "POST",
+    body: { email, password }
+  });
+
+test("totp enrollment enforces a second login step", { timeout: 30000 }, async () => {
+  const email = randomEmail("totp");
+  const password = "password123";
+  const register = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/register`,
+    method: "POST",
+    body: { name: "Totp User", email, password }
+  });
+  assert.equal(register.response.status, 201);
+  const token = register.payload.token;
+
+  const setup = await jsonRequest({ url: `${API_URL}/me/totp/setup`, method: "POST", token, body: {} });
+  assert.equal(setup.response.status, 200);
+  const { secret } = setup.payload;
+
+  const badVerify = await jsonRequest({
+    url: `${API_URL}/me/totp/verify`,
+    method: "POST",
+    token,
+    body: { code: totpCode(secret, 5) }
+  });
+  assert.equal(badVerify.response.status, 400);
+
+  const verify = await jsonRequest({
+    url: `${API_URL}/me/totp/verify`,
+    method: "POST",
+    token,
+    body: { code: totpCode(secret) }
+  });
+  assert.equal(verify.response.status, 200);
+  assert.equal(verify.payload.recoveryCodes.length, 10);
+
+  const challenge = await login(email, password);
+  assert.equal(challenge.response.status, 200);
+  assert.equal(challenge.payload.mfaRequired, true);
+  assert.equal(challenge.payload.token, undefined);
+
+  // The enrollment code has already been used and can't be replayed.
+  const replay = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login/mfa`,
+    method: "POST",
+    body: { mfaToken: challenge.payload.mfaToken, code: totpCode(secret) }
+  });
+  assert.equal(replay.response.status, 401);
+
+  const nextStepCode = totpCode(secret, 1);
+  const mfa = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login/mfa`,
+    method: "POST",
+    body: { mfaToken: challenge.payload.mfaToken, code: nextStepCode }
+  });
+  assert.equal(mfa.response.status, 200);
+  assert.ok(mfa.payload.token);
+  assert.ok(mfa.payload.refreshToken);
+
+  const consumed = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login/mfa`,
+    method: "POST",
+    body: { mfaToken: challenge.payload.mfaToken, code: nextStepCode }
+  });
+  assert.equal(consumed.response.status, 401);
+
+  const recoveryCode = verify.payload.recoveryCodes[0];
+  const recoveryChallenge = await login(email, password);
+  const recovery = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login/mfa`,
+    method: "POST",
+    body: { mfaToken: recoveryChallenge.payload.mfaToken, code: recoveryCode }
+  });
+  assert.equal(recovery.response.status, 200);
+  assert.ok(recovery.payload.token);
+
+  const reusedChallenge = await login(email, password);
+  const reused = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login/mfa`,
+    method: "POST",
+    body: { mfaToken: reusedChallenge.payload.mfaToken, code: recoveryCode }
+  });
+  assert.equal(reused.response.status, 401);
+});
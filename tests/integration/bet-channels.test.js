@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+const WS_URL = API_URL.replace(/^http/, "ws");
+
+// Collects every message so assertions can wait for one matching a predicate.
+const openBetSocket = async (token) => {
+  const query = token ? `?token=${encodeURIComponent(token)}` : "";
+  const socket = new WebSocket(`${WS_URL}/ws/odds${query}`);
+  const messages = [];
+  socket.addEventListener("message", (event) => {
+    messages.push(JSON.parse(event.data));
+  });
+  await new Promise((resolveOpen, rejectOpen) => {
+    socket.addEventListener("open", resolveOpen, { once: true });
+    socket.addEventListener("error", rejectOpen, { once: true });
+  });
+  const waitFor = async (predicate, label) => {
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      const match = messages.find(predicate);
+      if (match) {
+        return match;
+      }
+      await new Promise((resolveDelay) => setTimeout(resolveDelay, 200));
+    }
+    throw new Error(`No ${label} message within timeout: ${JSON.stringify(messages)}`);
+  };
+  return { socket, messages, waitFor, send: (payload) => socket.send(JSON.stringify(payload)) };
+};
+
+test(
+  "bet subscriptions on /ws/odds relay odds, positions, status and own payouts",
+  { timeout: 90000, skip: typeof WebSocket === "undefined" ? "needs a global WebSocket (Node 22+)" : false },
+  async () => {
+    const adminToken = await loginAdmin();
+
+    const creator = await registerVerified(adminToken, "ws.creator");
+    const bettor = await registerVerified(adminToken, "ws.bettor");
+
+    const created = await jsonRequest({
+      url: `${API_URL}/bets`,
+      method: "POST",
+      token: creator.token,
+      body: {
+        title: "Realtime bet channel",
+        description: "WebSocket integration test bet",
+        details: "Test details",
+        closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        betType: "multiple",
+        options: [{ label: "Yes", odds: 2 }, { label: "No", odds: 2 }]
+      }
+    });
+    assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+    const bet = created.payload.bet;
+    const [yes] = bet.options;
+
+    const anonymous = await openBetSocket(null);
+    const holder = await openBetSocket(bettor.token);
+    try {
+      anonymous.send({ type: "subscribe", betIds: [bet.id, 999999999] });
+      const ack = await anonymous.waitFor((message) => message.type === "subscribed", "subscribed");
+      assert.deepEqual(ack.betIds, [bet.id]);
+      assert.deepEqual(ack.rejected.map((entry) => entry.betId), [999999999]);
+      const snapshot = await anonymous.waitFor(
+        (message) => message.type === "bet_update" && message.betId === bet.id,
+        "snapshot"
+      );
+      assert.equal(snapshot.status, "open");
+      assert.equal(snapshot.positionCount, 0);
+
+      holder.send({ type: "subscribe", betIds: [bet.id] });
+      await holder.waitFor((message) => message.type === "subscribed", "subscribed");
+
+      const buy = await jsonRequest({
+        url: `${API_URL}/bets/${bet.id}/buy`,
+        method: "POST",
+        token: bettor.token,
+        body: { optionId: yes.id, stakePoints: 100 }
+      });
+      assert.equal(buy.response.status, 200, JSON.stringify(buy.payload));
+      const afterBuy = await anonymous.waitFor(
+        (message) => message.type === "bet_update" && message.positionCount === 1,
+        "position count"
+      );
+      assert.equal(afterBuy.options.find((option) => option.id === yes.id).positionCount, 1);
+
+      const resolve = await jsonRequest({
+        url: `${API_URL}/admin/bets/${bet.id}/resolve`,
+        method: "POST",
+        token: adminToken,
+        body: { resultOptionId: yes.id }
+      });
+      assert.equal(resolve.response.status, 200, JSON.stringify(resolve.payload));
+      await holder.waitFor((message) => message.type === "bet_update" && message.status === "resolving", "resolving");
+      await holder.waitFor((message) => message.type === "bet_update" && message.status === "resolved", "resolved");
+
+      // 100 at odds 2 pays 200 minus the 2% fee; the anonymous subscriber never sees it.
+      const payout = await holder.waitFor((message) => message.type === "bet_payout", "payout");
+      assert.equal(payout.userId, bettor.user.id);
+      assert.equal(payout.payoutPoints, 196);
+      await anonymous.waitFor((message) => message.type === "bet_update" && message.status === "resolved", "resolved");
+      assert.ok(!anonymous.messages.some((message) => message.type === "bet_payout"));
+
+      anonymous.send({ type: "unsubscribe", betIds: [bet.id] });
+      const unsubscribed = await anonymous.waitFor((message) => message.type === "unsubscribed", "unsubscribed");
+      assert.deepEqual(unsubscribed.betIds, [bet.id]);
+    } finally {
+      anonymous.socket.close();
+      holder.socket.close();
+    }
+  }
+);
+
+test(
+  "a parlay completed by a bet's payout pushes its own bet_payout on that bet",
+  { timeout: 90000, skip: typeof WebSocket === "undefined" ? "needs a global WebSocket (Node 22+)" : false },
+  async () => {
+    const adminToken = await loginAdmin();
+
+    const creator = await registerVerified(adminToken, "ws.parlay.creator");
+    const bettor = await registerVerified(adminToken, "ws.parlay.bettor");
+    const createBet = async (title) => {
+      const created = await jsonRequest({
+        url: `${API_URL}/bets`,
+        method: "POST",
+        token: creator.token,
+        body: {
+          title,
+          description: "WebSocket parlay integration test bet",
+          details: "Test details",
+          closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          betType: "multiple",
+          options: [{ label: "Yes", odds: 2 }, { label: "No", odds: 2 }]
+        }
+      });
+      assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+      return created.payload.bet;
+    };
+    const betA = await createBet("Realtime parlay leg A");
+    const betB = await createBet("Realtime parlay leg B");
+
+    const placed = await jsonRequest({
+      url: `${API_URL}/parlays`,
+      method: "POST",
+      token: bettor.token,
+      body: { optionIds: [betA.options[0].id, betB.options[0].id], stakePoints: 100 }
+    });
+    assert.equal(placed.response.status, 201, JSON.stringify(placed.payload));
+    const parlayId = placed.payload.parlay.id;
+
+    const holder = await openBetSocket(bettor.token);
+    try {
+      holder.send({ type: "subscribe", betIds: [betA.id, betB.id] });
+      await holder.waitFor((message) => message.type === "subscribed", "subscribed");
+
+      for (const bet of [betA, betB]) {
+        const resolve = await jsonRequest({
+          url: `${API_URL}/admin/bets/${bet.id}/resolve`,
+          method: "POST",
+          token: adminToken,
+          body: { resultOptionId: bet.options[0].id }
+        });
+        assert.equal(resolve.response.status, 200, JSON.stringify(resolve.payload));
+      }
+
+      // The ticket is only complete once both legs are settled, so the push comes on whichever bet settles last.
+      const payout = await holder.waitFor(
+        (message) => message.type === "bet_payout" && message.parlayId === parlayId,
+        "parlay payout"
+      );
+      assert.equal(payout.userId, bettor.user.id);
+      assert.equal(payout.outcome, "won");
+      assert.ok(payout.payoutPoints > 0);
+      assert.equal(payout.refundPoints, 0);
+    } finally {
+      holder.socket.close();
+    }
+  }
+);
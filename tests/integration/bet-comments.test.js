@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+const createBet = async (token, title, extra = {}) => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Comments integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      options: [{ label: "Yes", odds: 2 }, { label: "No", odds: 2 }],
+      ...extra
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const postComment = (user, betId, body, parentId) => jsonRequest({
+  url: `${API_URL}/bets/${betId}/comments`,
+  method: "POST",
+  token: user.token,
+  body: parentId ? { body, parentId } : { body }
+});
+
+test("bet comments form threads, respect groups and support edit and moderation", { timeout: 90000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const author = await registerVerified(adminToken, "comments.author");
+  const replier = await registerVerified(adminToken, "comments.replier");
+
+  // Group bets: members discuss, outsiders can neither read nor post.
+  const group = await jsonRequest({
+    url: `${API_URL}/admin/groups`,
+    method: "POST",
+    token: adminToken,
+    body: { name: `Comments group ${Date.now()}`, isPrivate: true }
+  });
+  assert.equal(group.response.status, 201, JSON.stringify(group.payload));
+  const member = await jsonRequest({
+    url: `${API_URL}/admin/groups/${group.payload.groupId}/members`,
+    method: "POST",
+    token: adminToken,
+    body: { userId: author.user.id }
+  });
+  assert.equal(member.response.status, 201, JSON.stringify(member.payload));
+  const groupBet = await createBet(author.token, "Group discussion", { groupId: group.payload.groupId });
+  const groupComment = await postComment(author, groupBet.id, "Members only");
+  assert.equal(groupComment.response.status, 201, JSON.stringify(groupComment.payload));
+  const outsiderRead = await jsonRequest({ url: `${API_URL}/bets/${groupBet.id}/comments`, token: replier.token });
+  assert.equal(outsiderRead.response.status, 403, JSON.stringify(outsiderRead.payload));
+  const outsiderPost = await postComment(replier, groupBet.id, "Let me in");
+  assert.equal(outsiderPost.response.status, 403, JSON.stringify(outsiderPost.payload));
+  // Leaving the group also ends the author's hold on their comments there.
+  const leave = await jsonRequest({
+    url: `${API_URL}/admin/groups/${group.payload.groupId}/members/${author.user.id}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(leave.response.status, 200, JSON.stringify(leave.payload));
+  const formerEdit = await jsonRequest({
+    url: `${API_URL}/bets/${groupBet.id}/comments/${groupComment.payload.comment.id}`,
+    method: "PATCH",
+    token: author.token,
+    body: { body: "Still here" }
+  });
+  assert.equal(formerEdit.response.status, 403, JSON.stringify(formerEdit.payload));
+  const formerDelete = await jsonRequest({
+    url: `${API_URL}/bets/${groupBet.id}/comments/${groupComment.payload.comment.id}`,
+    method: "DELETE",
+    token: author.token
+  });
+  assert.equal(formerDelete.response.status, 403, JSON.stringify(formerDelete.payload));
+
+  const bet = await createBet(author.token, "Public discussion");
+  const root = await postComment(author, bet.id, "Who takes Yes?");
+  assert.equal(root.response.status, 201, JSON.stringify(root.payload));
+  const reply = await postComment(replier, bet.id, "Me", root.payload.comment.id);
+  assert.equal(reply.response.status, 201, JSON.stringify(reply.payload));
+  const nested = await postComment(author, bet.id, "Deal", reply.payload.comment.id);
+  assert.equal(nested.response.status, 201, JSON.stringify(nested.payload));
+
+  const foreignEdit = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/comments/${root.payload.comment.id}`,
+    method: "PATCH",
+    token: replier.token,
+    body: { body: "Hijacked" }
+  });
+  assert.equal(foreignEdit.response.status, 403, JSON.stringify(foreignEdit.payload));
+  const edit = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/comments/${root.payload.comment.id}`,
+    method: "PATCH",
+    token: author.token,
+    body: { body: "Who takes Yes at 2.00?" }
+  });
+  assert.equal(edit.response.status, 200, JSON.stringify(edit.payload));
+  assert.ok(edit.payload.comment.editedAt);
+
+  // The author removes the root: it stays as a placeholder so the thread keeps its shape.
+  const removed = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/comments/${root.payload.comment.id}`,
+    method: "DELETE",
+    token: author.token
+  });
+  assert.equal(removed.response.status, 200, JSON.stringify(removed.payload));
+  const moderated = await jsonRequest({
+    url: `${API_URL}/admin/bets/${bet.id}/comments/${reply.payload.comment.id}`,
+    method: "DELETE",
+    token: adminToken,
+    body: { reason: "Off topic" }
+  });
+  assert.equal(moderated.response.status, 200, JSON.stringify(moderated.payload));
+  const replyToDeleted = await postComment(author, bet.id, "Too late", reply.payload.comment.id);
+  assert.equal(replyToDeleted.response.status, 400, JSON.stringify(replyToDeleted.payload));
+
+  const thread = await jsonRequest({ url: `${API_URL}/bets/${bet.id}/comments` });
+  assert.equal(thread.response.status, 200, JSON.stringify(thread.payload));
+  assert.equal(thread.payload.total, 1);
+  const [rootComment] = thread.payload.comments;
+  assert.equal(rootComment.deleted, true);
+  assert.equal(rootComment.deletedBy, "author");
+  assert.equal(rootComment.body, null);
+  const [replyComment] = rootComment.replies;
+  assert.equal(replyComment.deletedBy, "moderator");
+  assert.deepEqual(replyComment.replies.map((comment) => comment.body), ["Deal"]);
+
+  // Ten posts or edits per minute and per client, then 429 with a growing Retry-After.
+  let limited = null;
+  for (let attempt = 0; attempt < 12 && !limited; attempt += 1) {
+    const result = await postComment(replier, bet.id, `Spam ${attempt}`);
+    if (result.response.status === 429) {
+      limited = result;
+    } else {
+      assert.equal(result.response.status, 201, JSON.stringify(result.payload));
+    }
+  }
+  assert.ok(limited, "Expected the comment rate limit to kick in.");
+  assert.ok(limited.response.headers.get("retry-after"));
+});
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+// The worker's bet lifecycle runs every BET_LIFECYCLE_INTERVAL_MS (30 s by default).
+const waitForBet = async (betId, predicate, label, attempts = 90) => {
+  for (let attempt = 0; attempt < attempts; attempt += 1) {
+    const result = await jsonRequest({ url: `${API_URL}/bets/${betId}` });
+    if (result.payload?.bet && predicate(result.payload.bet)) {
+      return result.payload.bet;
+    }
+    await new Promise((resolveDelay) => setTimeout(resolveDelay, 1000));
+  }
+  throw new Error(`Bet ${betId} was not ${label} within timeout.`);
+};
+
+const createBet = async (token, title, extra = {}) => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Bet lifecycle integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 3000).toISOString(),
+      betType: "multiple",
+      options: [{ label: "A", odds: 2 }, { label: "B", odds: 2 }],
+      ...extra
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+// Escalation needs a stack whose worker runs with a short BET_RESOLUTION_SLA_HOURS (e.g. 0.002 = 7 s);
+// TEST_RESOLUTION_SLA_SECONDS tells the test how long that is.
+const RESOLUTION_SLA_SECONDS = Number(process.env.TEST_RESOLUTION_SLA_SECONDS || 0);
+
+test("the worker closes expired bets and rejects late positions", { timeout: 120000 }, async () => {
+  const adminToken = await loginAdmin();
+  const creator = await registerVerified(adminToken, "lifecycle.creator");
+  const bettor = await registerVerified(adminToken, "lifecycle.bettor");
+  const bet = await createBet(creator.token, "Auto close");
+  assert.equal(bet.status, "open");
+
+  const closed = await waitForBet(bet.id, (current) => current.status === "closed", "closed");
+  assert.equal(closed.resolutionEscalatedAt, null);
+  const late = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/buy`,
+    method: "POST",
+    token: bettor.token,
+    body: { optionId: bet.options[0].id, stakePoints: 10 }
+  });
+  assert.equal(late.response.status, 400, JSON.stringify(late.payload));
+
+  // A closed bet can still be resolved by an admin.
+  const resolve = await jsonRequest({
+    url: `${API_URL}/admin/bets/${bet.id}/resolve`,
+    method: "POST",
+    token: adminToken,
+    body: { resultOptionId: bet.options[0].id }
+  });
+  assert.equal(resolve.response.status, 200, JSON.stringify(resolve.payload));
+});
+
+test(
+  "bets still unresolved after the SLA are escalated once, including pending proposals",
+  {
+    timeout: 180000,
+    skip: RESOLUTION_SLA_SECONDS > 0 ? false : "needs a short BET_RESOLUTION_SLA_HOURS and TEST_RESOLUTION_SLA_SECONDS"
+  },
+  async () => {
+    const adminToken = await loginAdmin();
+    const creator = await registerVerified(adminToken, "lifecycle.sla");
+    const adminBet = await createBet(creator.token, "Overdue admin resolution");
+    const communityBet = await createBet(creator.token, "Overdue community proposal", { resolutionMode: "community" });
+
+    await waitForBet(communityBet.id, (current) => current.status === "closed", "closed");
+    const proposal = await jsonRequest({
+      url: `${API_URL}/bets/${communityBet.id}/resolution-proposal`,
+      method: "POST",
+      token: creator.token,
+      body: { resultOptionId: communityBet.options[0].id }
+    });
+    assert.equal(proposal.response.status, 201, JSON.stringify(proposal.payload));
+
+    const attempts = RESOLUTION_SLA_SECONDS + 90;
+    const escalated = await waitForBet(adminBet.id, (current) => current.resolutionEscalatedAt, "escalated", attempts);
+    assert.equal(escalated.status, "closed");
+
+    // The proposal is still inside its dispute window, so the bet stays proposed and is escalated as well.
+    const proposed = await waitForBet(
+      communityBet.id,
+      (current) => current.resolutionEscalatedAt,
+      "escalated",
+      attempts
+    );
+    assert.equal(proposed.status, "proposed");
+
+    // Escalation happens once: the timestamp does not move on the next cycles.
+    await new Promise((resolveDelay) => setTimeout(resolveDelay, 5000));
+    const again = await jsonRequest({ url: `${API_URL}/bets/${adminBet.id}` });
+    assert.equal(again.payload.bet.resolutionEscalatedAt, escalated.resolutionEscalatedAt);
+  }
+);
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, fetchPoints, buy, waitForResolved } = require("./helpers");
+
+const createBet = async (token, title, options, betType = "multiple") => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Resolution integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType,
+      options
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const resolveBet = async (adminToken, betId, body) => jsonRequest({
+  url: `${API_URL}/admin/bets/${betId}/resolve`,
+  method: "POST",
+  token: adminToken,
+  body
+});
+
+test("void, dead heat and multiple-winner resolutions", { timeout: 90000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "resolution.creator");
+  const voidBettor = await registerVerified(adminToken, "resolution.void");
+  const deadHeatBettor = await registerVerified(adminToken, "resolution.deadheat");
+  const multiBettor = await registerVerified(adminToken, "resolution.multi");
+
+  const boolBet = await createBet(creator.token, "Boolean resolution", [{ label: "Yes" }, { label: "No" }], "boolean");
+  const twoWinners = await resolveBet(adminToken, boolBet.id, {
+    winners: boolBet.options.map((option) => ({ optionId: option.id }))
+  });
+  assert.equal(twoWinners.response.status, 400, JSON.stringify(twoWinners.payload));
+
+  // Void: the stake comes back in full, without fee.
+  const voidBet = await createBet(creator.token, "Void resolution", [{ label: "A", odds: 2 }, { label: "B", odds: 2 }]);
+  await buy(voidBettor, voidBet.id, voidBet.options[0].id, 100);
+  const voided = await resolveBet(adminToken, voidBet.id, { outcome: "void" });
+  assert.equal(voided.response.status, 200, JSON.stringify(voided.payload));
+  assert.equal(voided.payload.resolutionType, "void");
+  await waitForResolved(voidBet.id);
+  assert.equal(await fetchPoints(voidBettor), 1000);
+
+  // Dead heat between two options: half the stake is paid at odds 3, floor(100 * 3 * 0.5) = 150 - 3 fee.
+  const deadHeatBet = await createBet(creator.token, "Dead heat resolution", [
+    { label: "A", odds: 3 },
+    { label: "B", odds: 3 },
+    { label: "C", odds: 2 }
+  ]);
+  await buy(deadHeatBettor, deadHeatBet.id, deadHeatBet.options[0].id, 100);
+  const deadHeat = await resolveBet(adminToken, deadHeatBet.id, {
+    winners: [{ optionId: deadHeatBet.options[0].id }, { optionId: deadHeatBet.options[1].id }],
+    payoutMode: "split"
+  });
+  assert.equal(deadHeat.response.status, 200, JSON.stringify(deadHeat.payload));
+  assert.equal(deadHeat.payload.resolutionType, "dead_heat");
+  await waitForResolved(deadHeatBet.id);
+  assert.equal(await fetchPoints(deadHeatBettor), 1047);
+
+  // Several correct answers at full odds: 100 on B pays 250 - 5 fee, 50 on C is lost.
+  const multiBet = await createBet(creator.token, "Multiple winners", [
+    { label: "A", odds: 2 },
+    { label: "B", odds: 2.5 },
+    { label: "C", odds: 4 }
+  ]);
+  await buy(multiBettor, multiBet.id, multiBet.options[1].id, 100);
+  await buy(multiBettor, multiBet.id, multiBet.options[2].id, 50);
+  const multi = await resolveBet(adminToken, multiBet.id, {
+    winners: [{ optionId: multiBet.options[0].id }, { optionId: multiBet.options[1].id }]
+  });
+  assert.equal(multi.response.status, 200, JSON.stringify(multi.payload));
+  assert.equal(multi.payload.resolutionType, "multiple");
+  await waitForResolved(multiBet.id);
+  assert.equal(await fetchPoints(multiBettor), 1095);
+
+  const resolved = await jsonRequest({ url: `${API_URL}/bets/${multiBet.id}` });
+  assert.equal(resolved.payload.bet.resolutionType, "multiple");
+  assert.equal(resolved.payload.bet.winningOptions.length, 2);
+});
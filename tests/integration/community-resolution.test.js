@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, fetchPoints, buy, waitForResolved } = require("./helpers");
+
+const sleep = (ms) => new Promise((resolveDelay) => setTimeout(resolveDelay, ms));
+
+// Community bets close a few seconds after creation so the test can propose right away.
+const createCommunityBet = async (token, title, extra = {}) => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Community resolution integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 8000).toISOString(),
+      betType: "multiple",
+      options: [{ label: "A", odds: 2 }, { label: "B", odds: 2 }],
+      ...extra
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const propose = async (user, betId, body) => jsonRequest({
+  url: `${API_URL}/bets/${betId}/resolution-proposal`,
+  method: "POST",
+  token: user.token,
+  body
+});
+
+test("community resolution with a dispute window", { timeout: 180000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "community.creator");
+  const holder = await registerVerified(adminToken, "community.holder");
+  const outsider = await registerVerified(adminToken, "community.outsider");
+  const quietHolder = await registerVerified(adminToken, "community.quiet");
+
+  const adminBet = await createCommunityBet(creator.token, "Admin resolved", { resolutionMode: "admin" });
+  const disputedBet = await createCommunityBet(creator.token, "Disputed outcome", { resolutionMode: "community" });
+  const quietBet = await createCommunityBet(creator.token, "Undisputed outcome", {
+    resolutionMode: "community",
+    disputeWindowMinutes: 1
+  });
+  assert.equal(disputedBet.resolutionMode, "community");
+  await buy(holder, disputedBet.id, disputedBet.options[0].id, 100);
+  await buy(quietHolder, quietBet.id, quietBet.options[1].id, 100);
+  await sleep(9000);
+
+  const notCommunity = await propose(creator, adminBet.id, { resultOptionId: adminBet.options[0].id });
+  assert.equal(notCommunity.response.status, 400, JSON.stringify(notCommunity.payload));
+  const notCreator = await propose(holder, disputedBet.id, { resultOptionId: disputedBet.options[0].id });
+  assert.equal(notCreator.response.status, 403, JSON.stringify(notCreator.payload));
+
+  // Disputed path: the holder objects, an admin upholds the creator's outcome and A pays 200 - 4 fee.
+  const proposed = await propose(creator, disputedBet.id, { resultOptionId: disputedBet.options[0].id });
+  assert.equal(proposed.response.status, 201, JSON.stringify(proposed.payload));
+  assert.equal(proposed.payload.proposal.status, "pending");
+
+  const outsiderDispute = await jsonRequest({
+    url: `${API_URL}/bets/${disputedBet.id}/disputes`,
+    method: "POST",
+    token: outsider.token,
+    body: { reason: "I disagree" }
+  });
+  assert.equal(outsiderDispute.response.status, 403, JSON.stringify(outsiderDispute.payload));
+
+  const dispute = await jsonRequest({
+    url: `${API_URL}/bets/${disputedBet.id}/disputes`,
+    method: "POST",
+    token: holder.token,
+    body: { reason: "The match was postponed", evidenceUrl: "https://example.com/postponed" }
+  });
+  assert.equal(dispute.response.status, 201, JSON.stringify(dispute.payload));
+
+  const queue = await jsonRequest({ url: `${API_URL}/admin/bets/disputes`, token: adminToken });
+  assert.equal(queue.response.status, 200, JSON.stringify(queue.payload));
+  const entry = queue.payload.disputes.find((item) => item.bet.id === disputedBet.id);
+  assert.ok(entry, "disputed bet should be in the admin queue");
+  assert.equal(entry.bet.status, "disputed");
+  assert.equal(entry.proposal.disputes[0].evidenceUrl, "https://example.com/postponed");
+
+  const upheld = await jsonRequest({
+    url: `${API_URL}/admin/bets/disputes/${proposed.payload.proposal.id}/uphold`,
+    method: "POST",
+    token: adminToken
+  });
+  assert.equal(upheld.response.status, 200, JSON.stringify(upheld.payload));
+  await waitForResolved(disputedBet.id);
+  assert.equal(await fetchPoints(holder), 1096);
+
+  // Undisputed path: the worker finalizes once the one-minute window has elapsed and B pays 200 - 4 fee.
+  const quietProposal = await propose(creator, quietBet.id, { resultOptionId: quietBet.options[1].id });
+  assert.equal(quietProposal.response.status, 201, JSON.stringify(quietProposal.payload));
+  await waitForResolved(quietBet.id, 150);
+  assert.equal(await fetchPoints(quietHolder), 1096);
+  const finalized = await jsonRequest({ url: `${API_URL}/bets/${quietBet.id}/resolution-proposal`, token: quietHolder.token });
+  assert.equal(finalized.payload.proposal.status, "finalized");
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+const addMember = async (adminToken, groupId, userId) => {
+  const result = await jsonRequest({
+    url: `${API_URL}/admin/groups/${groupId}/members`,
+    method: "POST",
+    token: adminToken,
+    body: { userId }
+  });
+  assert.equal(result.response.status, 201, JSON.stringify(result.payload));
+};
+
+const createGroupOffer = async (creator, groupId, pointsCost) => {
+  const result = await jsonRequest({
+    url: `${API_URL}/offers`,
+    method: "POST",
+    token: creator.token,
+    body: { title: "Fee schedule offer", description: "Fee schedule integration test offer", pointsCost, groupId }
+  });
+  assert.equal(result.response.status, 201, JSON.stringify(result.payload));
+  return result.payload.offer;
+};
+
+const acceptOffer = async (buyer, offerId) => {
+  const result = await jsonRequest({ url: `${API_URL}/offers/${offerId}/accept`, method: "POST", token: buyer.token });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload;
+};
+
+const putRule = (token, action, body) => jsonRequest({
+  url: `${API_URL}/admin/fees/schedule/rules/${action}`,
+  method: "PUT",
+  token,
+  body
+});
+
+// Rules and promotions are scoped to a fresh group so concurrent suites keep the global 2%.
+test("group fee rules apply floors and promotions waive fees", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "fees.creator");
+  const buyer = await registerVerified(adminToken, "fees.buyer");
+  const group = await jsonRequest({
+    url: `${API_URL}/admin/groups`,
+    method: "POST",
+    token: adminToken,
+    body: { name: `Fee group ${Date.now()}`, isPrivate: true }
+  });
+  assert.equal(group.response.status, 201, JSON.stringify(group.payload));
+  const groupId = group.payload.groupId;
+  await addMember(adminToken, groupId, creator.user.id);
+  await addMember(adminToken, groupId, buyer.user.id);
+
+  const schedule = await jsonRequest({ url: `${API_URL}/admin/fees/schedule`, token: adminToken });
+  assert.equal(schedule.response.status, 200, JSON.stringify(schedule.payload));
+  const globalRules = schedule.payload.rules.filter((rule) => rule.groupId === null);
+  assert.deepEqual(globalRules.map((rule) => rule.action).sort(), ["cashout", "offer_accept", "payout", "transfer"]);
+
+  // 1% of 100 is 1, lifted to the 5 point floor.
+  const created = await putRule(adminToken, "offer_accept", { groupId, rate: 0.01, minFee: 5, maxFee: 50 });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  assert.equal(created.payload.rule.rate, 0.01);
+  const floored = await acceptOffer(buyer, (await createGroupOffer(creator, groupId, 100)).id);
+  assert.equal(floored.fee, 5);
+  assert.equal(floored.totalCost, 105);
+
+  const updated = await putRule(adminToken, "offer_accept", { groupId, rate: 0.1, maxFee: 3 });
+  assert.equal(updated.response.status, 200, JSON.stringify(updated.payload));
+  const capped = await acceptOffer(buyer, (await createGroupOffer(creator, groupId, 100)).id);
+  assert.equal(capped.fee, 3);
+
+  const logs = await jsonRequest({
+    url: `${API_URL}/admin/logs?action=fee_schedule_update&relatedEntityType=fee_schedule&relatedEntityId=${updated.payload.rule.id}`,
+    token: adminToken
+  });
+  assert.equal(logs.response.status, 200, JSON.stringify(logs.payload));
+  assert.equal(logs.payload.logs.length, 2);
+  const lastChange = typeof logs.payload.logs[0].metadata === "string"
+    ? JSON.parse(logs.payload.logs[0].metadata)
+    : logs.payload.logs[0].metadata;
+  assert.deepEqual(lastChange.before, { rate: 0.01, minFee: 5, maxFee: 50 });
+  assert.deepEqual(lastChange.after, { rate: 0.1, minFee: null, maxFee: 3 });
+
+  const promotion = await jsonRequest({
+    url: `${API_URL}/admin/fees/schedule/promotions`,
+    method: "POST",
+    token: adminToken,
+    body: {
+      name: "Fee free hour",
+      action: "offer_accept",
+      groupId,
+      startsAt: new Date(Date.now() - 60000).toISOString(),
+      endsAt: new Date(Date.now() + 3600000).toISOString()
+    }
+  });
+  assert.equal(promotion.response.status, 201, JSON.stringify(promotion.payload));
+  const waived = await acceptOffer(buyer, (await createGroupOffer(creator, groupId, 100)).id);
+  assert.equal(waived.fee, 0);
+  assert.equal(waived.totalCost, 100);
+
+  const removedPromotion = await jsonRequest({
+    url: `${API_URL}/admin/fees/schedule/promotions/${promotion.payload.promotion.id}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(removedPromotion.response.status, 200, JSON.stringify(removedPromotion.payload));
+  const removedRule = await jsonRequest({
+    url: `${API_URL}/admin/fees/schedule/rules/offer_accept?groupId=${groupId}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(removedRule.response.status, 200, JSON.stringify(removedRule.payload));
+  const globalRate = await acceptOffer(buyer, (await createGroupOffer(creator, groupId, 100)).id);
+  assert.equal(globalRate.fee, 2);
+
+  const invalidRate = await putRule(adminToken, "offer_accept", { groupId, rate: 0.9 });
+  assert.equal(invalidRate.response.status, 400, JSON.stringify(invalidRate.payload));
+  const invalidCaps = await putRule(adminToken, "offer_accept", { groupId, rate: 0.02, minFee: 10, maxFee: 5 });
+  assert.equal(invalidCaps.response.status, 400, JSON.stringify(invalidCaps.payload));
+  const unknownAction = await putRule(adminToken, "bet_buy", { rate: 0.02 });
+  assert.equal(unknownAction.response.status, 400, JSON.stringify(unknownAction.payload));
+  const noOverride = await jsonRequest({
+    url: `${API_URL}/admin/fees/schedule/rules/transfer?groupId=${groupId}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(noOverride.response.status, 404, JSON.stringify(noOverride.payload));
+  const notAdmin = await putRule(buyer.token, "offer_accept", { groupId, rate: 0 });
+  assert.equal(notAdmin.response.status, 403, JSON.stringify(notAdmin.payload));
+});
+
+test("fee schedule edits are not counted as collected fees", { timeout: 30000 }, async () => {
+  const adminToken = await loginAdmin();
+  const group = await jsonRequest({
+    url: `${API_URL}/admin/groups`,
+    method: "POST",
+    token: adminToken,
+    body: { name: `Fee summary group ${Date.now()}`, isPrivate: true }
+  });
+  assert.equal(group.response.status, 201, JSON.stringify(group.payload));
+  const groupId = group.payload.groupId;
+
+  const fetchSummary = async () => {
+    const result = await jsonRequest({ url: `${API_URL}/admin/fees/summary`, token: adminToken });
+    assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+    return result.payload;
+  };
+  const before = await fetchSummary();
+
+  // Every edit is audited under a fee_* action; none of them collects a fee.
+  const rule = await putRule(adminToken, "cashout", { groupId, rate: 0.05 });
+  assert.equal(rule.response.status, 201, JSON.stringify(rule.payload));
+  const updated = await putRule(adminToken, "cashout", { groupId, rate: 0.04, minFee: 1 });
+  assert.equal(updated.response.status, 200, JSON.stringify(updated.payload));
+  const promotion = await jsonRequest({
+    url: `${API_URL}/admin/fees/schedule/promotions`,
+    method: "POST",
+    token: adminToken,
+    body: {
+      name: "Summary check",
+      action: "cashout",
+      groupId,
+      startsAt: new Date(Date.now() + 3600000).toISOString(),
+      endsAt: new Date(Date.now() + 7200000).toISOString()
+    }
+  });
+  assert.equal(promotion.response.status, 201, JSON.stringify(promotion.payload));
+  const removedPromotion = await jsonRequest({
+    url: `${API_URL}/admin/fees/schedule/promotions/${promotion.payload.promotion.id}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(removedPromotion.response.status, 200, JSON.stringify(removedPromotion.payload));
+  const removedRule = await jsonRequest({
+    url: `${API_URL}/admin/fees/schedule/rules/cashout?groupId=${groupId}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(removedRule.response.status, 200, JSON.stringify(removedRule.payload));
+
+  const after = await fetchSummary();
+  assert.equal(after.entries, before.entries);
+  assert.equal(after.totalFees, before.totalFees);
+  assert.deepEqual(after.bySource, before.bySource);
+});
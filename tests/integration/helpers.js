@@ -0,0 +1,108 @@
+// Helpers shared by the integration suites: HTTP calls against the running stack, verified test users and the
+// admin session from TEST_ADMIN_EMAIL / TEST_ADMIN_PASSWORD.
+const assert = require("node:assert/strict");
+
+const GATEWAY_URL = process.env.GATEWAY_URL || "http://localhost:3000";
+const API_URL = process.env.API_URL || "http://localhost:4000";
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD;
+
+const jsonRequest = async ({ url, method = "GET", token, body, headers = {} }) => {
+  const finalHeaders = {
+    ...headers
+  };
+  if (token) {
+    finalHeaders.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    finalHeaders["Content-Type"] = "application/json";
+  }
+  const response = await fetch(url, {
+    method,
+    headers: finalHeaders,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (error) {
+    payload = { raw: text };
+  }
+  return { response, payload };
+};
+
+const randomEmail = (prefix) => `${prefix}.${Date.now()}@test.local`;
+
+// Registers through the gateway and verifies the email as admin, so the user can bet right away.
+const registerVerified = async (adminToken, prefix) => {
+  const register = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/register`,
+    method: "POST",
+    body: { name: `${prefix} User`, email: randomEmail(prefix), password: "password123" }
+  });
+  assert.equal(register.response.status, 201, JSON.stringify(register.payload));
+  const verify = await jsonRequest({
+    url: `${API_URL}/admin/users/${register.payload.user.id}/verify-email`,
+    method: "POST",
+    token: adminToken
+  });
+  assert.equal(verify.response.status, 200, JSON.stringify(verify.payload));
+  return register.payload;
+};
+
+const loginAdmin = async () => {
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    throw new Error("Set TEST_ADMIN_EMAIL and TEST_ADMIN_PASSWORD to run integration tests.");
+  }
+  const admin = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login`,
+    method: "POST",
+    body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD }
+  });
+  assert.equal(admin.response.status, 200, JSON.stringify(admin.payload));
+  return admin.payload.token;
+};
+
+const fetchPoints = async (user) => {
+  const result = await jsonRequest({ url: `${API_URL}/users/${user.user.id}`, token: user.token });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload.user.points;
+};
+
+const buy = async (user, betId, optionId, stakePoints) => {
+  const result = await jsonRequest({
+    url: `${API_URL}/bets/${betId}/buy`,
+    method: "POST",
+    token: user.token,
+    body: { optionId, stakePoints }
+  });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload;
+};
+
+// Payouts are settled asynchronously by the worker.
+const waitForResolved = async (betId, attempts = 20) => {
+  for (let attempt = 0; attempt < attempts; attempt += 1) {
+    const betStatus = await jsonRequest({ url: `${API_URL}/bets/${betId}` });
+    if (betStatus.payload?.bet?.status === "resolved") {
+      return;
+    }
+    await new Promise((resolveDelay) => setTimeout(resolveDelay, 1000));
+  }
+  throw new Error("Bet did not resolve within timeout.");
+};
+
+module.exports = {
+  GATEWAY_URL,
+  API_URL,
+  ADMIN_EMAIL,
+  ADMIN_PASSWORD,
+  jsonRequest,
+  randomEmail,
+  registerVerified,
+  loginAdmin,
+  fetchPoints,
+  buy,
+  waitForResolved
+};
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+const fetchLedger = async (adminToken, userId) => {
+  const result = await jsonRequest({ url: `${API_URL}/admin/users/${userId}/ledger`, token: adminToken });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload;
+};
+
+test("every points movement is posted as balanced ledger entries", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const alice = await registerVerified(adminToken, "ledger.alice");
+  const bob = await registerVerified(adminToken, "ledger.bob");
+
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token: alice.token,
+    body: {
+      title: "Ledger bet",
+      description: "Ledger integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      options: [{ label: "Yes", odds: 2 }, { label: "No", odds: 2 }]
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  const bet = created.payload.bet;
+
+  const buy = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/buy`,
+    method: "POST",
+    token: bob.token,
+    body: { optionId: bet.options[0].id, stakePoints: 100 }
+  });
+  assert.equal(buy.response.status, 200, JSON.stringify(buy.payload));
+
+  const transfer = await jsonRequest({
+    url: `${API_URL}/transfers`,
+    method: "POST",
+    token: alice.token,
+    body: { recipientUserId: bob.user.id, amount: 100 }
+  });
+  assert.equal(transfer.response.status, 201, JSON.stringify(transfer.payload));
+
+  const cancel = await jsonRequest({
+    url: `${API_URL}/admin/bets/${bet.id}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(cancel.response.status, 200, JSON.stringify(cancel.payload));
+
+  // Bob: 1000 granted, 100 staked then refunded, 100 received.
+  const bobLedger = await fetchLedger(adminToken, bob.user.id);
+  assert.equal(bobLedger.points, 1100);
+  assert.equal(bobLedger.ledgerBalance, 1100);
+  assert.equal(bobLedger.drift, 0);
+  const bobMoves = bobLedger.entries
+    .slice()
+    .reverse()
+    .map((entry) => [entry.kind, entry.amount, entry.counterAccounts.join(",")]);
+  assert.deepEqual(bobMoves, [
+    ["register_points", 1000, "mint"],
+    ["bet_buy_debit", -100, "bet_escrow"],
+    ["transfer_credit", 100, "transfer_escrow"],
+    ["bet_refund", 100, "bet_escrow"]
+  ]);
+
+  // Alice pays the amount and the 2% fee.
+  const aliceLedger = await fetchLedger(adminToken, alice.user.id);
+  assert.equal(aliceLedger.points, 898);
+  assert.equal(aliceLedger.drift, 0);
+
+  // Committed state: nothing in flight, every user balance matches its entries, the ledger sums to zero.
+  const accounts = await jsonRequest({ url: `${API_URL}/admin/ledger/accounts`, token: adminToken });
+  assert.equal(accounts.response.status, 200, JSON.stringify(accounts.payload));
+  assert.equal(accounts.payload.total, 0);
+  assert.equal(accounts.payload.users.drift, 0);
+  assert.deepEqual(accounts.payload.driftingUsers, []);
+  const balanceOf = (name) => accounts.payload.accounts.find((account) => account.account === name).balance;
+  assert.equal(balanceOf("transfer_escrow"), 0);
+  assert.equal(balanceOf("offer_escrow"), 0);
+  assert.ok(balanceOf("mint") < 0);
+
+  const forbidden = await jsonRequest({ url: `${API_URL}/admin/ledger/accounts`, token: bob.token });
+  assert.equal(forbidden.response.status, 403);
+});
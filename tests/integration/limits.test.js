@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, buy } = require("./helpers");
+
+const createBet = async (token, title, options, betType = "multiple") => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Limits integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType,
+      options
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const putLimits = async (user, body) => jsonRequest({
+  url: `${API_URL}/me/limits`,
+  method: "PUT",
+  token: user.token,
+  body
+});
+
+test("exposure limits and self-exclusion", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "limits.creator");
+  const player = await registerVerified(adminToken, "limits.player");
+  const excluded = await registerVerified(adminToken, "limits.excluded");
+
+  const bet = await createBet(creator.token, "Limited stakes", [{ label: "A", odds: 2 }, { label: "B", odds: 2 }]);
+  const offer = await jsonRequest({
+    url: `${API_URL}/offers`,
+    method: "POST",
+    token: creator.token,
+    body: { title: "Limited offer", description: "Limits integration test offer", pointsCost: 100 }
+  });
+  assert.equal(offer.response.status, 201, JSON.stringify(offer.payload));
+
+  const set = await putLimits(player, { dailyStakeLimit: 150 });
+  assert.equal(set.response.status, 200, JSON.stringify(set.payload));
+  assert.equal(set.payload.limits.dailyStakeLimit, 150);
+
+  await buy(player, bet.id, bet.options[0].id, 100);
+  const overBuy = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/buy`,
+    method: "POST",
+    token: player.token,
+    body: { optionId: bet.options[0].id, stakePoints: 60 }
+  });
+  assert.equal(overBuy.response.status, 403, JSON.stringify(overBuy.payload));
+
+  // 100 points + 2 fee would bring the day to 202 staked.
+  const overAccept = await jsonRequest({
+    url: `${API_URL}/offers/${offer.payload.offer.id}/accept`,
+    method: "POST",
+    token: player.token
+  });
+  assert.equal(overAccept.response.status, 403, JSON.stringify(overAccept.payload));
+
+  // Lowering is immediate, raising waits 24h.
+  const lowered = await putLimits(player, { dailyStakeLimit: 120 });
+  assert.equal(lowered.payload.limits.dailyStakeLimit, 120);
+  const raised = await putLimits(player, { dailyStakeLimit: 1000 });
+  assert.equal(raised.response.status, 200, JSON.stringify(raised.payload));
+  assert.equal(raised.payload.limits.dailyStakeLimit, 120);
+  assert.equal(raised.payload.pendingChanges.length, 1);
+  assert.equal(raised.payload.pendingChanges[0].value, 1000);
+  assert.equal(raised.payload.usage.stakedToday, 100);
+
+  const adminView = await jsonRequest({ url: `${API_URL}/admin/users/${player.user.id}/limits`, token: adminToken });
+  assert.equal(adminView.response.status, 200, JSON.stringify(adminView.payload));
+  assert.equal(adminView.payload.limits.dailyStakeLimit, 120);
+  assert.equal(adminView.payload.pendingChanges.length, 1);
+  assert.ok(adminView.payload.history.some((entry) => entry.action === "user_limit_raise_scheduled"));
+
+  const exclusion = await jsonRequest({
+    url: `${API_URL}/me/self-exclusion`,
+    method: "POST",
+    token: excluded.token,
+    body: { days: 7 }
+  });
+  assert.equal(exclusion.response.status, 200, JSON.stringify(exclusion.payload));
+  const excludedBuy = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/buy`,
+    method: "POST",
+    token: excluded.token,
+    body: { optionId: bet.options[1].id, stakePoints: 10 }
+  });
+  assert.equal(excludedBuy.response.status, 403, JSON.stringify(excludedBuy.payload));
+  assert.match(excludedBuy.payload.message, /Self-excluded/);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+test("market maker bets reprice on every buy and sell", { timeout: 30000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "lmsr.creator");
+  const trader = await registerVerified(adminToken, "lmsr.trader");
+  const betBody = {
+    title: "LMSR market",
+    description: "Market maker integration test bet",
+    details: "Test details",
+    closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    betType: "multiple",
+    pricingMode: "lmsr",
+    liquidity: 100,
+    options: [
+      { label: "Yes", odds: 2.0 },
+      { label: "No", odds: 2.0 }
+    ]
+  };
+
+  const tooDeep = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token: creator.token,
+    body: { ...betBody, liquidity: 1000000 }
+  });
+  assert.equal(tooDeep.response.status, 400, JSON.stringify(tooDeep.payload));
+
+  const created = await jsonRequest({ url: `${API_URL}/bets`, method: "POST", token: creator.token, body: betBody });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  const bet = created.payload.bet;
+  assert.equal(bet.pricingMode, "lmsr");
+  assert.equal(bet.maxSubsidyPoints, 69.31);
+  const [yes, no] = bet.options;
+
+  // 50 points buy ~83.18 shares of "Yes" at b=100: odds are floored to 1.66, prices move to 1.44 / 3.29.
+  const buy = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/buy`,
+    method: "POST",
+    token: trader.token,
+    body: { optionId: yes.id, stakePoints: 50 }
+  });
+  assert.equal(buy.response.status, 200, JSON.stringify(buy.payload));
+  assert.equal(buy.payload.oddsAtPurchase, 1.66);
+  assert.equal(buy.payload.currentOdds, 1.44);
+
+  const afterBuy = await jsonRequest({ url: `${API_URL}/bets/${bet.id}`, token: trader.token });
+  const oddsAfterBuy = Object.fromEntries(afterBuy.payload.bet.options.map((option) => [option.id, option.odds]));
+  assert.equal(oddsAfterBuy[yes.id], 1.44);
+  assert.equal(oddsAfterBuy[no.id], 3.29);
+
+  // Selling the 83 shares back returns the market to its seed prices, minus the 2% fee.
+  const sell = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/sell`,
+    method: "POST",
+    token: trader.token,
+    body: { positionId: buy.payload.positionId }
+  });
+  assert.equal(sell.response.status, 200, JSON.stringify(sell.payload));
+  assert.equal(sell.payload.cashoutPoints, 49);
+  assert.equal(sell.payload.currentOdds, 2);
+
+  const fixed = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token: creator.token,
+    body: { ...betBody, title: "Fixed odds market", pricingMode: "fixed" }
+  });
+  assert.equal(fixed.response.status, 201, JSON.stringify(fixed.payload));
+  const parlay = await jsonRequest({
+    url: `${API_URL}/parlays`,
+    method: "POST",
+    token: trader.token,
+    body: { optionIds: [yes.id, fixed.payload.bet.options[0].id], stakePoints: 10 }
+  });
+  assert.equal(parlay.response.status, 400, JSON.stringify(parlay.payload));
+  assert.match(parlay.payload.message, /lmsr pricing/);
+});
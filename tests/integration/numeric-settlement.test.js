@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, fetchPoints, buy, waitForResolved } = require("./helpers");
+
+const createBet = async (token, title, options, betType = "number", extra = {}) => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Numeric settlement integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType,
+      options,
+      ...extra
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const resolveBet = async (adminToken, betId, body) => jsonRequest({
+  url: `${API_URL}/admin/bets/${betId}/resolve`,
+  method: "POST",
+  token: adminToken,
+  body
+});
+
+test("numeric bets resolve from the observed value", { timeout: 90000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "numeric.creator");
+  const bucketBettor = await registerVerified(adminToken, "numeric.bucket");
+  const closestBettor = await registerVerified(adminToken, "numeric.closest");
+  const pushBettor = await registerVerified(adminToken, "numeric.push");
+
+  const missingLine = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token: creator.token,
+    body: {
+      title: "Over/under without line",
+      description: "Numeric settlement integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "number",
+      options: [{ label: "Under", value: 0 }, { label: "Over", value: 1 }],
+      settlementRule: "over_under"
+    }
+  });
+  assert.equal(missingLine.response.status, 400, JSON.stringify(missingLine.payload));
+
+  // Buckets 0-9, 10-19, 20+: 14 falls in the second one, paid at odds 3 = 300 - 6 fee.
+  const bucketBet = await createBet(creator.token, "Goals bucket", [
+    { label: "0-9", value: 0, odds: 2 },
+    { label: "10-19", value: 10, odds: 3 },
+    { label: "20+", value: 20, odds: 4 }
+  ]);
+  assert.equal(bucketBet.settlementRule, "bucket");
+  await buy(bucketBettor, bucketBet.id, bucketBet.options[1].id, 100);
+  const belowLowest = await resolveBet(adminToken, bucketBet.id, { observedValue: -1 });
+  assert.equal(belowLowest.response.status, 400, JSON.stringify(belowLowest.payload));
+  const bucket = await resolveBet(adminToken, bucketBet.id, { observedValue: 14 });
+  assert.equal(bucket.response.status, 200, JSON.stringify(bucket.payload));
+  assert.equal(bucket.payload.resultOptionId, bucketBet.options[1].id);
+  await waitForResolved(bucketBet.id);
+  assert.equal(await fetchPoints(bucketBettor), 1194);
+  const bucketDetail = await jsonRequest({ url: `${API_URL}/bets/${bucketBet.id}` });
+  assert.equal(bucketDetail.payload.bet.observedValue, 14);
+
+  // 15 is as close to 10 as to 20: dead heat, half the stake paid at odds 2 = 100 - 2 fee.
+  const closestBet = await createBet(
+    creator.token,
+    "Closest guess",
+    [
+      { label: "10", value: 10, odds: 2 },
+      { label: "20", value: 20, odds: 2 },
+      { label: "30", value: 30, odds: 2 }
+    ],
+    "number",
+    { settlementRule: "closest" }
+  );
+  await buy(closestBettor, closestBet.id, closestBet.options[0].id, 100);
+  // The resolver cannot swap the rule: "exact" would reject 15, the bet's "closest" rule still applies.
+  const closest = await resolveBet(adminToken, closestBet.id, { observedValue: 15, settlementRule: "exact" });
+  assert.equal(closest.response.status, 200, JSON.stringify(closest.payload));
+  assert.equal(closest.payload.resolutionType, "dead_heat");
+  assert.equal(closest.payload.settlementRule, "closest");
+  await waitForResolved(closestBet.id);
+  assert.equal(await fetchPoints(closestBettor), 998);
+
+  // Observed value on the line is a push: stakes are refunded.
+  const pushBet = await createBet(
+    creator.token,
+    "Points over/under",
+    [
+      { label: "Under", value: 0, odds: 1.9 },
+      { label: "Over", value: 1, odds: 1.9 }
+    ],
+    "number",
+    { settlementRule: "over_under", settlementLine: 42.5 }
+  );
+  assert.equal(pushBet.settlementLine, 42.5);
+  await buy(pushBettor, pushBet.id, pushBet.options[1].id, 100);
+  const push = await resolveBet(adminToken, pushBet.id, { observedValue: 42.5 });
+  assert.equal(push.response.status, 200, JSON.stringify(push.payload));
+  assert.equal(push.payload.outcome, "void");
+  await waitForResolved(pushBet.id);
+  assert.equal(await fetchPoints(pushBettor), 1000);
+});
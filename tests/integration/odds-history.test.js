@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, buy } = require("./helpers");
+
+const createBet = async (token, title, extra = {}) => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Odds history integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      options: [{ label: "Yes", odds: 2.5 }, { label: "No", odds: 1.6 }],
+      ...extra
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const fetchHistory = async (token, betId, query = "") => {
+  const result = await jsonRequest({ url: `${API_URL}/bets/${betId}/odds-history${query}`, token });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return Object.fromEntries(result.payload.series.map((series) => [series.optionId, series]));
+};
+
+test("odds changes are recorded and served downsampled", { timeout: 90000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "odds.creator");
+  const first = await registerVerified(adminToken, "odds.first");
+  const second = await registerVerified(adminToken, "odds.second");
+
+  // Fixed odds: the creation price, then the admin edit one bucket later.
+  const fixedBet = await createBet(creator.token, "Odds history fixed");
+  const [fixedYes, fixedNo] = fixedBet.options;
+  await new Promise((resolveDelay) => setTimeout(resolveDelay, 1200));
+  const patch = await jsonRequest({
+    url: `${API_URL}/admin/bets/${fixedBet.id}/options/${fixedYes.id}`,
+    method: "PATCH",
+    token: adminToken,
+    body: { odds: 3.1 }
+  });
+  assert.equal(patch.response.status, 200, JSON.stringify(patch.payload));
+
+  const fixedHistory = await fetchHistory(creator.token, fixedBet.id, "?points=500");
+  assert.deepEqual(fixedHistory[fixedYes.id].points.map((point) => point.odds), [2.5, 3.1]);
+  assert.equal(fixedHistory[fixedYes.id].currentOdds, 3.1);
+  assert.deepEqual(fixedHistory[fixedNo.id].points.map((point) => point.odds), [1.6]);
+
+  // A window opening after the edit starts from the price in force at that time.
+  const from = new Date().toISOString();
+  const to = new Date(Date.now() + 60 * 1000).toISOString();
+  const windowed = await fetchHistory(
+    creator.token,
+    fixedBet.id,
+    `?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}&optionId=${fixedYes.id}`
+  );
+  assert.deepEqual(Object.keys(windowed), [String(fixedYes.id)]);
+  assert.deepEqual(windowed[fixedYes.id].points, [{ at: from, odds: 3.1 }]);
+
+  const foreignOption = await jsonRequest({
+    url: `${API_URL}/bets/${fixedBet.id}/odds-history?optionId=${fixedYes.id + 1000000}`,
+    token: creator.token
+  });
+  assert.equal(foreignOption.response.status, 404, JSON.stringify(foreignOption.payload));
+
+  // Pool bets record the implied odds each stake produces.
+  const poolBet = await createBet(creator.token, "Odds history pool", {
+    pricingMode: "pool",
+    options: [{ label: "Yes" }, { label: "No" }]
+  });
+  const [poolYes, poolNo] = poolBet.options;
+  await buy(first, poolBet.id, poolYes.id, 150);
+  await buy(second, poolBet.id, poolNo.id, 100);
+
+  const poolHistory = await fetchHistory(creator.token, poolBet.id, "?points=500");
+  assert.equal(poolHistory[poolYes.id].points.at(-1).odds, 1.63);
+  assert.equal(poolHistory[poolNo.id].points.at(-1).odds, 2.45);
+
+  // Two buckets at most per option, each keeping its last price.
+  const coarse = await fetchHistory(creator.token, fixedBet.id, "?points=2");
+  for (const series of Object.values(coarse)) {
+    assert.ok(series.points.length <= 2, JSON.stringify(series));
+    assert.equal(series.points.at(-1).odds, series.currentOdds);
+  }
+});
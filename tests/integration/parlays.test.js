@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, fetchPoints } = require("./helpers");
+
+const createBet = async (token, title) => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Parlay integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      options: [
+        { label: "Yes", odds: 2.0 },
+        { label: "No", odds: 1.5 }
+      ]
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const waitForParlayStatus = async (user, parlayId, status) => {
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    const list = await jsonRequest({ url: `${API_URL}/me/parlays`, token: user.token });
+    const parlay = list.payload?.parlays?.find((item) => item.id === parlayId);
+    if (parlay?.status === status) {
+      return parlay;
+    }
+    await new Promise((resolveDelay) => setTimeout(resolveDelay, 1000));
+  }
+  throw new Error(`Parlay ${parlayId} did not reach ${status} within timeout.`);
+};
+
+test("parlays settle once every leg is known", { timeout: 90000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "parlay.creator");
+  const bettor = await registerVerified(adminToken, "parlay.bettor");
+  const betA = await createBet(creator.token, "Parlay leg A");
+  const betB = await createBet(creator.token, "Parlay leg B");
+
+  const sameBet = await jsonRequest({
+    url: `${API_URL}/parlays`,
+    method: "POST",
+    token: bettor.token,
+    body: { optionIds: [betA.options[0].id, betA.options[1].id], stakePoints: 10 }
+  });
+  assert.equal(sameBet.response.status, 400, JSON.stringify(sameBet.payload));
+
+  const placed = await jsonRequest({
+    url: `${API_URL}/parlays`,
+    method: "POST",
+    token: bettor.token,
+    headers: { "Idempotency-Key": `parlay-${Date.now()}` },
+    body: { optionIds: [betA.options[0].id, betB.options[1].id], stakePoints: 100 }
+  });
+  assert.equal(placed.response.status, 201, JSON.stringify(placed.payload));
+  assert.equal(placed.payload.parlay.combinedOdds, 3);
+  assert.equal(placed.payload.potentialPayout, 300);
+  assert.equal(placed.payload.userPoints, 900);
+
+  // Cancelling one bet voids its leg; the ticket stays open until bet A is resolved.
+  const cancel = await jsonRequest({
+    url: `${API_URL}/admin/bets/${betB.id}`,
+    method: "DELETE",
+    token: adminToken
+  });
+  assert.equal(cancel.response.status, 200, JSON.stringify(cancel.payload));
+  const resolve = await jsonRequest({
+    url: `${API_URL}/admin/bets/${betA.id}/resolve`,
+    method: "POST",
+    token: adminToken,
+    body: { resultOptionId: betA.options[0].id }
+  });
+  assert.equal(resolve.response.status, 200, JSON.stringify(resolve.payload));
+
+  const won = await waitForParlayStatus(bettor, placed.payload.parlay.id, "won");
+  assert.equal(won.effectiveOdds, 2);
+  assert.equal(won.payoutPoints, 196);
+  assert.equal(won.feePoints, 4);
+  assert.deepEqual(won.legs.map((leg) => leg.status).sort(), ["void", "won"]);
+  assert.equal(await fetchPoints(bettor), 1096);
+
+  // A lost leg loses the ticket without waiting for the other bet.
+  const betC = await createBet(creator.token, "Parlay leg C");
+  const betD = await createBet(creator.token, "Parlay leg D");
+  const second = await jsonRequest({
+    url: `${API_URL}/parlays`,
+    method: "POST",
+    token: bettor.token,
+    body: { optionIds: [betC.options[0].id, betD.options[0].id], stakePoints: 50 }
+  });
+  assert.equal(second.response.status, 201, JSON.stringify(second.payload));
+  const resolveLost = await jsonRequest({
+    url: `${API_URL}/admin/bets/${betC.id}/resolve`,
+    method: "POST",
+    token: adminToken,
+    body: { resultOptionId: betC.options[1].id }
+  });
+  assert.equal(resolveLost.response.status, 200, JSON.stringify(resolveLost.payload));
+  const lost = await waitForParlayStatus(bettor, second.payload.parlay.id, "lost");
+  assert.equal(lost.payoutPoints, 0);
+  assert.equal(await fetchPoints(bettor), 1046);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, fetchPoints, buy } = require("./helpers");
+
+const createBet = async (token, title, options, betType = "multiple") => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Partial cashout integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType,
+      options
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const sell = async (user, betId, body) => jsonRequest({
+  url: `${API_URL}/bets/${betId}/sell`,
+  method: "POST",
+  token: user.token,
+  body
+});
+
+test("positions can be sold in part", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "cashout.creator");
+  const bettor = await registerVerified(adminToken, "cashout.bettor");
+
+  const bet = await createBet(creator.token, "Partial cashout", [{ label: "A", odds: 2 }, { label: "B", odds: 2 }]);
+  const bought = await buy(bettor, bet.id, bet.options[0].id, 500);
+  const positionId = bought.positionId;
+
+  const tooMuch = await sell(bettor, bet.id, { positionId, stakePoints: 501 });
+  assert.equal(tooMuch.response.status, 400, JSON.stringify(tooMuch.payload));
+
+  // Odds unchanged: 200 of the 500 stake cash out at 200 - 4 fee.
+  const partial = await sell(bettor, bet.id, { positionId, stakePoints: 200 });
+  assert.equal(partial.response.status, 200, JSON.stringify(partial.payload));
+  assert.equal(partial.payload.soldStakePoints, 200);
+  assert.equal(partial.payload.remainingStakePoints, 300);
+  assert.equal(partial.payload.cashoutPoints, 196);
+  assert.notEqual(partial.payload.soldPositionId, positionId);
+  assert.equal(await fetchPoints(bettor), 696);
+
+  const positions = await jsonRequest({ url: `${API_URL}/bets/${bet.id}/positions`, token: bettor.token });
+  assert.equal(positions.response.status, 200, JSON.stringify(positions.payload));
+  const open = positions.payload.positions.find((position) => position.id === positionId);
+  const sold = positions.payload.positions.find((position) => position.id === partial.payload.soldPositionId);
+  assert.equal(open.status, "open");
+  assert.equal(open.stakePoints, 300);
+  assert.equal(sold.status, "sold");
+  assert.equal(sold.stakePoints, 200);
+  assert.equal(sold.parentPositionId, positionId);
+  assert.equal(Number(sold.oddsAtPurchase), Number(open.oddsAtPurchase));
+
+  const myBets = await jsonRequest({ url: `${API_URL}/me/bets`, token: bettor.token });
+  assert.equal(myBets.response.status, 200, JSON.stringify(myBets.payload));
+  const myBet = myBets.payload.bets.find((entry) => entry.id === bet.id);
+  const myPosition = myBet.positions.find((position) => position.id === positionId);
+  assert.equal(myPosition.partiallySold, true);
+  assert.equal(myPosition.soldStakePoints, 200);
+  assert.equal(myPosition.originalStakePoints, 500);
+
+  // Selling the remaining fraction closes the original row: 300 - 6 fee.
+  const rest = await sell(bettor, bet.id, { positionId, fraction: 1 });
+  assert.equal(rest.response.status, 200, JSON.stringify(rest.payload));
+  assert.equal(rest.payload.soldPositionId, positionId);
+  assert.equal(rest.payload.cashoutPoints, 294);
+  assert.equal(await fetchPoints(bettor), 990);
+});
@@ -58,6 +58,17 @@ const registerOrLogin = async ({ name, email, password }) => {
 
 let adminSession = null;
 
+// New accounts cannot stake points until their email is confirmed; the admin shortcut stands in for the mail link.
+const verifyEmail = async (session) => {
+  const verify = await jsonRequest({
+    url: `${API_URL}/admin/users/${session.user.id}/verify-email`,
+    method: "POST",
+    token: adminSession.token,
+    body: {}
+  });
+  assert.equal(verify.response.status, 200, JSON.stringify(verify.payload));
+};
+
 test.before(async () => {
   if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
     throw new Error("Set TEST_ADMIN_EMAIL and TEST_ADMIN_PASSWORD to run integration tests.");
@@ -124,6 +135,8 @@ test("bet settlement flow", { timeout: 60000 }, async () => {
     email: randomEmail("bettor"),
     password: "password123"
   });
+  await verifyEmail(creator);
+  await verifyEmail(bettor);
 
   const closesAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
   const createBet = await jsonRequest({
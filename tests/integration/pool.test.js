@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin, fetchPoints, buy, waitForResolved } = require("./helpers");
+
+test("pool bets pay winners pro rata from the whole pool", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "pool.creator");
+  const first = await registerVerified(adminToken, "pool.first");
+  const second = await registerVerified(adminToken, "pool.second");
+  const against = await registerVerified(adminToken, "pool.against");
+
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token: creator.token,
+    body: {
+      title: "Pool market",
+      description: "Parimutuel integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      pricingMode: "pool",
+      options: [{ label: "Yes" }, { label: "No" }]
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  const bet = created.payload.bet;
+  assert.equal(bet.pricingMode, "pool");
+  const [yes, no] = bet.options;
+  assert.equal(yes.impliedOdds, null);
+
+  const firstBuy = await buy(first, bet.id, yes.id, 100);
+  await buy(second, bet.id, yes.id, 50);
+  await buy(against, bet.id, no.id, 100);
+  assert.equal(firstBuy.oddsAtPurchase, 1.01);
+
+  // 250 points staked, 150 on "Yes": implied odds are 250 * 0.98 / pool.
+  const live = await jsonRequest({ url: `${API_URL}/bets/${bet.id}`, token: creator.token });
+  assert.equal(live.response.status, 200, JSON.stringify(live.payload));
+  assert.equal(live.payload.bet.totalPoolPoints, 250);
+  const liveOdds = Object.fromEntries(live.payload.bet.options.map((option) => [option.id, option.impliedOdds]));
+  assert.equal(liveOdds[yes.id], 1.63);
+  assert.equal(liveOdds[no.id], 2.45);
+
+  const sell = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/sell`,
+    method: "POST",
+    token: first.token,
+    body: { positionId: firstBuy.positionId }
+  });
+  assert.equal(sell.response.status, 400, JSON.stringify(sell.payload));
+
+  const resolve = await jsonRequest({
+    url: `${API_URL}/admin/bets/${bet.id}/resolve`,
+    method: "POST",
+    token: adminToken,
+    body: { resultOptionId: yes.id }
+  });
+  assert.equal(resolve.response.status, 200, JSON.stringify(resolve.payload));
+  await waitForResolved(bet.id);
+
+  // floor(100 * 250 / 150) = 166 - 3 fee; floor(50 * 250 / 150) = 83 - 1 fee.
+  assert.equal(await fetchPoints(first), 1063);
+  assert.equal(await fetchPoints(second), 1032);
+  assert.equal(await fetchPoints(against), 900);
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+test("the latest points reconciliation report is exposed to admins", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  // The worker reconciles at startup when it has no recent report; give it a moment on a fresh stack.
+  let latest = null;
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    latest = await jsonRequest({ url: `${API_URL}/admin/reconciliation/latest`, token: adminToken });
+    if (latest.response.status !== 404) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  assert.equal(latest.response.status, 200, JSON.stringify(latest.payload));
+  const { report } = latest.payload;
+  assert.ok(["ok", "drift"].includes(report.status));
+  assert.ok(report.usersChecked > 0);
+  assert.deepEqual(Object.keys(report.drift).sort(), ["audit", "escrow", "ledger", "pool"]);
+  assert.equal(report.totalDrift, Object.values(report.drift).reduce((total, value) => total + value, 0));
+  assert.equal(report.status === "ok", report.totalDrift === 0);
+  for (const check of Object.keys(report.drift)) {
+    assert.equal(report.checks[check].drift, report.drift[check]);
+    assert.ok(Array.isArray(report.checks[check].sample));
+  }
+
+  const user = await registerVerified(adminToken, "reconciliation.user");
+  const forbidden = await jsonRequest({ url: `${API_URL}/admin/reconciliation/latest`, token: user.token });
+  assert.equal(forbidden.response.status, 403);
+});
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+const createBet = async (token, title) => {
+  const created = await jsonRequest({
+    url: `${API_URL}/bets`,
+    method: "POST",
+    token,
+    body: {
+      title,
+      description: "Seasons integration test bet",
+      details: "Test details",
+      closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      betType: "multiple",
+      options: [{ label: "A", odds: 2 }, { label: "B", odds: 2 }]
+    }
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.payload));
+  return created.payload.bet;
+};
+
+const endSeason = (token, seasonId, body = {}) => jsonRequest({
+  url: `${API_URL}/admin/seasons/${seasonId}/end`,
+  method: "POST",
+  token,
+  body
+});
+
+const fetchLeaderboard = async (token, seasonId) => {
+  const result = await jsonRequest({ url: `${API_URL}/seasons/${seasonId}/leaderboard?limit=200`, token });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload;
+};
+
+// Ending uses no reset baseline: a reset would move every balance under the suites running alongside.
+test("admins run a season and its leaderboard is frozen when it ends", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const creator = await registerVerified(adminToken, "seasons.creator");
+  const bettor = await registerVerified(adminToken, "seasons.bettor");
+
+  const existing = await jsonRequest({ url: `${API_URL}/seasons`, token: adminToken });
+  assert.equal(existing.response.status, 200, JSON.stringify(existing.payload));
+  for (const season of existing.payload.seasons.filter((entry) => entry.status === "active")) {
+    const ended = await endSeason(adminToken, season.id);
+    assert.equal(ended.response.status, 200, JSON.stringify(ended.payload));
+  }
+
+  const startBody = { name: `Season ${Date.now()}` };
+  const notAdmin = await jsonRequest({ url: `${API_URL}/admin/seasons`, method: "POST", token: bettor.token, body: startBody });
+  assert.equal(notAdmin.response.status, 403, JSON.stringify(notAdmin.payload));
+  const started = await jsonRequest({ url: `${API_URL}/admin/seasons`, method: "POST", token: adminToken, body: startBody });
+  assert.equal(started.response.status, 201, JSON.stringify(started.payload));
+  const seasonId = started.payload.season.id;
+  assert.equal(started.payload.season.status, "active");
+  const second = await jsonRequest({ url: `${API_URL}/admin/seasons`, method: "POST", token: adminToken, body: startBody });
+  assert.equal(second.response.status, 409, JSON.stringify(second.payload));
+
+  // Buying 100 and selling it back at unchanged odds returns 98: the season shows a net of -2.
+  const bet = await createBet(creator.token, "Season bet");
+  const bought = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/buy`,
+    method: "POST",
+    token: bettor.token,
+    body: { optionId: bet.options[0].id, stakePoints: 100 }
+  });
+  assert.equal(bought.response.status, 200, JSON.stringify(bought.payload));
+  const sold = await jsonRequest({
+    url: `${API_URL}/bets/${bet.id}/sell`,
+    method: "POST",
+    token: bettor.token,
+    body: { positionId: bought.payload.positionId, fraction: 1 }
+  });
+  assert.equal(sold.response.status, 200, JSON.stringify(sold.payload));
+  assert.equal(sold.payload.cashoutPoints, 98);
+
+  const live = await fetchLeaderboard(bettor.token, seasonId);
+  assert.equal(live.live, true);
+  assert.deepEqual(
+    { balance: live.me.balance, netWinnings: live.me.netWinnings, betsWon: live.me.betsWon },
+    { balance: 998, netWinnings: -2, betsWon: 0 }
+  );
+
+  const invalidReset = await endSeason(adminToken, seasonId, { resetBaseline: -5 });
+  assert.equal(invalidReset.response.status, 400, JSON.stringify(invalidReset.payload));
+  const ended = await endSeason(adminToken, seasonId);
+  assert.equal(ended.response.status, 200, JSON.stringify(ended.payload));
+  assert.equal(ended.payload.season.status, "ended");
+  assert.equal(ended.payload.reset, null);
+  assert.ok(ended.payload.participants >= 2);
+  const again = await endSeason(adminToken, seasonId);
+  assert.equal(again.response.status, 409, JSON.stringify(again.payload));
+
+  const frozen = await fetchLeaderboard(bettor.token, seasonId);
+  assert.equal(frozen.live, false);
+  assert.equal(frozen.total, ended.payload.participants);
+  assert.equal(frozen.me.netWinnings, -2);
+  assert.ok(frozen.leaderboard.every((entry, index) => entry.rank === index + 1));
+
+  const missing = await jsonRequest({ url: `${API_URL}/seasons/999999999/leaderboard`, token: bettor.token });
+  assert.equal(missing.response.status, 404, JSON.stringify(missing.payload));
+
+  const logs = await jsonRequest({
+    url: `${API_URL}/admin/logs?action=season_end&relatedEntityType=season&relatedEntityId=${seasonId}`,
+    token: adminToken
+  });
+  assert.equal(logs.response.status, 200, JSON.stringify(logs.payload));
+  assert.equal(logs.payload.logs.length, 1);
+});
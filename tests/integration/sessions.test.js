@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GATEWAY_URL, API_URL, jsonRequest, randomEmail } = require("./helpers");
+
+const refresh = (refreshToken) =>
+  jsonRequest({
+    url: `${GATEWAY_URL}/auth/refresh`,
+    method: "POST",
+    body: { refreshToken }
+  });
+
+const login = async (email) => {
+  const result = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/login`,
+    method: "POST",
+    body: { email, password: "password123" }
+  });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload;
+};
+
+const listSessions = async (token) => {
+  const result = await jsonRequest({ url: `${API_URL}/me/sessions`, token });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload.sessions;
+};
+
+// Each login is a session; the access token carries its session id, so exactly one listed session is current.
+const currentSessionId = async (token) => {
+  const current = (await listSessions(token)).filter((session) => session.isCurrent);
+  assert.equal(current.length, 1);
+  return Number(current[0].id);
+};
+
+test("users list and revoke their own sessions", { timeout: 30000 }, async () => {
+  const email = randomEmail("sessions.owner");
+  const register = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/register`,
+    method: "POST",
+    body: { name: "Sessions Owner", email, password: "password123" }
+  });
+  assert.equal(register.response.status, 201, JSON.stringify(register.payload));
+  const laptop = await login(email);
+  const phone = await login(email);
+  const tablet = await login(email);
+
+  const sessions = await listSessions(laptop.token);
+  assert.equal(sessions.length, 4);
+  for (const session of sessions) {
+    assert.ok(session.createdAt);
+    assert.ok(session.expiresAt);
+    assert.equal(session.refreshToken, undefined);
+  }
+  const laptopSessionId = await currentSessionId(laptop.token);
+  const phoneSessionId = await currentSessionId(phone.token);
+  assert.notEqual(laptopSessionId, phoneSessionId);
+
+  // Revoking another session: its refresh token no longer works, the caller's session is untouched.
+  const revoked = await jsonRequest({
+    url: `${API_URL}/me/sessions/${phoneSessionId}`,
+    method: "DELETE",
+    token: laptop.token
+  });
+  assert.equal(revoked.response.status, 200, JSON.stringify(revoked.payload));
+  assert.equal(revoked.payload.isCurrent, false);
+  assert.equal((await refresh(phone.refreshToken)).response.status, 401);
+  const remaining = await listSessions(laptop.token);
+  assert.equal(remaining.length, 3);
+  assert.ok(!remaining.some((session) => Number(session.id) === phoneSessionId));
+
+  const again = await jsonRequest({
+    url: `${API_URL}/me/sessions/${phoneSessionId}`,
+    method: "DELETE",
+    token: laptop.token
+  });
+  assert.equal(again.response.status, 404, JSON.stringify(again.payload));
+
+  // Sessions of another user are not found rather than revoked.
+  const otherEmail = randomEmail("sessions.other");
+  const other = await jsonRequest({
+    url: `${GATEWAY_URL}/auth/register`,
+    method: "POST",
+    body: { name: "Sessions Other", email: otherEmail, password: "password123" }
+  });
+  assert.equal(other.response.status, 201, JSON.stringify(other.payload));
+  const otherSessionId = await currentSessionId(other.payload.token);
+  const foreign = await jsonRequest({
+    url: `${API_URL}/me/sessions/${otherSessionId}`,
+    method: "DELETE",
+    token: laptop.token
+  });
+  assert.equal(foreign.response.status, 404, JSON.stringify(foreign.payload));
+  assert.equal((await refresh(other.payload.refreshToken)).response.status, 200);
+
+  const invalid = await jsonRequest({ url: `${API_URL}/me/sessions/abc`, method: "DELETE", token: laptop.token });
+  assert.equal(invalid.response.status, 400, JSON.stringify(invalid.payload));
+
+  // Logging out the others keeps only the current session.
+  const logoutOthers = await jsonRequest({
+    url: `${API_URL}/me/sessions/logout-others`,
+    method: "POST",
+    token: laptop.token,
+    body: {}
+  });
+  assert.equal(logoutOthers.response.status, 200, JSON.stringify(logoutOthers.payload));
+  assert.equal(logoutOthers.payload.revokedSessions, 2);
+  assert.equal((await refresh(tablet.refreshToken)).response.status, 401);
+  assert.equal((await refresh(register.payload.refreshToken)).response.status, 401);
+  const [onlySession] = await listSessions(laptop.token);
+  assert.equal(Number(onlySession.id), laptopSessionId);
+  assert.equal(onlySession.isCurrent, true);
+
+  const renewed = await refresh(laptop.refreshToken);
+  assert.equal(renewed.response.status, 200, JSON.stringify(renewed.payload));
+  assert.equal((await listSessions(renewed.payload.token)).length, 1);
+
+  const anonymous = await jsonRequest({ url: `${API_URL}/me/sessions` });
+  assert.equal(anonymous.response.status, 401);
+});
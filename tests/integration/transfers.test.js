@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+test("transfers move points with a fee, enforce caps and list history", { timeout: 30000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const sender = await registerVerified(adminToken, "transfer.sender");
+  const recipient = await registerVerified(adminToken, "transfer.recipient");
+
+  const self = await jsonRequest({
+    url: `${API_URL}/transfers`,
+    method: "POST",
+    token: sender.token,
+    body: { recipientUserId: sender.user.id, amount: 10 }
+  });
+  assert.equal(self.response.status, 400);
+
+  const idemKey = `transfer-${Date.now()}`;
+  const transfer = await jsonRequest({
+    url: `${API_URL}/transfers`,
+    method: "POST",
+    token: sender.token,
+    headers: { "Idempotency-Key": idemKey },
+    body: { recipientUserId: recipient.user.id, amount: 100, note: "Merci pour le TD" }
+  });
+  assert.equal(transfer.response.status, 201, JSON.stringify(transfer.payload));
+  assert.equal(transfer.payload.transfer.fee, 2);
+  assert.equal(transfer.payload.senderPoints, 898);
+
+  const replay = await jsonRequest({
+    url: `${API_URL}/transfers`,
+    method: "POST",
+    token: sender.token,
+    headers: { "Idempotency-Key": idemKey },
+    body: { recipientUserId: recipient.user.id, amount: 100, note: "Merci pour le TD" }
+  });
+  assert.equal(replay.response.status, 201);
+  assert.equal(replay.payload.transfer.id, transfer.payload.transfer.id);
+
+  const recipientProfile = await jsonRequest({
+    url: `${API_URL}/users/${recipient.user.id}`,
+    token: recipient.token
+  });
+  assert.equal(recipientProfile.payload.user.points, 1100);
+
+  const overCap = await jsonRequest({
+    url: `${API_URL}/transfers`,
+    method: "POST",
+    token: sender.token,
+    body: { recipientUserId: recipient.user.id, amount: transfer.payload.limits.remainingPointsToday + 1 }
+  });
+  assert.equal(overCap.response.status, 409, JSON.stringify(overCap.payload));
+  assert.equal(overCap.payload.code, "TRANSFER_LIMIT_REACHED");
+
+  const history = await jsonRequest({
+    url: `${API_URL}/me/transfers?direction=received`,
+    token: recipient.token
+  });
+  assert.equal(history.response.status, 200, JSON.stringify(history.payload));
+  assert.equal(history.payload.transfers.length, 1);
+  assert.equal(history.payload.transfers[0].direction, "received");
+  assert.equal(history.payload.transfers[0].counterpartUserId, sender.user.id);
+  assert.equal(history.payload.transfers[0].fee, 0);
+  assert.equal(history.payload.transfers[0].note, "Merci pour le TD");
+
+  const ban = await jsonRequest({
+    url: `${API_URL}/admin/users/${recipient.user.id}/ban`,
+    method: "POST",
+    token: adminToken
+  });
+  assert.equal(ban.response.status, 200, JSON.stringify(ban.payload));
+  const toBanned = await jsonRequest({
+    url: `${API_URL}/transfers`,
+    method: "POST",
+    token: sender.token,
+    body: { recipientUserId: recipient.user.id, amount: 10 }
+  });
+  assert.equal(toBanned.response.status, 403);
+});
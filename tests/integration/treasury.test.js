@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { API_URL, jsonRequest, registerVerified, loginAdmin } = require("./helpers");
+
+const fetchTreasury = async (adminToken) => {
+  const result = await jsonRequest({ url: `${API_URL}/admin/fees/treasury`, token: adminToken });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload;
+};
+
+const fetchFeeSummary = async (adminToken) => {
+  const result = await jsonRequest({ url: `${API_URL}/admin/fees/summary`, token: adminToken });
+  assert.equal(result.response.status, 200, JSON.stringify(result.payload));
+  return result.payload;
+};
+
+const disburse = (token, body) => jsonRequest({
+  url: `${API_URL}/admin/fees/treasury/disburse`,
+  method: "POST",
+  token,
+  body
+});
+
+test("fees fill the treasury, admins disburse from it", { timeout: 60000 }, async () => {
+  const adminToken = await loginAdmin();
+
+  const sender = await registerVerified(adminToken, "treasury.sender");
+  const winner = await registerVerified(adminToken, "treasury.winner");
+
+  const treasuryBefore = await fetchTreasury(adminToken);
+  const summaryBefore = await fetchFeeSummary(adminToken);
+  const transfer = await jsonRequest({
+    url: `${API_URL}/transfers`,
+    method: "POST",
+    token: sender.token,
+    body: { recipientUserId: winner.user.id, amount: 100 }
+  });
+  assert.equal(transfer.response.status, 201, JSON.stringify(transfer.payload));
+  assert.equal(transfer.payload.transfer.fee, 2);
+
+  // Other suites may collect fees concurrently, hence lower bounds.
+  const treasuryAfter = await fetchTreasury(adminToken);
+  assert.ok(treasuryAfter.treasury.collected >= treasuryBefore.treasury.collected + 2);
+  const summaryAfter = await fetchFeeSummary(adminToken);
+  assert.ok(summaryAfter.bySource.transfer.totalFees >= summaryBefore.bySource.transfer.totalFees + 2);
+  assert.ok(summaryAfter.bySource.transfer.entries >= summaryBefore.bySource.transfer.entries + 1);
+  assert.deepEqual(Object.keys(summaryAfter.bySource).sort(), ["cashout", "offer", "payout", "transfer"]);
+
+  // The fee no longer lands on the super admin balance.
+  const adminLedger = await jsonRequest({
+    url: `${API_URL}/admin/users/${admin.payload.user.id}/ledger?limit=200`,
+    token: adminToken
+  });
+  assert.equal(adminLedger.response.status, 200, JSON.stringify(adminLedger.payload));
+  assert.ok(!adminLedger.payload.entries.some((entry) => entry.kind === "fee_transfer"
+    && entry.relatedEntityId === transfer.payload.transfer.id));
+
+  const paid = await disburse(adminToken, { userId: winner.user.id, amount: 2, note: "Quiz night prize" });
+  assert.equal(paid.response.status, 201, JSON.stringify(paid.payload));
+  assert.equal(paid.payload.points, 1102);
+  const treasuryPaid = await fetchTreasury(adminToken);
+  const disbursement = treasuryPaid.disbursements.find((entry) => entry.userId === winner.user.id);
+  assert.ok(disbursement);
+  assert.equal(disbursement.amount, 2);
+
+  const tooMuch = await disburse(adminToken, {
+    userId: winner.user.id,
+    amount: treasuryPaid.treasury.balance + 1000000,
+    note: "Too generous"
+  });
+  assert.equal(tooMuch.response.status, 409, JSON.stringify(tooMuch.payload));
+  const noNote = await disburse(adminToken, { userId: winner.user.id, amount: 1 });
+  assert.equal(noNote.response.status, 400, JSON.stringify(noNote.payload));
+  const notAdmin = await disburse(sender.token, { userId: sender.user.id, amount: 1, note: "Myself" });
+  assert.equal(notAdmin.response.status, 403, JSON.stringify(notAdmin.payload));
+
+  const logs = await jsonRequest({
+    url: `${API_URL}/admin/logs?action=treasury_disburse&targetUserId=${winner.user.id}`,
+    token: adminToken
+  });
+  assert.equal(logs.response.status, 200, JSON.stringify(logs.payload));
+  assert.equal(logs.payload.logs.length, 1);
+  assert.equal(logs.payload.logs[0].pointsDelta, 2);
+});
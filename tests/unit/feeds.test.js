@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { parseReplayFile, splitCsvLine } = require("../../worker/feeds");
+
+const csvHeader = "at,eventId,league,home,away,startsAt,marketId,label,price";
+
+test("CSV fields are split on commas outside quotes and trimmed", () => {
+  assert.deepEqual(splitCsvLine("a, b ,c"), ["a", "b", "c"]);
+  assert.deepEqual(splitCsvLine("\"Paris, FC\",Lyon"), ["Paris, FC", "Lyon"]);
+  assert.deepEqual(splitCsvLine("a,,c,"), ["a", "", "c", ""]);
+});
+
+test("doubled quotes inside a quoted CSV field are unescaped", () => {
+  assert.deepEqual(splitCsvLine("\"He said \"\"2-1\"\"\",x"), ["He said \"2-1\"", "x"]);
+  assert.deepEqual(splitCsvLine("\"\"\"\""), ["\""]);
+});
+
+test("CSV replays map fields by header, skip comments and blank lines, and round prices", () => {
+  const content = [
+    "# comment",
+    csvHeader,
+    "",
+    "0,match-1,\"Ligue 1, J34\",Paris FC,Lyon,2026-05-16T19:00:00Z,match-1-home,\"Paris \"\"FC\"\"\",2.404",
+    "\r"
+  ].join("\r\n");
+  const frames = parseReplayFile(content, "csv");
+  assert.equal(frames.length, 1);
+  const [tick] = frames[0].ticks;
+  assert.equal(tick.league, "Ligue 1, J34");
+  assert.equal(tick.label, "Paris \"FC\"");
+  assert.equal(tick.at, 0);
+  assert.equal(tick.price, 2.4);
+});
+
+test("JSONL replays accept millisecond offsets and absolute dates", () => {
+  const content = [
+    JSON.stringify({ at: 1500, eventId: "e1", marketId: "m1", label: "Home", price: 1.8 }),
+    JSON.stringify({ at: "2026-05-16T19:00:00Z", eventId: "e2", marketId: "m2", label: "Away", price: "2.5" })
+  ].join("\n");
+  const frames = parseReplayFile(content, "jsonl");
+  assert.deepEqual(frames.map((frame) => frame.at), [1500, Date.parse("2026-05-16T19:00:00Z")]);
+  assert.equal(frames[1].ticks[0].price, 2.5);
+});
+
+test("ticks are ordered by time and ticks sharing a timestamp form one frame in file order", () => {
+  const content = [
+    csvHeader,
+    "2000,e1,L,H,A,,m1,Home,1.9",
+    "0,e1,L,H,A,,m1,Home,2.1",
+    "2000,e1,L,H,A,,m2,Away,2.2",
+    "1000,e1,L,H,A,,m1,Home,2.0"
+  ].join("\n");
+  const frames = parseReplayFile(content, "csv");
+  assert.deepEqual(frames.map((frame) => frame.at), [0, 1000, 2000]);
+  assert.deepEqual(frames[2].ticks.map((tick) => tick.marketId), ["m1", "m2"]);
+  assert.deepEqual(frames[2].ticks.map((tick) => tick.price), [1.9, 2.2]);
+});
+
+test("invalid lines and empty files are rejected with their line number", () => {
+  assert.throws(() => parseReplayFile("{not json}", "jsonl"), /Replay line 1: invalid JSON/);
+  assert.throws(
+    () => parseReplayFile([csvHeader, "0,e1,L,H,A,,m1,Home,1.00"].join("\n"), "csv"),
+    /Replay line 2: expected at, eventId/
+  );
+  assert.throws(
+    () => parseReplayFile(JSON.stringify({ at: "soon", eventId: "e1", marketId: "m1", price: 2 }), "jsonl"),
+    /Replay line 1/
+  );
+  assert.throws(() => parseReplayFile(`# only a comment\n${csvHeader}\n`, "csv"), /no ticks/);
+});
+
+test("the bundled demo session parses", () => {
+  const content = fs.readFileSync(path.join(__dirname, "../../worker/replays/demo-session.csv"), "utf8");
+  const frames = parseReplayFile(content, "csv");
+  assert.ok(frames.length > 1);
+  assert.equal(frames[0].at, 0);
+  for (let index = 1; index < frames.length; index += 1) {
+    assert.ok(frames[index].at > frames[index - 1].at);
+  }
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { reconcilePoints } = require("../../worker/reconciliation");
+
+const usersCount = (count) => [/COUNT\(\*\) AS count FROM users/, () => [{ count }]];
+const openStakes = (positions, parlays) => [/FROM parlays WHERE status = 'open'/, () => [{ positions, parlays }]];
+const ledgerBalances = (balances) => [
+  /GROUP BY account/,
+  () => Object.entries(balances).map(([account, balance]) => ({ account, balance: String(balance) }))
+];
+
+// Stands in for the mysql2 pool: each query is answered by the first handler whose pattern matches its SQL,
+// other queries return no rows (open stakes default to zero).
+const createDb = (handlers = []) => {
+  const statements = [];
+  const answers = [...handlers, openStakes(0, 0)];
+  const connection = {
+    query: async (sql, params = []) => {
+      statements.push(sql);
+      const handler = answers.find(([pattern]) => pattern.test(sql));
+      return [handler ? handler[1](params) : []];
+    },
+    commit: async () => statements.push("COMMIT"),
+    rollback: async () => statements.push("ROLLBACK"),
+    release: () => statements.push("RELEASE")
+  };
+  return { db: { getConnection: async () => connection }, statements };
+};
+
+test("a consistent snapshot reports no drift", async () => {
+  const { db, statements } = createDb([
+    usersCount(3),
+    openStakes(120, 30),
+    ledgerBalances({ mint: -3150, user: 3000, bet_escrow: 150 })
+  ]);
+  const report = await reconcilePoints(db, { initialPoints: 1000 });
+  assert.equal(report.status, "ok");
+  assert.equal(report.usersChecked, 3);
+  assert.equal(report.totalDrift, 0);
+  assert.deepEqual(Object.keys(report.checks), ["audit", "ledger", "escrow", "pool"]);
+  assert.equal(report.checks.escrow.openStakes, 150);
+  assert.ok(statements.includes("START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY"));
+  assert.deepEqual(statements.slice(-2), ["COMMIT", "RELEASE"]);
+});
+
+test("balance checks sum the absolute drift of every user", async () => {
+  let auditParams = null;
+  const { db } = createDb([
+    usersCount(2),
+    [/FROM audit_logs/, (params) => {
+      auditParams = params;
+      return [{ userId: 1, points: 900, expected: 1000 }, { userId: 2, points: 1100, expected: 1000 }];
+    }],
+    [/LEFT JOIN ledger_entries/, () => [{ userId: 2, points: 1100, expected: "1050" }]]
+  ]);
+  const report = await reconcilePoints(db, { initialPoints: 500 });
+  assert.deepEqual(auditParams, [500]);
+  assert.equal(report.checks.audit.drift, 200);
+  assert.equal(report.checks.audit.count, 2);
+  assert.deepEqual(report.checks.audit.sample[0], { userId: 1, points: 900, expected: 1000 });
+  assert.equal(report.checks.ledger.drift, 50);
+  assert.deepEqual(report.checks.ledger.sample, [{ userId: 2, points: 1100, expected: 1050 }]);
+  assert.equal(report.status, "drift");
+  assert.equal(report.totalDrift, 250);
+});
+
+test("samples are capped while the drift covers every row", async () => {
+  const rows = Array.from({ length: 60 }, (_, index) => ({ userId: index + 1, points: 1001, expected: 1000 }));
+  const { db } = createDb([usersCount(60), [/FROM audit_logs/, () => rows]]);
+  const report = await reconcilePoints(db, { initialPoints: 1000 });
+  assert.equal(report.checks.audit.count, 60);
+  assert.equal(report.checks.audit.drift, 60);
+  assert.equal(report.checks.audit.sample.length, 50);
+});
+
+test("the escrow check flags the bet escrow, non-empty transit escrows and an unbalanced ledger", async () => {
+  const { db } = createDb([
+    usersCount(1),
+    openStakes(100, 0),
+    ledgerBalances({ mint: -1200, user: 1000, bet_escrow: 180, offer_escrow: 25 })
+  ]);
+  const report = await reconcilePoints(db, { initialPoints: 1000 });
+  assert.deepEqual(report.checks.escrow.sample, [
+    { account: "bet_escrow", balance: 180, expected: 100 },
+    { account: "offer_escrow", balance: 25, expected: 0 },
+    { account: "total", balance: 5, expected: 0 }
+  ]);
+  assert.equal(report.checks.escrow.drift, 110);
+  assert.equal(report.checks.escrow.count, 3);
+  assert.deepEqual(report.checks.escrow.balances, { mint: -1200, user: 1000, bet_escrow: 180, offer_escrow: 25 });
+});
+
+test("the pool check compares option pools with the open stakes of unsettled pool bets", async () => {
+  const { db } = createDb([
+    usersCount(1),
+    [/pricing_mode = 'pool'/, () => [{ betId: 7, pool: "300", stakes: "250" }, { betId: 9, pool: "0", stakes: "40" }]]
+  ]);
+  const report = await reconcilePoints(db, { initialPoints: 1000 });
+  assert.equal(report.checks.pool.drift, 90);
+  assert.deepEqual(report.checks.pool.sample, [{ betId: 7, pool: 300, stakes: 250 }, { betId: 9, pool: 0, stakes: 40 }]);
+  assert.equal(report.totalDrift, 90);
+});
+
+test("a failing check rolls the snapshot back and releases the connection", async () => {
+  const { db, statements } = createDb([
+    usersCount(1),
+    [/LEFT JOIN ledger_entries/, () => {
+      throw new Error("lost connection");
+    }]
+  ]);
+  await assert.rejects(reconcilePoints(db, { initialPoints: 1000 }), /lost connection/);
+  assert.deepEqual(statements.slice(-2), ["ROLLBACK", "RELEASE"]);
+  assert.ok(!statements.includes("COMMIT"));
+});
@@ -0,0 +1,261 @@
+// Odds feed abstraction: the worker only calls `start({ onSnapshot, onError })`, the driver decides where prices
+// come from and when the next snapshot (an array of events with their markets) is due.
+const fs = require("fs/promises");
+const path = require("path");
+
+// Static sample matches used to fabricate odds for the demo.
+const matches = [
+  { id: "match-1", league: "Ligue 1", home: "Paris FC", away: "Lyon" },
+  { id: "match-2", league: "Premier League", home: "Chelsea", away: "Arsenal" },
+  { id: "match-3", league: "Serie A", home: "Roma", away: "Napoli" },
+  { id: "match-4", league: "La Liga", home: "Valencia", away: "Sevilla" }
+];
+
+// Utility to generate a random odd between min and max with 2 decimals.
+const randomOdd = (min, max) => {
+  const value = Math.random() * (max - min) + min;
+  return Number(value.toFixed(2));
+};
+
+// Build the payload with randomized starts and market prices.
+const buildRandomOdds = () => {
+  const now = Date.now();
+  return matches.map((match) => {
+    return {
+      id: match.id,
+      league: match.league,
+      home: match.home,
+      away: match.away,
+      startsAt: new Date(now + Math.floor(Math.random() * 90 + 15) * 60000).toISOString(),
+      markets: [
+        { id: `${match.id}-home`, label: match.home, price: randomOdd(1.6, 3.1) },
+        { id: `${match.id}-draw`, label: "Draw", price: randomOdd(2.8, 4.2) },
+        { id: `${match.id}-away`, label: match.away, price: randomOdd(1.9, 3.6) }
+      ]
+    };
+  });
+};
+
+// Snapshots produced on a fixed interval by `build`; the first one is emitted right away.
+const createIntervalFeed = (name, { intervalMs, build }) => {
+  let timer = null;
+  return {
+    name,
+    start: async ({ onSnapshot, onError }) => {
+      await onSnapshot(await build());
+      timer = setInterval(() => {
+        Promise.resolve()
+          .then(build)
+          .then(onSnapshot)
+          .catch(onError);
+      }, intervalMs);
+    },
+    stop: () => clearInterval(timer)
+  };
+};
+
+const createRandomFeed = ({ intervalMs }) => createIntervalFeed("random", { intervalMs, build: buildRandomOdds });
+
+// Open bets exposed as feed events, priced from their cached current_odds.
+const createBetsFeed = ({ intervalMs, db, limit = 20 }) => {
+  if (!db) {
+    throw new Error("ODDS_FEED_DRIVER=bets needs a database connection.");
+  }
+  const build = async () => {
+    const [bets] = await db.query(
+      `SELECT id, title, closes_at AS closesAt
+       FROM bets
+       WHERE status = 'open' AND closes_at > NOW() AND group_id IS NULL
+       ORDER BY closes_at ASC
+       LIMIT ?`,
+      [limit]
+    );
+    if (!bets.length) {
+      return [];
+    }
+    const [options] = await db.query(
+      "SELECT id, bet_id AS betId, label, current_odds AS currentOdds FROM bet_options WHERE bet_id IN (?) ORDER BY id",
+      [bets.map((bet) => bet.id)]
+    );
+    return bets.map((bet) => ({
+      id: `bet-${bet.id}`,
+      league: "Campus",
+      home: bet.title,
+      away: "",
+      startsAt: new Date(bet.closesAt).toISOString(),
+      markets: options
+        .filter((option) => Number(option.betId) === Number(bet.id))
+        .map((option) => ({ id: `bet-${bet.id}-${option.id}`, label: option.label, price: Number(option.currentOdds) }))
+    }));
+  };
+  return createIntervalFeed("bets", { intervalMs, build });
+};
+
+const replayColumns = ["at", "eventId", "league", "home", "away", "startsAt", "marketId", "label", "price"];
+
+// Minimal CSV line splitter: commas separate fields, double quotes wrap fields that contain commas or quotes.
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = "";
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted) {
+      if (char === "\"" && line[index + 1] === "\"") {
+        current += "\"";
+        index += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  return fields.map((field) => field.trim());
+};
+
+// `at` is either a millisecond offset into the session or an absolute date.
+const parseTickTime = (value) => {
+  if (typeof value === "number" || /^\d+$/.test(String(value).trim())) {
+    return Number(value);
+  }
+  return Date.parse(value);
+};
+
+// One tick per line: a price for one market at one instant. CSV files start with a header naming the columns.
+const parseReplayFile = (content, format) => {
+  const lines = content.split(/\r?\n/);
+  const ticks = [];
+  let header = null;
+  lines.forEach((line, index) => {
+    if (!line.trim() || line.startsWith("#")) {
+      return;
+    }
+    let row = null;
+    if (format === "csv") {
+      const fields = splitCsvLine(line);
+      if (!header) {
+        header = fields;
+        return;
+      }
+      row = Object.fromEntries(header.map((column, columnIndex) => [column, fields[columnIndex]]));
+    } else {
+      try {
+        row = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Replay line ${index + 1}: invalid JSON.`);
+      }
+    }
+    const at = parseTickTime(row.at);
+    const price = Number(row.price);
+    if (!Number.isFinite(at) || !row.eventId || !row.marketId || !Number.isFinite(price) || price < 1.01) {
+      throw new Error(`Replay line ${index + 1}: expected ${replayColumns.join(", ")} with a valid at and price.`);
+    }
+    ticks.push({ ...row, at, price: Number(price.toFixed(2)) });
+  });
+  if (!ticks.length) {
+    throw new Error("Replay file has no ticks.");
+  }
+  // Stable sort keeps file order for ticks sharing a timestamp.
+  ticks.sort((left, right) => left.at - right.at);
+  const frames = [];
+  for (const tick of ticks) {
+    const last = frames[frames.length - 1];
+    if (last && last.at === tick.at) {
+      last.ticks.push(tick);
+    } else {
+      frames.push({ at: tick.at, ticks: [tick] });
+    }
+  }
+  return frames;
+};
+
+// Replays recorded ticks with their original spacing divided by `speed`; each frame emits the full book so far.
+const createReplayFeed = ({ file, speed = 1, loop = true, intervalMs }) => {
+  if (!file) {
+    throw new Error("ODDS_FEED_FILE must be set when ODDS_FEED_DRIVER=replay.");
+  }
+  const format = path.extname(file).toLowerCase() === ".csv" ? "csv" : "jsonl";
+  let timer = null;
+  let stopped = false;
+
+  const snapshotOf = (book) =>
+    [...book.values()].map((event) => ({ ...event, markets: [...event.markets.values()] }));
+
+  return {
+    name: "replay",
+    start: async ({ onSnapshot, onError }) => {
+      const frames = parseReplayFile(await fs.readFile(file, "utf8"), format);
+      let book = new Map();
+      let index = 0;
+      const playFrame = async () => {
+        if (stopped) {
+          return;
+        }
+        const frame = frames[index];
+        for (const tick of frame.ticks) {
+          if (!book.has(tick.eventId)) {
+            book.set(tick.eventId, {
+              id: tick.eventId,
+              league: tick.league || "",
+              home: tick.home || "",
+              away: tick.away || "",
+              startsAt: tick.startsAt || null,
+              markets: new Map()
+            });
+          }
+          const event = book.get(tick.eventId);
+          if (tick.startsAt) {
+            event.startsAt = tick.startsAt;
+          }
+          event.markets.set(tick.marketId, { id: tick.marketId, label: tick.label || tick.marketId, price: tick.price });
+        }
+        // A failed publish is reported but does not stop the session.
+        await Promise.resolve(snapshotOf(book)).then(onSnapshot).catch(onError);
+        index += 1;
+        let delayMs = 0;
+        if (index < frames.length) {
+          delayMs = (frames[index].at - frame.at) / speed;
+        } else if (loop) {
+          // A new lap starts from an empty book, one publish interval after the last frame.
+          index = 0;
+          book = new Map();
+          delayMs = intervalMs;
+        } else {
+          return;
+        }
+        timer = setTimeout(() => {
+          playFrame().catch(onError);
+        }, delayMs);
+      };
+      await playFrame();
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+};
+
+const createOddsFeed = ({ driver, intervalMs, db, file, speed, loop }) => {
+  if (driver === "random") {
+    return createRandomFeed({ intervalMs });
+  }
+  if (driver === "replay") {
+    return createReplayFeed({ file, speed, loop, intervalMs });
+  }
+  if (driver === "bets") {
+    return createBetsFeed({ intervalMs, db });
+  }
+  throw new Error(`Unknown ODDS_FEED_DRIVER "${driver}" (expected random, replay or bets).`);
+};
+
+module.exports = { createOddsFeed, parseReplayFile, splitCsvLine };
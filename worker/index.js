@@ -5,12 +5,24 @@ const mysql = require("mysql2/promise");
 const { createClient } = require("redis");
 const pino = require("pino");
 const promClient = require("prom-client");
+const { createOddsFeed } = require("./feeds");
+const { reconcilePoints } = require("./reconciliation");
+const { ledgerSystemAccounts, signupGrantPoints, postLedgerTransaction, transferSystemPoints } = require("../shared/ledger");
+const { loadFeeRule, feeFor } = require("../shared/fees");
+const { createParlaySettlement } = require("../shared/parlays");
+const { createBetPublishers } = require("../shared/bets");
+const { createPayoutQueue } = require("../shared/payouts");
 
 // Runtime configuration for Redis connection and publish cadence.
 const redisHost = process.env.REDIS_HOST || "redis";
 const redisPort = process.env.REDIS_PORT || "6379";
 const oddsChannel = process.env.ODDS_CHANNEL || "odds_updates";
 const intervalMs = Number(process.env.ODDS_INTERVAL_MS || 2500);
+const oddsFeedDriver = process.env.ODDS_FEED_DRIVER || "random";
+const oddsFeedFile = process.env.ODDS_FEED_FILE || "";
+const oddsFeedSpeedRaw = Number(process.env.ODDS_FEED_SPEED || 1);
+const oddsFeedSpeed = Number.isFinite(oddsFeedSpeedRaw) && oddsFeedSpeedRaw > 0 ? oddsFeedSpeedRaw : 1;
+const oddsFeedLoop = process.env.ODDS_FEED_LOOP !== "false";
 const payoutQueueName = process.env.PAYOUT_QUEUE || "payout_jobs";
 const payoutPollIntervalMs = Number(process.env.PAYOUT_POLL_INTERVAL_MS || 5000);
 const payoutMaxAttemptsRaw = Number(process.env.PAYOUT_MAX_ATTEMPTS || 5);
@@ -27,6 +39,23 @@ const payoutBackoffMaxMs = Number.isFinite(payoutBackoffMaxMsRaw) && payoutBacko
   : 5 * 60 * 1000;
 const payoutDelayedSetName = process.env.PAYOUT_DELAYED_SET || "payout_jobs_delayed";
 const payoutDeadLetterQueueName = process.env.PAYOUT_DEAD_LETTER_QUEUE || "payout_jobs_dead";
+const betEventsChannel = process.env.BET_EVENTS_CHANNEL || "bet_events";
+const betUpdatesChannel = process.env.BET_UPDATES_CHANNEL || "bet_updates";
+const betLifecycleIntervalMsRaw = Number(process.env.BET_LIFECYCLE_INTERVAL_MS || 30000);
+const betLifecycleIntervalMs = Number.isFinite(betLifecycleIntervalMsRaw) && betLifecycleIntervalMsRaw > 0
+  ? betLifecycleIntervalMsRaw
+  : 30000;
+const betResolutionSlaHoursRaw = Number(process.env.BET_RESOLUTION_SLA_HOURS || 48);
+const betResolutionSlaHours = Number.isFinite(betResolutionSlaHoursRaw) && betResolutionSlaHoursRaw > 0
+  ? betResolutionSlaHoursRaw
+  : 48;
+// Compared in seconds so a fractional SLA (e.g. a few seconds on a test stack) is honoured.
+const betResolutionSlaSeconds = Math.max(1, Math.round(betResolutionSlaHours * 3600));
+const betLifecycleBatchSize = 100;
+const reconciliationHourRaw = Number(process.env.RECONCILIATION_HOUR ?? 3);
+const reconciliationHour = Number.isInteger(reconciliationHourRaw) && reconciliationHourRaw >= 0 && reconciliationHourRaw < 24
+  ? reconciliationHourRaw
+  : 3;
 const metricsPort = Number(process.env.METRICS_PORT || 9102);
 const logLevel = process.env.LOG_LEVEL || "info";
 const jwtSecret = process.env.JWT_SECRET;
@@ -43,8 +72,8 @@ const dbUser = process.env.DB_USER;
 const dbPassword = process.env.DB_PASSWORD;
 
 let dbPool = null;
-let superAdminIdCache = null;
 let redisQueueClient = null;
+let redisPublishClient = null;
 let jwtSecretsCache = { secrets: null, fetchedAt: 0 };
 
 const logger = pino({
@@ -91,6 +120,43 @@ const payoutQueueDepth = new promClient.Gauge({
   registers: [metricsRegistry]
 });
 
+const betsAutoClosedTotal = new promClient.Counter({
+  name: "worker_bets_auto_closed_total",
+  help: "Total bets closed automatically after closes_at",
+  registers: [metricsRegistry]
+});
+
+const betsEscalatedTotal = new promClient.Counter({
+  name: "worker_bets_resolution_escalated_total",
+  help: "Total bets escalated to admins for exceeding the resolution SLA",
+  registers: [metricsRegistry]
+});
+
+const betProposalsFinalizedTotal = new promClient.Counter({
+  name: "worker_bet_proposals_finalized_total",
+  help: "Total community-proposed outcomes finalized after an undisputed window",
+  registers: [metricsRegistry]
+});
+
+const betsOverdueResolution = new promClient.Gauge({
+  name: "worker_bets_overdue_resolution",
+  help: "Bets still unresolved past the resolution SLA",
+  registers: [metricsRegistry]
+});
+
+const reconciliationDriftPoints = new promClient.Gauge({
+  name: "worker_points_reconciliation_drift_points",
+  help: "Points drift found by the last reconciliation, per check",
+  labelNames: ["check"],
+  registers: [metricsRegistry]
+});
+
+const reconciliationLastRun = new promClient.Gauge({
+  name: "worker_points_reconciliation_last_run_timestamp_seconds",
+  help: "Unix time of the last completed points reconciliation",
+  registers: [metricsRegistry]
+});
+
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const parsePositiveInt = (value) => {
@@ -278,45 +344,53 @@ const moveDueDelayedJobs = async () => {
   );
 };
 
-// Static sample matches used to fabricate odds for the demo.
-const matches = [
-  { id: "match-1", league: "Ligue 1", home: "Paris FC", away: "Lyon" },
-  { id: "match-2", league: "Premier League", home: "Chelsea", away: "Arsenal" },
-  { id: "match-3", league: "Serie A", home: "Roma", away: "Napoli" },
-  { id: "match-4", league: "La Liga", home: "Valencia", away: "Sevilla" }
-];
-
-// Utility to generate a random odd between min and max with 2 decimals.
-const randomOdd = (min, max) => {
-  const value = Math.random() * (max - min) + min;
-  return Number(value.toFixed(2));
-};
-
-// Build the payload with randomized starts and market prices.
-const buildOdds = () => {
-  const now = Date.now();
-  return matches.map((match) => {
-    return {
-      id: match.id,
-      league: match.league,
-      home: match.home,
-      away: match.away,
-      startsAt: new Date(now + Math.floor(Math.random() * 90 + 15) * 60000).toISOString(),
-      markets: [
-        { id: `${match.id}-home`, label: match.home, price: randomOdd(1.6, 3.1) },
-        { id: `${match.id}-draw`, label: "Draw", price: randomOdd(2.8, 4.2) },
-        { id: `${match.id}-away`, label: match.away, price: randomOdd(1.9, 3.6) }
-      ]
-    };
-  });
-};
-
-const feeRate = 0.02;
-const calculateFee = (amount) => {
-  if (!Number.isFinite(amount) || amount <= 0) {
-    return 0;
+// Fixed odds options linked to a feed market (bet_options.feed_market_id) follow its price while the bet is open.
+// Each move is written to the odds history with source "feed".
+const applyFeedOdds = async (events) => {
+  const priceByMarket = new Map();
+  for (const event of events) {
+    for (const market of event.markets) {
+      priceByMarket.set(market.id, market.price);
+    }
+  }
+  if (!priceByMarket.size) {
+    return;
+  }
+  const connection = await dbPool.getConnection();
+  let changes = [];
+  try {
+    await connection.beginTransaction();
+    const [options] = await connection.query(
+      `SELECT o.id, o.bet_id AS betId, o.current_odds AS currentOdds, o.feed_market_id AS feedMarketId
+       FROM bet_options o
+       JOIN bets b ON b.id = o.bet_id
+       WHERE o.feed_market_id IN (?) AND b.status = 'open' AND b.pricing_mode = 'fixed'
+       FOR UPDATE`,
+      [[...priceByMarket.keys()]]
+    );
+    changes = options.filter((option) => Number(option.currentOdds) !== priceByMarket.get(option.feedMarketId));
+    for (const option of changes) {
+      await connection.query("UPDATE bet_options SET current_odds = ? WHERE id = ?", [
+        priceByMarket.get(option.feedMarketId),
+        option.id
+      ]);
+    }
+    if (changes.length) {
+      await connection.query(
+        "INSERT INTO bet_option_odds_history (bet_id, bet_option_id, odds, source) VALUES ?",
+        [changes.map((option) => [option.betId, option.id, priceByMarket.get(option.feedMarketId), "feed"])]
+      );
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  for (const betId of new Set(changes.map((option) => Number(option.betId)))) {
+    await publishBetUpdate(betId);
   }
-  return Math.max(0, Math.floor(amount * feeRate));
 };
 
 const logAudit = async (connection, {
@@ -390,6 +464,7 @@ const logPointChange = async (connection, {
 const applyPointsDelta = async (connection, {
   userId,
   delta,
+  counterAccount,
   actorUserId = null,
   action,
   reason = null,
@@ -397,6 +472,9 @@ const applyPointsDelta = async (connection, {
   relatedEntityId = null,
   metadata = null
 }) => {
+  if (!ledgerSystemAccounts.includes(counterAccount)) {
+    throw new Error(`Unknown ledger account ${counterAccount}`);
+  }
   const [rows] = await connection.query("SELECT points FROM users WHERE id = ? FOR UPDATE", [userId]);
   if (!rows.length) {
     throw new Error("User not found");
@@ -407,6 +485,16 @@ const applyPointsDelta = async (connection, {
     throw new Error("Insufficient points");
   }
   await connection.query("UPDATE users SET points = ? WHERE id = ?", [after, userId]);
+  await postLedgerTransaction(connection, {
+    kind: action,
+    actorUserId,
+    relatedEntityType,
+    relatedEntityId,
+    entries: [
+      { account: "user", userId, amount: Number(delta) },
+      { account: counterAccount, amount: -Number(delta) }
+    ]
+  });
   await logPointChange(connection, {
     actorUserId,
     targetUserId: userId,
@@ -421,41 +509,40 @@ const applyPointsDelta = async (connection, {
   return { before, after };
 };
 
-const getSuperAdminId = async (connection) => {
-  if (superAdminIdCache) {
-    return superAdminIdCache;
-  }
-  const [rows] = await connection.query(
-    `SELECT ur.user_id AS userId
-     FROM user_roles ur
-     JOIN roles r ON r.id = ur.role_id
-     WHERE r.name = 'super_admin'
-     ORDER BY ur.user_id ASC
-     LIMIT 1`
-  );
-  if (!rows.length) {
-    return null;
-  }
-  superAdminIdCache = Number(rows[0].userId);
-  return superAdminIdCache;
-};
-
-const creditFeeToSuperAdmin = async (connection, feePoints, context = {}) => {
+// Same as the API: fees go from `context.account` to the `fees` treasury account.
+const collectFee = async (connection, feePoints, context = {}) => {
   if (!feePoints) return;
-  const superAdminId = await getSuperAdminId(connection);
-  if (!superAdminId) return;
-  await applyPointsDelta(connection, {
-    userId: superAdminId,
-    delta: Number(feePoints),
+  const action = context.action ?? "fee_credit";
+  await transferSystemPoints(connection, {
+    from: context.account,
+    to: "fees",
+    amount: Number(feePoints),
+    kind: action,
     actorUserId: context.actorUserId ?? null,
-    action: context.action ?? "fee_credit",
+    relatedEntityType: context.relatedEntityType ?? null,
+    relatedEntityId: context.relatedEntityId ?? null
+  });
+  await logAudit(connection, {
+    actorUserId: context.actorUserId ?? null,
+    action,
     reason: context.reason ?? "fee_credit",
+    pointsDelta: Number(feePoints),
     relatedEntityType: context.relatedEntityType ?? null,
     relatedEntityId: context.relatedEntityId ?? null,
     metadata: context.metadata ?? { fee: feePoints }
   });
 };
 
+const { settleParlaysForBet } = createParlaySettlement({ applyPointsDelta, collectFee, logAudit });
+
+// Jobs queued here are picked up by pollQueuedJobs.
+const { queueBetResolution } = createPayoutQueue({
+  maxAttempts: payoutMaxAttempts,
+  onQueued: async (job) => {
+    logger.info({ ...job, status: "queued" }, "payout_job_enqueued");
+  }
+});
+
 const markJobFailed = async (connection, jobId, message, attempt = 1, maxAttempts = payoutMaxAttempts) => {
   const errorMessage = message || "Unknown error";
   const safeAttempt = Number.isFinite(attempt) && attempt > 0 ? attempt : 1;
@@ -504,6 +591,49 @@ const markJobFailed = async (connection, jobId, message, attempt = 1, maxAttempt
   return { status: "retry_wait", nextAttemptAt };
 };
 
+// Jobs queued before multi-outcome resolution only carry result_option_id: they are a single full winner.
+const parsePayoutResolution = (job) => {
+  let payload = job.payload;
+  if (typeof payload === "string") {
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      payload = null;
+    }
+  }
+  const resolution = payload?.resolution || null;
+  if (resolution?.outcome === "void") {
+    return { outcome: "void", payoutMode: null, winners: new Map() };
+  }
+  const winners = new Map();
+  for (const winner of resolution?.winners || []) {
+    winners.set(Number(winner.optionId), Number(winner.factor) || 1);
+  }
+  if (!winners.size && Number(job.result_option_id)) {
+    winners.set(Number(job.result_option_id), 1);
+  }
+  return { outcome: "win", payoutMode: resolution?.payoutMode || "full", winners };
+};
+
+// Points of the whole pool owed to each winning option: pro rata to the factor-weighted stakes ("full"),
+// or split between options by factor ("split"). Winning options nobody backed get nothing.
+const splitPoolBetweenWinners = (resolution, poolByOption) => {
+  const totalPool = [...poolByOption.values()].reduce((total, value) => total + value, 0);
+  const weights = new Map();
+  for (const [optionId, factor] of resolution.winners.entries()) {
+    const optionPool = poolByOption.get(optionId) || 0;
+    if (optionPool > 0) {
+      weights.set(optionId, resolution.payoutMode === "split" ? factor : factor * optionPool);
+    }
+  }
+  const totalWeight = [...weights.values()].reduce((total, value) => total + value, 0);
+  const shares = new Map();
+  for (const [optionId, weight] of weights.entries()) {
+    shares.set(optionId, (totalPool * weight) / totalWeight);
+  }
+  return shares;
+};
+
 const processPayoutJob = async (jobId) => {
   const connection = await dbPool.getConnection();
   const startedAt = process.hrtime.bigint();
@@ -546,10 +676,15 @@ const processPayoutJob = async (jobId) => {
     payoutJobAttemptsTotal.inc({ status: "started" });
 
     const betId = Number(job.bet_id);
-    const resultOptionId = Number(job.result_option_id);
-    if (!betId || !resultOptionId) {
-      throw new Error("Missing bet_id or result_option_id");
+    if (!betId) {
+      throw new Error("Missing bet_id");
+    }
+    const resolution = parsePayoutResolution(job);
+    const isVoid = resolution.outcome === "void";
+    if (!isVoid && !resolution.winners.size) {
+      throw new Error("Missing result option");
     }
+    const resultOptionId = isVoid ? null : [...resolution.winners.keys()][0];
 
     const [betRows] = await connection.query("SELECT * FROM bets WHERE id = ? FOR UPDATE", [betId]);
     if (!betRows.length) {
@@ -569,12 +704,15 @@ const processPayoutJob = async (jobId) => {
       return;
     }
 
-    const [optionRows] = await connection.query(
-      "SELECT id FROM bet_options WHERE id = ? AND bet_id = ?",
-      [resultOptionId, betId]
-    );
-    if (!optionRows.length) {
-      throw new Error("Result option not found");
+    if (!isVoid) {
+      const winningIds = [...resolution.winners.keys()];
+      const [optionRows] = await connection.query(
+        "SELECT id FROM bet_options WHERE bet_id = ? AND id IN (?)",
+        [betId, winningIds]
+      );
+      if (optionRows.length !== winningIds.length) {
+        throw new Error("Result option not found");
+      }
     }
 
     const [positions] = await connection.query(
@@ -582,17 +720,45 @@ const processPayoutJob = async (jobId) => {
       [betId]
     );
 
+    // Pool bets pay winners from every stake on the bet instead of their purchase odds.
+    const isPool = bet.pricing_mode === "pool";
+    let totalPool = 0;
+    const poolByOption = new Map();
+    for (const position of positions) {
+      const optionId = Number(position.bet_option_id);
+      totalPool += Number(position.stake_points);
+      poolByOption.set(optionId, (poolByOption.get(optionId) || 0) + Number(position.stake_points));
+    }
+    const poolShares = isPool && !isVoid ? splitPoolBetweenWinners(resolution, poolByOption) : new Map();
+    // A void market, or a pool where nobody backed a winner, gives every stake back without fee.
+    const refundAll = isVoid || (isPool && !poolShares.size);
+    const deadHeat = !refundAll && [...resolution.winners.values()].some((factor) => factor < 1);
+    const payoutFeeRule = refundAll ? null : await loadFeeRule(connection, "payout", bet.group_id);
+
     const payoutsByUser = new Map();
+    const refundsByUser = new Map();
     let totalFees = 0;
     for (const position of positions) {
-      const isWinner = Number(position.bet_option_id) === resultOptionId;
-      const grossPayout = isWinner
-        ? Math.floor(Number(position.stake_points) * Number(position.odds_at_purchase))
-        : 0;
-      const fee = calculateFee(grossPayout);
+      const optionId = Number(position.bet_option_id);
+      const stake = Number(position.stake_points);
+      const userId = Number(position.user_id);
+      if (refundAll) {
+        refundsByUser.set(userId, (refundsByUser.get(userId) || 0) + stake);
+        await connection.query(
+          "UPDATE bet_positions SET status = 'cancelled', payout_points = ?, cancelled_at = NOW(), updated_at = NOW() WHERE id = ?",
+          [stake, position.id]
+        );
+        continue;
+      }
+      let grossPayout = 0;
+      if (isPool && poolShares.has(optionId)) {
+        grossPayout = Math.floor((stake * poolShares.get(optionId)) / poolByOption.get(optionId));
+      } else if (!isPool && resolution.winners.has(optionId)) {
+        grossPayout = Math.floor(stake * Number(position.odds_at_purchase) * resolution.winners.get(optionId));
+      }
+      const fee = feeFor(payoutFeeRule, grossPayout);
       const netPayout = Math.max(0, grossPayout - fee);
       if (netPayout > 0) {
-        const userId = Number(position.user_id);
         payoutsByUser.set(userId, (payoutsByUser.get(userId) || 0) + netPayout);
       }
       totalFees += fee;
@@ -602,19 +768,48 @@ const processPayoutJob = async (jobId) => {
       );
     }
 
+    // Settled stakes leave escrow for the mint, which then pays winnings and fees; refunds come straight from escrow.
+    if (!refundAll) {
+      await transferSystemPoints(connection, {
+        from: "bet_escrow",
+        to: "mint",
+        amount: totalPool,
+        kind: "bet_stake_release",
+        actorUserId: Number(job.resolved_by) || null,
+        relatedEntityType: "bet",
+        relatedEntityId: betId
+      });
+    }
+
+    for (const [userId, refund] of refundsByUser.entries()) {
+      await applyPointsDelta(connection, {
+        userId,
+        delta: refund,
+        counterAccount: "bet_escrow",
+        actorUserId: Number(job.resolved_by) || null,
+        action: "bet_refund",
+        reason: isVoid ? "bet_void" : "pool_no_winner",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: { refund }
+      });
+    }
+
     for (const [userId, payout] of payoutsByUser.entries()) {
       await applyPointsDelta(connection, {
         userId,
         delta: payout,
+        counterAccount: "mint",
         actorUserId: Number(job.resolved_by) || null,
         action: "bet_payout",
-        reason: "bet_resolve",
+        reason: deadHeat ? "bet_dead_heat" : "bet_resolve",
         relatedEntityType: "bet",
         relatedEntityId: betId
       });
     }
 
-    await creditFeeToSuperAdmin(connection, totalFees, {
+    await collectFee(connection, totalFees, {
+      account: "mint",
       actorUserId: Number(job.resolved_by) || null,
       action: "fee_bet_resolve",
       reason: "bet_resolve_fee",
@@ -623,6 +818,13 @@ const processPayoutJob = async (jobId) => {
       metadata: { totalFees }
     });
 
+    const settledParlays = await settleParlaysForBet(connection, {
+      betId,
+      winners: isVoid ? null : resolution.winners,
+      actorUserId: Number(job.resolved_by) || null,
+      reason: isVoid ? "bet_void" : "bet_resolve"
+    });
+
     await connection.query(
       "UPDATE bets SET status = 'resolved', result_option_id = ?, resolved_at = NOW(), updated_at = NOW() WHERE id = ?",
       [resultOptionId, betId]
@@ -630,11 +832,21 @@ const processPayoutJob = async (jobId) => {
 
     await logAudit(connection, {
       actorUserId: Number(job.resolved_by) || null,
-      action: "bet_resolve",
-      reason: "bet_resolve",
+      action: isVoid ? "bet_void" : "bet_resolve",
+      reason: isVoid ? "bet_void" : "bet_resolve",
       relatedEntityType: "bet",
       relatedEntityId: betId,
-      metadata: { resultOptionId, totalFees, payouts: Object.fromEntries(payoutsByUser) }
+      metadata: {
+        outcome: resolution.outcome,
+        payoutMode: resolution.payoutMode,
+        winners: Object.fromEntries(resolution.winners),
+        deadHeat,
+        totalFees,
+        payouts: Object.fromEntries(payoutsByUser),
+        refunds: Object.fromEntries(refundsByUser),
+        settledParlays: settledParlays.length,
+        ...(isPool ? { totalPool, poolShares: Object.fromEntries(poolShares), refundAll } : {})
+      }
     });
 
     await connection.query(
@@ -647,7 +859,14 @@ const processPayoutJob = async (jobId) => {
     payoutJobsTotal.inc({ status: "completed" });
     payoutJobDuration.observe({ status: "completed" }, durationSec);
     payoutJobAttemptsTotal.inc({ status: "success" });
-    logger.info({ jobId, betId, resultOptionId, totalFees, attempt }, "Payout job completed");
+    logger.info({ jobId, betId, outcome: resolution.outcome, winners: resolution.winners.size, totalFees, attempt }, "Payout job completed");
+    await publishBetUpdate(betId);
+    await publishBetPayouts(betId, {
+      payouts: payoutsByUser,
+      refunds: refundsByUser,
+      outcome: resolution.outcome,
+      parlays: settledParlays
+    });
   } catch (error) {
     await connection.rollback();
     try {
@@ -693,6 +912,301 @@ const listenToQueue = async (queueClient) => {
   }
 };
 
+const { publishBetEvent, publishBetUpdate, publishBetPayouts } = createBetPublishers({
+  getClient: () => redisPublishClient,
+  getDb: () => dbPool,
+  logger,
+  betEventsChannel,
+  betUpdatesChannel
+});
+
+// Moves bets whose closes_at has passed from open to closed; holders are notified after commit.
+const closeExpiredBets = async () => {
+  const connection = await dbPool.getConnection();
+  let closed = [];
+  try {
+    await connection.beginTransaction();
+    const [bets] = await connection.query(
+      `SELECT id, creator_user_id AS creatorUserId, title, closes_at AS closesAt
+       FROM bets
+       WHERE status = 'open' AND closes_at <= NOW()
+       ORDER BY closes_at ASC
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [betLifecycleBatchSize]
+    );
+    if (!bets.length) {
+      await connection.rollback();
+      return 0;
+    }
+    const betIds = bets.map((bet) => Number(bet.id));
+    await connection.query(
+      "UPDATE bets SET status = 'closed', updated_at = NOW() WHERE id IN (?) AND status = 'open'",
+      [betIds]
+    );
+    const [holderRows] = await connection.query(
+      "SELECT DISTINCT bet_id AS betId, user_id AS userId FROM bet_positions WHERE bet_id IN (?) AND status = 'open'",
+      [betIds]
+    );
+    const holdersByBet = new Map();
+    for (const row of holderRows) {
+      const betId = Number(row.betId);
+      if (!holdersByBet.has(betId)) {
+        holdersByBet.set(betId, []);
+      }
+      holdersByBet.get(betId).push(Number(row.userId));
+    }
+    for (const bet of bets) {
+      const betId = Number(bet.id);
+      await logAudit(connection, {
+        targetUserId: Number(bet.creatorUserId),
+        action: "bet_auto_close",
+        reason: "closes_at_reached",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: { closesAt: bet.closesAt, holders: (holdersByBet.get(betId) || []).length }
+      });
+    }
+    await connection.commit();
+    closed = bets.map((bet) => ({
+      betId: Number(bet.id),
+      title: bet.title,
+      closesAt: bet.closesAt,
+      userIds: [...new Set([Number(bet.creatorUserId), ...(holdersByBet.get(Number(bet.id)) || [])])]
+    }));
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  betsAutoClosedTotal.inc(closed.length);
+  for (const bet of closed) {
+    await publishBetEvent({ type: "bet_closed", ...bet });
+    await publishBetUpdate(bet.betId);
+  }
+  logger.info({ count: closed.length, betIds: closed.map((bet) => bet.betId) }, "Expired bets closed");
+  return closed.length;
+};
+
+// Bets waiting on a community proposal or a dispute decision are still unresolved.
+const unresolvedBetStatuses = ["open", "closed", "proposed", "disputed"];
+
+// Flags bets still unresolved BET_RESOLUTION_SLA_HOURS after closing, once per bet, and alerts admins.
+const escalateOverdueBets = async () => {
+  const [countRows] = await dbPool.query(
+    `SELECT COUNT(*) AS count
+     FROM bets
+     WHERE status IN (?)
+       AND closes_at <= NOW() - INTERVAL ? SECOND`,
+    [unresolvedBetStatuses, betResolutionSlaSeconds]
+  );
+  betsOverdueResolution.set(Number(countRows[0]?.count) || 0);
+
+  const connection = await dbPool.getConnection();
+  let escalated = [];
+  try {
+    await connection.beginTransaction();
+    const [bets] = await connection.query(
+      `SELECT id, creator_user_id AS creatorUserId, title, closes_at AS closesAt
+       FROM bets
+       WHERE status IN (?)
+         AND closes_at <= NOW() - INTERVAL ? SECOND
+         AND resolution_escalated_at IS NULL
+       ORDER BY closes_at ASC
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [unresolvedBetStatuses, betResolutionSlaSeconds, betLifecycleBatchSize]
+    );
+    if (!bets.length) {
+      await connection.rollback();
+      return 0;
+    }
+    const betIds = bets.map((bet) => Number(bet.id));
+    await connection.query("UPDATE bets SET resolution_escalated_at = NOW() WHERE id IN (?)", [betIds]);
+    for (const bet of bets) {
+      await logAudit(connection, {
+        targetUserId: Number(bet.creatorUserId),
+        action: "bet_resolution_overdue",
+        reason: "resolution_sla_exceeded",
+        relatedEntityType: "bet",
+        relatedEntityId: Number(bet.id),
+        metadata: { closesAt: bet.closesAt, slaHours: betResolutionSlaHours }
+      });
+    }
+    await connection.commit();
+    escalated = bets.map((bet) => ({
+      betId: Number(bet.id),
+      title: bet.title,
+      closesAt: bet.closesAt,
+      creatorUserId: Number(bet.creatorUserId)
+    }));
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  betsEscalatedTotal.inc(escalated.length);
+  for (const bet of escalated) {
+    await publishBetEvent({
+      type: "bet_resolution_overdue",
+      audience: "admins",
+      slaHours: betResolutionSlaHours,
+      ...bet
+    });
+  }
+  logger.warn({ count: escalated.length, betIds: escalated.map((bet) => bet.betId) }, "Bets past resolution SLA escalated");
+  return escalated.length;
+};
+
+// Queues payouts for community proposals whose dispute window ended without objection; the poller picks the jobs up.
+const finalizeUndisputedProposals = async () => {
+  const connection = await dbPool.getConnection();
+  const finalized = [];
+  try {
+    await connection.beginTransaction();
+    const [proposals] = await connection.query(
+      `SELECT p.*, b.title
+       FROM bet_resolution_proposals p
+       JOIN bets b ON b.id = p.bet_id
+       WHERE p.status = 'pending' AND p.dispute_deadline <= NOW() AND b.status = 'proposed'
+       ORDER BY p.dispute_deadline ASC
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [betLifecycleBatchSize]
+    );
+    if (!proposals.length) {
+      await connection.rollback();
+      return 0;
+    }
+    for (const proposal of proposals) {
+      const betId = Number(proposal.bet_id);
+      const proposerUserId = Number(proposal.proposer_user_id);
+      const resolution = typeof proposal.resolution === "string" ? JSON.parse(proposal.resolution) : proposal.resolution;
+      const queued = await queueBetResolution(connection, {
+        bet: { id: betId },
+        resolution,
+        observedValue: proposal.observed_value,
+        resolvedBy: proposerUserId,
+        metadata: { proposalId: Number(proposal.id), community: true }
+      });
+      // The bet was already paid out: the proposal no longer decides anything.
+      if (queued.alreadyCompleted) {
+        await connection.query(
+          "UPDATE bet_resolution_proposals SET status = 'superseded', decided_at = NOW(), updated_at = NOW() WHERE id = ?",
+          [proposal.id]
+        );
+        logger.warn({ betId, proposalId: Number(proposal.id) }, "Proposal superseded by a completed payout");
+        continue;
+      }
+      finalized.push({ betId, proposalId: Number(proposal.id) });
+      await connection.query(
+        "UPDATE bet_resolution_proposals SET status = 'finalized', decided_at = NOW(), updated_at = NOW() WHERE id = ?",
+        [proposal.id]
+      );
+      await logAudit(connection, {
+        targetUserId: proposerUserId,
+        action: "bet_resolution_finalized",
+        reason: "dispute_window_elapsed",
+        relatedEntityType: "bet",
+        relatedEntityId: betId,
+        metadata: { proposalId: Number(proposal.id), resolution }
+      });
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  betProposalsFinalizedTotal.inc(finalized.length);
+  for (const entry of finalized) {
+    await publishBetUpdate(entry.betId);
+  }
+  logger.info({ count: finalized.length, betIds: finalized.map((entry) => entry.betId) }, "Undisputed proposals finalized");
+  return finalized.length;
+};
+
+const runBetLifecycle = async () => {
+  await closeExpiredBets();
+  await finalizeUndisputedProposals();
+  await escalateOverdueBets();
+};
+
+const setReconciliationMetrics = ({ checks, finishedAt }) => {
+  for (const [check, result] of Object.entries(checks)) {
+    reconciliationDriftPoints.set({ check }, Number(result.drift));
+  }
+  reconciliationLastRun.set(Math.floor(new Date(finishedAt).getTime() / 1000));
+};
+
+const runReconciliation = async () => {
+  const report = await reconcilePoints(dbPool, { initialPoints: signupGrantPoints });
+  await dbPool.query(
+    `INSERT INTO reconciliation_reports
+       (status, users_checked, total_drift, audit_drift, ledger_drift, escrow_drift, pool_drift, details, started_at, finished_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      report.status,
+      report.usersChecked,
+      report.totalDrift,
+      report.checks.audit.drift,
+      report.checks.ledger.drift,
+      report.checks.escrow.drift,
+      report.checks.pool.drift,
+      JSON.stringify(report.checks),
+      report.startedAt,
+      report.finishedAt
+    ]
+  );
+  setReconciliationMetrics(report);
+  const summary = Object.fromEntries(Object.entries(report.checks).map(([check, result]) => [check, result.drift]));
+  if (report.status === "drift") {
+    logger.warn({ totalDrift: report.totalDrift, drift: summary }, "points_reconciliation_drift");
+  } else {
+    logger.info({ usersChecked: report.usersChecked }, "points_reconciliation_ok");
+  }
+  return report;
+};
+
+// Runs every night at RECONCILIATION_HOUR (UTC). After a restart the gauges are restored from the latest report,
+// or a reconciliation runs right away when the last one is more than a day old.
+const startReconciliationSchedule = async () => {
+  const [rows] = await dbPool.query(
+    `SELECT audit_drift AS audit, ledger_drift AS ledger, escrow_drift AS escrow, pool_drift AS pool, finished_at AS finishedAt
+     FROM reconciliation_reports
+     ORDER BY id DESC
+     LIMIT 1`
+  );
+  const latest = rows[0];
+  if (!latest || Date.now() - new Date(latest.finishedAt).getTime() > 24 * 60 * 60 * 1000) {
+    runReconciliation().catch((error) => logger.error({ err: error }, "Points reconciliation failed"));
+  } else {
+    setReconciliationMetrics({
+      checks: Object.fromEntries(["audit", "ledger", "escrow", "pool"].map((check) => [check, { drift: latest[check] }])),
+      finishedAt: latest.finishedAt
+    });
+  }
+  const scheduleNext = () => {
+    const next = new Date();
+    next.setUTCHours(reconciliationHour, 0, 0, 0);
+    if (next.getTime() <= Date.now()) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+    setTimeout(() => {
+      runReconciliation()
+        .catch((error) => logger.error({ err: error }, "Points reconciliation failed"))
+        .finally(scheduleNext);
+    }, next.getTime() - Date.now());
+  };
+  scheduleNext();
+};
+
 const initDatabase = async () => {
   dbPool = mysql.createPool({
     host: dbHost,
@@ -726,11 +1240,20 @@ const waitForSchema = async () => {
   const requiredTables = [
     "audit_logs",
     "auth_secrets",
+    "bet_option_odds_history",
     "bet_options",
     "bet_positions",
+    "bet_resolution_proposals",
     "bets",
+    "fee_promotions",
+    "fee_schedule",
+    "ledger_entries",
+    "ledger_transactions",
+    "parlay_legs",
+    "parlays",
     "payout_jobs",
     "permissions",
+    "reconciliation_reports",
     "role_permissions",
     "roles",
     "user_roles",
@@ -795,6 +1318,7 @@ const start = async () => {
   const client = createClient({ url: `redis://${redisHost}:${redisPort}` });
   client.on("error", (err) => logger.error({ err }, "Redis error"));
   await client.connect();
+  redisPublishClient = client;
 
   const queueClient = client.duplicate();
   queueClient.on("error", (err) => logger.error({ err }, "Redis queue error"));
@@ -812,21 +1336,29 @@ const start = async () => {
   await updateQueueDepth();
 
   // Compose and publish the odds message to the channel.
-  const publish = async () => {
+  const publish = async (events) => {
     const payload = {
       type: "odds",
       updatedAt: new Date().toISOString(),
-      events: buildOdds()
+      events
     };
     await client.publish(oddsChannel, JSON.stringify(payload));
+    await applyFeedOdds(payload.events);
   };
 
-  // Publish immediately so the API has data right away.
-  await publish();
-  // Continue publishing at the configured interval.
-  setInterval(() => {
-    publish().catch((error) => logger.error({ err: error }, "Publish error"));
-  }, intervalMs);
+  // The feed publishes its first snapshot right away so the API has data, then follows its own schedule.
+  const feed = createOddsFeed({
+    driver: oddsFeedDriver,
+    intervalMs,
+    db: dbPool,
+    file: oddsFeedFile,
+    speed: oddsFeedSpeed,
+    loop: oddsFeedLoop
+  });
+  await feed.start({
+    onSnapshot: publish,
+    onError: (error) => logger.error({ err: error }, "Publish error")
+  });
 
   // Start payout job queue listener.
   listenToQueue(queueClient).catch((error) => logger.error({ err: error }, "Queue listener stopped"));
@@ -845,9 +1377,22 @@ const start = async () => {
     updateQueueDepth().catch((error) => logger.error({ err: error }, "Queue depth update failed"));
   }, Math.max(1000, Math.floor(payoutPollIntervalMs / 2)));
 
+  // Close expired bets, finalize undisputed community outcomes and escalate the ones waiting too long.
+  // The next run is only scheduled once the previous one ended, so a slow cycle never overlaps the next.
+  const scheduleBetLifecycle = () => {
+    runBetLifecycle()
+      .catch((error) => logger.error({ err: error }, "Bet lifecycle error"))
+      .finally(() => setTimeout(scheduleBetLifecycle, betLifecycleIntervalMs));
+  };
+  scheduleBetLifecycle();
+
+  await startReconciliationSchedule();
+
   startMetricsServer();
-  logger.info({ oddsChannel, intervalMs }, "Odds worker started");
+  logger.info({ oddsChannel, intervalMs, feed: feed.name }, "Odds worker started");
   logger.info({ payoutQueueName }, "Payout worker listening");
+  logger.info({ betEventsChannel, betLifecycleIntervalMs, betResolutionSlaHours }, "Bet lifecycle scheduler started");
+  logger.info({ reconciliationHour }, "Points reconciliation scheduled");
 };
 
 // Bootstrap the worker and exit on fatal failure.
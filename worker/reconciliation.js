@@ -0,0 +1,144 @@
+// Points reconciliation: recomputes the invariants that every balance change is supposed to keep.
+// Each check reports its drift in points (absolute, summed) and a sample of the offending rows.
+const sampleSize = 50;
+
+// users.points must equal the signup grant plus every audited points delta. Users created before the grant was
+// audited (no `register_points` row) are assumed to have received `initialPoints`.
+const checkAuditBalances = async (db, { initialPoints }) => {
+  const [rows] = await db.query(
+    `SELECT u.id AS userId, u.points, COALESCE(a.total, 0) + IF(COALESCE(a.grants, 0) > 0, 0, ?) AS expected
+     FROM users u
+     LEFT JOIN (
+       SELECT target_user_id, SUM(points_delta) AS total, SUM(action = 'register_points') AS grants
+       FROM audit_logs
+       WHERE points_delta IS NOT NULL AND target_user_id IS NOT NULL
+       GROUP BY target_user_id
+     ) a ON a.target_user_id = u.id
+     HAVING points <> expected
+     ORDER BY u.id`,
+    [initialPoints]
+  );
+  return {
+    drift: rows.reduce((total, row) => total + Math.abs(Number(row.points) - Number(row.expected)), 0),
+    count: rows.length,
+    sample: rows.slice(0, sampleSize).map((row) => ({
+      userId: Number(row.userId),
+      points: Number(row.points),
+      expected: Number(row.expected)
+    }))
+  };
+};
+
+// users.points must equal the sum of the user's ledger entries.
+const checkLedgerBalances = async (db) => {
+  const [rows] = await db.query(
+    `SELECT u.id AS userId, u.points, COALESCE(SUM(e.amount), 0) AS expected
+     FROM users u
+     LEFT JOIN ledger_entries e ON e.account = 'user' AND e.user_id = u.id
+     GROUP BY u.id, u.points
+     HAVING u.points <> expected
+     ORDER BY u.id`
+  );
+  return {
+    drift: rows.reduce((total, row) => total + Math.abs(Number(row.points) - Number(row.expected)), 0),
+    count: rows.length,
+    sample: rows.slice(0, sampleSize).map((row) => ({
+      userId: Number(row.userId),
+      points: Number(row.points),
+      expected: Number(row.expected)
+    }))
+  };
+};
+
+// The bet escrow holds exactly the open stakes (positions and parlays); the transit escrows are empty at rest
+// and the ledger as a whole sums to zero.
+const checkEscrow = async (db) => {
+  const [accountRows] = await db.query(
+    "SELECT account, COALESCE(SUM(amount), 0) AS balance FROM ledger_entries GROUP BY account"
+  );
+  const balances = Object.fromEntries(accountRows.map((row) => [row.account, Number(row.balance)]));
+  const [stakeRows] = await db.query(
+    `SELECT
+       (SELECT COALESCE(SUM(stake_points), 0) FROM bet_positions WHERE status = 'open') AS positions,
+       (SELECT COALESCE(SUM(stake_points), 0) FROM parlays WHERE status = 'open') AS parlays`
+  );
+  const openStakes = Number(stakeRows[0].positions) + Number(stakeRows[0].parlays);
+  const mismatches = [
+    { account: "bet_escrow", balance: balances.bet_escrow ?? 0, expected: openStakes },
+    { account: "offer_escrow", balance: balances.offer_escrow ?? 0, expected: 0 },
+    { account: "transfer_escrow", balance: balances.transfer_escrow ?? 0, expected: 0 },
+    {
+      account: "total",
+      balance: Object.values(balances).reduce((total, value) => total + value, 0),
+      expected: 0
+    }
+  ].filter((row) => row.balance !== row.expected);
+  return {
+    drift: mismatches.reduce((total, row) => total + Math.abs(row.balance - row.expected), 0),
+    count: mismatches.length,
+    sample: mismatches,
+    openStakes,
+    balances
+  };
+};
+
+// On unsettled pool bets, the per-option pools must add up to the open stakes.
+const checkPools = async (db) => {
+  const [rows] = await db.query(
+    `SELECT b.id AS betId, p.pool, COALESCE(s.stakes, 0) AS stakes
+     FROM bets b
+     JOIN (SELECT bet_id, SUM(pool_points) AS pool FROM bet_options GROUP BY bet_id) p ON p.bet_id = b.id
+     LEFT JOIN (
+       SELECT bet_id, SUM(stake_points) AS stakes FROM bet_positions WHERE status = 'open' GROUP BY bet_id
+     ) s ON s.bet_id = b.id
+     WHERE b.pricing_mode = 'pool' AND b.status NOT IN ('resolved', 'cancelled')
+     HAVING pool <> stakes
+     ORDER BY b.id`
+  );
+  return {
+    drift: rows.reduce((total, row) => total + Math.abs(Number(row.pool) - Number(row.stakes)), 0),
+    count: rows.length,
+    sample: rows.slice(0, sampleSize).map((row) => ({
+      betId: Number(row.betId),
+      pool: Number(row.pool),
+      stakes: Number(row.stakes)
+    }))
+  };
+};
+
+// Reads run in one REPEATABLE READ snapshot so balances and stakes are compared at the same instant.
+const reconcilePoints = async (db, { initialPoints }) => {
+  const startedAt = new Date();
+  const connection = await db.getConnection();
+  let usersChecked = 0;
+  let checks = null;
+  try {
+    await connection.query("SET TRANSACTION ISOLATION LEVEL REPEATABLE READ");
+    await connection.query("START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY");
+    const [userRows] = await connection.query("SELECT COUNT(*) AS count FROM users");
+    usersChecked = Number(userRows[0].count);
+    checks = {
+      audit: await checkAuditBalances(connection, { initialPoints }),
+      ledger: await checkLedgerBalances(connection),
+      escrow: await checkEscrow(connection),
+      pool: await checkPools(connection)
+    };
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  const totalDrift = Object.values(checks).reduce((total, check) => total + check.drift, 0);
+  return {
+    status: totalDrift > 0 ? "drift" : "ok",
+    usersChecked,
+    totalDrift,
+    checks,
+    startedAt,
+    finishedAt: new Date()
+  };
+};
+
+module.exports = { reconcilePoints };
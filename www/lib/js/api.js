@@ -8,7 +8,10 @@ export const createApi = ({ baseUrl, state }) => {
         return headers;
     };
 
-    const refreshSession = async () => {
+    // Parallel 401s must share one rotation: replaying the old refresh token revokes the whole family.
+    let refreshInFlight = null;
+
+    const performRefresh = async () => {
         if (!state?.refreshToken) return false;
         try {
             const response = await fetch(`${baseUrl}/auth/refresh`, {
@@ -30,6 +33,15 @@ export const createApi = ({ baseUrl, state }) => {
         }
     };
 
+    const refreshSession = () => {
+        if (!refreshInFlight) {
+            refreshInFlight = performRefresh().finally(() => {
+                refreshInFlight = null;
+            });
+        }
+        return refreshInFlight;
+    };
+
     const request = async (path, options = {}, attemptRefresh = true) => {
         const headers = buildHeaders(options);
         const response = await fetch(`${baseUrl}${path}`, {
@@ -64,10 +76,79 @@ export const createApi = ({ baseUrl, state }) => {
         body: JSON.stringify(payload)
     });
 
+    const loginMfa = (payload) => request("/auth/login/mfa", {
+        method: "POST",
+        body: JSON.stringify(payload)
+    });
+
     const register = (payload) => request("/auth/register", {
         method: "POST",
         body: JSON.stringify(payload)
     });
 
-    return { request, login, register };
+    const forgotPassword = (payload) => request("/auth/password/forgot", {
+        method: "POST",
+        body: JSON.stringify(payload)
+    });
+
+    const resetPassword = (payload) => request("/auth/password/reset", {
+        method: "POST",
+        body: JSON.stringify(payload)
+    });
+
+    const verifyEmail = (payload) => request("/auth/email/verify", {
+        method: "POST",
+        body: JSON.stringify(payload)
+    });
+
+    const resendVerification = () => request("/auth/email/verify/resend", {
+        method: "POST",
+        body: JSON.stringify({})
+    });
+
+    // Binary responses (exports) bypass request(): only errors are JSON.
+    const download = async (path, attemptRefresh = true) => {
+        const response = await fetch(`${baseUrl}${path}`, { headers: buildHeaders() });
+        if (response.status === 401 && attemptRefresh && state?.refreshToken) {
+            const refreshed = await refreshSession();
+            if (refreshed) {
+                return download(path, false);
+            }
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data?.message || "Request failed");
+        }
+        const disposition = response.headers.get("Content-Disposition") || "";
+        const match = disposition.match(/filename="([^"]+)"/);
+        return { blob: await response.blob(), fileName: match ? match[1] : null };
+    };
+
+    const exportAccountData = (format = "json") => download(`/api/me/export?format=${encodeURIComponent(format)}`);
+
+    const deleteAccount = (password) => request("/api/me", {
+        method: "DELETE",
+        body: JSON.stringify({ password })
+    });
+
+    // A fresh key per click: a retried network call cannot debit the stake twice.
+    const placeParlay = (payload) => request("/api/parlays", {
+        method: "POST",
+        headers: { "Idempotency-Key": crypto.randomUUID() },
+        body: JSON.stringify(payload)
+    });
+
+    return {
+        request,
+        login,
+        loginMfa,
+        register,
+        forgotPassword,
+        resetPassword,
+        verifyEmail,
+        resendVerification,
+        exportAccountData,
+        deleteAccount,
+        placeParlay
+    };
 };
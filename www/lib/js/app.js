@@ -5,6 +5,8 @@ import { createOddsStream } from "./realtime.js";
 import { renderHome } from "./views/home.js";
 import { renderLogin } from "./views/login.js";
 import { renderSignup } from "./views/signup.js";
+import { renderResetPassword } from "./views/reset-password.js";
+import { renderVerifyEmail } from "./views/verify-email.js";
 import { renderDashboard } from "./views/dashboard.js";
 import { renderChat } from "./views/chat.js";
 import { renderSettings } from "./views/settings.js";
@@ -48,6 +50,8 @@ const routes = {
     "/": renderHome,
     "/login": renderLogin,
     "/signup": renderSignup,
+    "/reset-password": renderResetPassword,
+    "/verify-email": renderVerifyEmail,
     "/dashboard": renderDashboard,
     "/chat": renderChat,
     "/settings": renderSettings,
@@ -59,6 +63,8 @@ const pageTitles = {
     "/": "Central E",
     "/login": "Central E - Connexion",
     "/signup": "Central E - Inscription",
+    "/reset-password": "Central E - Mot de passe",
+    "/verify-email": "Central E - Verification email",
     "/dashboard": "Central E - Tableau de bord",
     "/chat": "Central E - Assistant IA",
     "/settings": "Central E - Parametres",
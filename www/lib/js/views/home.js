@@ -14,7 +14,30 @@ const escapeHtml = (value) => {
         .replace(/'/g, "&#39;");
 };
 
-export const renderHome = (root, { state }) => {
+// Inline odds trend for a campus option; needs two samples to draw a line.
+const renderSparkline = (points) => {
+    if (!points || points.length < 2) return "";
+    const width = 64;
+    const height = 18;
+    const values = points.map((point) => point.odds);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const coordinates = values
+        .map((value, index) => {
+            const x = (index / (values.length - 1)) * width;
+            const y = height - ((value - min) / range) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(" ");
+    const trend = values[values.length - 1] >= values[0] ? "up" : "down";
+    return `
+        <svg class="sparkline ${trend}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+            <polyline points="${coordinates}" />
+        </svg>
+    `;
+};
+
+export const renderHome = (root, { api, state, navigate }) => {
     root.innerHTML = `
         <div class="home-container">
             <!-- Hero Section -->
@@ -149,14 +172,54 @@ export const renderHome = (root, { state }) => {
     const clearSlipButton = root.querySelector("[data-clear-slip]");
     const slipStatus = root.querySelector("[data-slip-status]");
 
+    // Open campus bets can be placed for real; the live feed events stay demo only.
+    let campusBets = [];
+    let oddsHistory = new Map();
+    let isPlacing = false;
+
+    const renderCampusBets = (selectedIds) => {
+        return campusBets
+            .map((bet) => {
+                const selections = bet.options
+                    .map((option) => {
+                        const selectionId = `bet-option-${option.id}`;
+                        const selected = selectedIds.has(selectionId) ? "selected" : "";
+                        const label = escapeHtml(option.label);
+                        return `
+                            <button class="selection ${selected}" type="button" data-selection-id="${selectionId}" data-event-id="bet-${bet.id}" data-bet-id="${bet.id}" data-option-id="${option.id}" data-label="${escapeHtml(`${bet.title} - ${option.label}`)}" data-price="${option.odds}">
+                                <span>${label}</span>
+                                ${renderSparkline(oddsHistory.get(option.id))}
+                                <strong>${Number(option.odds).toFixed(2)}</strong>
+                            </button>
+                        `;
+                    })
+                    .join("");
+                return `
+                    <article class="event-card">
+                        <div class="event-meta">
+                            <span class="event-league">Campus</span>
+                            <span class="event-time">${formatTime(bet.closesAt)}</span>
+                        </div>
+                        <div class="event-teams">
+                            <span>${escapeHtml(bet.title)}</span>
+                        </div>
+                        <div class="event-selections">
+                            ${selections}
+                        </div>
+                    </article>
+                `;
+            })
+            .join("");
+    };
+
     const renderOdds = (snapshot) => {
         const selectedIds = new Set(snapshot.betslip.map((item) => item.id));
-        if (!snapshot.odds.length) {
+        if (!snapshot.odds.length && !campusBets.length) {
             oddsGrid.innerHTML = `<div class="empty">En attente des cotes en direct...</div>`;
             return;
         }
 
-        oddsGrid.innerHTML = snapshot.odds
+        oddsGrid.innerHTML = renderCampusBets(selectedIds) + snapshot.odds
             .map((event) => {
                 const selections = event.markets
                     .map((selection) => {
@@ -184,8 +247,7 @@ export const renderHome = (root, { state }) => {
                         </div>
                         <div class="event-teams">
                             <span>${home}</span>
-                            <span class="versus">vs</span>
-                            <span>${away}</span>
+                            ${away ? `<span class="versus">vs</span><span>${away}</span>` : ""}
                         </div>
                         <div class="event-selections">
                             ${selections}
@@ -224,7 +286,47 @@ export const renderHome = (root, { state }) => {
         const combinedOdds = snapshot.betslip.reduce((total, item) => total * item.price, 1);
         const potential = stake > 0 ? stake * combinedOdds : 0;
         returnValue.textContent = `${Math.round(potential)} pts`;
-        placeBetButton.disabled = false;
+        placeBetButton.disabled = isPlacing;
+    };
+
+    const setSlipStatus = (message, isError = false) => {
+        slipStatus.textContent = message;
+        slipStatus.classList.toggle("error", isError);
+        slipStatus.classList.toggle("success", !isError);
+    };
+
+    const currentSnapshot = () => ({
+        odds: state.odds,
+        betslip: state.betslip,
+        oddsStatus: state.oddsStatus
+    });
+
+    const loadCampusBets = async () => {
+        if (!state.token) return;
+        try {
+            const data = await api.request("/api/bets?active=true&sort=closes_at&order=asc&limit=12");
+            campusBets = (data.bets || []).filter((bet) => bet.options?.length);
+            renderOdds(currentSnapshot());
+            loadOddsHistory();
+        } catch {
+            campusBets = [];
+        }
+    };
+
+    // Sparklines are a bonus: a bet whose history fails to load simply renders without one.
+    const loadOddsHistory = async () => {
+        const results = await Promise.allSettled(
+            campusBets.map((bet) => api.request(`/api/bets/${bet.id}/odds-history?points=24`))
+        );
+        const next = new Map();
+        for (const result of results) {
+            if (result.status !== "fulfilled") continue;
+            for (const series of result.value.series || []) {
+                next.set(series.optionId, series.points);
+            }
+        }
+        oddsHistory = next;
+        renderOdds(currentSnapshot());
     };
 
     const renderStatus = (snapshot) => {
@@ -248,11 +350,18 @@ export const renderHome = (root, { state }) => {
                 state.removeSlip(selectionId);
                 return;
             }
+            const betId = selection.dataset.betId ? Number(selection.dataset.betId) : null;
+            if (betId && state.betslip.some((item) => item.betId === betId)) {
+                setSlipStatus("Une seule selection par pari dans un combine", true);
+                return;
+            }
             const payload = {
                 id: selectionId,
                 eventId: selection.dataset.eventId,
                 label: selection.dataset.label,
-                price: Number(selection.dataset.price)
+                price: Number(selection.dataset.price),
+                betId,
+                optionId: selection.dataset.optionId ? Number(selection.dataset.optionId) : null
             };
             state.addSlip(payload);
             return;
@@ -266,26 +375,57 @@ export const renderHome = (root, { state }) => {
     };
 
     const handleStakeChange = () => {
-        const snapshot = {
-            odds: state.odds,
-            betslip: state.betslip,
-            oddsStatus: state.oddsStatus
-        };
-        renderSlip(snapshot);
+        renderSlip(currentSnapshot());
     };
 
-    const handlePlaceBet = () => {
-        slipStatus.textContent = "Pari place avec succes!";
-        slipStatus.classList.remove("error");
-        slipStatus.classList.add("success");
-        state.clearSlip();
+    // One selection buys a position, several become a parlay settled once every leg is resolved.
+    const handlePlaceBet = async () => {
+        if (!state.token) {
+            navigate("/login");
+            return;
+        }
+        const items = state.betslip;
+        if (!items.length || isPlacing) return;
+        if (items.some((item) => !item.optionId)) {
+            setSlipStatus("Les cotes de demonstration ne peuvent pas etre jouees", true);
+            return;
+        }
+        const stakePoints = Math.floor(Number(stakeInput.value || 0));
+        if (!Number.isFinite(stakePoints) || stakePoints < 1) {
+            setSlipStatus("Mise invalide", true);
+            return;
+        }
+
+        isPlacing = true;
+        placeBetButton.disabled = true;
+        setSlipStatus("Envoi du pari...");
+        try {
+            if (items.length === 1) {
+                await api.request(`/api/bets/${items[0].betId}/buy`, {
+                    method: "POST",
+                    body: JSON.stringify({ optionId: items[0].optionId, stakePoints })
+                });
+                setSlipStatus("Pari place avec succes!");
+            } else {
+                const data = await api.placeParlay({
+                    optionIds: items.map((item) => item.optionId),
+                    stakePoints
+                });
+                setSlipStatus(`Combine place ! Gain potentiel ${data.potentialPayout} pts`);
+            }
+            isPlacing = false;
+            state.clearSlip();
+            loadCampusBets();
+        } catch (error) {
+            isPlacing = false;
+            setSlipStatus(error.message || "Impossible de placer le pari", true);
+            renderSlip(currentSnapshot());
+        }
     };
 
     const handleClearSlip = () => {
         state.clearSlip();
-        slipStatus.textContent = "Bulletin vide";
-        slipStatus.classList.remove("error");
-        slipStatus.classList.add("success");
+        setSlipStatus("Bulletin vide");
     };
 
     // Smooth scroll for anchor links
@@ -312,6 +452,7 @@ export const renderHome = (root, { state }) => {
         renderOdds(snapshot);
         renderSlip(snapshot);
     });
+    loadCampusBets();
 
     return () => {
         root.removeEventListener("click", handleClick);
@@ -1,3 +1,5 @@
+import { getPasskeyAssertion, isPasskeySupported } from "../webauthn.js";
+
 export const renderLogin = (root, { api, state, navigate }) => {
     root.innerHTML = `
         <div class="login-container">
@@ -60,10 +62,17 @@ export const renderLogin = (root, { api, state, navigate }) => {
                             <span>Mot de passe</span>
                             <input type="password" name="password" autocomplete="current-password" minlength="6" placeholder="Votre mot de passe" required>
                         </label>
+                        <label class="field" id="mfa-field" hidden>
+                            <span>Code de verification</span>
+                            <input type="text" name="code" autocomplete="one-time-code" inputmode="numeric" maxlength="32" placeholder="000000 ou code de secours">
+                            <small>Entrez le code de votre application d'authentification ou un code de secours</small>
+                        </label>
                         <button class="btn primary" type="submit">Se connecter</button>
+                        <button class="btn ghost" type="button" id="passkey-login">Se connecter avec une passkey</button>
                         <div class="form-status" role="status" aria-live="polite"></div>
                     </form>
 
+                    <p class="form-note"><a href="/reset-password" data-link>Mot de passe oublie?</a></p>
                     <p class="form-note">Pas encore de compte? <a href="/signup" data-link>Creer un compte</a></p>
                 </div>
             </div>
@@ -73,6 +82,9 @@ export const renderLogin = (root, { api, state, navigate }) => {
     const form = root.querySelector("#login-form");
     const status = form.querySelector(".form-status");
     const submit = form.querySelector("button[type=submit]");
+    const mfaField = form.querySelector("#mfa-field");
+    const codeInput = mfaField.querySelector("input");
+    let mfaToken = null;
 
     const setStatus = (message, variant) => {
         status.textContent = message;
@@ -82,6 +94,46 @@ export const renderLogin = (root, { api, state, navigate }) => {
         }
     };
 
+    const completeLogin = (data) => {
+        if (data?.token) {
+            state.setToken(data.token);
+        }
+        if (data?.refreshToken && typeof state.setRefreshToken === "function") {
+            state.setRefreshToken(data.refreshToken);
+        }
+        setStatus("Connexion reussie!", "success");
+        if (typeof navigate === "function") {
+            setTimeout(() => navigate("/dashboard"), 600);
+        }
+    };
+
+    const passkeyButton = form.querySelector("#passkey-login");
+    passkeyButton.hidden = !isPasskeySupported();
+    passkeyButton.addEventListener("click", async () => {
+        setStatus("");
+        passkeyButton.disabled = true;
+        try {
+            const email = String(new FormData(form).get("email") || "").trim();
+            const { options } = await api.request("/auth/passkey/options", {
+                method: "POST",
+                body: JSON.stringify(email ? { email } : {})
+            });
+            const credential = await getPasskeyAssertion(options);
+            const data = await api.request("/auth/passkey/verify", {
+                method: "POST",
+                body: JSON.stringify({ credential })
+            });
+            completeLogin(data);
+        } catch (error) {
+            const message = error.name === "NotAllowedError"
+                ? "Connexion par passkey annulee."
+                : error.message || "Echec de la connexion par passkey.";
+            setStatus(message, "error");
+        } finally {
+            passkeyButton.disabled = false;
+        }
+    });
+
     form.addEventListener("submit", async (event) => {
         event.preventDefault();
         setStatus("");
@@ -91,21 +143,36 @@ export const renderLogin = (root, { api, state, navigate }) => {
 
         const formData = new FormData(form);
         try {
-            const data = await api.login({
-                email: formData.get("email"),
-                password: formData.get("password")
-            });
-            if (data?.token) {
-                state.setToken(data.token);
-            }
-            if (data?.refreshToken && typeof state.setRefreshToken === "function") {
-                state.setRefreshToken(data.refreshToken);
-            }
-            setStatus("Connexion reussie!", "success");
-            if (typeof navigate === "function") {
-                setTimeout(() => navigate("/dashboard"), 600);
+            const data = mfaToken
+                ? await api.loginMfa({ mfaToken, code: String(formData.get("code") || "").trim() })
+                : await api.login({
+                    email: formData.get("email"),
+                    password: formData.get("password")
+                });
+            if (data?.mfaRequired) {
+                // Password accepted: ask for the TOTP or recovery code.
+                mfaToken = data.mfaToken;
+                mfaField.hidden = false;
+                codeInput.required = true;
+                form.querySelectorAll("input[name=email], input[name=password]").forEach((input) => {
+                    input.readOnly = true;
+                });
+                codeInput.focus();
+                setStatus("Verification en deux etapes requise.");
+                return;
             }
+            completeLogin(data);
         } catch (error) {
+            if (mfaToken && /challenge/i.test(error.message || "")) {
+                // Challenge expired or exhausted: restart from the password step.
+                mfaToken = null;
+                mfaField.hidden = true;
+                codeInput.required = false;
+                codeInput.value = "";
+                form.querySelectorAll("input[name=email], input[name=password]").forEach((input) => {
+                    input.readOnly = false;
+                });
+            }
             setStatus(error.message || "Echec de la connexion. Veuillez reessayer.", "error");
         } finally {
             submit.disabled = false;
@@ -0,0 +1,80 @@
+// Without a token this view requests a reset link; with ?token= it sets the new password.
+export const renderResetPassword = (root, { api, navigate }) => {
+    const token = new URLSearchParams(window.location.search).get("token");
+
+    root.innerHTML = `
+        <div class="login-container">
+            <div class="login-form-panel standalone">
+                <div class="auth-header">
+                    <span class="auth-badge">Mot de passe</span>
+                    <h1>${token ? "Nouveau mot de passe" : "Mot de passe oublie"}</h1>
+                    <p>${token
+                        ? "Choisissez un nouveau mot de passe. Vos autres sessions seront deconnectees."
+                        : "Entrez votre email, nous vous enverrons un lien de reinitialisation."}</p>
+                </div>
+
+                <form id="reset-form" class="form">
+                    ${token ? `
+                    <label class="field">
+                        <span>Nouveau mot de passe</span>
+                        <input type="password" name="password" autocomplete="new-password" minlength="6" required>
+                    </label>
+                    <label class="field">
+                        <span>Confirmation</span>
+                        <input type="password" name="confirm" autocomplete="new-password" minlength="6" required>
+                    </label>
+                    <button class="btn primary" type="submit">Enregistrer</button>
+                    ` : `
+                    <label class="field">
+                        <span>Email</span>
+                        <input type="email" name="email" autocomplete="email" placeholder="vous@efrei.fr" required>
+                    </label>
+                    <button class="btn primary" type="submit">Envoyer le lien</button>
+                    `}
+                    <div class="form-status" role="status" aria-live="polite"></div>
+                </form>
+
+                <p class="form-note"><a href="/login" data-link>Retour a la connexion</a></p>
+            </div>
+        </div>
+    `;
+
+    const form = root.querySelector("#reset-form");
+    const status = form.querySelector(".form-status");
+    const submit = form.querySelector("button[type=submit]");
+
+    const setStatus = (message, variant) => {
+        status.textContent = message;
+        status.classList.remove("success", "error");
+        if (variant) {
+            status.classList.add(variant);
+        }
+    };
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        setStatus("");
+        const formData = new FormData(form);
+        if (token && formData.get("password") !== formData.get("confirm")) {
+            setStatus("Les mots de passe ne correspondent pas.", "error");
+            return;
+        }
+        submit.disabled = true;
+        try {
+            if (token) {
+                await api.resetPassword({ token, password: formData.get("password") });
+                setStatus("Mot de passe mis a jour. Vous pouvez vous connecter.", "success");
+                if (typeof navigate === "function") {
+                    setTimeout(() => navigate("/login"), 1200);
+                }
+                return;
+            }
+            await api.forgotPassword({ email: formData.get("email") });
+            setStatus("Si un compte existe pour cet email, un lien vient d'etre envoye.", "success");
+        } catch (error) {
+            setStatus(error.message || "Echec de la demande. Veuillez reessayer.", "error");
+        } finally {
+            submit.disabled = false;
+        }
+    });
+};
@@ -1,3 +1,5 @@
+import { createPasskey, isPasskeySupported } from '../webauthn.js';
+
 // Settings page with theme, profile, and security options
 export const renderSettings = (root, { api, state, navigate }) => {
     // Load settings from localStorage
@@ -10,13 +12,16 @@ export const renderSettings = (root, { api, state, navigate }) => {
     // Security settings
     let authMethod = localStorage.getItem('efrei_auth_method') || 'password'; // password, passkey, password_2fa
     let totpEnabled = localStorage.getItem('efrei_totp_enabled') === 'true';
-    let passkeysRegistered = JSON.parse(localStorage.getItem('efrei_passkeys') || '[]');
+    let passkeysRegistered = [];
 
     // UI state
     let activeTab = 'appearance';
     let showTotpSetup = false;
     let totpSecret = null;
     let totpQrCode = null;
+    let totpRecoveryCodes = [];
+    let sessions = [];
+    let devices = [];
     let saveStatus = '';
     let saveStatusType = '';
 
@@ -319,10 +324,59 @@ export const renderSettings = (root, { api, state, navigate }) => {
                 </form>
             </div>
 
-            <div class="settings-section danger-zone">
+            ${renderSessionsSection()}
+        `;
+    };
+
+    const renderSessionsSection = () => {
+        return `
+            <div class="settings-section">
                 <h2>Sessions actives</h2>
-                <p class="section-description">Gerez vos sessions connectees</p>
-                <button class="btn ghost" id="logout-all">Deconnecter toutes les sessions</button>
+                <p class="section-description">Appareils actuellement connectes a votre compte</p>
+
+                ${sessions.length > 0 ? `
+                    <div class="session-list">
+                        ${sessions.map(session => `
+                            <div class="session-item ${session.isCurrent ? 'current' : ''}">
+                                <div class="session-info">
+                                    <strong>${escapeHtml(session.userAgent || 'Appareil inconnu')}</strong>
+                                    <span>${escapeHtml(session.lastIp || 'IP inconnue')} - connecte le ${formatDate(session.createdAt)}</span>
+                                </div>
+                                ${session.isCurrent
+                                    ? '<span class="session-badge">Session actuelle</span>'
+                                    : `<button class="btn ghost small revoke-session" data-id="${session.id}">Deconnecter</button>`}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : `
+                    <div class="empty-state">
+                        <p>Aucune session active</p>
+                    </div>
+                `}
+
+                ${devices.length > 0 ? `
+                    <h3>Appareils connus</h3>
+                    <div class="session-list">
+                        ${devices.map(device => `
+                            <div class="session-item ${device.isCurrent ? 'current' : ''}">
+                                <div class="session-info">
+                                    <strong>${escapeHtml(device.userAgent || 'Appareil inconnu')}</strong>
+                                    <span>Vu le ${formatDate(device.lastSeen)} - ${device.revokedAt ? 'revoque' : `${device.activeSessions} session(s) active(s)`}</span>
+                                </div>
+                                ${device.isCurrent ? '<span class="session-badge">Cet appareil</span>' : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+
+            <div class="settings-section danger-zone">
+                <h2>Deconnexion</h2>
+                <p class="section-description">Fermez les sessions ouvertes sur vos autres appareils</p>
+                <div class="form-actions">
+                    <button class="btn ghost" id="logout-others">Deconnecter les autres sessions</button>
+                    <button class="btn ghost" id="logout-all">Deconnecter toutes les sessions</button>
+                </div>
             </div>
         `;
     };
@@ -344,10 +398,10 @@ export const renderSettings = (root, { api, state, navigate }) => {
                                     </svg>
                                 </div>
                                 <div class="passkey-info">
-                                    <strong>${pk.name || 'Passkey ' + (index + 1)}</strong>
+                                    <strong>${escapeHtml(pk.name || 'Passkey ' + (index + 1))}</strong>
                                     <span>Ajoutee le ${formatDate(pk.createdAt)}</span>
                                 </div>
-                                <button class="btn ghost small remove-passkey" data-index="${index}">Supprimer</button>
+                                <button class="btn ghost small remove-passkey" data-id="${pk.id}">Supprimer</button>
                             </div>
                         `).join('')}
                     </div>
@@ -386,6 +440,7 @@ export const renderSettings = (root, { api, state, navigate }) => {
                         </div>
                         <button class="btn ghost" id="disable-totp">Desactiver</button>
                     </div>
+                    ${totpRecoveryCodes.length ? renderRecoveryCodes() : ''}
                 ` : showTotpSetup ? renderTotpSetup() : `
                     <div class="totp-status disabled">
                         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -404,13 +459,17 @@ export const renderSettings = (root, { api, state, navigate }) => {
         `;
     };
 
-    const renderTotpSetup = () => {
-        // Generate a mock TOTP secret (in real implementation, this comes from backend)
-        if (!totpSecret) {
-            totpSecret = generateMockTotpSecret();
-            totpQrCode = `otpauth://totp/CentralE:user@efrei.fr?secret=${totpSecret}&issuer=CentralE`;
-        }
+    const renderRecoveryCodes = () => `
+        <div class="totp-recovery-codes">
+            <h4>Codes de secours</h4>
+            <p>Conservez ces codes en lieu sur. Chacun permet une seule connexion si vous perdez votre application. Ils ne seront plus affiches.</p>
+            <ul>
+                ${totpRecoveryCodes.map(code => `<li><code>${escapeHtml(code)}</code></li>`).join('')}
+            </ul>
+        </div>
+    `;
 
+    const renderTotpSetup = () => {
         return `
             <div class="totp-setup">
                 <div class="totp-step">
@@ -426,7 +485,7 @@ export const renderSettings = (root, { api, state, navigate }) => {
                                     <text x="75" y="90" text-anchor="middle" fill="#666" font-size="10">(Simulation)</text>
                                 </svg>
                             </div>
-                            <p class="qr-note">Ou entrez manuellement: <code>${totpSecret}</code></p>
+                            <p class="qr-note">Ou entrez manuellement: <code>${escapeHtml(totpSecret || '')}</code></p>
                         </div>
                     </div>
                 </div>
@@ -512,9 +571,10 @@ export const renderSettings = (root, { api, state, navigate }) => {
                         </div>
                         <div class="data-action-info">
                             <strong>Exporter mes donnees</strong>
-                            <span>Telechargez une copie de toutes vos donnees</span>
+                            <span>Telechargez une copie de toutes vos donnees (profil, paris, offres, appareils, journal)</span>
                         </div>
-                        <button class="btn ghost" id="export-data">Exporter</button>
+                        <button class="btn ghost export-data" data-format="json">JSON</button>
+                        <button class="btn ghost export-data" data-format="zip">ZIP</button>
                     </div>
 
                     <div class="data-action">
@@ -540,7 +600,7 @@ export const renderSettings = (root, { api, state, navigate }) => {
                 <div class="danger-action">
                     <div class="danger-action-info">
                         <strong>Supprimer mon compte</strong>
-                        <span>Cette action est irreversible. Toutes vos donnees seront supprimees.</span>
+                        <span>Cette action est irreversible. Vos paris ouverts sont rembourses, votre solde restant est transfere et vos donnees personnelles sont supprimees.</span>
                     </div>
                     <button class="btn danger" id="delete-account">Supprimer le compte</button>
                 </div>
@@ -559,15 +619,6 @@ export const renderSettings = (root, { api, state, navigate }) => {
         return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
     };
 
-    const generateMockTotpSecret = () => {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-        let secret = '';
-        for (let i = 0; i < 16; i++) {
-            secret += chars[Math.floor(Math.random() * chars.length)];
-        }
-        return secret;
-    };
-
     const showSaveStatus = (message, type = 'success') => {
         saveStatus = message;
         saveStatusType = type;
@@ -673,10 +724,16 @@ export const renderSettings = (root, { api, state, navigate }) => {
 
         // TOTP setup
         const enableTotpBtn = root.querySelector('#enable-totp');
-        enableTotpBtn?.addEventListener('click', () => {
-            showTotpSetup = true;
-            totpSecret = null;
-            render();
+        enableTotpBtn?.addEventListener('click', async () => {
+            try {
+                const data = await api.request('/api/me/totp/setup', { method: 'POST', body: '{}' });
+                totpSecret = data.secret;
+                totpQrCode = data.otpauthUrl;
+                showTotpSetup = true;
+                render();
+            } catch (error) {
+                showSaveStatus(error.message || 'Impossible de configurer la 2FA', 'error');
+            }
         });
 
         const cancelTotpBtn = root.querySelector('#cancel-totp-setup');
@@ -687,27 +744,48 @@ export const renderSettings = (root, { api, state, navigate }) => {
         });
 
         const verifyTotpBtn = root.querySelector('#verify-totp');
-        verifyTotpBtn?.addEventListener('click', () => {
+        verifyTotpBtn?.addEventListener('click', async () => {
             const code = root.querySelector('#totp-code').value;
-            if (code.length === 6 && /^\d{6}$/.test(code)) {
-                // In real implementation, verify with backend
+            if (!/^\d{6}$/.test(code)) {
+                showSaveStatus('Code invalide', 'error');
+                return;
+            }
+            try {
+                const data = await api.request('/api/me/totp/verify', {
+                    method: 'POST',
+                    body: JSON.stringify({ code })
+                });
                 totpEnabled = true;
                 showTotpSetup = false;
+                totpSecret = null;
+                totpRecoveryCodes = Array.isArray(data.recoveryCodes) ? data.recoveryCodes : [];
                 localStorage.setItem('efrei_totp_enabled', 'true');
                 showSaveStatus('2FA activee avec succes');
-                render();
-            } else {
-                showSaveStatus('Code invalide', 'error');
+            } catch (error) {
+                showSaveStatus(error.message || 'Code invalide', 'error');
             }
         });
 
         const disableTotpBtn = root.querySelector('#disable-totp');
-        disableTotpBtn?.addEventListener('click', () => {
-            if (confirm('Etes-vous sur de vouloir desactiver la 2FA ?')) {
+        disableTotpBtn?.addEventListener('click', async () => {
+            if (!confirm('Etes-vous sur de vouloir desactiver la 2FA ?')) {
+                return;
+            }
+            const password = prompt('Confirmez avec votre mot de passe');
+            if (!password) {
+                return;
+            }
+            try {
+                await api.request('/api/me/totp', {
+                    method: 'DELETE',
+                    body: JSON.stringify({ password })
+                });
                 totpEnabled = false;
+                totpRecoveryCodes = [];
                 localStorage.setItem('efrei_totp_enabled', 'false');
                 showSaveStatus('2FA desactivee');
-                render();
+            } catch (error) {
+                showSaveStatus(error.message || 'Impossible de desactiver la 2FA', 'error');
             }
         });
 
@@ -716,53 +794,26 @@ export const renderSettings = (root, { api, state, navigate }) => {
         registerPasskeyBtn?.addEventListener('click', async () => {
             try {
                 // Check WebAuthn support
-                if (!window.PublicKeyCredential) {
+                if (!isPasskeySupported()) {
                     showSaveStatus('Votre navigateur ne supporte pas les passkeys', 'error');
                     return;
                 }
 
-                // In real implementation, get challenge from backend
-                const mockChallenge = new Uint8Array(32);
-                crypto.getRandomValues(mockChallenge);
-
-                const credential = await navigator.credentials.create({
-                    publicKey: {
-                        challenge: mockChallenge,
-                        rp: { name: 'Central E', id: window.location.hostname },
-                        user: {
-                            id: new Uint8Array(16),
-                            name: 'user@efrei.fr',
-                            displayName: 'Utilisateur'
-                        },
-                        pubKeyCredParams: [
-                            { type: 'public-key', alg: -7 },  // ES256
-                            { type: 'public-key', alg: -257 } // RS256
-                        ],
-                        authenticatorSelection: {
-                            authenticatorAttachment: 'platform',
-                            userVerification: 'required'
-                        },
-                        timeout: 60000
-                    }
+                const { options } = await api.request('/api/me/passkeys/options', { method: 'POST', body: '{}' });
+                const credential = await createPasskey(options);
+                const name = prompt('Donnez un nom a cette passkey:', 'Ma passkey');
+                await api.request('/api/me/passkeys', {
+                    method: 'POST',
+                    body: JSON.stringify({ name: name || 'Passkey', credential })
                 });
-
-                if (credential) {
-                    const name = prompt('Donnez un nom a cette passkey:', 'Ma passkey');
-                    passkeysRegistered.push({
-                        name: name || 'Passkey',
-                        createdAt: new Date().toISOString(),
-                        id: credential.id
-                    });
-                    localStorage.setItem('efrei_passkeys', JSON.stringify(passkeysRegistered));
-                    showSaveStatus('Passkey enregistree avec succes');
-                    render();
-                }
+                await loadPasskeys();
+                showSaveStatus('Passkey enregistree avec succes');
             } catch (error) {
                 console.error('Passkey registration error:', error);
                 if (error.name === 'NotAllowedError') {
                     showSaveStatus('Enregistrement annule', 'error');
                 } else {
-                    showSaveStatus('Erreur lors de l\'enregistrement', 'error');
+                    showSaveStatus(error.message || 'Erreur lors de l\'enregistrement', 'error');
                 }
             }
         });
@@ -770,47 +821,85 @@ export const renderSettings = (root, { api, state, navigate }) => {
         // Remove passkey
         const removePasskeyBtns = root.querySelectorAll('.remove-passkey');
         removePasskeyBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const index = parseInt(btn.dataset.index);
-                if (confirm('Supprimer cette passkey ?')) {
-                    passkeysRegistered.splice(index, 1);
-                    localStorage.setItem('efrei_passkeys', JSON.stringify(passkeysRegistered));
+            btn.addEventListener('click', async () => {
+                if (!confirm('Supprimer cette passkey ?')) {
+                    return;
+                }
+                try {
+                    await api.request(`/api/me/passkeys/${btn.dataset.id}`, { method: 'DELETE' });
+                    passkeysRegistered = passkeysRegistered.filter(pk => String(pk.id) !== btn.dataset.id);
                     showSaveStatus('Passkey supprimee');
-                    render();
+                } catch (error) {
+                    showSaveStatus(error.message || 'Impossible de supprimer la passkey', 'error');
                 }
             });
         });
 
         // Logout all sessions
         const logoutAllBtn = root.querySelector('#logout-all');
-        logoutAllBtn?.addEventListener('click', () => {
-            if (confirm('Deconnecter toutes les sessions ?')) {
-                // In real implementation, call API
-                state.clearAuth();
-                showSaveStatus('Toutes les sessions ont ete deconnectees');
-                setTimeout(() => navigate('/login'), 1000);
+        logoutAllBtn?.addEventListener('click', async () => {
+            if (!confirm('Deconnecter toutes les sessions ?')) {
+                return;
+            }
+            try {
+                await api.request('/api/me/sessions/logout-others', { method: 'POST', body: '{}' });
+                const current = sessions.find(session => session.isCurrent);
+                if (current) {
+                    await api.request(`/api/me/sessions/${current.id}`, { method: 'DELETE' });
+                }
+            } catch (error) {
+                console.error('Logout all sessions error:', error);
             }
+            state.clearAuth();
+            showSaveStatus('Toutes les sessions ont ete deconnectees');
+            setTimeout(() => navigate('/login'), 1000);
+        });
+
+        const logoutOthersBtn = root.querySelector('#logout-others');
+        logoutOthersBtn?.addEventListener('click', async () => {
+            if (!confirm('Deconnecter toutes les autres sessions ?')) {
+                return;
+            }
+            try {
+                const data = await api.request('/api/me/sessions/logout-others', { method: 'POST', body: '{}' });
+                await loadSessions();
+                showSaveStatus(`${data.revokedSessions} session(s) deconnectee(s)`);
+            } catch (error) {
+                showSaveStatus(error.message || 'Impossible de deconnecter les sessions', 'error');
+            }
+        });
+
+        const revokeSessionBtns = root.querySelectorAll('.revoke-session');
+        revokeSessionBtns.forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await api.request(`/api/me/sessions/${btn.dataset.id}`, { method: 'DELETE' });
+                    await loadSessions();
+                    showSaveStatus('Session deconnectee');
+                } catch (error) {
+                    showSaveStatus(error.message || 'Impossible de deconnecter la session', 'error');
+                }
+            });
         });
 
         // Export data
-        const exportDataBtn = root.querySelector('#export-data');
-        exportDataBtn?.addEventListener('click', () => {
-            const data = {
-                theme,
-                nickname,
-                biography,
-                quote,
-                profileVisibility,
-                exportedAt: new Date().toISOString()
-            };
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'centrale-data-export.json';
-            a.click();
-            URL.revokeObjectURL(url);
-            showSaveStatus('Donnees exportees');
+        const exportDataBtns = root.querySelectorAll('.export-data');
+        exportDataBtns.forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const format = btn.dataset.format || 'json';
+                try {
+                    const { blob, fileName } = await api.exportAccountData(format);
+                    const url = URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = fileName || `centrale-export.${format}`;
+                    a.click();
+                    URL.revokeObjectURL(url);
+                    showSaveStatus('Donnees exportees');
+                } catch (error) {
+                    showSaveStatus(error.message || 'Impossible d\'exporter les donnees', 'error');
+                }
+            });
         });
 
         // Clear local data
@@ -826,21 +915,57 @@ export const renderSettings = (root, { api, state, navigate }) => {
 
         // Delete account
         const deleteAccountBtn = root.querySelector('#delete-account');
-        deleteAccountBtn?.addEventListener('click', () => {
-            if (confirm('ATTENTION: Cette action est irreversible. Voulez-vous vraiment supprimer votre compte ?')) {
-                if (confirm('Derniere confirmation: toutes vos donnees seront perdues. Continuer ?')) {
-                    // In real implementation, call API to delete account
-                    showSaveStatus('Compte supprime');
-                    state.clearAuth();
-                    setTimeout(() => navigate('/'), 1000);
-                }
+        deleteAccountBtn?.addEventListener('click', async () => {
+            if (!confirm('ATTENTION: Cette action est irreversible. Voulez-vous vraiment supprimer votre compte ?')) {
+                return;
+            }
+            const password = prompt('Derniere confirmation: saisissez votre mot de passe pour supprimer le compte');
+            if (!password) return;
+            try {
+                await api.deleteAccount(password);
+                const keys = Object.keys(localStorage).filter(k => k.startsWith('efrei_'));
+                keys.forEach(k => localStorage.removeItem(k));
+                state.clearAuth();
+                navigate('/');
+            } catch (error) {
+                showSaveStatus(error.message || 'Impossible de supprimer le compte', 'error');
             }
         });
     };
 
+    const loadPasskeys = async () => {
+        const data = await api.request('/api/me/passkeys');
+        passkeysRegistered = Array.isArray(data?.passkeys) ? data.passkeys : [];
+    };
+
+    const loadSessions = async () => {
+        const [sessionData, deviceData] = await Promise.all([
+            api.request('/api/me/sessions'),
+            api.request('/api/me/devices')
+        ]);
+        sessions = Array.isArray(sessionData?.sessions) ? sessionData.sessions : [];
+        devices = Array.isArray(deviceData?.devices) ? deviceData.devices : [];
+    };
+
     // Initial render
     render();
 
+    // Sync the 2FA status and passkeys with the server
+    if (state.token) {
+        loadPasskeys().then(render).catch(() => {});
+        loadSessions().then(render).catch(() => {});
+
+        api.request('/api/me/preferences')
+            .then((data) => {
+                if (typeof data?.preferences?.totpEnabled === 'boolean' && data.preferences.totpEnabled !== totpEnabled) {
+                    totpEnabled = data.preferences.totpEnabled;
+                    localStorage.setItem('efrei_totp_enabled', String(totpEnabled));
+                    render();
+                }
+            })
+            .catch(() => {});
+    }
+
     // Cleanup
     return () => {
         // Nothing to cleanup
@@ -88,7 +88,12 @@ export const renderSignup = (root, { api, state, navigate }) => {
                 if (data?.refreshToken && typeof state?.setRefreshToken === "function") {
                     state.setRefreshToken(data.refreshToken);
                 }
-                setStatus("Compte cree avec succes!", "success");
+                setStatus(
+                    data?.user?.emailVerified
+                        ? "Compte cree avec succes!"
+                        : "Compte cree! Confirmez votre email via le lien recu pour debloquer les paris.",
+                    "success"
+                );
 
                 // Trigger onboarding for new users
                 state.setShowOnboarding(true);
@@ -0,0 +1,65 @@
+export const renderVerifyEmail = (root, { api, state }) => {
+    const token = new URLSearchParams(window.location.search).get("token");
+
+    root.innerHTML = `
+        <div class="login-container">
+            <div class="login-form-panel standalone">
+                <div class="auth-header">
+                    <span class="auth-badge">Verification</span>
+                    <h1>Confirmation de l'email</h1>
+                    <p id="verify-message">${token ? "Verification en cours..." : "Aucun lien de verification fourni."}</p>
+                </div>
+                <div class="form">
+                    <button class="btn primary" type="button" id="verify-resend" hidden>Renvoyer l'email de verification</button>
+                    <a class="btn ghost" href="/dashboard" data-link>Aller au tableau de bord</a>
+                    <div class="form-status" role="status" aria-live="polite"></div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const message = root.querySelector("#verify-message");
+    const status = root.querySelector(".form-status");
+    const resend = root.querySelector("#verify-resend");
+
+    const setStatus = (text, variant) => {
+        status.textContent = text;
+        status.classList.remove("success", "error");
+        if (variant) {
+            status.classList.add(variant);
+        }
+    };
+
+    // Resending needs a session: the link only goes to the signed-in account's address.
+    const offerResend = () => {
+        resend.hidden = !state?.token;
+    };
+
+    resend.addEventListener("click", async () => {
+        resend.disabled = true;
+        setStatus("");
+        try {
+            await api.resendVerification();
+            setStatus("Un nouveau lien vient d'etre envoye.", "success");
+        } catch (error) {
+            setStatus(error.message || "Impossible d'envoyer l'email.", "error");
+        } finally {
+            resend.disabled = false;
+        }
+    });
+
+    if (!token) {
+        offerResend();
+        return;
+    }
+
+    api.verifyEmail({ token })
+        .then(() => {
+            message.textContent = "Votre adresse email est confirmee. Toutes les fonctionnalites sont debloquees.";
+        })
+        .catch((error) => {
+            message.textContent = "Ce lien est invalide ou a expire.";
+            setStatus(error.message || "", "error");
+            offerResend();
+        });
+};
@@ -0,0 +1,67 @@
+// Browser side of the WebAuthn ceremonies: converts the JSON options sent by the
+// server to ArrayBuffers and serializes credentials back as base64url JSON.
+const toBuffer = (value) => {
+    const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+    return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0)).buffer;
+};
+
+const toBase64Url = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const mapDescriptors = (descriptors = []) => descriptors.map((descriptor) => ({
+    ...descriptor,
+    id: toBuffer(descriptor.id)
+}));
+
+export const isPasskeySupported = () => typeof window !== "undefined" && Boolean(window.PublicKeyCredential);
+
+export const createPasskey = async (options) => {
+    const credential = await navigator.credentials.create({
+        publicKey: {
+            ...options,
+            challenge: toBuffer(options.challenge),
+            user: { ...options.user, id: toBuffer(options.user.id) },
+            excludeCredentials: mapDescriptors(options.excludeCredentials)
+        }
+    });
+    return {
+        id: credential.id,
+        rawId: toBase64Url(credential.rawId),
+        type: credential.type,
+        response: {
+            clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+            attestationObject: toBase64Url(credential.response.attestationObject),
+            transports: typeof credential.response.getTransports === "function"
+                ? credential.response.getTransports()
+                : undefined
+        }
+    };
+};
+
+export const getPasskeyAssertion = async (options) => {
+    const credential = await navigator.credentials.get({
+        publicKey: {
+            ...options,
+            challenge: toBuffer(options.challenge),
+            allowCredentials: mapDescriptors(options.allowCredentials)
+        }
+    });
+    return {
+        id: credential.id,
+        rawId: toBase64Url(credential.rawId),
+        type: credential.type,
+        response: {
+            clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+            authenticatorData: toBase64Url(credential.response.authenticatorData),
+            signature: toBase64Url(credential.response.signature),
+            userHandle: credential.response.userHandle ? toBase64Url(credential.response.userHandle) : null
+        }
+    };
+};
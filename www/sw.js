@@ -1,4 +1,4 @@
-const CACHE_NAME = "efrei-app-static-v8";
+const CACHE_NAME = "efrei-app-static-v13";
 const ASSETS = [
   "/",
   "/index.html",
@@ -11,9 +11,12 @@ const ASSETS = [
   "/lib/js/state.js",
   "/lib/js/api.js",
   "/lib/js/realtime.js",
+  "/lib/js/webauthn.js",
   "/lib/js/views/home.js",
   "/lib/js/views/login.js",
   "/lib/js/views/signup.js",
+  "/lib/js/views/reset-password.js",
+  "/lib/js/views/verify-email.js",
   "/lib/js/views/not-found.js",
   "/sw.js"
 ];